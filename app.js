@@ -3,9 +3,33 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const multer = require('multer');
-const crypto = require('crypto');
+const path = require('path');
+const { pipeline } = require('stream');
 const { ethers } = require('ethers');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
+const { DocumentIndexer } = require('./lib/indexer');
+const { TransactionQueue } = require('./lib/txQueue');
+const { describeFinality, getConfirmationPolicy, getDocumentFinality, parseConfirmationOverrides } = require('./lib/finality');
+const { DELIVERY_STATUSES, WEBHOOK_EVENTS, WebhookDispatcher, buildWebhookPayload, getWebhookEventType } = require('./lib/webhooks');
+const { META_TX_TYPES, buildTypedData, getMetaTransactionCall, recoverTypedDataSigner } = require('./lib/metaTransactions');
+const { buildMerkleTree, getMerkleProof, verifyMerkleProof } = require('./lib/merkle');
+const { createJsonStore, getDataDir } = require('./lib/store');
+const { STATUS_NAMES, getNextTransitions } = require('./lib/status');
+const { buildReceipt, verifyReceipt, renderReceiptPdf } = require('./lib/receipts');
+const { HASH_ALGORITHMS, DEFAULT_HASH_ALGORITHM, isSupportedHashAlgorithm, createHashingStorage } = require('./lib/hashing');
+const { METADATA_SCHEMA, METADATA_STORAGE, validateMetadata, prepareMetadata, decodeMetadata } = require('./lib/metadata');
+const { checkDeployedBytecode, computeAbiHash, createNotaryContract, loadContractArtifact } = require('./lib/contractArtifact');
+const { findDeployment, getDeploymentsDir } = require('./lib/deployments');
+const { attachLegacyContract } = require('./lib/legacyContract');
+const { createFsContentStore, createIpfsContentStore } = require('./lib/contentStore');
+const { ACCESS_WINDOW_SECONDS, DocumentVault, buildContentAccessMessage } = require('./lib/vault');
+const {
+  ADMIN_REQUEST_WINDOW_SECONDS,
+  NonceRegistry,
+  ROLES,
+  buildAdminRequestMessage,
+  hashAdminRequestBody
+} = require('./lib/roles');
 require('dotenv').config();
 
 const app = express();
@@ -28,6 +52,7 @@ const corsOptions = {
     process.env.FRONTEND_URL
   ].filter(Boolean),
   credentials: true,
+  exposedHeaders: ['Content-Disposition'],
   optionsSuccessStatus: 200
 };
 
@@ -37,7 +62,15 @@ app.use(helmet({
 }));
 app.use(cors(corsOptions));
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Signed admin requests cover the body exactly as it was sent
+  verify: (req, res, buf) => {
+    if (req.get('X-Admin-Signature')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting middleware
@@ -61,12 +94,13 @@ app.use(async (req, res, next) => {
   }
 });
 
-// Multer configuration for file uploads
-const storage = multer.memoryStorage();
+// Multer configuration for file uploads: files are hashed as they stream in, never buffered
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE || String(10 * 1024 * 1024 * 1024), 10);
+const storage = createHashingStorage();
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: MAX_UPLOAD_SIZE
   },
   fileFilter: (req, file, cb) => {
     // Allow all file types but limit size
@@ -74,56 +108,411 @@ const upload = multer({
   }
 });
 
+// Batch notarization configuration
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES || '1000', 10);
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || '10000', 10);
+
+// Merkle proofs for anchored batches, so clients can fetch them again later
+const batchStore = createJsonStore('batches', () => ({ batches: {}, documents: {} }));
+const batchState = batchStore.load();
+
+// Canonical metadata JSON by keccak256, so hash-only on-chain metadata can be resolved
+const metadataStore = createJsonStore('metadata', () => ({ documents: {} }));
+const metadataState = metadataStore.load();
+const lookupMetadata = metadataHash => metadataState.documents[metadataHash] || null;
+
+// Encrypted document vault (optional): enabled by setting VAULT_MASTER_KEY
+const VAULT_MASTER_KEY = process.env.VAULT_MASTER_KEY;
+const VAULT_BACKEND = process.env.VAULT_BACKEND || 'fs';
+const VAULT_DIR = process.env.VAULT_DIR || path.join(getDataDir(), 'vault');
+const IPFS_API_URL = process.env.IPFS_API_URL || 'http://127.0.0.1:5001';
+// Vaulted copies are held on disk or pinned, unlike uploads that are only hashed
+const VAULT_MAX_UPLOAD_SIZE = parseInt(process.env.VAULT_MAX_UPLOAD_SIZE || String(100 * 1024 * 1024), 10);
+
+let vault = null;
+let vaultUpload = null;
+
+if (VAULT_MASTER_KEY) {
+  try {
+    vault = new DocumentVault({
+      masterKey: VAULT_MASTER_KEY,
+      contentStore: VAULT_BACKEND === 'ipfs'
+        ? createIpfsContentStore(IPFS_API_URL, VAULT_DIR)
+        : createFsContentStore(VAULT_DIR),
+      store: createJsonStore('vault', () => ({ blobs: {} }))
+    });
+    vaultUpload = multer({
+      storage: vault.createUploadStorage(),
+      limits: {
+        fileSize: VAULT_MAX_UPLOAD_SIZE,
+        files: 1
+      }
+    });
+    console.log(`🔐 Document vault enabled (${VAULT_BACKEND === 'ipfs' ? `IPFS at ${IPFS_API_URL}` : VAULT_DIR})`);
+  } catch (error) {
+    console.error('❌ Document vault disabled:', error.message);
+  }
+}
+
+// Webhooks: indexed contract events are POSTed to subscribers, signed with their secret
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const WEBHOOK_RETRY_DELAY_SECONDS = parseInt(process.env.WEBHOOK_RETRY_DELAY_SECONDS || '30', 10);
+const WEBHOOK_TIMEOUT_SECONDS = parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS || '10', 10);
+// Set to true to send webhooks to localhost and private networks, for local development
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const webhooks = new WebhookDispatcher({
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryDelay: WEBHOOK_RETRY_DELAY_SECONDS * 1000,
+  timeout: WEBHOOK_TIMEOUT_SECONDS * 1000,
+  allowPrivateUrls: WEBHOOK_ALLOW_PRIVATE_URLS
+});
+webhooks.start();
+
 // Blockchain configuration
 const NETWORK_URL = process.env.NETWORK_URL || 'http://127.0.0.1:8545';
+// More chains to notarize on, comma separated; each uses its deployment from the registry
+const ADDITIONAL_NETWORK_URLS = (process.env.ADDITIONAL_NETWORK_URLS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+// Overrides the deployment recorded for the primary chain in deployments/<network>.json
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 
-// Contract ABI (simplified for main functions)
-const CONTRACT_ABI = [
-  "function notarizeDocument(bytes32 _documentHash, string memory _metadata, address[] memory _requiredSigners) external",
-  "function signDocument(bytes32 _documentHash) external",
-  "function approveDocument(bytes32 _documentHash) external",
-  "function rejectDocument(bytes32 _documentHash, string memory _reason) external",
-  "function verifyDocument(bytes32 _documentHash) external view returns (bool exists, address notary, uint256 timestamp, uint8 status, uint256 signerCount, uint256 approverCount)",
-  "function createDocumentVersion(bytes32 _originalHash, bytes32 _newVersionHash, string memory _changeDescription) external",
-  "function getDocumentVersions(bytes32 _originalHash) external view returns (tuple(bytes32 documentHash, uint256 version, bytes32 previousVersionHash, address creator, uint256 timestamp, string changeDescription, bool isLatest)[])",
-  "function getLatestVersion(bytes32 _originalHash) external view returns (bytes32)",
-  "function getRequiredSigners(bytes32 _documentHash) external view returns (address[])",
-  "function hasSigned(bytes32 _documentHash, address _signer) external view returns (bool)",
-  "function getDocumentMetadata(bytes32 _documentHash) external view returns (string)",
-  "function addNotary(address _notary) external",
-  "function removeNotary(address _notary) external",
-  "function owner() external view returns (address)",
-  "function totalDocuments() external view returns (uint256)"
-];
-
-// Initialize provider and contract
-let provider, contract, wallet;
-
-function initializeBlockchain() {
-  try {
-    provider = new ethers.providers.JsonRpcProvider(NETWORK_URL);
-    
-    if (PRIVATE_KEY && CONTRACT_ADDRESS) {
-      wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-      contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, wallet);
+// Set to true to start against a contract whose code differs from the local build
+const SKIP_BYTECODE_CHECK = process.env.SKIP_BYTECODE_CHECK === 'true';
+
+// Indexer configuration (the start block defaults to the deployment block from the registry)
+const INDEXER_START_BLOCK = parseInt(process.env.INDEXER_START_BLOCK || '0', 10);
+const INDEXER_POLL_INTERVAL = parseInt(process.env.INDEXER_POLL_INTERVAL || '5000', 10);
+
+// Transaction queue: how often pending jobs are checked, when a stuck transaction is
+// rebroadcast with fees raised by TX_FEE_BUMP_PERCENT, how often at most, how long after
+// the last bump it is given up on, and how long settled jobs are kept
+const TX_QUEUE_POLL_INTERVAL = parseInt(process.env.TX_QUEUE_POLL_INTERVAL || '3000', 10);
+const TX_STUCK_AFTER_SECONDS = parseInt(process.env.TX_STUCK_AFTER_SECONDS || '120', 10);
+const TX_FEE_BUMP_PERCENT = parseInt(process.env.TX_FEE_BUMP_PERCENT || '20', 10);
+const TX_MAX_FEE_BUMPS = parseInt(process.env.TX_MAX_FEE_BUMPS || '5', 10);
+const TX_DROP_AFTER_SECONDS = parseInt(process.env.TX_DROP_AFTER_SECONDS || '600', 10);
+const TX_JOB_RETENTION_HOURS = parseInt(process.env.TX_JOB_RETENTION_HOURS || '24', 10);
+
+// Requests wait this long for their transaction to be mined, then answer 202 with the job
+const TX_WAIT_TIMEOUT_SECONDS = parseInt(process.env.TX_WAIT_TIMEOUT_SECONDS || '60', 10);
+
+// Confirmations a transaction needs before it is reported as done, and the depth at which
+// records count as finalized, per network (lib/finality.js has the defaults)
+const CONFIRMATION_OVERRIDES = parseConfirmationOverrides(process.env.NETWORK_CONFIRMATIONS);
+
+// How long a gasless signature stays valid when the client does not pick a deadline
+const META_TX_DEADLINE_SECONDS = parseInt(process.env.META_TX_DEADLINE_SECONDS || '3600', 10);
+
+// Pending documents within this many seconds of their signing deadline are reported as approaching it
+const DEADLINE_WARNING_SECONDS = parseInt(process.env.DEADLINE_WARNING_SECONDS || '86400', 10);
+
+// Every chain with a usable contract, primary (NETWORK_URL) first. Notarizations and
+// verification span all of them; lifecycle, listing and admin routes use the primary.
+const chains = [];
+let primaryChain = null;
+
+// The primary chain's connection, used by every route that is not chain-aware
+let provider, contract, wallet, indexer, txQueue;
+
+// Address in use and, when it came from the registry, the deployment record behind it
+let contractAddress = null;
+let deployment = null;
+
+// How many upgrades back to follow a chain's legacyContract pointers
+const MAX_LEGACY_CONTRACTS = 10;
+
+// Compiled NotaryService the contract clients are built from, and whether the primary's deployed code matched it
+let contractArtifact = null;
+let bytecodeVerified = false;
+
+async function initializeBlockchain() {
+  try {
+    primaryChain = await connectChain(NETWORK_URL, { contractAddress: CONTRACT_ADDRESS });
+    ({ provider, contractAddress, deployment } = primaryChain);
+
+    if (primaryChain.contract) {
+      ({ contract, wallet, bytecodeVerified, txQueue } = primaryChain);
+      chains.push(primaryChain);
+      txQueue.on('settled', settleBatchJob);
+      txQueue.start();
       console.log('✅ Blockchain connection initialized successfully');
-      console.log('📋 Contract Address:', CONTRACT_ADDRESS);
+      console.log('📋 Contract Address:', contractAddress);
       console.log('🔗 Network:', NETWORK_URL);
       console.log('👤 Wallet Address:', wallet.address);
-      
+
       // Test the connection
       testBlockchainConnection();
+
+      // Start replaying contract events into the local document index
+      indexer = new DocumentIndexer(contract, {
+        startBlock: primaryChain.startBlock,
+        pollInterval: INDEXER_POLL_INTERVAL,
+        // Keep enough block hashes to roll back any reorg short of finality
+        reorgDepth: Math.max(primaryChain.confirmationPolicy.finalityDepth, 128)
+      });
+      indexer.on('event', publishWebhookEvent);
+      indexer.on('event', streamDocumentEvent);
+      indexer.on('reorg', streamDocumentReorg);
+      indexer.on('reorg', retractWebhookEvents);
+      indexer.start();
     } else {
       console.log('⚠️  Warning: Contract address or private key not provided.');
-      console.log('   Please set CONTRACT_ADDRESS and PRIVATE_KEY in your .env file');
+      console.log('   Deploy with `npm run deploy:localhost` (or set CONTRACT_ADDRESS) and set PRIVATE_KEY in your .env file');
       console.log('   Some features will be limited until blockchain is configured.');
     }
   } catch (error) {
     console.error('❌ Failed to initialize blockchain connection:', error.message);
     console.log('💡 Make sure your local blockchain node is running on', NETWORK_URL);
   }
+
+  for (const networkUrl of ADDITIONAL_NETWORK_URLS) {
+    try {
+      const chain = await connectChain(networkUrl);
+      if (!chain.contract) {
+        console.log('⚠️  Skipping', networkUrl, '(no contract to use there)');
+      } else if (chains.some(connected => connected.chainId === chain.chainId)) {
+        console.log('⚠️  Skipping', networkUrl, `(chain ${chain.chainId} is already connected)`);
+      } else {
+        chains.push(chain);
+        chain.txQueue.start();
+        console.log(`⛓️  Also notarizing on ${chain.network} (chain ${chain.chainId}) at ${chain.contractAddress}`);
+      }
+    } catch (error) {
+      console.error('⚠️  Could not connect to', networkUrl + ':', error.message);
+    }
+  }
+}
+
+/**
+ * Connect to one chain and build the NotaryService client for it. `contract` stays null
+ * when there is no private key or no deployment to use.
+ * @param {string} networkUrl
+ * @param {Object} [options]
+ * @param {string} [options.contractAddress] address to use instead of the registry's
+ */
+async function connectChain(networkUrl, { contractAddress: override } = {}) {
+  const chain = {
+    networkUrl,
+    provider: new ethers.providers.JsonRpcProvider(networkUrl),
+    chainId: null,
+    network: null,
+    contractAddress: null,
+    deployment: null,
+    // Where event scans start: INDEXER_START_BLOCK, else the deployment block
+    startBlock: INDEXER_START_BLOCK,
+    wallet: null,
+    contract: null,
+    txQueue: null,
+    // { confirmations, finalityDepth } for this network
+    confirmationPolicy: null,
+    // Contracts the current one replaced (newest first), read-only, for records an upgrade left behind
+    legacyContracts: [],
+    bytecodeVerified: false
+  };
+  await resolveDeployment(chain, override);
+  chain.confirmationPolicy = getConfirmationPolicy(chain, CONFIRMATION_OVERRIDES);
+
+  if (!PRIVATE_KEY || !chain.contractAddress) {
+    return chain;
+  }
+
+  if (!contractArtifact) {
+    try {
+      contractArtifact = loadContractArtifact();
+    } catch (error) {
+      console.error('❌ Failed to load the NotaryService artifact:', error.message);
+      process.exit(1);
+    }
+  }
+  await verifyContractBytecode(chain);
+
+  chain.wallet = new ethers.Wallet(PRIVATE_KEY, chain.provider);
+  chain.contract = createNotaryContract(chain.contractAddress, chain.wallet, contractArtifact);
+  chain.legacyContracts = await loadLegacyContracts(chain);
+  // Every transaction the service wallet sends on this chain goes through its queue
+  chain.txQueue = new TransactionQueue(chain.wallet, {
+    chainId: chain.chainId,
+    store: createJsonStore(`tx-queue-${chain.chainId}`, () => ({ jobs: {} })),
+    pollInterval: TX_QUEUE_POLL_INTERVAL,
+    stuckAfter: TX_STUCK_AFTER_SECONDS * 1000,
+    feeBumpPercent: TX_FEE_BUMP_PERCENT,
+    maxFeeBumps: TX_MAX_FEE_BUMPS,
+    dropAfter: TX_DROP_AFTER_SECONDS * 1000,
+    settledRetention: TX_JOB_RETENTION_HOURS * 60 * 60 * 1000,
+    confirmations: chain.confirmationPolicy.confirmations
+  });
+  return chain;
+}
+
+// Pick the active deployment for the chain from the registry written by scripts/deploy.js,
+// unless an explicit address (CONTRACT_ADDRESS, for the primary chain) points somewhere else
+async function resolveDeployment(chain, override) {
+  let network;
+  try {
+    network = await chain.provider.getNetwork();
+  } catch (error) {
+    console.error('⚠️  Could not read the chain ID for the deployment registry:', error.message);
+    chain.contractAddress = override || null;
+    return;
+  }
+  chain.chainId = network.chainId;
+  chain.network = network.name;
+
+  const recorded = findDeployment(network.chainId);
+  if (override && (!recorded || recorded.address.toLowerCase() !== override.toLowerCase())) {
+    chain.contractAddress = override;
+    if (recorded) {
+      console.log(`📌 CONTRACT_ADDRESS overrides the ${recorded.network} deployment in the registry`);
+    }
+    return;
+  }
+  if (!recorded) {
+    console.log('⚠️  No deployment recorded for chain', network.chainId, 'in', getDeploymentsDir());
+    return;
+  }
+
+  chain.deployment = recorded;
+  chain.network = recorded.network;
+  chain.contractAddress = recorded.address;
+  if (process.env.INDEXER_START_BLOCK === undefined) {
+    chain.startBlock = recorded.blockNumber;
+  }
+  console.log(`🗂️  Using the ${recorded.network} deployment from block ${recorded.blockNumber} (chain ${network.chainId})`);
+}
+
+// Follow each contract's legacyContract pointer back through earlier upgrades
+async function loadLegacyContracts(chain) {
+  const legacy = [];
+  let current = chain.contract;
+  while (legacy.length < MAX_LEGACY_CONTRACTS) {
+    let address;
+    try {
+      address = await current.legacyContract();
+    } catch (error) {
+      break; // Deployed before upgrades were supported, so it has no predecessor
+    }
+    if (address === ethers.constants.AddressZero) {
+      break;
+    }
+    // Possibly an older version than the compiled contract
+    current = await attachLegacyContract(address, chain.provider, contractArtifact);
+    legacy.push(current);
+  }
+
+  if (legacy.length) {
+    console.log(`🏛️  Legacy contracts on ${chain.network}:`, legacy.map(legacyContract => legacyContract.address).join(' → '));
+  }
+  return legacy;
+}
+
+// Connected chain by chain ID or network name, or undefined
+function findChain(idOrName) {
+  return chains.find(chain => String(chain.chainId) === String(idOrName) || chain.network === idOrName);
+}
+
+// Chain ID, network and contract of a connected chain, as the API reports it
+function describeChain(chain) {
+  return {
+    chainId: chain.chainId,
+    network: chain.network,
+    contractAddress: chain.contractAddress,
+    primary: chain === primaryChain,
+    requiredConfirmations: chain.confirmationPolicy.confirmations,
+    finalityDepth: chain.confirmationPolicy.finalityDepth
+  };
+}
+
+/**
+ * Chains a notarization request targets: the primary chain unless `chainIds` names
+ * others (chain IDs or network names, as an array or comma separated).
+ * @returns {{targets: Object[]}|{error: string}}
+ */
+function resolveTargetChains(chainIds) {
+  if (chainIds === undefined || chainIds === null || chainIds === '') {
+    return { targets: [primaryChain] };
+  }
+
+  const requested = Array.isArray(chainIds) ? chainIds : String(chainIds).split(',');
+  const targets = [];
+  for (const id of requested) {
+    const chain = findChain(String(id).trim());
+    if (!chain) {
+      return { error: `Chain ${id} is not configured on this service` };
+    }
+    if (!targets.includes(chain)) {
+      targets.push(chain);
+    }
+  }
+  return targets.length ? { targets } : { error: 'chainIds must name at least one chain' };
+}
+
+// The chain's current contract if it knows the document, else the newest legacy contract that does
+async function findDocumentContract(hash, chain = primaryChain) {
+  for (const source of [chain.contract, ...chain.legacyContracts]) {
+    const result = await source.verifyDocument(hash);
+    if (result.exists) {
+      return { source, result };
+    }
+  }
+  return { source: chain.contract, result: await chain.contract.verifyDocument(hash) };
+}
+
+// Every connected chain the document is notarized on, primary first. A chain that cannot
+// be reached is left out rather than failing the lookup on the others.
+async function findDocumentAnchors(hash) {
+  const anchors = [];
+  for (const chain of chains) {
+    try {
+      const { source, result } = await findDocumentContract(hash, chain);
+      if (result.exists) {
+        anchors.push({ chain, source, result });
+      }
+    } catch (error) {
+      console.error(`⚠️  Could not look up ${hash} on ${chain.network}:`, error.message);
+    }
+  }
+  return anchors;
+}
+
+// Same lookup for an anchored batch
+async function findBatchContract(merkleRoot, chain = primaryChain) {
+  for (const source of [chain.contract, ...chain.legacyContracts]) {
+    if ((await source.batches(merkleRoot)).exists) {
+      return source;
+    }
+  }
+  return chain.contract;
+}
+
+// Refuse to start against a contract that is not the one this server was built for: its
+// calls and event decoding would silently go wrong. An unreachable node is only a warning.
+async function verifyContractBytecode(chain) {
+  if (chain.deployment && chain.deployment.abiHash !== computeAbiHash(contractArtifact.abi)) {
+    console.warn(`⚠️  The ABI recorded for the ${chain.network} deployment differs from the compiled artifact`);
+  }
+
+  let result;
+  try {
+    result = await checkDeployedBytecode(chain.provider, chain.contractAddress, contractArtifact);
+  } catch (error) {
+    console.error('⚠️  Could not verify contract bytecode:', error.message);
+    return;
+  }
+
+  if (result.matches) {
+    chain.bytecodeVerified = true;
+    console.log(`🔒 Deployed bytecode on ${chain.network} matches the compiled`, contractArtifact.contractName);
+  } else if (SKIP_BYTECODE_CHECK) {
+    console.warn('⚠️ ', result.reason, '(SKIP_BYTECODE_CHECK is set, continuing)');
+  } else {
+    console.error('❌', result.reason, `(${chain.networkUrl})`);
+    console.log('💡 Redeploy the contract, recompile the matching version, or set SKIP_BYTECODE_CHECK=true');
+    process.exit(1);
+  }
 }
 
 async function testBlockchainConnection() {
@@ -144,15 +533,380 @@ async function testBlockchainConnection() {
   }
 }
 
-// Helper functions
-function calculateFileHash(fileBuffer) {
-  return '0x' + crypto.createHash('sha256').update(fileBuffer).digest('hex');
+// A queued job as the API reports it
+function describeJob(job) {
+  const chain = chains.find(connected => connected.chainId === job.chainId);
+  const lastTransaction = job.transactions[job.transactions.length - 1];
+  return {
+    jobId: job.id,
+    status: job.status,
+    chainId: job.chainId,
+    network: chain ? chain.network : null,
+    method: job.method,
+    meta: job.meta,
+    nonce: job.nonce,
+    transactionHash: job.receipt ? job.receipt.transactionHash : (lastTransaction ? lastTransaction.hash : null),
+    blockNumber: job.receipt ? job.receipt.blockNumber : null,
+    gasUsed: job.receipt ? job.receipt.gasUsed : null,
+    // Every broadcast, the fee-bumped rebroadcasts after the first
+    transactions: job.transactions,
+    // Cancel job sent for its nonce once it was given up on
+    cancelledBy: job.cancelledBy || null,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    jobUrl: `/api/jobs/${job.id}`
+  };
+}
+
+// Thrown for a job that did not make it into a block, for the routes' usual error handling
+function createJobError(job) {
+  const error = new Error(`Transaction ${job.status}: ${job.error}`);
+  error.reason = job.error;
+  error.job = describeJob(job);
+  return error;
+}
+
+// How final something in `blockNumber` (null: not in a block yet) is on the chain right now
+async function getFinality(chain, blockNumber) {
+  return describeFinality(blockNumber, await chain.provider.getBlockNumber(), chain.confirmationPolicy);
+}
+
+// Same for a queued job's transaction; failed and replaced jobs never become final. A job
+// from a chain this service is not connected to (any more) cannot be checked.
+async function getJobFinality(job) {
+  if (job.status === 'failed' || job.status === 'replaced') {
+    return { finality: null, confirmations: 0 };
+  }
+  const chain = chains.find(connected => connected.chainId === job.chainId);
+  if (!chain) {
+    return { finality: 'unknown', confirmations: 0, finalityError: `Chain ${job.chainId} is not configured on this service` };
+  }
+  return getFinality(chain, job.receipt ? job.receipt.blockNumber : null);
+}
+
+/**
+ * Wait for a queued job on the primary chain. Returns it once mined with the network's
+ * required confirmations; throws if it failed
+ * or was replaced. Still pending after TX_WAIT_TIMEOUT_SECONDS, it answers the request
+ * with 202 and the job (plus `pendingData`) and returns null, so a slow block does not
+ * hold the request open; the client follows up with GET /api/jobs/:id.
+ */
+async function waitForJob(res, job, pendingData = {}) {
+  const settled = await txQueue.waitFor(job.id, TX_WAIT_TIMEOUT_SECONDS * 1000);
+  if (settled.status === 'pending') {
+    res.status(202).json({
+      success: true,
+      message: settled.receipt ? 'Transaction mined, waiting for confirmations' : 'Transaction submitted, not mined yet',
+      data: { ...describeJob(settled), ...(await getJobFinality(settled)), ...pendingData }
+    });
+    return null;
+  }
+  if (settled.status !== 'mined') {
+    throw createJobError(settled);
+  }
+  return settled;
+}
+
+/**
+ * Bring a stored batch in line with its anchorBatch job: record the block it was mined
+ * in, or drop the batch if the job failed. Runs for every settled job, including those
+ * resumed after a restart.
+ */
+async function settleBatchJob(job) {
+  const batch = job.meta.merkleRoot && batchState.batches[job.meta.merkleRoot];
+  if (!batch || batch.jobId !== job.id) {
+    return batch;
+  }
+
+  if (job.status !== 'mined') {
+    delete batchState.batches[batch.merkleRoot];
+    batch.documents.forEach(doc => {
+      delete batchState.documents[doc.documentHash.toLowerCase()];
+    });
+    batchStore.save(batchState);
+    return null;
+  }
+
+  if (batch.blockNumber === null) {
+    const block = await provider.getBlock(job.receipt.blockNumber);
+    batch.transactionHash = job.receipt.transactionHash;
+    batch.blockNumber = job.receipt.blockNumber;
+    batch.timestamp = new Date(block.timestamp * 1000).toISOString();
+    batchStore.save(batchState);
+  }
+  return batch;
+}
+
+// Hand an indexed contract event to the webhook subscribers that want it
+function publishWebhookEvent(event) {
+  if (!getWebhookEventType(event.name)) {
+    return;
+  }
+  webhooks.publish(buildWebhookPayload(event, {
+    chainId: primaryChain.chainId,
+    contractAddress,
+    getDocument: hash => indexer.getDocument(hash),
+    headBlock: indexer.getStatus().headBlock,
+    confirmationPolicy: primaryChain.confirmationPolicy
+  }));
 }
 
+// Events from the blocks a reorg replaced did not happen; tell subscribers that got them
+function retractWebhookEvents({ forkBlock }) {
+  const retracted = webhooks.retract(forkBlock);
+  if (retracted) {
+    console.warn(`🪝 Retracting ${retracted} webhook delivery(s) from after block ${forkBlock}`);
+  }
+}
+
+// Live document updates: open Server-Sent Event streams, each with the hashes it follows (null for all)
+const EVENT_STREAM_HEARTBEAT_MS = 25000;
+const MAX_STREAM_HASHES = 100;
+const eventStreams = new Set();
+
+// Push the indexed state of every document an event touched to the streams following it
+function streamDocumentEvent(event) {
+  if (!eventStreams.size) {
+    return;
+  }
+  for (const hash of event.documentHashes) {
+    const doc = indexer.getDocument(hash);
+    const update = {
+      documentHash: doc.hash,
+      event: event.name,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      document: formatIndexedDocument(doc, event.timestamp, indexer.getStatus().headBlock)
+    };
+    writeDocumentUpdate(update, `id: ${event.transactionHash}:${event.logIndex}\n`);
+  }
+}
+
+function writeDocumentUpdate(update, idLine = '') {
+  const message = `event: document\n${idLine}data: ${JSON.stringify(update)}\n\n`;
+  for (const stream of eventStreams) {
+    if (!stream.hashes || stream.hashes.has(update.documentHash.toLowerCase())) {
+      stream.res.write(message);
+    }
+  }
+}
+
+// After a reorg, push the rolled-back state of the documents it touched; removed ones
+// (notarized only on the abandoned blocks) are sent with `document: null`
+function streamDocumentReorg({ forkBlock, removed, updated }) {
+  console.warn(`🔀 Reorg after block ${forkBlock}: ${removed.length} document(s) removed, ${updated.length} rolled back`);
+  const { headBlock } = indexer.getStatus();
+  // Only used for the signing deadline flags, so the server clock stands in for the chain's
+  const now = Math.floor(Date.now() / 1000);
+  removed.forEach(hash => writeDocumentUpdate({ documentHash: hash, event: 'Reorg', blockNumber: forkBlock, document: null }));
+  updated.forEach(hash => writeDocumentUpdate({
+    documentHash: hash,
+    event: 'Reorg',
+    blockNumber: forkBlock,
+    document: formatIndexedDocument(indexer.getDocument(hash), now, headBlock)
+  }));
+}
+
+// Helper functions
 function validateEthereumAddress(address) {
   return ethers.utils.isAddress(address);
 }
 
+function isValidDocumentHash(hash) {
+  return typeof hash === 'string' && /^0x[0-9a-fA-F]{64}$/.test(hash);
+}
+
+// Look up an anchored batch and check a document's inclusion proof against it
+async function verifyBatchAnchor(documentHash, merkleRoot, proof, source = contract) {
+  const [inclusion, batch] = await Promise.all([
+    source.verifyBatchInclusion(documentHash, proof, merkleRoot),
+    source.batches(merkleRoot)
+  ]);
+
+  return {
+    included: inclusion.included,
+    merkleRoot,
+    proof,
+    anchored: batch.exists,
+    notary: batch.exists ? batch.notary : null,
+    timestamp: batch.exists ? new Date(batch.timestamp.toNumber() * 1000).toISOString() : null,
+    blockNumber: batch.exists ? batch.blockNumber.toNumber() : null,
+    documentCount: batch.exists ? batch.documentCount.toNumber() : null,
+    metadata: batch.exists ? decodeMetadata(batch.metadata, lookupMetadata) : null,
+    hashAlgorithm: batch.exists ? decodeMetadata(batch.metadata).hashAlgorithm : null
+  };
+}
+
+// Validate request metadata and keep its canonical form. Older clients send a plain title string.
+// A contentCid must point at a vaulted copy of the document being notarized, when that is known.
+function prepareDocumentMetadata({ metadata, hashAlgorithm, metadataStorage = 'full', documentHash }) {
+  if (!METADATA_STORAGE.includes(metadataStorage)) {
+    return { errors: [`metadataStorage must be one of ${METADATA_STORAGE.join(', ')}`] };
+  }
+
+  const fields = typeof metadata === 'string' ? { title: metadata.trim() } : { ...metadata };
+  if (hashAlgorithm) {
+    fields.hashAlgorithm = hashAlgorithm;
+  }
+
+  const { valid, errors } = validateMetadata(fields);
+  if (!valid) {
+    return { errors };
+  }
+
+  if (fields.contentCid && documentHash) {
+    const entry = vault && vault.getEntry(fields.contentCid);
+    if (!entry || entry.documentHash !== documentHash.toLowerCase()) {
+      return { errors: ['/contentCid does not refer to a vaulted copy of this document'] };
+    }
+  }
+
+  const prepared = prepareMetadata(fields, metadataStorage);
+  metadataState.documents[prepared.metadataHash] = prepared.canonical;
+  metadataStore.save(metadataState);
+  return { prepared };
+}
+
+// Signing deadline as unix seconds, from an ISO date string or a number of seconds
+function parseSigningDeadline(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  return Math.floor(new Date(value).getTime() / 1000);
+}
+
+// Where a document stands against its signing deadline, measured in chain time
+function describeSigningDeadline(deadline, status, now) {
+  if (!deadline) {
+    return null;
+  }
+
+  const pending = STATUS_NAMES[status] === 'PENDING';
+  const secondsRemaining = Math.max(deadline - now, 0);
+  return {
+    deadline: new Date(deadline * 1000).toISOString(),
+    secondsRemaining,
+    passed: now > deadline,
+    approaching: pending && now <= deadline && secondsRemaining <= DEADLINE_WARNING_SECONDS,
+    // Pending past the deadline: anyone can now call expireDocument
+    expirable: pending && now > deadline
+  };
+}
+
+async function getChainTime(chainProvider = provider) {
+  const block = await chainProvider.getBlock('latest');
+  return block.timestamp;
+}
+
+/**
+ * Where each required signer stands. On sequential documents signers sign in list
+ * order, and `nextSigner` is whoever the contract will accept next.
+ */
+async function getSigningPipeline(hash, requiredSigners, source = contract) {
+  const [sequentialSigning, nextSigner, signed] = await Promise.all([
+    source.isSequentialSigning(hash),
+    source.getNextSigner(hash),
+    Promise.all(requiredSigners.map(signer => source.hasSigned(hash, signer)))
+  ]);
+
+  return {
+    sequentialSigning,
+    nextSigner: nextSigner === ethers.constants.AddressZero ? null : nextSigner,
+    signers: requiredSigners.map((address, index) => ({
+      address,
+      position: index + 1,
+      signed: signed[index]
+    }))
+  };
+}
+
+/**
+ * 403 body when `account` may not approve the document, otherwise null. Checked before
+ * sending so an unauthorized approval fails with a clear error instead of a revert.
+ */
+async function getApproverError(hash, account) {
+  if (await contract.canApprove(hash, account)) {
+    return null;
+  }
+  const { approvers } = await contract.getApprovalPolicy(hash);
+  return {
+    error: 'Not authorized approver',
+    details: approvers.length
+      ? `${account} is not on this document's approver list`
+      : `${account} does not have the approver role`
+  };
+}
+
+// Statuses a document can be archived from
+const ARCHIVABLE_STATUSES = ['APPROVED', 'REJECTED', 'EXPIRED'];
+
+/**
+ * Error response for revoking or archiving the document as `account`, or null if the
+ * contract will accept it. Only the document's notary or an admin may do either.
+ * @param {'revoke'|'archive'} action
+ * @returns {Promise<{status: number, body: Object}|null>}
+ */
+async function getLifecycleError(hash, account, action) {
+  const result = await contract.verifyDocument(hash);
+  if (!result.exists) {
+    return { status: 404, body: { error: 'Document not found on blockchain' } };
+  }
+
+  const isNotary = result.notary.toLowerCase() === account.toLowerCase();
+  if (!isNotary && !(await contract.hasRole(ROLES.admin, account))) {
+    return {
+      status: 403,
+      body: { error: `Not authorized to ${action}`, details: `${account} is neither the document's notary nor an admin` }
+    };
+  }
+
+  const status = STATUS_NAMES[result.status];
+  if (action === 'revoke' && status === 'REVOKED') {
+    return { status: 409, body: { error: 'Document already revoked' } };
+  }
+  if (action === 'archive' && !ARCHIVABLE_STATUSES.includes(status)) {
+    return {
+      status: 409,
+      body: { error: 'Document not in a final status', details: `Only ${ARCHIVABLE_STATUSES.join(', ')} documents can be archived, this one is ${status}` }
+    };
+  }
+  return null;
+}
+
+// Who revoked a document, when and why; null unless it is revoked
+async function getRevocation(hash, status, source = contract) {
+  if (STATUS_NAMES[status] !== 'REVOKED') {
+    return null;
+  }
+  const revocation = await source.getRevocation(hash);
+  return {
+    revokedBy: revocation.revokedBy,
+    revokedAt: new Date(revocation.revokedAt.toNumber() * 1000).toISOString(),
+    reason: revocation.reason
+  };
+}
+
+// `headBlock` is the chain's latest block, for how final the document's latest change is
+function formatIndexedDocument(doc, now, headBlock) {
+  const metadata = decodeMetadata(doc.metadata, lookupMetadata);
+  const lastChangeBlock = Math.max(doc.blockNumber, ...doc.events.map(entry => entry.blockNumber));
+  return {
+    ...doc,
+    ...describeFinality(lastChangeBlock, headBlock, primaryChain.confirmationPolicy),
+    metadata,
+    hashAlgorithm: metadata.hashAlgorithm,
+    timestamp: new Date(doc.timestamp * 1000).toISOString(),
+    status: STATUS_NAMES[doc.status],
+    signingDeadline: describeSigningDeadline(doc.signingDeadline, doc.status, now),
+    revocation: doc.revocation ? {
+      revokedBy: doc.revocation.revokedBy,
+      revokedAt: new Date(doc.revocation.timestamp * 1000).toISOString(),
+      reason: doc.revocation.reason
+    } : null
+  };
+}
+
 // API Routes
 
 // Health check
@@ -164,14 +918,21 @@ app.get('/api/health', async (req, res) => {
       version: '1.0.0',
       blockchain: {
         connected: !!contract,
-        contractAddress: CONTRACT_ADDRESS || null,
+        contractAddress,
+        deployment: deployment && { network: deployment.network, blockNumber: deployment.blockNumber },
         network: NETWORK_URL,
-        providerConnected: !!provider
+        providerConnected: !!provider,
+        chains: chains.map(describeChain)
       },
       services: {
         fileUpload: true,
         documentHashing: true,
-        blockchainNotarization: !!contract
+        hashAlgorithms: Object.keys(HASH_ALGORITHMS),
+        documentVault: vault ? vault.contentStore.type : null,
+        blockchainNotarization: !!contract,
+        documentIndexer: indexer ? indexer.getStatus() : null,
+        pendingTransactions: chains.reduce((count, chain) => count + chain.txQueue.listJobs({ status: 'pending' }).length, 0),
+        liveUpdateStreams: eventStreams.size
       }
     };
 
@@ -205,19 +966,93 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
-// Upload and hash document
+// Contract configuration for browser wallets (EIP-1193)
+app.get('/api/contract/config', async (req, res) => {
+  try {
+    if (!provider || !contractAddress) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const network = await provider.getNetwork();
+
+    res.json({
+      success: true,
+      data: {
+        contractAddress,
+        chainId: network.chainId,
+        network: deployment ? deployment.network : network.name,
+        deployment: deployment && {
+          blockNumber: deployment.blockNumber,
+          transactionHash: deployment.transactionHash,
+          deployer: deployment.deployer,
+          abiHash: deployment.abiHash,
+          deployedAt: deployment.deployedAt
+        },
+        // Every chain documents can be notarized on, for picking targets per request
+        chains: chains.map(describeChain)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting contract config:', error);
+    res.status(500).json({ 
+      error: 'Failed to get contract configuration',
+      details: error.message 
+    });
+  }
+});
+
+// ABI of the compiled contract the backend client was built from
+app.get('/api/contract/abi', (req, res) => {
+  if (!contractArtifact) {
+    return res.status(503).json({ error: 'Contract artifact not loaded' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      contractName: contractArtifact.contractName,
+      contractAddress,
+      abi: contractArtifact.abi,
+      abiHash: computeAbiHash(contractArtifact.abi),
+      bytecodeVerified
+    }
+  });
+});
+
+// State of a queued transaction: pending, mined, failed or replaced
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = chains.map(chain => chain.txQueue.getJob(req.params.id)).find(Boolean);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { ...describeJob(job), ...(await getJobFinality(job)) }
+    });
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({
+      error: 'Failed to get job',
+      details: error.message
+    });
+  }
+});
+
+// Upload and hash document (?algorithm= picks the hash algorithm, default SHA-256)
 app.post('/api/documents/hash', upload.single('document'), (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const fileHash = calculateFileHash(req.file.buffer);
     const fileInfo = {
       originalName: req.file.originalname,
       mimeType: req.file.mimetype,
       size: req.file.size,
-      hash: fileHash,
+      hash: req.file.hash,
+      algorithm: req.file.algorithm,
       timestamp: new Date().toISOString()
     };
 
@@ -232,49 +1067,248 @@ app.post('/api/documents/hash', upload.single('document'), (req, res) => {
   }
 });
 
-// Notarize document
-app.post('/api/documents/notarize', async (req, res) => {
+// List indexed documents
+app.get('/api/documents', async (req, res) => {
   try {
-    console.log('📝 Notarization request received:', {
-      hasContract: !!contract,
-      body: req.body,
-      timestamp: new Date().toISOString()
-    });
-
-    if (!contract) {
-      console.log('❌ Contract not available for notarization');
-      return res.status(503).json({ 
-        error: 'Blockchain not available',
-        details: 'Smart contract not initialized. Please check your configuration.',
-        suggestions: [
-          'Ensure PRIVATE_KEY is set in .env file',
-          'Ensure CONTRACT_ADDRESS is set in .env file',
-          'Make sure local blockchain node is running',
-          'Deploy the contract if not already deployed'
-        ]
-      });
+    if (!indexer) {
+      return res.status(503).json({ error: 'Document indexer not available' });
     }
 
-    const { documentHash, metadata, requiredSigners } = req.body;
+    const { notary, signer, status } = req.query;
+    const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize || '20', 10) || 20, 1), 100);
 
-    if (!documentHash || !metadata) {
-      return res.status(400).json({ 
-        error: 'Document hash and metadata are required',
-        received: {
-          documentHash: !!documentHash,
-          metadata: !!metadata
-        }
-      });
+    for (const address of [notary, signer]) {
+      if (address && !validateEthereumAddress(address)) {
+        return res.status(400).json({ error: `Invalid Ethereum address: ${address}` });
+      }
     }
 
-    // Validate document hash format
-    if (!documentHash.startsWith('0x') || documentHash.length !== 66) {
-      return res.status(400).json({ 
-        error: 'Invalid document hash format',
+    let statusIndex;
+    if (status) {
+      statusIndex = STATUS_NAMES.indexOf(status.toUpperCase());
+      if (statusIndex === -1) {
+        return res.status(400).json({
+          error: `Invalid status: ${status}`,
+          details: `Status must be one of ${STATUS_NAMES.join(', ')}`
+        });
+      }
+    }
+
+    const result = indexer.listDocuments({ notary, signer, status: statusIndex, page, pageSize });
+    const [now, headBlock] = await Promise.all([getChainTime(), provider.getBlockNumber()]);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        documents: result.documents.map(doc => formatIndexedDocument(doc, now, headBlock)),
+        indexedBlock: indexer.getStatus().lastBlock
+      }
+    });
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    res.status(500).json({ 
+      error: 'Failed to list documents',
+      details: error.message 
+    });
+  }
+});
+
+// Server-Sent Events stream of document updates from the indexer: a "document" event with the
+// hash, the contract event and the document as listed by /api/documents, each time one changes.
+// ?hashes= (comma separated) limits it to those documents; left out, every document is streamed.
+app.get('/api/events', (req, res) => {
+  if (!indexer) {
+    return res.status(503).json({ error: 'Document indexer not available' });
+  }
+
+  let hashes = null;
+  if (req.query.hashes) {
+    const requested = String(req.query.hashes).split(',').map(hash => hash.trim()).filter(Boolean);
+    const invalid = requested.find(hash => !isValidDocumentHash(hash));
+    if (invalid) {
+      return res.status(400).json({ error: `Invalid document hash: ${invalid}` });
+    }
+    if (requested.length > MAX_STREAM_HASHES) {
+      return res.status(400).json({ error: `At most ${MAX_STREAM_HASHES} hashes per stream` });
+    }
+    hashes = new Set(requested.map(hash => hash.toLowerCase()));
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`event: ready\ndata: ${JSON.stringify({ indexedBlock: indexer.getStatus().lastBlock })}\n\n`);
+
+  const stream = { res, hashes };
+  eventStreams.add(stream);
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventStreams.delete(stream);
+  });
+});
+
+// Pending documents whose signing deadline is within ?within= seconds (default DEADLINE_WARNING_SECONDS),
+// including ones already past it that are waiting for expireDocument
+app.get('/api/documents/expiring', async (req, res) => {
+  try {
+    if (!indexer) {
+      return res.status(503).json({ error: 'Document indexer not available' });
+    }
+
+    const within = req.query.within === undefined ? DEADLINE_WARNING_SECONDS : parseInt(req.query.within, 10);
+    if (!Number.isInteger(within) || within < 0) {
+      return res.status(400).json({ error: 'within must be a non-negative number of seconds' });
+    }
+
+    const [now, headBlock] = await Promise.all([getChainTime(), provider.getBlockNumber()]);
+    const documents = indexer.listExpiring(now + within).map(doc => formatIndexedDocument(doc, now, headBlock));
+
+    res.json({
+      success: true,
+      data: {
+        within,
+        chainTime: new Date(now * 1000).toISOString(),
+        total: documents.length,
+        documents,
+        indexedBlock: indexer.getStatus().lastBlock
+      }
+    });
+  } catch (error) {
+    console.error('Error listing expiring documents:', error);
+    res.status(500).json({ 
+      error: 'Failed to list expiring documents',
+      details: error.message 
+    });
+  }
+});
+
+// JSON Schema that notarization metadata is validated against
+app.get('/api/metadata/schema', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      schema: METADATA_SCHEMA,
+      storageModes: METADATA_STORAGE
+    }
+  });
+});
+
+// Validate and store metadata, returning the string to put on-chain (used by browser wallets)
+app.post('/api/metadata', (req, res) => {
+  try {
+    const { metadata, hashAlgorithm, metadataStorage, documentHash } = req.body;
+
+    if (!metadata) {
+      return res.status(400).json({ error: 'Metadata is required' });
+    }
+
+    const { prepared, errors } = prepareDocumentMetadata({ metadata, hashAlgorithm, metadataStorage, documentHash });
+    if (errors) {
+      return res.status(400).json({ 
+        error: 'Invalid metadata',
+        details: errors
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        metadata: prepared.metadata,
+        metadataHash: prepared.metadataHash,
+        metadataStorage: metadataStorage || 'full',
+        onChainMetadata: prepared.onChain
+      }
+    });
+  } catch (error) {
+    console.error('Error preparing metadata:', error);
+    res.status(500).json({ 
+      error: 'Failed to prepare metadata',
+      details: error.message 
+    });
+  }
+});
+
+// Notarize document
+app.post('/api/documents/notarize', async (req, res) => {
+  try {
+    console.log('📝 Notarization request received:', {
+      hasContract: !!contract,
+      body: req.body,
+      timestamp: new Date().toISOString()
+    });
+
+    if (!contract) {
+      console.log('❌ Contract not available for notarization');
+      return res.status(503).json({ 
+        error: 'Blockchain not available',
+        details: 'Smart contract not initialized. Please check your configuration.',
+        suggestions: [
+          'Ensure PRIVATE_KEY is set in .env file',
+          'Deploy the contract or set CONTRACT_ADDRESS in .env file',
+          'Make sure local blockchain node is running'
+        ]
+      });
+    }
+
+    const {
+      documentHash,
+      metadata,
+      requiredSigners,
+      hashAlgorithm,
+      metadataStorage,
+      signingDeadline,
+      signatureThreshold,
+      sequentialSigning,
+      approvers,
+      requiredApprovals,
+      chainIds
+    } = req.body;
+    // Async mode answers 202 with the job as soon as the transactions are queued
+    const asyncMode = req.body.async === true || req.query.async === 'true';
+
+    if (!documentHash || !metadata) {
+      return res.status(400).json({ 
+        error: 'Document hash and metadata are required',
+        received: {
+          documentHash: !!documentHash,
+          metadata: !!metadata
+        }
+      });
+    }
+
+    // Validate document hash format
+    if (!documentHash.startsWith('0x') || documentHash.length !== 66) {
+      return res.status(400).json({ 
+        error: 'Invalid document hash format',
         details: 'Hash must be a 32-byte hex string starting with 0x'
       });
     }
 
+    const { prepared, errors } = prepareDocumentMetadata({ metadata, hashAlgorithm, metadataStorage, documentHash });
+    if (errors) {
+      return res.status(400).json({ 
+        error: 'Invalid metadata',
+        details: errors
+      });
+    }
+
+    const { targets, error: chainError } = resolveTargetChains(chainIds);
+    if (chainError) {
+      return res.status(400).json({
+        error: 'Invalid target chains',
+        details: chainError,
+        availableChains: chains.map(describeChain)
+      });
+    }
+
     // Validate Ethereum addresses
     const signers = requiredSigners || [];
     for (const signer of signers) {
@@ -286,29 +1320,173 @@ app.post('/api/documents/notarize', async (req, res) => {
       }
     }
 
+    let deadline = 0;
+    if (signingDeadline) {
+      deadline = parseSigningDeadline(signingDeadline);
+      if (!Number.isFinite(deadline) || deadline <= await getChainTime(targets[0].provider)) {
+        return res.status(400).json({
+          error: 'Invalid signing deadline',
+          details: 'signingDeadline must be a future ISO date or unix timestamp'
+        });
+      }
+      if (signers.length === 0) {
+        return res.status(400).json({
+          error: 'Invalid signing deadline',
+          details: 'A signing deadline needs at least one required signer'
+        });
+      }
+    }
+
+    // "Any M of N" signers; left out, every required signer must sign
+    let threshold = 0;
+    if (signatureThreshold !== undefined && signatureThreshold !== null && signatureThreshold !== '') {
+      threshold = Number(signatureThreshold);
+      if (!Number.isInteger(threshold) || threshold < 1 || threshold > signers.length) {
+        return res.status(400).json({
+          error: 'Invalid signature threshold',
+          details: `signatureThreshold must be a whole number between 1 and the number of required signers (${signers.length})`
+        });
+      }
+    }
+
+    // A per-document approver list replaces the global approver role for this document
+    const approverList = approvers || [];
+    const invalidApprover = approverList.find(approver => !validateEthereumAddress(approver));
+    if (invalidApprover) {
+      return res.status(400).json({
+        error: `Invalid Ethereum address: ${invalidApprover}`,
+        details: 'All approver addresses must be valid Ethereum addresses'
+      });
+    }
+
+    let approvalCount = 0;
+    if (requiredApprovals !== undefined && requiredApprovals !== null && requiredApprovals !== '') {
+      approvalCount = Number(requiredApprovals);
+      const maxApprovals = approverList.length || Infinity;
+      if (!Number.isInteger(approvalCount) || approvalCount < 1 || approvalCount > maxApprovals) {
+        return res.status(400).json({
+          error: 'Invalid required approvals',
+          details: approverList.length
+            ? `requiredApprovals must be a whole number between 1 and the number of approvers (${approverList.length})`
+            : 'requiredApprovals must be a whole number of at least 1'
+        });
+      }
+    }
+
+    // Signers sign in the order they are listed
+    const sequential = sequentialSigning === true || sequentialSigning === 'true';
+    if (sequential && signers.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid signing order',
+        details: 'Sequential signing needs at least one required signer'
+      });
+    }
+
     console.log('🔄 Attempting to notarize document on blockchain...');
     console.log('📋 Document Hash:', documentHash);
     console.log('📝 Metadata:', metadata);
+    console.log('🔑 Hash algorithm:', prepared.metadata.hashAlgorithm);
     console.log('👥 Signers:', signers);
+    if (threshold) {
+      console.log('✍️  Signatures needed:', `${threshold} of ${signers.length}`);
+    }
+    if (sequential) {
+      console.log('🔢 Signing order:', signers.join(' → '));
+    }
+    if (approverList.length || approvalCount) {
+      console.log('🛂 Approvers:', approverList.length ? approverList : 'any authorized approver', `(${approvalCount || 1} needed)`);
+    }
+    if (deadline) {
+      console.log('⏰ Signing deadline:', new Date(deadline * 1000).toISOString());
+    }
+    console.log('⛓️  Chains:', targets.map(chain => `${chain.network} (${chain.chainId})`).join(', '));
 
-    const tx = await contract.notarizeDocument(documentHash, metadata, signers);
-    console.log('⏳ Transaction sent:', tx.hash);
-    
-    const receipt = await tx.wait();
-    console.log('✅ Transaction confirmed in block:', receipt.blockNumber);
+    const useOptions = threshold || deadline || sequential || approverList.length || approvalCount;
+    const options = useOptions
+      ? {
+        signatureThreshold: threshold,
+        signingDeadline: deadline,
+        sequentialSigning: sequential,
+        approvers: approverList,
+        requiredApprovals: approvalCount
+      }
+      : null;
 
-    res.json({
+    // Anchor on every target chain; the request fails only if none of them took it
+    const settled = await Promise.allSettled(targets.map(async (chain) => {
+      const queued = await chain.txQueue.enqueue(
+        chain.contract,
+        options ? 'notarizeDocumentWithOptions' : 'notarizeDocument',
+        options ? [documentHash, prepared.onChain, signers, options] : [documentHash, prepared.onChain, signers],
+        { documentHash }
+      );
+      console.log(`⏳ Transaction sent on ${chain.network}:`, queued.transactions[0].hash);
+      if (asyncMode) {
+        return { ...describeChain(chain), ...describeJob(queued), ...(await getJobFinality(queued)) };
+      }
+
+      const job = await chain.txQueue.waitFor(queued.id, TX_WAIT_TIMEOUT_SECONDS * 1000);
+      if (job.status === 'pending') {
+        return { ...describeChain(chain), ...describeJob(job), ...(await getJobFinality(job)) };
+      }
+      if (job.status !== 'mined') {
+        throw createJobError(job);
+      }
+      console.log(`✅ Transaction confirmed on ${chain.network} in block:`, job.receipt.blockNumber);
+      return { ...describeChain(chain), ...describeJob(job), ...(await getJobFinality(job)) };
+    }));
+
+    const anchors = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+    const failedChains = settled
+      .map((outcome, index) => outcome.status === 'rejected' && {
+        ...describeChain(targets[index]),
+        error: outcome.reason.reason || outcome.reason.message
+      })
+      .filter(Boolean);
+    if (!anchors.length) {
+      throw settled[0].reason;
+    }
+    failedChains.forEach(failed => console.error(`❌ Notarization on ${failed.network} failed:`, failed.error));
+
+    // Anchors not confirmed within TX_WAIT_TIMEOUT_SECONDS are followed up with GET /api/jobs/:id
+    const pending = anchors.some(anchor => anchor.status === 'pending');
+    let message = 'Document notarized successfully';
+    if (asyncMode) {
+      message = 'Notarization queued';
+    } else if (pending) {
+      message = 'Notarization submitted, not mined yet';
+    } else if (failedChains.length) {
+      message = `Document notarized on ${anchors.length} of ${targets.length} chains`;
+    }
+
+    res.status(pending || asyncMode ? 202 : 200).json({
       success: true,
-      message: 'Document notarized successfully',
+      message,
       data: {
-        transactionHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
+        jobId: anchors[0].jobId,
+        status: pending ? 'pending' : 'mined',
+        transactionHash: anchors[0].transactionHash,
+        blockNumber: anchors[0].blockNumber,
+        gasUsed: anchors[0].gasUsed,
+        finality: anchors[0].finality,
+        confirmations: anchors[0].confirmations,
+        chainId: anchors[0].chainId,
+        anchors,
+        failedChains,
         documentHash,
-        metadata,
+        metadata: prepared.metadata,
+        metadataHash: prepared.metadataHash,
+        metadataStorage: metadataStorage || 'full',
+        hashAlgorithm: prepared.metadata.hashAlgorithm,
         requiredSigners: signers,
+        signatureThreshold: threshold || signers.length,
+        sequentialSigning: sequential,
+        approvers: approverList,
+        requiredApprovals: approvalCount || 1,
+        signingDeadline: deadline ? new Date(deadline * 1000).toISOString() : null,
         notaryAddress: wallet.address,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        receiptUrl: `/api/documents/${documentHash}/receipt`
       }
     });
   } catch (error) {
@@ -337,268 +1515,1605 @@ app.post('/api/documents/notarize', async (req, res) => {
       suggestions
     });
   }
-});
+});
+
+// Notarize a batch of documents by anchoring their Merkle root
+app.post('/api/documents/batch', upload.array('documents', MAX_BATCH_FILES), async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const metadata = req.body.metadata || '';
+    const hashAlgorithm = req.query.algorithm || req.body.hashAlgorithm || DEFAULT_HASH_ALGORITHM;
+
+    if (!isSupportedHashAlgorithm(hashAlgorithm)) {
+      return res.status(400).json({ 
+        error: `Unsupported hash algorithm: ${hashAlgorithm}`,
+        details: `Supported algorithms: ${Object.keys(HASH_ALGORITHMS).join(', ')}`
+      });
+    }
+
+    // Files are hashed while they stream in, so the algorithm must be known before the first file
+    if ((req.files || []).some(file => file.algorithm !== hashAlgorithm)) {
+      return res.status(400).json({ 
+        error: 'Hash algorithm arrived after the files',
+        details: 'Send hashAlgorithm before the files in the form, or pass it as ?algorithm='
+      });
+    }
+
+    // Pre-computed hashes may be sent alongside (or instead of) files
+    let submittedHashes = req.body.documentHashes || [];
+    if (typeof submittedHashes === 'string') {
+      try {
+        submittedHashes = JSON.parse(submittedHashes);
+      } catch (error) {
+        submittedHashes = submittedHashes.split(',').map(hash => hash.trim());
+      }
+    }
+
+    const entries = [
+      ...(req.files || []).map(file => ({
+        documentHash: file.hash,
+        fileName: file.originalname,
+        size: file.size
+      })),
+      ...submittedHashes.map(documentHash => ({ documentHash, fileName: null, size: null }))
+    ];
+
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'No documents provided' });
+    }
+    if (entries.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `Batch exceeds the maximum of ${MAX_BATCH_SIZE} documents` });
+    }
+
+    const invalid = entries.find(entry => !isValidDocumentHash(entry.documentHash));
+    if (invalid) {
+      return res.status(400).json({ 
+        error: `Invalid document hash format: ${invalid.documentHash}`,
+        details: 'Hash must be a 32-byte hex string starting with 0x'
+      });
+    }
+
+    // Identical files share one leaf
+    const seen = new Set();
+    const documents = entries.filter(entry => {
+      const key = entry.documentHash.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const { prepared, errors } = prepareDocumentMetadata({
+      metadata: metadata || `Batch of ${documents.length} documents`,
+      hashAlgorithm
+    });
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid metadata', details: errors });
+    }
+
+    const tree = buildMerkleTree(documents.map(doc => doc.documentHash));
+    console.log(`🌳 Anchoring batch of ${documents.length} documents, root ${tree.root}`);
+
+    const queued = await txQueue.enqueue(
+      contract,
+      'anchorBatch',
+      [tree.root, documents.length, prepared.onChain],
+      { merkleRoot: tree.root }
+    );
+
+    const proofs = documents.map((doc, index) => ({
+      ...doc,
+      proof: getMerkleProof(tree, index)
+    }));
+
+    // Proofs are kept from the start; the block is filled in once the job is mined
+    batchState.batches[tree.root] = {
+      merkleRoot: tree.root,
+      metadata: prepared.metadata,
+      hashAlgorithm,
+      jobId: queued.id,
+      transactionHash: queued.transactions[0].hash,
+      blockNumber: null,
+      timestamp: null,
+      documents: proofs
+    };
+    proofs.forEach(doc => {
+      batchState.documents[doc.documentHash.toLowerCase()] = tree.root;
+    });
+    batchStore.save(batchState);
+
+    const job = await waitForJob(res, queued, { merkleRoot: tree.root, documents: proofs });
+    if (!job) {
+      return;
+    }
+    const batch = await settleBatchJob(job);
+
+    res.json({
+      success: true,
+      message: 'Batch notarized successfully',
+      data: {
+        merkleRoot: tree.root,
+        jobId: job.id,
+        transactionHash: batch.transactionHash,
+        blockNumber: batch.blockNumber,
+        blockTimestamp: batch.timestamp,
+        gasUsed: job.receipt.gasUsed,
+        ...(await getJobFinality(job)),
+        documentCount: documents.length,
+        duplicatesSkipped: entries.length - documents.length,
+        notaryAddress: wallet.address,
+        metadata: prepared.metadata,
+        hashAlgorithm,
+        documents: proofs
+      }
+    });
+  } catch (error) {
+    console.error('Error notarizing batch:', error);
+    res.status(500).json({ 
+      error: error.reason || 'Failed to notarize batch',
+      details: error.message 
+    });
+  }
+});
+
+// Document hashes and Merkle roots in the path are checked before any route reaches the contract
+const rejectInvalidHashParam = name => (req, res, next, value) => {
+  if (!isValidDocumentHash(value)) {
+    return res.status(400).json({ error: `Invalid ${name}: ${value}`, details: `${name} must be a 32-byte hex string` });
+  }
+  next();
+};
+app.param('hash', rejectInvalidHashParam('Document hash'));
+app.param('originalHash', rejectInvalidHashParam('Document hash'));
+app.param('root', rejectInvalidHashParam('Merkle root'));
+
+// Get a stored batch with its inclusion proofs
+app.get('/api/batches/:root', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { root } = req.params;
+    const stored = batchState.batches[root.toLowerCase()] || batchState.batches[root];
+    const anchor = await contract.batches(root);
+
+    if (!anchor.exists) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        merkleRoot: root,
+        notary: anchor.notary,
+        timestamp: new Date(anchor.timestamp.toNumber() * 1000).toISOString(),
+        blockNumber: anchor.blockNumber.toNumber(),
+        ...(await getFinality(primaryChain, anchor.blockNumber.toNumber())),
+        documentCount: anchor.documentCount.toNumber(),
+        metadata: anchor.metadata,
+        transactionHash: stored ? stored.transactionHash : null,
+        documents: stored ? stored.documents : []
+      }
+    });
+  } catch (error) {
+    console.error('Error getting batch:', error);
+    res.status(500).json({ 
+      error: 'Failed to get batch',
+      details: error.message 
+    });
+  }
+});
+
+// Verify document (individually notarized, or batch-anchored with ?merkleRoot=&proof=0x..,0x..)
+app.get('/api/documents/:hash/verify', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    // Search every configured chain; the details come from the first one holding the document
+    const anchors = await findDocumentAnchors(hash);
+    const { chain, source, result } = anchors.length
+      ? anchors[0]
+      : { chain: primaryChain, ...await findDocumentContract(hash) };
+    const metadata = result.exists ? decodeMetadata(await source.getDocumentMetadata(hash), lookupMetadata) : null;
+    const signingDeadline = result.exists
+      ? describeSigningDeadline((await source.getSigningDeadline(hash)).toNumber(), result.status, await getChainTime(chain.provider))
+      : null;
+    const requiredSigners = result.exists ? await source.getRequiredSigners(hash) : [];
+    const pipeline = result.exists ? await getSigningPipeline(hash, requiredSigners, source) : null;
+    const approvalPolicy = result.exists ? await source.getApprovalPolicy(hash) : null;
+    const revocation = result.exists ? await getRevocation(hash, result.status, source) : null;
+    const imported = result.exists && source === chain.contract && await source.importedDocuments(hash);
+    const anchorFinality = await Promise.all(anchors.map(anchor =>
+      getDocumentFinality(anchor.source, hash, anchor.chain.confirmationPolicy)));
+
+    const data = {
+      exists: result.exists,
+      chainId: chain.chainId,
+      network: chain.network,
+      // Records an upgrade did not import are still answered by the legacy contract
+      contractAddress: source.address,
+      legacy: source !== chain.contract,
+      importedFrom: imported ? chain.legacyContracts[0].address : null,
+      // One entry per chain the document is notarized on
+      anchors: anchors.map((anchor, index) => ({
+        ...describeChain(anchor.chain),
+        contractAddress: anchor.source.address,
+        legacy: anchor.source !== anchor.chain.contract,
+        notary: anchor.result.notary,
+        timestamp: new Date(anchor.result.timestamp.toNumber() * 1000).toISOString(),
+        status: STATUS_NAMES[anchor.result.status],
+        ...anchorFinality[index]
+      })),
+      // How settled the state below is: that of the latest change to the document; null when
+      // it is not found
+      ...(anchors.length ? anchorFinality[0] : await getDocumentFinality(source, hash, chain.confirmationPolicy)),
+      anchorType: result.exists ? 'document' : null,
+      notary: result.notary,
+      timestamp: new Date(result.timestamp.toNumber() * 1000).toISOString(),
+      status: STATUS_NAMES[result.status],
+      // What the document can move to next, from the transitions in shared/notaryContract.json
+      nextTransitions: result.exists ? getNextTransitions(STATUS_NAMES[result.status]) : [],
+      // A revoked notarization still exists on-chain but must no longer be relied on
+      revoked: !!revocation,
+      revocation,
+      signerCount: result.signerCount.toNumber(),
+      signatureThreshold: result.signatureThreshold.toNumber(),
+      requiredSigners,
+      sequentialSigning: pipeline ? pipeline.sequentialSigning : false,
+      nextSigner: pipeline ? pipeline.nextSigner : null,
+      signingPipeline: pipeline ? pipeline.signers : [],
+      approverCount: result.approverCount.toNumber(),
+      approvers: approvalPolicy ? approvalPolicy.approvers : [],
+      requiredApprovals: approvalPolicy ? approvalPolicy.requiredApprovals.toNumber() : 0,
+      documentHash: hash,
+      metadata,
+      signingDeadline,
+      // Tells clients which algorithm to rehash the file with
+      hashAlgorithm: metadata ? metadata.hashAlgorithm : null
+    };
+
+    // Use the caller's proof if given, otherwise one we stored when anchoring the batch
+    let { merkleRoot, proof } = req.query;
+    if (!merkleRoot && batchState.documents[hash.toLowerCase()]) {
+      merkleRoot = batchState.documents[hash.toLowerCase()];
+      const stored = batchState.batches[merkleRoot].documents
+        .find(doc => doc.documentHash.toLowerCase() === hash.toLowerCase());
+      proof = stored.proof;
+    }
+
+    if (merkleRoot) {
+      const proofHashes = Array.isArray(proof) ? proof : (proof ? proof.split(',') : []);
+      if (!isValidDocumentHash(merkleRoot) || !proofHashes.every(isValidDocumentHash)) {
+        return res.status(400).json({ error: 'Merkle root and proof must be 32-byte hex strings' });
+      }
+
+      const batchSource = await findBatchContract(merkleRoot);
+      data.batch = await verifyBatchAnchor(hash, merkleRoot, proofHashes, batchSource);
+      data.batch.localProofValid = verifyMerkleProof(hash, proofHashes, merkleRoot);
+
+      if (!data.exists && data.batch.included) {
+        data.exists = true;
+        data.anchorType = 'batch';
+        data.chainId = primaryChain.chainId;
+        data.network = primaryChain.network;
+        data.contractAddress = batchSource.address;
+        data.legacy = batchSource !== contract;
+        data.notary = data.batch.notary;
+        data.timestamp = data.batch.timestamp;
+        data.status = null;
+        data.nextTransitions = [];
+        data.metadata = data.batch.metadata;
+        data.hashAlgorithm = data.batch.hashAlgorithm;
+        Object.assign(data, await getFinality(primaryChain, data.batch.blockNumber));
+      }
+    }
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error verifying document:', error);
+    res.status(500).json({ 
+      error: 'Failed to verify document',
+      details: error.message 
+    });
+  }
+});
+
+// Notarization receipt: JSON by default, PDF certificate with ?format=pdf. Documents
+// anchored on several chains get the receipt for ?chainId=, or the first chain holding them.
+app.get('/api/documents/:hash/receipt', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    let chain = primaryChain;
+    if (req.query.chainId) {
+      chain = findChain(req.query.chainId);
+      if (!chain) {
+        return res.status(400).json({ error: `Chain ${req.query.chainId} is not configured on this service` });
+      }
+    } else {
+      const [anchor] = await findDocumentAnchors(hash);
+      chain = anchor ? anchor.chain : primaryChain;
+    }
+
+    const { source } = await findDocumentContract(hash, chain);
+    // Legacy contracts were deployed before the current one, so search them from the start
+    const receipt = await buildReceipt(source, hash, {
+      fromBlock: source === chain.contract ? chain.startBlock : 0,
+      confirmationPolicy: chain.confirmationPolicy
+    });
+
+    if (!receipt) {
+      return res.status(404).json({ error: 'Document not found on blockchain' });
+    }
+
+    const fileName = `notarization-receipt-${hash.slice(2, 10)}`;
+
+    if (req.query.format === 'pdf') {
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${fileName}.pdf"`
+      });
+      return renderReceiptPdf(receipt).pipe(res);
+    }
+
+    if (req.query.download) {
+      res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    }
+    res.json(receipt);
+  } catch (error) {
+    console.error('Error building receipt:', error);
+    res.status(500).json({ 
+      error: 'Failed to build receipt',
+      details: error.message 
+    });
+  }
+});
+
+// Re-check every claim in a receipt against the chain
+app.post('/api/receipts/verify', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const receipt = req.body.receipt || req.body;
+    if (!receipt.document || !receipt.chain) {
+      return res.status(400).json({ error: 'Invalid receipt', details: 'Receipt must contain document and chain sections' });
+    }
+
+    // Check against the chain the receipt was issued on; receipts issued before an
+    // upgrade name the legacy contract
+    const chain = findChain(receipt.chain.chainId) || primaryChain;
+    const source = chain.legacyContracts.find(legacy =>
+      legacy.address.toLowerCase() === String(receipt.chain.contractAddress).toLowerCase()) || chain.contract;
+    const result = await verifyReceipt(source, receipt, { confirmationPolicy: chain.confirmationPolicy });
+
+    res.json({
+      success: true,
+      data: {
+        documentHash: receipt.document.hash,
+        receiptId: receipt.receiptId,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying receipt:', error);
+    res.status(500).json({ 
+      error: 'Failed to verify receipt',
+      details: error.message 
+    });
+  }
+});
+
+// Legacy: sign, approve or reject as the service wallet itself, which only counts when that
+// wallet is a required signer or an approver. Users sign from their own wallet or through the
+// gasless relay; these routes are kept for operators and need a signed request from an admin.
+
+// Sign document as the service wallet
+app.post('/api/documents/:hash/sign', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const auth = await authenticateAdminRequest(req, `sign-document ${hash}`, ['admin']);
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
+    }
+    const job = await waitForJob(res, await txQueue.enqueue(contract, 'signDocument', [hash], { documentHash: hash }));
+    if (!job) {
+      return;
+    }
+    const { receipt } = job;
+
+    res.json({
+      success: true,
+      message: 'Document signed successfully',
+      data: {
+        jobId: job.id,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        ...(await getJobFinality(job)),
+        documentHash: hash
+      }
+    });
+  } catch (error) {
+    console.error('Error signing document:', error);
+    res.status(500).json({ 
+      error: 'Failed to sign document',
+      details: error.message 
+    });
+  }
+});
+
+// Approve document as the service wallet
+app.post('/api/documents/:hash/approve', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const auth = await authenticateAdminRequest(req, `approve-document ${hash}`, ['admin']);
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
+    }
+    const approverError = await getApproverError(hash, wallet.address);
+    if (approverError) {
+      return res.status(403).json(approverError);
+    }
+
+    const job = await waitForJob(res, await txQueue.enqueue(contract, 'approveDocument', [hash], { documentHash: hash }));
+    if (!job) {
+      return;
+    }
+    const { receipt } = job;
+
+    res.json({
+      success: true,
+      message: 'Document approved successfully',
+      data: {
+        jobId: job.id,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        ...(await getJobFinality(job)),
+        documentHash: hash
+      }
+    });
+  } catch (error) {
+    console.error('Error approving document:', error);
+    res.status(500).json({ 
+      error: 'Failed to approve document',
+      details: error.message 
+    });
+  }
+});
+
+// Reject document as the service wallet
+app.post('/api/documents/:hash/reject', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'Rejection reason is required' });
+    }
+    const auth = await authenticateAdminRequest(req, `reject-document ${hash}`, ['admin']);
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
+    }
+
+    const job = await waitForJob(res, await txQueue.enqueue(contract, 'rejectDocument', [hash, reason], { documentHash: hash }));
+    if (!job) {
+      return;
+    }
+    const { receipt } = job;
+
+    res.json({
+      success: true,
+      message: 'Document rejected successfully',
+      data: {
+        jobId: job.id,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        ...(await getJobFinality(job)),
+        documentHash: hash,
+        reason
+      }
+    });
+  } catch (error) {
+    console.error('Error rejecting document:', error);
+    res.status(500).json({ 
+      error: 'Failed to reject document',
+      details: error.message 
+    });
+  }
+});
+
+// Expire a pending document whose signing deadline has passed (anyone may trigger this)
+app.post('/api/documents/:hash/expire', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const job = await waitForJob(res, await txQueue.enqueue(contract, 'expireDocument', [hash], { documentHash: hash }));
+    if (!job) {
+      return;
+    }
+    const { receipt } = job;
+
+    res.json({
+      success: true,
+      message: 'Document expired successfully',
+      data: {
+        jobId: job.id,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        ...(await getJobFinality(job)),
+        documentHash: hash
+      }
+    });
+  } catch (error) {
+    console.error('Error expiring document:', error);
+    res.status(500).json({ 
+      error: 'Failed to expire document',
+      details: error.reason || error.message 
+    });
+  }
+});
+
+// Revoke a notarization made in error or whose underlying agreement has ended. The caller signs
+// the request like the admin API and must be the document's notary or an admin; the service
+// wallet sends the transaction, so it must be one of those too.
+app.post('/api/documents/:hash/revoke', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ error: 'Revocation reason is required' });
+    }
+
+    const auth = await authenticateSignedRequest(req, `revoke-document ${hash}`, account => getLifecycleError(hash, account, 'revoke'));
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
+    }
+
+    const job = await waitForJob(res, await txQueue.enqueue(contract, 'revokeDocument', [hash, reason], { documentHash: hash }));
+    if (!job) {
+      return;
+    }
+    const { receipt } = job;
+    console.log(`🚫 Document revoked: ${hash} (${reason}), requested by ${auth.account}`);
+
+    res.json({
+      success: true,
+      message: 'Document revoked successfully',
+      data: {
+        jobId: job.id,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        ...(await getJobFinality(job)),
+        documentHash: hash,
+        revokedBy: wallet.address,
+        requestedBy: auth.account,
+        reason
+      }
+    });
+  } catch (error) {
+    console.error('Error revoking document:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke document',
+      details: error.reason || error.message 
+    });
+  }
+});
+
+// Archive a document whose lifecycle is over (approved, rejected or expired), signed like revoke
+app.post('/api/documents/:hash/archive', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const auth = await authenticateSignedRequest(req, `archive-document ${hash}`, account => getLifecycleError(hash, account, 'archive'));
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
+    }
+
+    const job = await waitForJob(res, await txQueue.enqueue(contract, 'archiveDocument', [hash], { documentHash: hash }));
+    if (!job) {
+      return;
+    }
+    const { receipt } = job;
+
+    res.json({
+      success: true,
+      message: 'Document archived successfully',
+      data: {
+        jobId: job.id,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        ...(await getJobFinality(job)),
+        documentHash: hash,
+        requestedBy: auth.account
+      }
+    });
+  } catch (error) {
+    console.error('Error archiving document:', error);
+    res.status(500).json({ 
+      error: 'Failed to archive document',
+      details: error.reason || error.message 
+    });
+  }
+});
+
+// Typed data a signer must sign for a gasless (relayed) action
+app.get('/api/documents/:hash/typed-data', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const { action, account, reason } = req.query;
+
+    if (!META_TX_TYPES[action]) {
+      return res.status(400).json({ error: `Invalid action: ${action}`, details: 'Action must be sign, approve or reject' });
+    }
+    if (!account || !validateEthereumAddress(account)) {
+      return res.status(400).json({ error: `Invalid Ethereum address: ${account}` });
+    }
+    if (action === 'reject' && !reason) {
+      return res.status(400).json({ error: 'Rejection reason is required' });
+    }
+    if (action === 'approve') {
+      const approverError = await getApproverError(hash, account);
+      if (approverError) {
+        return res.status(403).json(approverError);
+      }
+    }
+
+    const network = await provider.getNetwork();
+    const nonce = await contract.nonces(account);
+    const deadline = req.query.deadline || Math.floor(Date.now() / 1000) + META_TX_DEADLINE_SECONDS;
+
+    res.json({
+      success: true,
+      data: buildTypedData({
+        action,
+        chainId: network.chainId,
+        contractAddress: contract.address,
+        documentHash: hash,
+        account,
+        nonce,
+        deadline,
+        reason
+      })
+    });
+  } catch (error) {
+    console.error('Error building typed data:', error);
+    res.status(500).json({ 
+      error: 'Failed to build typed data',
+      details: error.message 
+    });
+  }
+});
+
+// Relay a signed sign/approve/reject action; the service wallet pays gas
+app.post('/api/documents/:hash/relay', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const { action, account, deadline, reason, signature } = req.body;
+
+    if (!META_TX_TYPES[action]) {
+      return res.status(400).json({ error: `Invalid action: ${action}`, details: 'Action must be sign, approve or reject' });
+    }
+    if (!account || !validateEthereumAddress(account)) {
+      return res.status(400).json({ error: `Invalid Ethereum address: ${account}` });
+    }
+    if (!signature || !deadline) {
+      return res.status(400).json({ error: 'Signature and deadline are required' });
+    }
+    if (action === 'reject' && !reason) {
+      return res.status(400).json({ error: 'Rejection reason is required' });
+    }
+    if (Number(deadline) < Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({ error: 'Signature expired' });
+    }
+
+    if (action === 'approve') {
+      const approverError = await getApproverError(hash, account);
+      if (approverError) {
+        return res.status(403).json(approverError);
+      }
+    }
+
+    // On sequential documents the contract only accepts the signer whose turn it is
+    if (action === 'sign' && await contract.isSequentialSigning(hash)) {
+      const nextSigner = await contract.getNextSigner(hash);
+      if (nextSigner.toLowerCase() !== account.toLowerCase()) {
+        return res.status(409).json({
+          error: "Not this signer's turn",
+          details: nextSigner === ethers.constants.AddressZero
+            ? 'Signing is closed for this document'
+            : `Waiting for ${nextSigner} to sign first`
+        });
+      }
+    }
+
+    // Check the signature against the current nonce before spending gas on it
+    const network = await provider.getNetwork();
+    const nonce = await contract.nonces(account);
+    const typedData = buildTypedData({
+      action,
+      chainId: network.chainId,
+      contractAddress: contract.address,
+      documentHash: hash,
+      account,
+      nonce,
+      deadline,
+      reason
+    });
+
+    let recovered;
+    try {
+      recovered = recoverTypedDataSigner(typedData, signature);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid signature', details: error.message });
+    }
+    if (recovered.toLowerCase() !== account.toLowerCase()) {
+      return res.status(400).json({ error: 'Invalid signature', details: `Signature was made by ${recovered}` });
+    }
+
+    const { method, args } = getMetaTransactionCall({ action, documentHash: hash, account, deadline, reason, signature });
+    const job = await waitForJob(res, await txQueue.enqueue(contract, method, args, { documentHash: hash, account }));
+    if (!job) {
+      return;
+    }
+    const { receipt } = job;
+
+    res.json({
+      success: true,
+      message: `Document ${action} relayed successfully`,
+      data: {
+        jobId: job.id,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        ...(await getJobFinality(job)),
+        documentHash: hash,
+        action,
+        account,
+        relayer: wallet.address
+      }
+    });
+  } catch (error) {
+    console.error('Error relaying meta-transaction:', error);
+    res.status(500).json({ 
+      error: error.reason || 'Failed to relay transaction',
+      details: error.message 
+    });
+  }
+});
+
+// Create document version
+app.post('/api/documents/:originalHash/versions', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { originalHash } = req.params;
+    const { newVersionHash, changeDescription } = req.body;
+
+    if (!newVersionHash || !changeDescription) {
+      return res.status(400).json({ error: 'New version hash and change description are required' });
+    }
+    if (!isValidDocumentHash(newVersionHash)) {
+      return res.status(400).json({ error: `Invalid new version hash: ${newVersionHash}`, details: 'newVersionHash must be a 32-byte hex string' });
+    }
+
+    const job = await waitForJob(res, await txQueue.enqueue(contract, 'createDocumentVersion', [originalHash, newVersionHash, changeDescription], { documentHash: newVersionHash, originalHash }));
+    if (!job) {
+      return;
+    }
+    const { receipt } = job;
+
+    res.json({
+      success: true,
+      message: 'Document version created successfully',
+      data: {
+        jobId: job.id,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        ...(await getJobFinality(job)),
+        originalHash,
+        newVersionHash,
+        changeDescription
+      }
+    });
+  } catch (error) {
+    console.error('Error creating document version:', error);
+    res.status(500).json({ 
+      error: 'Failed to create document version',
+      details: error.message 
+    });
+  }
+});
+
+// Get document versions
+app.get('/api/documents/:hash/versions', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const versions = await contract.getDocumentVersions(hash);
+
+    const formattedVersions = versions.map(version => ({
+      documentHash: version.documentHash,
+      version: version.version.toNumber(),
+      previousVersionHash: version.previousVersionHash,
+      creator: version.creator,
+      timestamp: new Date(version.timestamp.toNumber() * 1000).toISOString(),
+      changeDescription: version.changeDescription,
+      isLatest: version.isLatest
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        documentHash: hash,
+        versions: formattedVersions,
+        totalVersions: formattedVersions.length
+      }
+    });
+  } catch (error) {
+    console.error('Error getting document versions:', error);
+    res.status(500).json({ 
+      error: 'Failed to get document versions',
+      details: error.message 
+    });
+  }
+});
+
+// Get document metadata
+app.get('/api/documents/:hash/metadata', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const metadata = await contract.getDocumentMetadata(hash);
+    const decoded = decodeMetadata(metadata, lookupMetadata);
+
+    res.json({
+      success: true,
+      data: {
+        documentHash: hash,
+        onChainMetadata: metadata,
+        metadata: decoded,
+        hashAlgorithm: decoded.hashAlgorithm
+      }
+    });
+  } catch (error) {
+    console.error('Error getting document metadata:', error);
+    res.status(500).json({ 
+      error: 'Failed to get document metadata',
+      details: error.message 
+    });
+  }
+});
+
+// Get required signers
+app.get('/api/documents/:hash/signers', async (req, res) => {
+  try {
+    if (!contract) {
+      return res.status(503).json({ error: 'Blockchain not available' });
+    }
+
+    const { hash } = req.params;
+    const [signers, result] = await Promise.all([
+      contract.getRequiredSigners(hash),
+      contract.verifyDocument(hash)
+    ]);
+    const pipeline = await getSigningPipeline(hash, signers);
+
+    res.json({
+      success: true,
+      data: {
+        documentHash: hash,
+        requiredSigners: signers,
+        signerCount: signers.length,
+        signatureThreshold: result.signatureThreshold.toNumber(),
+        signaturesCollected: result.signerCount.toNumber(),
+        status: STATUS_NAMES[result.status],
+        ...pipeline
+      }
+    });
+  } catch (error) {
+    console.error('Error getting required signers:', error);
+    res.status(500).json({ 
+      error: 'Failed to get required signers',
+      details: error.message 
+    });
+  }
+});
+
+// Upload a document into the encrypted vault. Returns its hash and the CID to record in metadata.
+// Admins and notaries sign a "vault" request whose path carries the hash of the file they send.
+app.post('/api/vault/documents', async (req, res, next) => {
+  if (!vault) {
+    return res.status(503).json({
+      error: 'Document vault not configured',
+      details: 'Set VAULT_MASTER_KEY to enable encrypted document storage'
+    });
+  }
+  if (!contract) {
+    return res.status(503).json({ error: 'Blockchain not available' });
+  }
+  if (!isValidDocumentHash(req.query.documentHash)) {
+    return res.status(400).json({
+      error: 'Document hash required',
+      details: 'Send the hash of the file as ?documentHash=, a 32-byte hex string'
+    });
+  }
 
-// Verify document
-app.get('/api/documents/:hash/verify', async (req, res) => {
   try {
-    if (!contract) {
-      return res.status(503).json({ error: 'Blockchain not available' });
+    const auth = await authenticateAdminRequest(req, 'vault', ['admin', 'notary']);
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
     }
+    req.uploadedBy = auth.account;
+  } catch (error) {
+    console.error('Error checking vault upload signature:', error);
+    return res.status(500).json({ error: 'Failed to check signature', details: error.message });
+  }
 
-    const { hash } = req.params;
-    const result = await contract.verifyDocument(hash);
+  vaultUpload.single('document')(req, res, next);
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
 
-    const statusNames = ['PENDING', 'SIGNED', 'APPROVED', 'REJECTED', 'ARCHIVED'];
-    
-    res.json({
+    if (req.file.hash !== req.query.documentHash.toLowerCase()) {
+      await vault.removeDocument(req.file.cid);
+      return res.status(400).json({
+        error: 'Uploaded file does not match the signed document hash',
+        details: `Expected ${req.query.documentHash}, the file hashes to ${req.file.hash}`
+      });
+    }
+
+    console.log(`🔐 ${req.uploadedBy} stored encrypted copy of ${req.file.hash} as ${req.file.cid}`);
+
+    res.status(201).json({
       success: true,
       data: {
-        exists: result.exists,
-        notary: result.notary,
-        timestamp: new Date(result.timestamp.toNumber() * 1000).toISOString(),
-        status: statusNames[result.status],
-        signerCount: result.signerCount.toNumber(),
-        approverCount: result.approverCount.toNumber(),
-        documentHash: hash
+        documentHash: req.file.hash,
+        hashAlgorithm: req.file.algorithm,
+        contentCid: req.file.cid,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size
       }
     });
   } catch (error) {
-    console.error('Error verifying document:', error);
+    console.error('Error storing document in vault:', error);
+    if (req.file && req.file.cid) {
+      await vault.removeDocument(req.file.cid).catch(() => {});
+    }
     res.status(500).json({ 
-      error: 'Failed to verify document',
+      error: 'Failed to store document in vault',
       details: error.message 
     });
   }
 });
 
-// Sign document
-app.post('/api/documents/:hash/sign', async (req, res) => {
+// Message to sign for GET /api/documents/:hash/content
+app.get('/api/documents/:hash/content/challenge', (req, res) => {
+  const { hash } = req.params;
+  const issuedAt = Math.floor(Date.now() / 1000);
+  res.json({
+    success: true,
+    data: {
+      documentHash: hash,
+      issuedAt,
+      expiresAt: issuedAt + ACCESS_WINDOW_SECONDS,
+      message: buildContentAccessMessage(hash, issuedAt)
+    }
+  });
+});
+
+// Download the vaulted original. The caller signs the challenge message and sends it as
+// X-Content-Signature with X-Content-Issued-At; only the notary and required signers get it.
+app.get('/api/documents/:hash/content', async (req, res) => {
   try {
+    if (!vault) {
+      return res.status(503).json({ error: 'Document vault not configured' });
+    }
     if (!contract) {
       return res.status(503).json({ error: 'Blockchain not available' });
     }
 
     const { hash } = req.params;
-    const tx = await contract.signDocument(hash);
-    const receipt = await tx.wait();
+    const signature = req.get('X-Content-Signature');
+    const issuedAt = parseInt(req.get('X-Content-Issued-At'), 10);
+    if (!signature || !issuedAt) {
+      return res.status(401).json({
+        error: 'Signed access request required',
+        details: `Sign the message from /api/documents/${hash}/content/challenge and send it in the X-Content-Signature and X-Content-Issued-At headers`
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Document signed successfully',
-      data: {
-        transactionHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        documentHash: hash
+    if (Math.abs(Math.floor(Date.now() / 1000) - issuedAt) > ACCESS_WINDOW_SECONDS) {
+      return res.status(401).json({ error: 'Access request expired, request a new challenge' });
+    }
+
+    let requester;
+    try {
+      requester = ethers.utils.verifyMessage(buildContentAccessMessage(hash, issuedAt), signature);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid signature', details: error.message });
+    }
+
+    const result = await contract.verifyDocument(hash);
+    if (!result.exists) {
+      return res.status(404).json({ error: 'Document not found on blockchain' });
+    }
+
+    const signers = await contract.getRequiredSigners(hash);
+    const allowed = [result.notary, ...signers].some(address => address.toLowerCase() === requester.toLowerCase());
+    if (!allowed) {
+      return res.status(403).json({
+        error: 'Access denied',
+        details: 'Only the notary and required signers can download this document'
+      });
+    }
+
+    const metadata = decodeMetadata(await contract.getDocumentMetadata(hash), lookupMetadata);
+    const entry = metadata.contentCid ? vault.getEntry(metadata.contentCid) : null;
+    if (!entry || entry.documentHash !== hash.toLowerCase()) {
+      return res.status(404).json({ error: 'No vaulted copy of this document' });
+    }
+
+    const content = await vault.createContentStream(entry.cid);
+    const fileName = (entry.fileName || `document-${hash.slice(2, 10)}`).replace(/[^\w.\- ]/g, '_');
+
+    res.set({
+      'Content-Type': entry.mimeType || 'application/octet-stream',
+      'Content-Length': String(entry.size),
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    console.log(`🔓 Vaulted copy of ${hash} released to ${requester}`);
+
+    pipeline(content, res, error => {
+      if (error) {
+        console.error('Error streaming vaulted document:', error.message);
       }
     });
   } catch (error) {
-    console.error('Error signing document:', error);
+    console.error('Error getting document content:', error);
+    if (error.code === 'VAULT_INTEGRITY') {
+      return res.status(500).json({
+        error: 'Vaulted copy failed its integrity check',
+        details: error.message
+      });
+    }
     res.status(500).json({ 
-      error: 'Failed to sign document',
+      error: 'Failed to get document content',
       details: error.message 
     });
   }
 });
 
-// Approve document
-app.post('/api/documents/:hash/approve', async (req, res) => {
+const adminNonces = new NonceRegistry();
+
+/**
+ * Checks the X-Admin-Signature / X-Admin-Issued-At / X-Admin-Nonce headers of a signed API
+ * request. The signed message names the request's method, path and body, and each nonce is
+ * accepted once.
+ * @param {string} action Action the caller signed, e.g. "grant notary 0xabc..."
+ * @param {function(string): Promise<{status: number, body: Object}|null>} authorize Error
+ *   response for the recovered signer, or null if it may perform the action
+ * @returns {Promise<{account: string}|{status: number, body: Object}>}
+ */
+async function authenticateSignedRequest(req, action, authorize) {
+  const signature = req.get('X-Admin-Signature');
+  const issuedAt = parseInt(req.get('X-Admin-Issued-At'), 10);
+  const nonce = req.get('X-Admin-Nonce');
+  if (!signature || !issuedAt || !nonce) {
+    return {
+      status: 401,
+      body: {
+        error: 'Signed admin request required',
+        details: 'Sign the message from /api/admin/challenge and send it in the X-Admin-Signature, X-Admin-Issued-At and X-Admin-Nonce headers'
+      }
+    };
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - issuedAt) > ADMIN_REQUEST_WINDOW_SECONDS) {
+    return { status: 401, body: { error: 'Admin request expired, request a new challenge' } };
+  }
+
+  let account;
+  try {
+    account = ethers.utils.verifyMessage(buildAdminRequestMessage({
+      action,
+      method: req.method,
+      path: req.originalUrl,
+      bodyHash: hashAdminRequestBody(req.rawBody),
+      nonce,
+      issuedAt
+    }), signature);
+  } catch (error) {
+    return { status: 401, body: { error: 'Invalid signature', details: error.message } };
+  }
+
+  const denied = await authorize(account);
+  if (denied) {
+    return denied;
+  }
+  // Only now: a request that does not match its signature recovers some other account
+  if (!adminNonces.use(nonce, issuedAt)) {
+    return { status: 401, body: { error: 'Admin request already used, request a new challenge' } };
+  }
+  return { account };
+}
+
+/**
+ * Signed request from an account holding one of `roles`.
+ * @param {string} action Action the caller signed
+ * @param {string[]} roles Role names allowed to perform it
+ * @returns {Promise<{account: string}|{status: number, body: Object}>}
+ */
+function authenticateAdminRequest(req, action, roles) {
+  return authenticateSignedRequest(req, action, async account => {
+    const held = await Promise.all(roles.map(role => contract.hasRole(ROLES[role], account)));
+    if (held.some(Boolean)) {
+      return null;
+    }
+    return {
+      status: 403,
+      body: { error: 'Access denied', details: `${account} needs the ${roles.join(' or ')} role` }
+    };
+  });
+}
+
+// Current owner and role holders, replayed from RoleGranted/RoleRevoked and ownership events
+app.get('/api/admin/roles', (req, res) => {
+  if (!indexer) {
+    return res.status(503).json({ error: 'Document indexer not available' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...indexer.getAccessControl(),
+      roleIds: ROLES,
+      indexedBlock: indexer.getStatus().lastBlock
+    }
+  });
+});
+
+// Roles an account holds right now, read from the contract
+app.get('/api/admin/roles/:account', async (req, res) => {
   try {
     if (!contract) {
       return res.status(503).json({ error: 'Blockchain not available' });
     }
 
-    const { hash } = req.params;
-    const tx = await contract.approveDocument(hash);
-    const receipt = await tx.wait();
+    const { account } = req.params;
+    if (!validateEthereumAddress(account)) {
+      return res.status(400).json({ error: `Invalid Ethereum address: ${account}` });
+    }
+
+    const names = Object.keys(ROLES);
+    const [held, owner, pendingOwner] = await Promise.all([
+      Promise.all(names.map(name => contract.hasRole(ROLES[name], account))),
+      contract.owner(),
+      contract.pendingOwner()
+    ]);
 
     res.json({
       success: true,
-      message: 'Document approved successfully',
       data: {
-        transactionHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        documentHash: hash
+        account,
+        roles: names.filter((name, i) => held[i]),
+        isOwner: owner.toLowerCase() === account.toLowerCase(),
+        isPendingOwner: pendingOwner.toLowerCase() === account.toLowerCase()
       }
     });
   } catch (error) {
-    console.error('Error approving document:', error);
-    res.status(500).json({ 
-      error: 'Failed to approve document',
-      details: error.message 
+    console.error('Error getting account roles:', error);
+    res.status(500).json({
+      error: 'Failed to get account roles',
+      details: error.message
     });
   }
 });
 
-// Reject document
-app.post('/api/documents/:hash/reject', async (req, res) => {
-  try {
-    if (!contract) {
-      return res.status(503).json({ error: 'Blockchain not available' });
+// Signed actions on one document, named with its hash
+const DOCUMENT_ACTIONS = ['revoke-document', 'archive-document', 'sign-document', 'approve-document', 'reject-document'];
+
+// Message to sign for one request to the admin endpoints below, the vault upload or a signed
+// document route. `action` is "grant", "revoke", "audit", "webhooks", "vault" or one of
+// DOCUMENT_ACTIONS (with the document `hash`); `method`, `path` (with any query string) and
+// `bodyHash` (SHA-256 of the exact JSON body, 0x-prefixed) describe the request to send. Leave
+// `bodyHash` out for requests without a JSON body: a vault upload signs its file's hash in the path.
+app.get('/api/admin/challenge', (req, res) => {
+  const { action, role, account, hash, method = 'GET', path, bodyHash = hashAdminRequestBody() } = req.query;
+
+  let signedAction;
+  if (action === 'audit' || action === 'webhooks' || action === 'vault') {
+    signedAction = action;
+  } else if (action === 'grant' || action === 'revoke') {
+    if (!ROLES[role]) {
+      return res.status(400).json({ error: `Unknown role: ${role}`, details: `Role must be one of ${Object.keys(ROLES).join(', ')}` });
+    }
+    if (!account || !validateEthereumAddress(account)) {
+      return res.status(400).json({ error: `Invalid Ethereum address: ${account}` });
     }
+    signedAction = `${action} ${role} ${account}`;
+  } else if (DOCUMENT_ACTIONS.includes(action)) {
+    if (!isValidDocumentHash(hash)) {
+      return res.status(400).json({ error: `Invalid document hash: ${hash}` });
+    }
+    signedAction = `${action} ${hash}`;
+  } else {
+    return res.status(400).json({ error: `Invalid action: ${action}`, details: `Action must be grant, revoke, audit, webhooks, vault or ${DOCUMENT_ACTIONS.join(', ')}` });
+  }
 
-    const { hash } = req.params;
-    const { reason } = req.body;
+  if (typeof method !== 'string' || !['GET', 'POST', 'DELETE'].includes(method.toUpperCase())) {
+    return res.status(400).json({ error: `Invalid method: ${method}`, details: 'Method must be GET, POST or DELETE' });
+  }
+  if (typeof path !== 'string' || !path.startsWith('/api/')) {
+    return res.status(400).json({ error: 'Invalid path', details: 'path must be the request path, starting with /api/' });
+  }
+  if (typeof bodyHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(bodyHash)) {
+    return res.status(400).json({ error: 'Invalid body hash', details: 'bodyHash must be the 0x-prefixed SHA-256 of the request body' });
+  }
 
-    if (!reason) {
-      return res.status(400).json({ error: 'Rejection reason is required' });
+  const request = {
+    action: signedAction,
+    method: method.toUpperCase(),
+    path,
+    bodyHash,
+    nonce: ethers.utils.hexlify(ethers.utils.randomBytes(16)),
+    issuedAt: Math.floor(Date.now() / 1000)
+  };
+  res.json({
+    success: true,
+    data: {
+      ...request,
+      expiresAt: request.issuedAt + ADMIN_REQUEST_WINDOW_SECONDS,
+      message: buildAdminRequestMessage(request)
+    }
+  });
+});
+
+// Grant or revoke a role through the service wallet, on behalf of a signed-in admin.
+// The service wallet must itself be an admin (or the owner, for the admin role).
+['grant', 'revoke'].forEach(action => {
+  app.post(`/api/admin/roles/${action}`, async (req, res) => {
+    try {
+      if (!contract) {
+        return res.status(503).json({ error: 'Blockchain not available' });
+      }
+
+      const { role, account } = req.body;
+      if (!ROLES[role]) {
+        return res.status(400).json({ error: `Unknown role: ${role}`, details: `Role must be one of ${Object.keys(ROLES).join(', ')}` });
+      }
+      if (!account || !validateEthereumAddress(account)) {
+        return res.status(400).json({ error: `Invalid Ethereum address: ${account}` });
+      }
+
+      const auth = await authenticateAdminRequest(req, `${action} ${role} ${account}`, ['admin']);
+      if (auth.status) {
+        return res.status(auth.status).json(auth.body);
+      }
+      if (role === 'admin' && (await contract.owner()).toLowerCase() !== auth.account.toLowerCase()) {
+        return res.status(403).json({ error: 'Access denied', details: 'Only the contract owner can grant or revoke the admin role' });
+      }
+
+      console.log(`🛡️  ${auth.account} requested: ${action} ${role} ${account}`);
+      const job = await waitForJob(res, await txQueue.enqueue(
+        contract,
+        action === 'grant' ? 'grantRole' : 'revokeRole',
+        [ROLES[role], account],
+        { role, account, requestedBy: auth.account }
+      ));
+      if (!job) {
+        return;
+      }
+      const { receipt } = job;
+
+      res.json({
+        success: true,
+        message: `Role ${role} ${action === 'grant' ? 'granted to' : 'revoked from'} ${account}`,
+        data: {
+          jobId: job.id,
+          transactionHash: receipt.transactionHash,
+          blockNumber: receipt.blockNumber,
+          ...(await getJobFinality(job)),
+          role,
+          account,
+          requestedBy: auth.account
+        }
+      });
+    } catch (error) {
+      console.error(`Error trying to ${action} role:`, error);
+      res.status(500).json({
+        error: error.reason || `Failed to ${action} role`,
+        details: error.message
+      });
+    }
+  });
+});
+
+// Every indexed role, ownership and document event, for admins and auditors
+app.get('/api/admin/audit', async (req, res) => {
+  try {
+    if (!contract || !indexer) {
+      return res.status(503).json({ error: 'Document indexer not available' });
+    }
+
+    const auth = await authenticateAdminRequest(req, 'audit', ['admin', 'auditor']);
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
     }
 
-    const tx = await contract.rejectDocument(hash, reason);
-    const receipt = await tx.wait();
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(req.query.pageSize, 10) || 50));
+    const events = indexer.listAuditTrail();
 
     res.json({
       success: true,
-      message: 'Document rejected successfully',
       data: {
-        transactionHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        documentHash: hash,
-        reason
+        events: events.slice((page - 1) * pageSize, page * pageSize),
+        page,
+        pageSize,
+        total: events.length,
+        indexedBlock: indexer.getStatus().lastBlock
       }
     });
   } catch (error) {
-    console.error('Error rejecting document:', error);
-    res.status(500).json({ 
-      error: 'Failed to reject document',
-      details: error.message 
+    console.error('Error getting audit trail:', error);
+    res.status(500).json({
+      error: 'Failed to get audit trail',
+      details: error.message
     });
   }
 });
 
-// Create document version
-app.post('/api/documents/:originalHash/versions', async (req, res) => {
+// Webhook subscriptions are managed by admins and notaries with signed "webhooks" requests
+const authenticateWebhookRequest = req => (contract
+  ? authenticateAdminRequest(req, 'webhooks', ['admin', 'notary'])
+  : { status: 503, body: { error: 'Blockchain not available' } });
+
+// Subscriptions as listed: the secret is only shown once, when the subscription is created
+const describeSubscription = ({ secret, ...subscription }) => subscription;
+
+app.post('/api/webhooks', async (req, res) => {
   try {
-    if (!contract) {
-      return res.status(503).json({ error: 'Blockchain not available' });
+    const auth = await authenticateWebhookRequest(req);
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
     }
 
-    const { originalHash } = req.params;
-    const { newVersionHash, changeDescription } = req.body;
-
-    if (!newVersionHash || !changeDescription) {
-      return res.status(400).json({ error: 'New version hash and change description are required' });
+    const { url, secret, events } = req.body;
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return res.status(400).json({ error: 'Invalid webhook URL', details: 'url must be an http(s) URL' });
+    }
+    const refused = await webhooks.checkUrl(url);
+    if (refused) {
+      return res.status(400).json({ error: 'Invalid webhook URL', details: refused });
     }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return res.status(400).json({ error: 'Invalid webhook secret', details: 'secret must be at least 16 characters' });
+    }
+    if (events !== undefined && (!Array.isArray(events) || events.some(event => !Object.keys(WEBHOOK_EVENTS).includes(event)))) {
+      return res.status(400).json({
+        error: 'Invalid webhook events',
+        details: `events must be a list of ${Object.keys(WEBHOOK_EVENTS).join(', ')}`
+      });
+    }
+
+    // Only events from here on are delivered, not the history the indexer replays
+    const subscription = webhooks.subscribe({
+      url,
+      secret,
+      events,
+      fromBlock: (await provider.getBlockNumber()) + 1,
+      createdBy: auth.account
+    });
+    console.log(`🪝 Webhook ${subscription.id} registered by ${auth.account}: ${url} (${subscription.events.join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Error registering webhook:', error);
+    res.status(500).json({
+      error: 'Failed to register webhook',
+      details: error.message
+    });
+  }
+});
 
-    const tx = await contract.createDocumentVersion(originalHash, newVersionHash, changeDescription);
-    const receipt = await tx.wait();
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    const auth = await authenticateWebhookRequest(req);
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
+    }
 
     res.json({
       success: true,
-      message: 'Document version created successfully',
       data: {
-        transactionHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        originalHash,
-        newVersionHash,
-        changeDescription
+        subscriptions: webhooks.listSubscriptions().map(describeSubscription),
+        events: Object.keys(WEBHOOK_EVENTS)
       }
     });
   } catch (error) {
-    console.error('Error creating document version:', error);
-    res.status(500).json({ 
-      error: 'Failed to create document version',
-      details: error.message 
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({
+      error: 'Failed to list webhooks',
+      details: error.message
     });
   }
 });
 
-// Get document versions
-app.get('/api/documents/:hash/versions', async (req, res) => {
+app.delete('/api/webhooks/:id', async (req, res) => {
   try {
-    if (!contract) {
-      return res.status(503).json({ error: 'Blockchain not available' });
+    const auth = await authenticateWebhookRequest(req);
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
     }
 
-    const { hash } = req.params;
-    const versions = await contract.getDocumentVersions(hash);
-
-    const formattedVersions = versions.map(version => ({
-      documentHash: version.documentHash,
-      version: version.version.toNumber(),
-      previousVersionHash: version.previousVersionHash,
-      creator: version.creator,
-      timestamp: new Date(version.timestamp.toNumber() * 1000).toISOString(),
-      changeDescription: version.changeDescription,
-      isLatest: version.isLatest
-    }));
+    if (!webhooks.unsubscribe(req.params.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    console.log(`🪝 Webhook ${req.params.id} removed by ${auth.account}`);
 
     res.json({
       success: true,
-      data: {
-        documentHash: hash,
-        versions: formattedVersions,
-        totalVersions: formattedVersions.length
-      }
+      message: 'Webhook removed'
     });
   } catch (error) {
-    console.error('Error getting document versions:', error);
-    res.status(500).json({ 
-      error: 'Failed to get document versions',
-      details: error.message 
+    console.error('Error removing webhook:', error);
+    res.status(500).json({
+      error: 'Failed to remove webhook',
+      details: error.message
     });
   }
 });
 
-// Get document metadata
-app.get('/api/documents/:hash/metadata', async (req, res) => {
+// Delivery log, newest first, with every attempt (?status=pending|delivered|failed)
+app.get('/api/webhooks/:id/deliveries', async (req, res) => {
   try {
-    if (!contract) {
-      return res.status(503).json({ error: 'Blockchain not available' });
+    const auth = await authenticateWebhookRequest(req);
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
     }
 
-    const { hash } = req.params;
-    const metadata = await contract.getDocumentMetadata(hash);
+    const subscription = webhooks.getSubscription(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const { status } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: ${status}`, details: `Status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+    }
 
     res.json({
       success: true,
       data: {
-        documentHash: hash,
-        metadata
+        subscription: describeSubscription(subscription),
+        deliveries: webhooks.listDeliveries(subscription.id).filter(delivery => !status || delivery.status === status)
       }
     });
   } catch (error) {
-    console.error('Error getting document metadata:', error);
-    res.status(500).json({ 
-      error: 'Failed to get document metadata',
-      details: error.message 
+    console.error('Error getting webhook deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to get webhook deliveries',
+      details: error.message
     });
   }
 });
 
-// Get required signers
-app.get('/api/documents/:hash/signers', async (req, res) => {
+// Send a delivery again, e.g. once a failed receiver is back up
+app.post('/api/webhooks/:id/deliveries/:deliveryId/retry', async (req, res) => {
   try {
-    if (!contract) {
-      return res.status(503).json({ error: 'Blockchain not available' });
+    const auth = await authenticateWebhookRequest(req);
+    if (auth.status) {
+      return res.status(auth.status).json(auth.body);
     }
 
-    const { hash } = req.params;
-    const signers = await contract.getRequiredSigners(hash);
+    const existing = webhooks.listDeliveries(req.params.id).find(entry => entry.id === req.params.deliveryId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (existing.retractedAt) {
+      return res.status(409).json({ error: 'Delivery was retracted', details: 'A chain reorganization removed the event it carries' });
+    }
+
+    const delivery = webhooks.retry(req.params.id, req.params.deliveryId);
 
     res.json({
       success: true,
-      data: {
-        documentHash: hash,
-        requiredSigners: signers,
-        signerCount: signers.length
-      }
+      data: delivery
     });
   } catch (error) {
-    console.error('Error getting required signers:', error);
-    res.status(500).json({ 
-      error: 'Failed to get required signers',
-      details: error.message 
+    console.error('Error retrying webhook delivery:', error);
+    res.status(500).json({
+      error: 'Failed to retry webhook delivery',
+      details: error.message
     });
   }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      error: 'Upload rejected',
+      details: error.message
+    });
+  }
+  if (error.code === 'UNSUPPORTED_HASH_ALGORITHM') {
+    return res.status(400).json({
+      error: 'Unsupported hash algorithm',
+      details: error.message
+    });
+  }
+
   console.error('Unhandled error:', error);
   res.status(500).json({
     error: 'Internal server error',
@@ -614,14 +3129,27 @@ app.use('*', (req, res) => {
   });
 });
 
-// Initialize blockchain connection
-initializeBlockchain();
+// Stop polling every chain's queue, the indexer and webhook delivery
+function stopBlockchain() {
+  chains.forEach(chain => chain.txQueue.stop());
+  if (indexer) {
+    indexer.stop();
+  }
+  webhooks.stop();
+}
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Blockchain Notary Service API running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🌐 Health check: http://localhost:${PORT}/api/health`);
-});
+// Initialize blockchain connection, then start the server (tests start the app themselves)
+if (require.main === module) {
+  initializeBlockchain().then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Blockchain Notary Service API running on port ${PORT}`);
+      console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`🌐 Health check: http://localhost:${PORT}/api/health`);
+    });
+  });
+}
 
-module.exports = app; 
\ No newline at end of file
+module.exports = app;
+module.exports.initializeBlockchain = initializeBlockchain;
+module.exports.stopBlockchain = stopBlockchain;
+module.exports.getJobFinality = getJobFinality;
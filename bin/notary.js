@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { HASH_ALGORITHMS, DEFAULT_HASH_ALGORITHM, isSupportedHashAlgorithm, hashFile } = require('../lib/hashing');
+const { decodeMetadata } = require('../lib/metadata');
+const { CONTRACT_ABI } = require('../lib/contractAbi');
+const { findDeployment } = require('../lib/deployments');
+const { STATUS_NAMES } = require('../lib/status');
+const { verifyReceipt, findOriginEvent } = require('../lib/receipts');
+require('dotenv').config();
+
+// Exit codes: scripts can tell "checked and it does not match" apart from "could not check"
+const EXIT_VERIFIED = 0;
+const EXIT_MISMATCH = 1;
+const EXIT_ERROR = 2;
+const EXIT_INVALID = 3;
+
+// Statuses a notarized document ends in without being valid
+const INVALID_STATUSES = ['REJECTED', 'EXPIRED', 'REVOKED'];
+
+const USAGE = `Usage: notary <command> [options]
+
+Commands:
+  verify <file>                    Hash a file and check that it is notarized
+  verify-receipt <receipt.json>    Re-check every claim in a notarization receipt against the chain
+  history <hash>                   Show the version chain and signing history of a document
+
+Options:
+  --rpc <url>          JSON-RPC endpoint (default: NETWORK_URL or http://127.0.0.1:8545)
+  --contract <address> NotaryService address (default: CONTRACT_ADDRESS, then deployments/)
+  --from-block <n>     First block searched for events (default: INDEXER_START_BLOCK or 0)
+  --file <path>        verify-receipt only: also check that the file matches the receipt
+  --algorithm <name>   verify only: ${Object.keys(HASH_ALGORITHMS).join(', ')} (default: ${DEFAULT_HASH_ALGORITHM})
+  --json               Print machine-readable JSON
+
+Exit codes: 0 verified, 1 not notarized or mismatch, 2 usage or connection error,
+            3 notarized but rejected, expired or revoked (verify only)`;
+
+const VALUE_OPTIONS = {
+  '--rpc': 'rpc',
+  '--contract': 'contract',
+  '--from-block': 'fromBlock',
+  '--file': 'file',
+  '--algorithm': 'algorithm'
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (flag === '--json') {
+      options.json = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    } else if (VALUE_OPTIONS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new UsageError(`Missing value for ${flag}`);
+      }
+      options[VALUE_OPTIONS[flag]] = value;
+    } else if (flag.startsWith('-')) {
+      throw new UsageError(`Unknown option: ${flag}`);
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  return { command: positional[0], args: positional.slice(1), options };
+}
+
+async function connect(options) {
+  const rpcUrl = options.rpc || process.env.NETWORK_URL || 'http://127.0.0.1:8545';
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+  let contractAddress = options.contract || process.env.CONTRACT_ADDRESS;
+
+  if (!contractAddress) {
+    const deployment = findDeployment((await provider.getNetwork()).chainId);
+    if (!deployment) {
+      throw new UsageError('Contract address required: pass --contract, set CONTRACT_ADDRESS or deploy to this network');
+    }
+    contractAddress = deployment.address;
+  }
+  if (!ethers.utils.isAddress(contractAddress)) {
+    throw new UsageError(`Invalid contract address: ${contractAddress}`);
+  }
+
+  const code = await provider.getCode(contractAddress);
+  if (code === '0x') {
+    throw new Error(`No contract deployed at ${contractAddress} on ${rpcUrl}`);
+  }
+
+  return new ethers.Contract(contractAddress, CONTRACT_ABI, provider);
+}
+
+function ensureFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new UsageError(`File not found: ${filePath}`);
+  }
+  return filePath;
+}
+
+async function describeDocument(contract, documentHash) {
+  const result = await contract.verifyDocument(documentHash);
+  if (!result.exists) {
+    return { documentHash, exists: false };
+  }
+
+  const metadata = decodeMetadata(await contract.getDocumentMetadata(documentHash));
+  const revocation = STATUS_NAMES[result.status] === 'REVOKED' ? await contract.getRevocation(documentHash) : null;
+
+  return {
+    documentHash,
+    exists: true,
+    notary: result.notary,
+    timestamp: new Date(result.timestamp.toNumber() * 1000).toISOString(),
+    status: STATUS_NAMES[result.status],
+    signerCount: result.signerCount.toNumber(),
+    signatureThreshold: result.signatureThreshold.toNumber(),
+    sequentialSigning: await contract.isSequentialSigning(documentHash),
+    approverCount: result.approverCount.toNumber(),
+    requiredApprovals: (await contract.getApprovalPolicy(documentHash)).requiredApprovals.toNumber(),
+    revocation: revocation ? {
+      revokedBy: revocation.revokedBy,
+      revokedAt: new Date(revocation.revokedAt.toNumber() * 1000).toISOString(),
+      reason: revocation.reason
+    } : null,
+    metadata,
+    hashAlgorithm: metadata.hashAlgorithm
+  };
+}
+
+async function verifyFile(contract, [filePath], options) {
+  if (!filePath) {
+    throw new UsageError('verify requires a file');
+  }
+
+  const algorithm = options.algorithm || DEFAULT_HASH_ALGORITHM;
+  if (!isSupportedHashAlgorithm(algorithm)) {
+    throw new UsageError(`Unsupported hash algorithm: ${algorithm}`);
+  }
+
+  const { hash: documentHash } = await hashFile(ensureFile(filePath), algorithm);
+  const document = await describeDocument(contract, documentHash);
+  if (!document.exists) {
+    return {
+      exitCode: EXIT_MISMATCH,
+      result: { command: 'verify', file: path.resolve(filePath), algorithm, verified: false, ...document }
+    };
+  }
+
+  // An archived document is as valid as it was when it was archived
+  let finalStatus = document.status;
+  if (document.status === 'ARCHIVED') {
+    const fromBlock = parseInt(options.fromBlock || process.env.INDEXER_START_BLOCK || '0', 10);
+    const [archived] = await contract.queryFilter(contract.filters.DocumentArchived(documentHash), fromBlock);
+    document.archivedFrom = archived ? STATUS_NAMES[archived.args.previousStatus] : null;
+    // Without the log there is no telling, so it does not pass
+    finalStatus = document.archivedFrom || 'ARCHIVED';
+  }
+  const valid = !INVALID_STATUSES.includes(finalStatus) && finalStatus !== 'ARCHIVED';
+
+  return {
+    exitCode: valid ? EXIT_VERIFIED : EXIT_INVALID,
+    result: { command: 'verify', file: path.resolve(filePath), algorithm, verified: valid, ...document }
+  };
+}
+
+async function verifyReceiptFile(contract, [receiptPath], options) {
+  if (!receiptPath) {
+    throw new UsageError('verify-receipt requires a receipt file');
+  }
+
+  let receipt;
+  try {
+    receipt = JSON.parse(fs.readFileSync(ensureFile(receiptPath), 'utf8'));
+  } catch (error) {
+    if (error instanceof UsageError) throw error;
+    throw new UsageError(`Receipt is not valid JSON: ${error.message}`);
+  }
+  if (!receipt.document || !receipt.chain) {
+    throw new UsageError('Receipt must contain document and chain sections');
+  }
+
+  const outcome = await verifyReceipt(contract, receipt);
+
+  if (options.file) {
+    // Rehash with the algorithm recorded at notarization time
+    const algorithm = receipt.document.hashAlgorithm || decodeMetadata(receipt.document.metadata).hashAlgorithm;
+    const { hash: fileHash } = await hashFile(ensureFile(options.file), algorithm);
+    const valid = fileHash.toLowerCase() === String(receipt.document.hash).toLowerCase();
+    outcome.checks.unshift({ claim: 'file.hash', expected: receipt.document.hash, actual: fileHash, valid });
+    outcome.valid = outcome.valid && valid;
+  }
+
+  return {
+    exitCode: outcome.valid ? EXIT_VERIFIED : EXIT_MISMATCH,
+    result: {
+      command: 'verify-receipt',
+      receipt: path.resolve(receiptPath),
+      receiptId: receipt.receiptId,
+      documentHash: receipt.document.hash,
+      verified: outcome.valid,
+      ...outcome
+    }
+  };
+}
+
+async function documentHistory(contract, [documentHash], options) {
+  if (!documentHash || !/^0x[0-9a-fA-F]{64}$/.test(documentHash)) {
+    throw new UsageError('history requires a 0x-prefixed 32-byte document hash');
+  }
+
+  const document = await describeDocument(contract, documentHash);
+  if (!document.exists) {
+    return { exitCode: EXIT_MISMATCH, result: { command: 'history', ...document, versions: [], events: [] } };
+  }
+
+  const fromBlock = parseInt(options.fromBlock || process.env.INDEXER_START_BLOCK || '0', 10);
+  const origin = await findOriginEvent(contract, documentHash, fromBlock);
+
+  const [versions, signed, approved, rejected, expired, revoked, archived] = await Promise.all([
+    contract.getDocumentVersions(origin.originalHash),
+    contract.queryFilter(contract.filters.DocumentSigned(documentHash), fromBlock),
+    contract.queryFilter(contract.filters.DocumentApproved(documentHash), fromBlock),
+    contract.queryFilter(contract.filters.DocumentRejected(documentHash), fromBlock),
+    contract.queryFilter(contract.filters.DocumentExpired(documentHash), fromBlock),
+    contract.queryFilter(contract.filters.DocumentRevoked(documentHash), fromBlock),
+    contract.queryFilter(contract.filters.DocumentArchived(documentHash), fromBlock)
+  ]);
+
+  const toEntry = (event, actor, extra = {}) => ({
+    event: event.event,
+    actor,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    logIndex: event.logIndex,
+    ...extra
+  });
+
+  const events = [
+    ...(origin.event ? [toEntry(origin.event, origin.event.args.notary || origin.event.args.creator)] : []),
+    ...signed.map(event => toEntry(event, event.args.signer)),
+    ...approved.map(event => toEntry(event, event.args.approver)),
+    ...rejected.map(event => toEntry(event, event.args.rejector, { reason: event.args.reason })),
+    ...expired.map(event => toEntry(event, event.args.caller)),
+    ...revoked.map(event => toEntry(event, event.args.revoker, { reason: event.args.reason })),
+    ...archived.map(event => toEntry(event, event.args.archiver))
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  return {
+    exitCode: EXIT_VERIFIED,
+    result: {
+      command: 'history',
+      ...document,
+      originalHash: origin.originalHash,
+      versions: versions.map(version => ({
+        documentHash: version.documentHash,
+        version: version.version.toNumber(),
+        previousVersionHash: version.previousVersionHash,
+        creator: version.creator,
+        timestamp: new Date(version.timestamp.toNumber() * 1000).toISOString(),
+        changeDescription: version.changeDescription,
+        isLatest: version.isLatest
+      })),
+      events
+    }
+  };
+}
+
+const COMMANDS = {
+  verify: verifyFile,
+  'verify-receipt': verifyReceiptFile,
+  history: documentHistory
+};
+
+function printDocument(result) {
+  console.log(`   Hash:       ${result.documentHash}`);
+  if (!result.exists) return;
+  console.log(`   Algorithm:  ${result.hashAlgorithm}`);
+  console.log(`   Title:      ${result.metadata.storage === 'hash' ? `(off-chain, hash ${result.metadata.metadataHash})` : result.metadata.title}`);
+  console.log(`   Notary:     ${result.notary}`);
+  console.log(`   Notarized:  ${result.timestamp}`);
+  console.log(`   Status:     ${result.status}`);
+  console.log(`   Signatures: ${result.signerCount} of ${result.signatureThreshold} needed${result.sequentialSigning ? ', signed in order' : ''}, approvals: ${result.approverCount} of ${result.requiredApprovals}`);
+  if (result.revocation) {
+    console.log(`⚠️  Revoked by ${result.revocation.revokedBy} at ${result.revocation.revokedAt}: ${result.revocation.reason}`);
+  }
+}
+
+function printHuman(result) {
+  switch (result.command) {
+    case 'verify':
+      if (!result.exists) {
+        console.log(`❌ ${result.file} is not notarized`);
+      } else if (result.verified) {
+        console.log(`✅ ${result.file} is notarized`);
+      } else {
+        console.log(`⛔ ${result.file} is notarized but ${result.archivedFrom ? `archived while ${result.archivedFrom}` : result.status}`);
+      }
+      printDocument(result);
+      break;
+
+    case 'verify-receipt':
+      console.log(result.verified ? '✅ Receipt verified' : '❌ Receipt does not match the chain');
+      for (const check of result.checks) {
+        console.log(`   ${check.valid ? '✓' : '✗'} ${check.claim}` +
+          (check.valid ? '' : ` (expected ${check.expected}, found ${check.actual})`));
+      }
+      if (result.statusChanged) {
+        console.log(`ℹ️  Status has moved on since the receipt was issued: now ${result.currentStatus}`);
+      }
+      if (result.revocation) {
+        console.log(`⚠️  Revoked by ${result.revocation.address} at ${result.revocation.timestamp}: ${result.revocation.reason}`);
+      }
+      break;
+
+    case 'history':
+      if (!result.exists) {
+        console.log(`❌ Document ${result.documentHash} is not notarized`);
+        break;
+      }
+      console.log(`📄 Document ${result.documentHash}`);
+      printDocument(result);
+      console.log('\n📚 Versions:');
+      result.versions.forEach(version => {
+        console.log(`   v${version.version} ${version.documentHash} ${version.timestamp} ${version.changeDescription}` +
+          (version.isLatest ? ' (latest)' : ''));
+      });
+      console.log('\n🕒 Events:');
+      result.events.forEach(event => {
+        console.log(`   #${event.blockNumber} ${event.event} by ${event.actor}` +
+          (event.reason ? `: ${event.reason}` : '') + ` (${event.transactionHash})`);
+      });
+      break;
+
+    default:
+      console.log(result);
+  }
+}
+
+async function main(argv) {
+  let options = {};
+
+  try {
+    const parsed = parseArgs(argv);
+    options = parsed.options;
+
+    if (options.help || !parsed.command) {
+      console.log(USAGE);
+      return options.help ? EXIT_VERIFIED : EXIT_ERROR;
+    }
+
+    const run = COMMANDS[parsed.command];
+    if (!run) {
+      throw new UsageError(`Unknown command: ${parsed.command}`);
+    }
+
+    const contract = await connect(options);
+    const { exitCode, result } = await run(contract, parsed.args, options);
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printHuman(result);
+    }
+    return exitCode;
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ error: error.message }, null, 2));
+    } else {
+      console.error('❌ Error:', error.message);
+      if (error instanceof UsageError) {
+        console.error('\n' + USAGE);
+      }
+    }
+    return EXIT_ERROR;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = {
+  COMMANDS,
+  EXIT_VERIFIED,
+  EXIT_MISMATCH,
+  EXIT_ERROR,
+  EXIT_INVALID
+};
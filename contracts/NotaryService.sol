@@ -12,6 +12,19 @@ contract NotaryService {
     event DocumentSigned(bytes32 indexed documentHash, address indexed signer, uint256 timestamp);
     event DocumentApproved(bytes32 indexed documentHash, address indexed approver, uint256 timestamp);
     event DocumentRejected(bytes32 indexed documentHash, address indexed rejector, uint256 timestamp, string reason);
+    event BatchAnchored(bytes32 indexed merkleRoot, address indexed notary, uint256 timestamp, uint256 documentCount, string metadata);
+    event SigningDeadlineSet(bytes32 indexed documentHash, uint256 deadline);
+    event DocumentExpired(bytes32 indexed documentHash, address indexed caller, uint256 deadline, uint256 timestamp);
+    event DocumentRevoked(bytes32 indexed documentHash, address indexed revoker, uint256 timestamp, string reason);
+    event DocumentArchived(bytes32 indexed documentHash, address indexed archiver, DocumentStatus previousStatus, uint256 timestamp);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event MigrationStarted(address indexed legacyContract);
+    event DocumentImported(bytes32 indexed documentHash, address indexed legacyContract, address indexed notary, uint256 timestamp, DocumentStatus status);
+    event BatchImported(bytes32 indexed merkleRoot, address indexed legacyContract, uint256 timestamp);
+    event MigrationFinalized(address indexed legacyContract, uint256 importedDocuments);
     
     
     struct NotarizedDocument {
@@ -27,6 +40,19 @@ contract NotaryService {
         uint256 signerCount;
         uint256 approverCount;
         DocumentStatus status;
+        uint256 signingDeadline; // 0 when signers have no deadline
+        uint256 signatureThreshold; // Signatures needed for SIGNED
+        bool sequentialSigning; // Signers must sign in requiredSigners order
+        address[] approverWhitelist; // Empty means any authorized approver
+        uint256 requiredApprovals; // Approvals needed to move from SIGNED to APPROVED
+    }
+    
+    struct NotarizationOptions {
+        uint256 signatureThreshold; // 0 means every required signer
+        uint256 signingDeadline; // 0 means no deadline
+        bool sequentialSigning; // true makes signers sign in the listed order
+        address[] approvers; // Per-document approver whitelist, empty means any authorized approver
+        uint256 requiredApprovals; // 0 means a single approval
     }
     
     struct DocumentVersion {
@@ -39,22 +65,82 @@ contract NotaryService {
         bool isLatest;
     }
     
+    struct Revocation {
+        address revokedBy;
+        uint256 revokedAt;
+        string reason;
+    }
+    
+    struct BatchAnchor {
+        bytes32 merkleRoot;
+        address notary;
+        uint256 timestamp;
+        uint256 blockNumber;
+        uint256 documentCount;
+        string metadata;
+        bool exists;
+    }
+    
+    // A document as it stood on the legacy contract, brought over by importDocument
+    struct DocumentImport {
+        bytes32 documentHash;
+        address notary;
+        uint256 timestamp; // Original notarization time
+        string metadata;
+        DocumentStatus status;
+        address[] requiredSigners;
+        address[] signedBy; // In signing order
+        address[] approvedBy;
+        NotarizationOptions options; // With the threshold and approval count already resolved
+        Revocation revocation; // Only read when status is REVOKED
+    }
+    
     enum DocumentStatus {
         PENDING,
         SIGNED,
         APPROVED,
         REJECTED,
-        ARCHIVED
+        ARCHIVED,
+        EXPIRED,
+        REVOKED
     }
     
     
     mapping(bytes32 => NotarizedDocument) public documents;
     mapping(bytes32 => DocumentVersion[]) public documentVersions;
     mapping(bytes32 => bytes32) public latestVersionHash;
-    mapping(address => bool) public authorizedNotaries;
+    mapping(bytes32 => mapping(address => bool)) private _roles;
+    mapping(bytes32 => BatchAnchor) public batches;
+    mapping(bytes32 => Revocation) private _revocations;
+    mapping(address => uint256) public nonces;
+    mapping(bytes32 => bool) public importedDocuments;
+    
+    // Admins manage the notary, approver and auditor roles; the owner appoints admins.
+    // Auditors hold no on-chain powers, the role marks who may read the service's audit trail.
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant NOTARY_ROLE = keccak256("NOTARY_ROLE");
+    bytes32 public constant APPROVER_ROLE = keccak256("APPROVER_ROLE");
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
     
     address public owner;
+    address public pendingOwner;
     uint256 public totalDocuments;
+    uint256 public totalBatches;
+    
+    // EIP-712 meta-transactions
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant SIGN_TYPEHASH = keccak256("SignDocument(bytes32 documentHash,address signer,uint256 nonce,uint256 deadline)");
+    bytes32 public constant APPROVE_TYPEHASH = keccak256("ApproveDocument(bytes32 documentHash,address approver,uint256 nonce,uint256 deadline)");
+    bytes32 public constant REJECT_TYPEHASH = keccak256("RejectDocument(bytes32 documentHash,address signer,string reason,uint256 nonce,uint256 deadline)");
+    
+    // Migration from the contract this one replaces. Imports are only possible between
+    // startMigration and finalizeMigration; afterwards the history here is closed.
+    address public legacyContract;
+    bool public migrationFinalized;
+    uint256 public totalImported;
+    
+    uint256 private immutable _cachedChainId;
+    bytes32 private immutable _cachedDomainSeparator;
     
     
     modifier onlyOwner() {
@@ -62,8 +148,13 @@ contract NotaryService {
         _;
     }
     
+    modifier onlyRole(bytes32 _role) {
+        require(_roles[_role][msg.sender], "Missing required role");
+        _;
+    }
+    
     modifier onlyAuthorizedNotary() {
-        require(authorizedNotaries[msg.sender] || msg.sender == owner, "Not authorized notary");
+        require(_roles[NOTARY_ROLE][msg.sender], "Not authorized notary");
         _;
     }
     
@@ -72,28 +163,247 @@ contract NotaryService {
         _;
     }
     
-    modifier onlyRequiredSigner(bytes32 _documentHash) {
-        require(_isRequiredSigner(_documentHash, msg.sender), "Not a required signer");
+    modifier duringMigration() {
+        require(legacyContract != address(0), "Migration not started");
+        require(!migrationFinalized, "Migration finalized");
         _;
     }
     
     constructor() {
         owner = msg.sender;
-        authorizedNotaries[msg.sender] = true;
+        emit OwnershipTransferred(address(0), msg.sender);
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(NOTARY_ROLE, msg.sender);
+        _grantRole(APPROVER_ROLE, msg.sender);
+        _cachedChainId = block.chainid;
+        _cachedDomainSeparator = _buildDomainSeparator();
     }
     
     /**
-     * @dev 
-     * @param _documentHash 
-     * @param _metadata
-     * @param _requiredSigners 
+     * @dev Notarize a new document
+     * @param _documentHash Hash of the document
+     * @param _metadata Document metadata
+     * @param _requiredSigners Addresses that must sign the document
      */
     function notarizeDocument(
         bytes32 _documentHash,
         string memory _metadata,
         address[] memory _requiredSigners
     ) external onlyAuthorizedNotary {
+        _notarizeDocument(_documentHash, _metadata, _requiredSigners, NotarizationOptions(0, 0, false, new address[](0), 0));
+    }
+    
+    /**
+     * @dev Notarize a new document whose required signers must sign before a deadline.
+     * Once the deadline passes without every signature, anyone can call expireDocument.
+     * @param _documentHash Hash of the document
+     * @param _metadata Document metadata
+     * @param _requiredSigners Addresses that must sign the document
+     * @param _signingDeadline Timestamp after which signing is closed
+     */
+    function notarizeDocumentWithDeadline(
+        bytes32 _documentHash,
+        string memory _metadata,
+        address[] memory _requiredSigners,
+        uint256 _signingDeadline
+    ) external onlyAuthorizedNotary {
+        require(_signingDeadline != 0, "Deadline must be in the future");
+        _notarizeDocument(_documentHash, _metadata, _requiredSigners, NotarizationOptions(0, _signingDeadline, false, new address[](0), 0));
+    }
+    
+    /**
+     * @dev Notarize a new document with signing options, e.g. "any 3 of 5 signers"
+     * or "employee, then manager, then legal"
+     * @param _documentHash Hash of the document
+     * @param _metadata Document metadata
+     * @param _requiredSigners Addresses that may sign the document, in signing order when sequential
+     * @param _options Signature threshold (0 = all signers), signing deadline (0 = none), sequential mode,
+     * approver whitelist (empty = authorized approvers) and required approvals (0 = one)
+     */
+    function notarizeDocumentWithOptions(
+        bytes32 _documentHash,
+        string memory _metadata,
+        address[] memory _requiredSigners,
+        NotarizationOptions memory _options
+    ) external onlyAuthorizedNotary {
+        _notarizeDocument(_documentHash, _metadata, _requiredSigners, _options);
+    }
+    
+    /**
+     * @dev Move a pending document whose signing deadline has passed to EXPIRED
+     * @param _documentHash Hash of the document
+     */
+    function expireDocument(bytes32 _documentHash) external documentExists(_documentHash) {
+        NotarizedDocument storage doc = documents[_documentHash];
+        require(doc.status == DocumentStatus.PENDING, "Document not in pending status");
+        require(doc.signingDeadline != 0 && block.timestamp > doc.signingDeadline, "Signing deadline not reached");
+        
+        doc.status = DocumentStatus.EXPIRED;
+        
+        emit DocumentExpired(_documentHash, msg.sender, doc.signingDeadline, block.timestamp);
+    }
+    
+    /**
+     * @dev Revoke a notarization made in error or whose underlying agreement has ended.
+     * Revocation is final: the document can no longer be signed, approved or archived.
+     * @param _documentHash Hash of the document
+     * @param _reason Why the notarization is revoked
+     */
+    function revokeDocument(bytes32 _documentHash, string memory _reason) external documentExists(_documentHash) {
+        NotarizedDocument storage doc = documents[_documentHash];
+        require(msg.sender == doc.notary || _roles[ADMIN_ROLE][msg.sender], "Not authorized to revoke");
+        require(doc.status != DocumentStatus.REVOKED, "Document already revoked");
+        require(bytes(_reason).length > 0, "Revocation reason required");
+        
+        doc.status = DocumentStatus.REVOKED;
+        _revocations[_documentHash] = Revocation(msg.sender, block.timestamp, _reason);
+        
+        emit DocumentRevoked(_documentHash, msg.sender, block.timestamp, _reason);
+    }
+    
+    /**
+     * @dev Archive a document whose lifecycle is over (APPROVED, REJECTED or EXPIRED)
+     * @param _documentHash Hash of the document
+     */
+    function archiveDocument(bytes32 _documentHash) external documentExists(_documentHash) {
+        NotarizedDocument storage doc = documents[_documentHash];
+        require(msg.sender == doc.notary || _roles[ADMIN_ROLE][msg.sender], "Not authorized to archive");
+        DocumentStatus previousStatus = doc.status;
+        require(
+            previousStatus == DocumentStatus.APPROVED ||
+                previousStatus == DocumentStatus.REJECTED ||
+                previousStatus == DocumentStatus.EXPIRED,
+            "Document not in a final status"
+        );
+        
+        doc.status = DocumentStatus.ARCHIVED;
+        
+        emit DocumentArchived(_documentHash, msg.sender, previousStatus, block.timestamp);
+    }
+    
+    /**
+     * @dev Open a migration from the NotaryService this contract replaces
+     * @param _legacyContract Address of the previous contract
+     */
+    function startMigration(address _legacyContract) external onlyOwner {
+        require(_legacyContract != address(0) && _legacyContract != address(this), "Invalid legacy contract");
+        require(legacyContract == address(0), "Migration already started");
+        
+        legacyContract = _legacyContract;
+        
+        emit MigrationStarted(_legacyContract);
+    }
+    
+    /**
+     * @dev Import a document from the legacy contract with its original notary, timestamp,
+     * signatures, approvals and status. In-flight documents carry on signing here.
+     * @param _record Document as read from the legacy contract
+     */
+    function importDocument(DocumentImport calldata _record) external onlyRole(ADMIN_ROLE) duringMigration {
+        bytes32 documentHash = _record.documentHash;
+        require(!documents[documentHash].exists, "Document already notarized");
+        require(_record.timestamp <= block.timestamp, "Timestamp in the future");
+        require(_record.signedBy.length <= _record.requiredSigners.length, "More signatures than signers");
+        
+        NotarizedDocument storage doc = documents[documentHash];
+        doc.documentHash = documentHash;
+        doc.notary = _record.notary;
+        doc.timestamp = _record.timestamp;
+        doc.metadata = _record.metadata;
+        doc.exists = true;
+        doc.requiredSigners = _record.requiredSigners;
+        doc.status = _record.status;
+        doc.signingDeadline = _record.options.signingDeadline;
+        doc.signatureThreshold = _record.options.signatureThreshold;
+        doc.sequentialSigning = _record.options.sequentialSigning;
+        doc.approverWhitelist = _record.options.approvers;
+        doc.requiredApprovals = _record.options.requiredApprovals;
+        
+        for (uint256 i = 0; i < _record.signedBy.length; i++) {
+            require(_isRequiredSigner(documentHash, _record.signedBy[i]), "Not a required signer");
+            require(!doc.hasSigned[_record.signedBy[i]], "Already signed");
+            doc.hasSigned[_record.signedBy[i]] = true;
+        }
+        doc.signerCount = _record.signedBy.length;
+        
+        for (uint256 i = 0; i < _record.approvedBy.length; i++) {
+            require(!doc.hasApproved[_record.approvedBy[i]], "Already approved");
+            doc.hasApproved[_record.approvedBy[i]] = true;
+            doc.approvers.push(_record.approvedBy[i]);
+        }
+        doc.approverCount = _record.approvedBy.length;
+        
+        if (_record.status == DocumentStatus.REVOKED) {
+            _revocations[documentHash] = _record.revocation;
+        }
+        
+        importedDocuments[documentHash] = true;
+        totalDocuments++;
+        totalImported++;
+        
+        emit DocumentImported(documentHash, legacyContract, _record.notary, _record.timestamp, _record.status);
+    }
+    
+    /**
+     * @dev Import the version history of a document, oldest first
+     * @param _originalHash Hash of the original document
+     * @param _versions Versions as returned by the legacy getDocumentVersions
+     */
+    function importVersions(bytes32 _originalHash, DocumentVersion[] calldata _versions)
+        external
+        onlyRole(ADMIN_ROLE)
+        duringMigration
+    {
+        require(_versions.length > 0, "No versions to import");
+        require(documentVersions[_originalHash].length == 0, "Versions already imported");
+        
+        DocumentVersion[] storage versions = documentVersions[_originalHash];
+        for (uint256 i = 0; i < _versions.length; i++) {
+            versions.push(_versions[i]);
+        }
+        latestVersionHash[_originalHash] = _versions[_versions.length - 1].documentHash;
+    }
+    
+    /**
+     * @dev Import an anchored batch with its original notary, timestamp and block
+     * @param _batch Batch as read from the legacy contract
+     */
+    function importBatch(BatchAnchor calldata _batch) external onlyRole(ADMIN_ROLE) duringMigration {
+        require(_batch.exists, "Batch not anchored");
+        require(!batches[_batch.merkleRoot].exists, "Batch already anchored");
+        
+        batches[_batch.merkleRoot] = _batch;
+        totalBatches++;
+        
+        emit BatchImported(_batch.merkleRoot, legacyContract, _batch.timestamp);
+    }
+    
+    /**
+     * @dev Close the migration for good; nothing can be imported afterwards
+     */
+    function finalizeMigration() external onlyOwner duringMigration {
+        migrationFinalized = true;
+        
+        emit MigrationFinalized(legacyContract, totalImported);
+    }
+    
+    function _notarizeDocument(
+        bytes32 _documentHash,
+        string memory _metadata,
+        address[] memory _requiredSigners,
+        NotarizationOptions memory _options
+    ) internal {
         require(!documents[_documentHash].exists, "Document already notarized");
+        require(_options.signatureThreshold <= _requiredSigners.length, "Threshold exceeds signers");
+        require(!_options.sequentialSigning || _requiredSigners.length > 0, "Sequential signing requires signers");
+        require(
+            _options.approvers.length == 0 || _options.requiredApprovals <= _options.approvers.length,
+            "Approvals exceed approvers"
+        );
+        if (_options.signingDeadline != 0) {
+            require(_requiredSigners.length > 0, "Deadline requires signers");
+            require(_options.signingDeadline > block.timestamp, "Deadline must be in the future");
+        }
         
         NotarizedDocument storage doc = documents[_documentHash];
         doc.documentHash = _documentHash;
@@ -103,6 +413,11 @@ contract NotaryService {
         doc.exists = true;
         doc.requiredSigners = _requiredSigners;
         doc.status = DocumentStatus.PENDING;
+        doc.signingDeadline = _options.signingDeadline;
+        doc.signatureThreshold = _options.signatureThreshold == 0 ? _requiredSigners.length : _options.signatureThreshold;
+        doc.sequentialSigning = _options.sequentialSigning;
+        doc.approverWhitelist = _options.approvers;
+        doc.requiredApprovals = _options.requiredApprovals == 0 ? 1 : _options.requiredApprovals;
         
         // İlk versiyonları 
         DocumentVersion memory initialVersion = DocumentVersion({
@@ -120,19 +435,90 @@ contract NotaryService {
         totalDocuments++;
         
         emit DocumentNotarized(_documentHash, msg.sender, block.timestamp, _metadata);
+        if (_options.signingDeadline != 0) {
+            emit SigningDeadlineSet(_documentHash, _options.signingDeadline);
+        }
     }
     
     /**
-     * @dev Dökümanın yeni versiyonunu yaratır
-     * @param _originalHash 
-     * @param _newVersionHash 
-     * @param _changeDescription 
+     * @dev Anchor the Merkle root of a batch of documents in a single transaction
+     * @param _merkleRoot Root of the Merkle tree built over the document hashes
+     * @param _documentCount Number of documents in the batch
+     * @param _metadata Batch metadata
+     */
+    function anchorBatch(
+        bytes32 _merkleRoot,
+        uint256 _documentCount,
+        string memory _metadata
+    ) external onlyAuthorizedNotary {
+        require(_merkleRoot != bytes32(0), "Invalid Merkle root");
+        require(_documentCount > 0, "Empty batch");
+        require(!batches[_merkleRoot].exists, "Batch already anchored");
+        
+        batches[_merkleRoot] = BatchAnchor({
+            merkleRoot: _merkleRoot,
+            notary: msg.sender,
+            timestamp: block.timestamp,
+            blockNumber: block.number,
+            documentCount: _documentCount,
+            metadata: _metadata,
+            exists: true
+        });
+        totalBatches++;
+        
+        emit BatchAnchored(_merkleRoot, msg.sender, block.timestamp, _documentCount, _metadata);
+    }
+    
+    /**
+     * @dev Check that a document hash is included in an anchored batch
+     * @param _documentHash Hash of the document
+     * @param _proof Sibling hashes from the leaf up to the root
+     * @param _merkleRoot Anchored batch root
+     * @return included Whether the proof is valid for an anchored root
+     * @return notary Address that anchored the batch
+     * @return timestamp Block timestamp of the anchor
+     */
+    function verifyBatchInclusion(
+        bytes32 _documentHash,
+        bytes32[] calldata _proof,
+        bytes32 _merkleRoot
+    ) external view returns (bool included, address notary, uint256 timestamp) {
+        BatchAnchor storage batch = batches[_merkleRoot];
+        if (!batch.exists) {
+            return (false, address(0), 0);
+        }
+        
+        bytes32 node = keccak256(abi.encodePacked(_documentHash));
+        for (uint i = 0; i < _proof.length; i++) {
+            node = node < _proof[i]
+                ? keccak256(abi.encodePacked(node, _proof[i]))
+                : keccak256(abi.encodePacked(_proof[i], node));
+        }
+        
+        if (node != _merkleRoot) {
+            return (false, address(0), 0);
+        }
+        return (true, batch.notary, batch.timestamp);
+    }
+    
+    /**
+     * @dev Dökümanın yeni versiyonunu yaratır. Only the document's notary or an admin may,
+     * and not once the document or its latest version is revoked.
+     * @param _originalHash Hash of the original document
+     * @param _newVersionHash Hash of the new version
+     * @param _changeDescription Description of the changes
      */
     function createDocumentVersion(
         bytes32 _originalHash,
         bytes32 _newVersionHash,
         string memory _changeDescription
     ) external documentExists(_originalHash) {
+        require(msg.sender == documents[_originalHash].notary || _roles[ADMIN_ROLE][msg.sender], "Not authorized to version");
+        require(
+            documents[_originalHash].status != DocumentStatus.REVOKED &&
+                documents[latestVersionHash[_originalHash]].status != DocumentStatus.REVOKED,
+            "Document revoked"
+        );
         require(!documents[_newVersionHash].exists, "New version hash already exists");
         
         
@@ -171,7 +557,12 @@ contract NotaryService {
         newDoc.metadata = originalDoc.metadata;
         newDoc.exists = true;
         newDoc.requiredSigners = originalDoc.requiredSigners;
+        newDoc.signatureThreshold = originalDoc.signatureThreshold;
+        newDoc.sequentialSigning = originalDoc.sequentialSigning;
+        newDoc.approverWhitelist = originalDoc.approverWhitelist;
+        newDoc.requiredApprovals = originalDoc.requiredApprovals;
         newDoc.status = DocumentStatus.PENDING;
+        // The new version starts a fresh signing round, without the original's deadline
         
         emit DocumentVersionCreated(_originalHash, _newVersionHash, newVersionNumber, msg.sender);
     }
@@ -180,71 +571,236 @@ contract NotaryService {
      * @dev Sign a document (for required signers)
      * @param _documentHash Hash of the document to sign
      */
-    function signDocument(bytes32 _documentHash) 
-        external 
-        documentExists(_documentHash) 
-        onlyRequiredSigner(_documentHash) 
-    {
+    function signDocument(bytes32 _documentHash) external {
+        _signDocument(_documentHash, msg.sender);
+    }
+    
+    /**
+     * @dev Approve a document (for any address)
+     * @param _documentHash Hash of the document to approve
+     */
+    function approveDocument(bytes32 _documentHash) external {
+        _approveDocument(_documentHash, msg.sender);
+    }
+    
+    /**
+     * @dev Reject a document with reason
+     * @param _documentHash Hash of the document to reject
+     * @param _reason Reason for rejection
+     */
+    function rejectDocument(bytes32 _documentHash, string memory _reason) external {
+        _rejectDocument(_documentHash, msg.sender, _reason);
+    }
+    
+    /**
+     * @dev Sign a document on behalf of a signer using an EIP-712 signature (relayer pays gas)
+     * @param _documentHash Hash of the document to sign
+     * @param _signer Required signer who produced the signature
+     * @param _deadline Timestamp after which the signature is no longer valid
+     * @param _v Signature recovery id
+     * @param _r Signature r value
+     * @param _s Signature s value
+     */
+    function signDocumentBySig(
+        bytes32 _documentHash,
+        address _signer,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        bytes32 structHash = keccak256(abi.encode(SIGN_TYPEHASH, _documentHash, _signer, _useNonce(_signer), _deadline));
+        _verifySignature(structHash, _signer, _deadline, _v, _r, _s);
+        _signDocument(_documentHash, _signer);
+    }
+    
+    /**
+     * @dev Approve a document on behalf of an approver using an EIP-712 signature (relayer pays gas)
+     * @param _documentHash Hash of the document to approve
+     * @param _approver Address that produced the signature
+     * @param _deadline Timestamp after which the signature is no longer valid
+     * @param _v Signature recovery id
+     * @param _r Signature r value
+     * @param _s Signature s value
+     */
+    function approveDocumentBySig(
+        bytes32 _documentHash,
+        address _approver,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        bytes32 structHash = keccak256(abi.encode(APPROVE_TYPEHASH, _documentHash, _approver, _useNonce(_approver), _deadline));
+        _verifySignature(structHash, _approver, _deadline, _v, _r, _s);
+        _approveDocument(_documentHash, _approver);
+    }
+    
+    /**
+     * @dev Reject a document on behalf of a signer using an EIP-712 signature (relayer pays gas)
+     * @param _documentHash Hash of the document to reject
+     * @param _signer Required signer who produced the signature
+     * @param _reason Reason for rejection
+     * @param _deadline Timestamp after which the signature is no longer valid
+     * @param _v Signature recovery id
+     * @param _r Signature r value
+     * @param _s Signature s value
+     */
+    function rejectDocumentBySig(
+        bytes32 _documentHash,
+        address _signer,
+        string memory _reason,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        bytes32 structHash = keccak256(abi.encode(
+            REJECT_TYPEHASH,
+            _documentHash,
+            _signer,
+            keccak256(bytes(_reason)),
+            _useNonce(_signer),
+            _deadline
+        ));
+        _verifySignature(structHash, _signer, _deadline, _v, _r, _s);
+        _rejectDocument(_documentHash, _signer, _reason);
+    }
+    
+    /**
+     * @dev EIP-712 domain separator for this contract
+     * @return Domain separator hash
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        if (block.chainid == _cachedChainId) {
+            return _cachedDomainSeparator;
+        }
+        return _buildDomainSeparator();
+    }
+    
+    function _signDocument(bytes32 _documentHash, address _signer) internal documentExists(_documentHash) {
+        require(_isRequiredSigner(_documentHash, _signer), "Not a required signer");
         NotarizedDocument storage doc = documents[_documentHash];
-        require(!doc.hasSigned[msg.sender], "Already signed");
+        require(!doc.hasSigned[_signer], "Already signed");
         require(doc.status == DocumentStatus.PENDING, "Document not in pending status");
+        require(!_isPastDeadline(doc), "Signing deadline passed");
+        // Each signer signs once, so the next in line sits at index signerCount
+        require(
+            !doc.sequentialSigning || doc.requiredSigners[doc.signerCount] == _signer,
+            "Not this signer's turn"
+        );
         
-        doc.hasSigned[msg.sender] = true;
+        doc.hasSigned[_signer] = true;
         doc.signerCount++;
         
-        // Check if all required signers have signed
-        if (doc.signerCount == doc.requiredSigners.length) {
-            doc.status = DocumentStatus.SIGNED;
+        // Check if enough required signers have signed. Approvals given while the
+        // document was pending count, so it may go straight to APPROVED.
+        if (doc.signerCount == doc.signatureThreshold) {
+            doc.status = doc.approverCount >= doc.requiredApprovals ? DocumentStatus.APPROVED : DocumentStatus.SIGNED;
         }
         
-        emit DocumentSigned(_documentHash, msg.sender, block.timestamp);
+        emit DocumentSigned(_documentHash, _signer, block.timestamp);
     }
     
-    /**
-     * @dev Approve a document (for any address)
-     * @param _documentHash Hash of the document to approve
-     */
-    function approveDocument(bytes32 _documentHash) external documentExists(_documentHash) {
+    function _approveDocument(bytes32 _documentHash, address _approver) internal documentExists(_documentHash) {
+        require(_canApprove(_documentHash, _approver), "Not authorized approver");
         NotarizedDocument storage doc = documents[_documentHash];
-        require(!doc.hasApproved[msg.sender], "Already approved");
+        require(!doc.hasApproved[_approver], "Already approved");
         require(doc.status == DocumentStatus.SIGNED || doc.status == DocumentStatus.PENDING, "Invalid document status");
+        require(doc.status != DocumentStatus.PENDING || !_isPastDeadline(doc), "Signing deadline passed");
         
-        doc.hasApproved[msg.sender] = true;
-        doc.approvers.push(msg.sender);
+        doc.hasApproved[_approver] = true;
+        doc.approvers.push(_approver);
         doc.approverCount++;
         
-        if (doc.status == DocumentStatus.SIGNED) {
+        if (doc.status == DocumentStatus.SIGNED && doc.approverCount >= doc.requiredApprovals) {
             doc.status = DocumentStatus.APPROVED;
         }
         
-        emit DocumentApproved(_documentHash, msg.sender, block.timestamp);
+        emit DocumentApproved(_documentHash, _approver, block.timestamp);
     }
     
-    /**
-     * @dev Reject a document with reason
-     * @param _documentHash Hash of the document to reject
-     * @param _reason Reason for rejection
-     */
-    function rejectDocument(bytes32 _documentHash, string memory _reason) 
-        external 
+    function _rejectDocument(bytes32 _documentHash, address _signer, string memory _reason) 
+        internal 
         documentExists(_documentHash) 
-        onlyRequiredSigner(_documentHash) 
     {
+        require(_isRequiredSigner(_documentHash, _signer), "Not a required signer");
         NotarizedDocument storage doc = documents[_documentHash];
         require(doc.status == DocumentStatus.PENDING, "Can only reject pending documents");
+        require(!_isPastDeadline(doc), "Signing deadline passed");
         
         doc.status = DocumentStatus.REJECTED;
         
-        emit DocumentRejected(_documentHash, msg.sender, block.timestamp, _reason);
+        emit DocumentRejected(_documentHash, _signer, block.timestamp, _reason);
+    }
+    
+    function _canApprove(bytes32 _documentHash, address _approver) internal view returns (bool) {
+        address[] storage whitelist = documents[_documentHash].approverWhitelist;
+        if (whitelist.length == 0) {
+            return _roles[APPROVER_ROLE][_approver];
+        }
+        for (uint256 i = 0; i < whitelist.length; i++) {
+            if (whitelist[i] == _approver) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    function _isPastDeadline(NotarizedDocument storage _doc) internal view returns (bool) {
+        return _doc.signingDeadline != 0 && block.timestamp > _doc.signingDeadline;
+    }
+    
+    function _useNonce(address _account) internal returns (uint256) {
+        return nonces[_account]++;
+    }
+    
+    /**
+     * @dev Check an EIP-712 signature over the given struct hash
+     * @param _structHash Hash of the typed data struct
+     * @param _expectedSigner Address that must have produced the signature
+     * @param _deadline Timestamp after which the signature is no longer valid
+     * @param _v Signature recovery id
+     * @param _r Signature r value
+     * @param _s Signature s value
+     */
+    function _verifySignature(
+        bytes32 _structHash,
+        address _expectedSigner,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) internal view {
+        require(block.timestamp <= _deadline, "Signature expired");
+        // Reject malleable signatures (upper half of the curve order)
+        require(uint256(_s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "Invalid signature");
+        
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), _structHash));
+        address recovered = ecrecover(digest, _v, _r, _s);
+        require(recovered != address(0) && recovered == _expectedSigner, "Invalid signature");
+    }
+    
+    function _buildDomainSeparator() private view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("NotaryService")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
     }
     
     /**
      * @dev Dokümanın oluğ olmadıgını kontrol eder ve detaylarını alır
-     * @param _documentHash 
-     * @return exists 
-     * @return notary 
-     * @return timestamp 
-     * @return status 
+     * @param _documentHash Hash of the document
+     * @return exists Whether the document is notarized
+     * @return notary Address of the notary
+     * @return timestamp Notarization timestamp
+     * @return status Current document status
+     * @return signerCount Number of signatures
+     * @return approverCount Number of approvals
+     * @return signatureThreshold Signatures needed to reach SIGNED
      */
     function verifyDocument(bytes32 _documentHash) 
         external 
@@ -255,7 +811,8 @@ contract NotaryService {
             uint256 timestamp,
             DocumentStatus status,
             uint256 signerCount,
-            uint256 approverCount
+            uint256 approverCount,
+            uint256 signatureThreshold
         ) 
     {
         NotarizedDocument storage doc = documents[_documentHash];
@@ -265,14 +822,15 @@ contract NotaryService {
             doc.timestamp,
             doc.status,
             doc.signerCount,
-            doc.approverCount
+            doc.approverCount,
+            doc.signatureThreshold
         );
     }
     
     /**
      * @dev Dökümanın versiyon tarihi geçmişi 
-     * @param _originalHash 
-     * @return Array 
+     * @param _originalHash Hash of the original document
+     * @return Array of document versions
      */
     function getDocumentVersions(bytes32 _originalHash) 
         external 
@@ -291,20 +849,137 @@ contract NotaryService {
         return latestVersionHash[_originalHash];
     }
     
+    /**
+     * @dev Check whether an account holds a role
+     * @param _role ADMIN_ROLE, NOTARY_ROLE, APPROVER_ROLE or AUDITOR_ROLE
+     * @param _account Address to check
+     * @return Whether the account holds the role
+     */
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return _roles[_role][_account];
+    }
+    
+    /**
+     * @dev Grant a role. Admins grant notary, approver and auditor; only the owner grants admin.
+     * @param _role Role to grant
+     * @param _account Address receiving the role
+     */
+    function grantRole(bytes32 _role, address _account) external {
+        _checkRoleManager(_role);
+        _grantRole(_role, _account);
+    }
+    
+    /**
+     * @dev Revoke a role, with the same permissions as grantRole
+     * @param _role Role to revoke
+     * @param _account Address losing the role
+     */
+    function revokeRole(bytes32 _role, address _account) external {
+        _checkRoleManager(_role);
+        _revokeRole(_role, _account);
+    }
+    
+    /**
+     * @dev Give up one of the caller's own roles
+     * @param _role Role to renounce
+     */
+    function renounceRole(bytes32 _role) external {
+        require(_roles[_role][msg.sender], "Role not held");
+        _revokeRole(_role, msg.sender);
+    }
+    
     /**
      * @dev Auth olmuş notary ekler
      * @param _notary Address to authorize as notary
      */
-    function addNotary(address _notary) external onlyOwner {
-        authorizedNotaries[_notary] = true;
+    function addNotary(address _notary) external onlyRole(ADMIN_ROLE) {
+        _grantRole(NOTARY_ROLE, _notary);
     }
     
     /**
-     * @dev 
+     * @dev Remove an authorized notary
      * @param _notary Address to remove from notaries
      */
-    function removeNotary(address _notary) external onlyOwner {
-        authorizedNotaries[_notary] = false;
+    function removeNotary(address _notary) external onlyRole(ADMIN_ROLE) {
+        _revokeRole(NOTARY_ROLE, _notary);
+    }
+    
+    /**
+     * @dev Authorize an address to approve documents that have no approver whitelist
+     * @param _approver Address to authorize as approver
+     */
+    function addApprover(address _approver) external onlyRole(ADMIN_ROLE) {
+        _grantRole(APPROVER_ROLE, _approver);
+    }
+    
+    /**
+     * @dev Remove an authorized approver
+     * @param _approver Address to remove from approvers
+     */
+    function removeApprover(address _approver) external onlyRole(ADMIN_ROLE) {
+        _revokeRole(APPROVER_ROLE, _approver);
+    }
+    
+    /**
+     * @dev Whether an address holds NOTARY_ROLE (kept for existing integrations)
+     */
+    function authorizedNotaries(address _account) external view returns (bool) {
+        return _roles[NOTARY_ROLE][_account];
+    }
+    
+    /**
+     * @dev Whether an address holds APPROVER_ROLE (kept for existing integrations)
+     */
+    function authorizedApprovers(address _account) external view returns (bool) {
+        return _roles[APPROVER_ROLE][_account];
+    }
+    
+    /**
+     * @dev Start handing the contract to a new owner, who must call acceptOwnership
+     * @param _newOwner Proposed owner, or address(0) to cancel a pending transfer
+     */
+    function transferOwnership(address _newOwner) external onlyOwner {
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+    
+    /**
+     * @dev Complete an ownership transfer. The new owner is made an admin; the previous
+     * owner keeps its roles until they are revoked or renounced.
+     */
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not the pending owner");
+        address previousOwner = owner;
+        owner = msg.sender;
+        pendingOwner = address(0);
+        emit OwnershipTransferred(previousOwner, msg.sender);
+        _grantRole(ADMIN_ROLE, msg.sender);
+    }
+    
+    function _checkRoleManager(bytes32 _role) internal view {
+        require(
+            _role == ADMIN_ROLE || _role == NOTARY_ROLE || _role == APPROVER_ROLE || _role == AUDITOR_ROLE,
+            "Unknown role"
+        );
+        if (_role == ADMIN_ROLE) {
+            require(msg.sender == owner, "Only owner can perform this action");
+        } else {
+            require(_roles[ADMIN_ROLE][msg.sender], "Missing required role");
+        }
+    }
+    
+    function _grantRole(bytes32 _role, address _account) internal {
+        if (!_roles[_role][_account]) {
+            _roles[_role][_account] = true;
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+    
+    function _revokeRole(bytes32 _role, address _account) internal {
+        if (_roles[_role][_account]) {
+            _roles[_role][_account] = false;
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
     }
     
     /**
@@ -341,6 +1016,114 @@ contract NotaryService {
         return documents[_documentHash].requiredSigners;
     }
     
+    /**
+     * @dev Get who revoked a document, when and why
+     * @param _documentHash Hash of the document
+     * @return revokedBy Notary or admin who revoked it, address(0) if it is not revoked
+     * @return revokedAt Revocation timestamp
+     * @return reason Revocation reason
+     */
+    function getRevocation(bytes32 _documentHash) 
+        external 
+        view 
+        documentExists(_documentHash) 
+        returns (address revokedBy, uint256 revokedAt, string memory reason) 
+    {
+        Revocation storage revocation = _revocations[_documentHash];
+        return (revocation.revokedBy, revocation.revokedAt, revocation.reason);
+    }
+    
+    /**
+     * @dev Get the signing deadline of a document
+     * @param _documentHash Hash of the document
+     * @return Deadline timestamp, or 0 if signing has no deadline
+     */
+    function getSigningDeadline(bytes32 _documentHash) 
+        external 
+        view 
+        documentExists(_documentHash) 
+        returns (uint256) 
+    {
+        return documents[_documentHash].signingDeadline;
+    }
+    
+    /**
+     * @dev Check whether a document's signers must sign in order
+     * @param _documentHash Hash of the document
+     * @return Whether signing is sequential
+     */
+    function isSequentialSigning(bytes32 _documentHash) 
+        external 
+        view 
+        documentExists(_documentHash) 
+        returns (bool) 
+    {
+        return documents[_documentHash].sequentialSigning;
+    }
+    
+    /**
+     * @dev Get the signer whose turn it is on a sequential document
+     * @param _documentHash Hash of the document
+     * @return Next expected signer, or address(0) if signing is unordered or no longer open
+     */
+    function getNextSigner(bytes32 _documentHash) 
+        external 
+        view 
+        documentExists(_documentHash) 
+        returns (address) 
+    {
+        NotarizedDocument storage doc = documents[_documentHash];
+        if (!doc.sequentialSigning || doc.status != DocumentStatus.PENDING || _isPastDeadline(doc)) {
+            return address(0);
+        }
+        return doc.requiredSigners[doc.signerCount];
+    }
+    
+    /**
+     * @dev Get who may approve a document and how many approvals it needs
+     * @param _documentHash Hash of the document
+     * @return approvers Per-document whitelist, empty when any authorized approver may approve
+     * @return requiredApprovals Approvals needed to move from SIGNED to APPROVED
+     */
+    function getApprovalPolicy(bytes32 _documentHash) 
+        external 
+        view 
+        documentExists(_documentHash) 
+        returns (address[] memory approvers, uint256 requiredApprovals) 
+    {
+        NotarizedDocument storage doc = documents[_documentHash];
+        return (doc.approverWhitelist, doc.requiredApprovals);
+    }
+    
+    /**
+     * @dev Get who has approved a document, in approval order
+     * @param _documentHash Hash of the document
+     * @return Addresses that approved it
+     */
+    function getApprovers(bytes32 _documentHash) 
+        external 
+        view 
+        documentExists(_documentHash) 
+        returns (address[] memory) 
+    {
+        return documents[_documentHash].approvers;
+    }
+    
+    /**
+     * @dev Check whether an address may approve a document
+     * @param _documentHash Hash of the document
+     * @param _approver Address to check
+     * @return Whether the address is on the whitelist, or an authorized approver if there is none
+     */
+    function canApprove(bytes32 _documentHash, address _approver) 
+        external 
+        view 
+        documentExists(_documentHash) 
+        returns (bool) 
+    {
+        return _canApprove(_documentHash, _approver);
+    }
+    
     /**
      * @dev Check if an address has signed a document
      * @param _documentHash Hash of the document
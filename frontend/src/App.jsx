@@ -1,14 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { FileText, Shield, Clock, CheckCircle, AlertCircle, Upload, Signature, Eye } from 'lucide-react';
+import { FileText, Shield, Clock, CheckCircle, AlertCircle, Upload, Signature, Eye, Wallet, KeyRound } from 'lucide-react';
 import DocumentUpload from './components/DocumentUpload';
 import DocumentVerify from './components/DocumentVerify';
 import NotarizedDocuments from './components/NotarizedDocuments';
+import AdminPanel from './components/AdminPanel';
 import Notification from './components/Notification';
+import { useWallet } from './hooks/useWallet';
+import { API_URL } from './config';
 
 function App() {
   const [activeTab, setActiveTab] = useState('upload');
   const [notification, setNotification] = useState(null);
   const [contractAddress, setContractAddress] = useState('');
+  const [networkName, setNetworkName] = useState('');
+  const wallet = useWallet();
 
   useEffect(() => {
     // Check if backend is running
@@ -17,12 +22,13 @@ function App() {
 
   const checkBackendConnection = async () => {
     try {
-      const response = await fetch('http://localhost:3000/api/health');
+      const response = await fetch(`${API_URL}/api/health`);
       if (response.ok) {
         const data = await response.json();
         console.log('Backend health check:', data);
         
         setContractAddress(data.blockchain.contractAddress);
+        setNetworkName(data.blockchain.deployment?.network || '');
         
         if (data.blockchain.connected && data.blockchain.networkStatus === 'connected') {
           showNotification('Connected to blockchain notary service', 'success');
@@ -43,10 +49,21 @@ function App() {
     setTimeout(() => setNotification(null), 5000);
   };
 
+  const connectWallet = async () => {
+    try {
+      const account = await wallet.connect();
+      showNotification(`Wallet connected: ${account.slice(0, 6)}...${account.slice(-4)}`, 'success');
+    } catch (error) {
+      console.error('Wallet connection error:', error);
+      showNotification(error.message || 'Failed to connect wallet', 'error');
+    }
+  };
+
   const tabs = [
     { id: 'upload', label: 'Notarize Document', icon: Upload },
     { id: 'verify', label: 'Verify Document', icon: Eye },
     { id: 'documents', label: 'My Documents', icon: FileText },
+    { id: 'admin', label: 'Admin', icon: KeyRound },
   ];
 
   return (
@@ -65,14 +82,36 @@ function App() {
               </div>
             </div>
             
-            {contractAddress && (
-              <div className="hidden md:flex items-center space-x-2 bg-green-50 px-3 py-2 rounded-lg">
-                <CheckCircle className="h-4 w-4 text-green-500" />
-                <span className="text-sm text-green-700">
-                  Contract: {contractAddress.slice(0, 6)}...{contractAddress.slice(-4)}
-                </span>
-              </div>
-            )}
+            <div className="flex items-center space-x-3">
+              {contractAddress && (
+                <div className="hidden md:flex items-center space-x-2 bg-green-50 px-3 py-2 rounded-lg">
+                  <CheckCircle className="h-4 w-4 text-green-500" />
+                  <span className="text-sm text-green-700">
+                    Contract{networkName && ` (${networkName})`}: {contractAddress.slice(0, 6)}...{contractAddress.slice(-4)}
+                  </span>
+                </div>
+              )}
+
+              {wallet.account ? (
+                <button
+                  onClick={wallet.disconnect}
+                  title="Disconnect wallet"
+                  className="flex items-center space-x-2 bg-blue-50 px-3 py-2 rounded-lg text-sm text-blue-700 hover:bg-blue-100"
+                >
+                  <Wallet className="h-4 w-4" />
+                  <span className="font-mono">{wallet.account.slice(0, 6)}...{wallet.account.slice(-4)}</span>
+                </button>
+              ) : (
+                <button
+                  onClick={connectWallet}
+                  disabled={wallet.isConnecting}
+                  className="flex items-center space-x-2 bg-blue-600 px-3 py-2 rounded-lg text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Wallet className="h-4 w-4" />
+                  <span>{wallet.isConnecting ? 'Connecting...' : 'Connect Wallet'}</span>
+                </button>
+              )}
+            </div>
           </div>
         </div>
       </header>
@@ -104,13 +143,16 @@ function App() {
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="bg-white rounded-2xl shadow-xl min-h-[600px]">
           {activeTab === 'upload' && (
-            <DocumentUpload onNotification={showNotification} />
+            <DocumentUpload onNotification={showNotification} wallet={wallet} />
           )}
           {activeTab === 'verify' && (
-            <DocumentVerify onNotification={showNotification} />
+            <DocumentVerify onNotification={showNotification} wallet={wallet} />
           )}
           {activeTab === 'documents' && (
-            <NotarizedDocuments onNotification={showNotification} />
+            <NotarizedDocuments onNotification={showNotification} wallet={wallet} />
+          )}
+          {activeTab === 'admin' && (
+            <AdminPanel onNotification={showNotification} wallet={wallet} />
           )}
         </div>
       </main>
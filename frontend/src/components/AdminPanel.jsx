@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react';
+import { KeyRound, Crown, RefreshCw, Loader, UserPlus, UserMinus, History } from 'lucide-react';
+import axios from 'axios';
+import { getWalletErrorMessage } from '../hooks/useWallet';
+import { API_URL } from '../config';
+
+const ROLE_LABELS = {
+  admin: 'Admins',
+  notary: 'Notaries',
+  approver: 'Approvers',
+  auditor: 'Auditors',
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const isSameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const describeEvent = (event) => {
+  switch (event.event) {
+    case 'RoleGranted':
+      return `${event.role} granted to ${shortAddress(event.account)}`;
+    case 'RoleRevoked':
+      return `${event.role} revoked from ${shortAddress(event.account)}`;
+    case 'OwnershipTransferStarted':
+      return `Ownership offered to ${shortAddress(event.account)}`;
+    case 'OwnershipTransferred':
+      return `Ownership accepted by ${shortAddress(event.account)}`;
+    default:
+      return event.event;
+  }
+};
+
+// Role holders replayed from indexed RoleGranted/RoleRevoked events. Changes are sent
+// from the connected wallet, so it needs the admin role (or ownership, for admins).
+const AdminPanel = ({ onNotification, wallet }) => {
+  const [access, setAccess] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [role, setRole] = useState('notary');
+  const [account, setAccount] = useState('');
+  const [newOwner, setNewOwner] = useState('');
+
+  useEffect(() => {
+    loadRoles();
+  }, []);
+
+  const loadRoles = async () => {
+    setIsLoading(true);
+    try {
+      const response = await axios.get(`${API_URL}/api/admin/roles`);
+      setAccess(response.data.data);
+    } catch (error) {
+      console.error('Error loading roles:', error);
+      onNotification('Failed to load role holders: ' + getWalletErrorMessage(error), 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Sends one contract call from the wallet, then refreshes once the indexer has caught up
+  const runAction = async (name, call, successMessage) => {
+    if (!wallet.account) {
+      onNotification('Connect your wallet to manage roles', 'warning');
+      return;
+    }
+
+    setPendingAction(name);
+    try {
+      const contract = await wallet.getContract();
+      const tx = await call(contract);
+      await tx.wait();
+      onNotification(successMessage, 'success');
+      setTimeout(loadRoles, 2000);
+    } catch (error) {
+      console.error(`Error running ${name}:`, error);
+      onNotification(getWalletErrorMessage(error), 'error');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const changeRole = (grant) => {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(account.trim())) {
+      onNotification('Enter a valid Ethereum address', 'warning');
+      return;
+    }
+    const roleId = access.roleIds[role];
+    runAction(
+      grant ? 'grant' : 'revoke',
+      (contract) => (grant ? contract.grantRole(roleId, account.trim()) : contract.revokeRole(roleId, account.trim())),
+      `Role ${role} ${grant ? 'granted to' : 'revoked from'} ${shortAddress(account.trim())}`
+    );
+  };
+
+  const renounce = (roleName) =>
+    runAction('renounce', (contract) => contract.renounceRole(access.roleIds[roleName]), `You renounced the ${roleName} role`);
+
+  const transferOwnership = () => {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(newOwner.trim())) {
+      onNotification('Enter a valid Ethereum address', 'warning');
+      return;
+    }
+    runAction(
+      'transfer',
+      (contract) => contract.transferOwnership(newOwner.trim()),
+      `Ownership offered to ${shortAddress(newOwner.trim())}. They must accept it from their wallet.`
+    );
+  };
+
+  const acceptOwnership = () =>
+    runAction('accept', (contract) => contract.acceptOwnership(), 'You are now the contract owner');
+
+  if (!access) {
+    return (
+      <div className="p-8 flex items-center justify-center text-gray-500">
+        {isLoading ? <Loader className="h-6 w-6 animate-spin" /> : <span>Role information unavailable</span>}
+      </div>
+    );
+  }
+
+  const isOwner = isSameAddress(wallet.account, access.owner);
+  const isPendingOwner = isSameAddress(wallet.account, access.pendingOwner);
+
+  return (
+    <div className="p-8 space-y-8">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Roles & Administration</h2>
+          <p className="text-gray-600">Who can notarize, approve, audit and administer this contract</p>
+        </div>
+        <button
+          onClick={loadRoles}
+          disabled={isLoading}
+          className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      <div className="bg-gray-50 rounded-lg p-4 space-y-2">
+        <div className="flex items-center space-x-2 text-sm">
+          <Crown className="h-4 w-4 text-yellow-600" />
+          <span className="font-medium text-gray-700">Owner:</span>
+          <span className="font-mono text-gray-900 break-all">{access.owner || 'unknown'}</span>
+          {isOwner && <span className="text-xs text-green-700">(you)</span>}
+        </div>
+        {access.pendingOwner && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-medium text-gray-700">Pending owner:</span>
+            <span className="font-mono text-gray-900 break-all">{access.pendingOwner}</span>
+            {isPendingOwner && (
+              <button
+                onClick={acceptOwnership}
+                disabled={!!pendingAction}
+                className="px-3 py-1 bg-yellow-500 text-white rounded-lg text-xs font-medium hover:bg-yellow-600 disabled:opacity-50"
+              >
+                {pendingAction === 'accept' ? 'Accepting...' : 'Accept Ownership'}
+              </button>
+            )}
+          </div>
+        )}
+        <p className="text-xs text-gray-500">Indexed up to block {access.indexedBlock ?? '—'}</p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {Object.keys(ROLE_LABELS).map((roleName) => {
+          const holders = access.roles[roleName] || [];
+          return (
+            <div key={roleName} className="border border-gray-200 rounded-lg p-4">
+              <h3 className="flex items-center space-x-2 font-semibold text-gray-900 mb-3">
+                <KeyRound className="h-4 w-4 text-blue-600" />
+                <span>{ROLE_LABELS[roleName]}</span>
+                <span className="text-sm font-normal text-gray-500">({holders.length})</span>
+              </h3>
+              {holders.length === 0 ? (
+                <p className="text-sm text-gray-500">No holders</p>
+              ) : (
+                <ul className="space-y-1">
+                  {holders.map((holder) => (
+                    <li key={holder} className="flex items-center justify-between text-sm">
+                      <span className="font-mono text-xs text-gray-900 break-all">{holder}</span>
+                      {isSameAddress(wallet.account, holder) && (
+                        <button
+                          onClick={() => renounce(roleName)}
+                          disabled={!!pendingAction}
+                          className="ml-2 text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Renounce
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+        <h3 className="font-semibold text-gray-900">Grant or Revoke a Role</h3>
+        <div className="grid grid-cols-1 md:grid-cols-[160px_1fr] gap-3">
+          <select value={role} onChange={(e) => setRole(e.target.value)} className={`${inputClass} bg-white`}>
+            {Object.keys(ROLE_LABELS).map((roleName) => (
+              <option key={roleName} value={roleName}>{roleName}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={account}
+            onChange={(e) => setAccount(e.target.value)}
+            placeholder="0x..."
+            className={`${inputClass} font-mono text-sm`}
+          />
+        </div>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => changeRole(true)}
+            disabled={!!pendingAction}
+            className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+          >
+            <UserPlus className="h-4 w-4" />
+            <span>{pendingAction === 'grant' ? 'Granting...' : 'Grant'}</span>
+          </button>
+          <button
+            onClick={() => changeRole(false)}
+            disabled={!!pendingAction}
+            className="flex items-center space-x-2 px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-50 disabled:opacity-50"
+          >
+            <UserMinus className="h-4 w-4" />
+            <span>{pendingAction === 'revoke' ? 'Revoking...' : 'Revoke'}</span>
+          </button>
+        </div>
+        <p className="text-xs text-gray-500">Requires the admin role. Only the owner can grant or revoke admin.</p>
+      </div>
+
+      {isOwner && (
+        <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-4 space-y-3">
+          <h3 className="font-semibold text-gray-900">Transfer Ownership</h3>
+          <div className="flex space-x-3">
+            <input
+              type="text"
+              value={newOwner}
+              onChange={(e) => setNewOwner(e.target.value)}
+              placeholder="New owner 0x..."
+              className={`${inputClass} font-mono text-sm`}
+            />
+            <button
+              onClick={transferOwnership}
+              disabled={!!pendingAction}
+              className="px-4 py-2 bg-yellow-500 text-white rounded-lg text-sm font-medium hover:bg-yellow-600 disabled:opacity-50 whitespace-nowrap"
+            >
+              {pendingAction === 'transfer' ? 'Sending...' : 'Offer Ownership'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-600">The new owner only takes over once they accept from their own wallet.</p>
+        </div>
+      )}
+
+      <div>
+        <h3 className="flex items-center space-x-2 font-semibold text-gray-900 mb-3">
+          <History className="h-4 w-4" />
+          <span>Recent Role Changes</span>
+        </h3>
+        {access.events.length === 0 ? (
+          <p className="text-sm text-gray-500">No role changes indexed yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {[...access.events].reverse().slice(0, 20).map((event) => (
+              <li key={`${event.transactionHash}-${event.logIndex}`} className="py-2 flex items-center justify-between text-sm">
+                <span className="text-gray-900">{describeEvent(event)}</span>
+                <span className="text-xs text-gray-500">
+                  block {event.blockNumber}{event.actor && ` • by ${shortAddress(event.actor)}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminPanel;
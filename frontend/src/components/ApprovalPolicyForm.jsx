@@ -0,0 +1,77 @@
+import React from 'react';
+import { ShieldCheck } from 'lucide-react';
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Who may approve the document and how many approvals it needs. With no addresses,
+// any wallet holding the global approver role may approve.
+const ApprovalPolicyForm = ({ value, onChange }) => {
+  const approverCount = value.approvers.filter((approver) => approver.trim()).length;
+
+  const updateApprover = (index, approver) =>
+    onChange({ ...value, approvers: value.approvers.map((a, i) => (i === index ? approver : a)) });
+
+  const removeApprover = (index) =>
+    onChange({ ...value, approvers: value.approvers.filter((_, i) => i !== index), requiredApprovals: '' });
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Approvers (Optional)
+        </label>
+        <button
+          onClick={() => onChange({ ...value, approvers: [...value.approvers, ''] })}
+          className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+        >
+          + Add Approver
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {value.approvers.map((approver, index) => (
+          <div key={index} className="flex items-center space-x-2">
+            <ShieldCheck className="h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              value={approver}
+              onChange={(e) => updateApprover(index, e.target.value)}
+              placeholder="0x... (Ethereum address)"
+              className={`flex-1 ${inputClass}`}
+            />
+            {value.approvers.length > 1 && (
+              <button
+                onClick={() => removeApprover(index)}
+                className="text-red-600 hover:text-red-800 text-sm"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        {approverCount
+          ? 'Only these addresses may approve the document.'
+          : 'Leave empty to let any authorized approver approve the document.'}
+      </p>
+
+      <div className="mt-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Approvals Needed
+        </label>
+        <input
+          type="number"
+          min="1"
+          max={approverCount || undefined}
+          value={value.requiredApprovals}
+          onChange={(e) => onChange({ ...value, requiredApprovals: e.target.value })}
+          placeholder="1"
+          className={`w-24 ${inputClass}`}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalPolicyForm;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Download, Link2 } from 'lucide-react';
+import FinalityBadge from './FinalityBadge';
+import { API_URL } from '../config';
+
+// Every chain the document is notarized on, each with its own receipt
+const ChainAnchors = ({ documentHash, anchors }) => {
+  if (!anchors?.length) {
+    return null;
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Anchored on {anchors.length} chain{anchors.length > 1 ? 's' : ''}
+      </label>
+      <ul className="space-y-2">
+        {anchors.map((anchor) => (
+          <li key={anchor.chainId} className="flex flex-wrap items-center gap-x-2 text-sm">
+            <Link2 className="h-4 w-4 text-gray-400" />
+            <span className="font-medium">{anchor.network}</span>
+            <span className="text-gray-500">(chain {anchor.chainId})</span>
+            <span className="font-mono text-xs break-all">{anchor.contractAddress}</span>
+            {anchor.legacy && <span className="text-xs text-amber-700">legacy contract</span>}
+            <FinalityBadge finality={anchor.finality} compact />
+            <a
+              href={`${API_URL}/api/documents/${documentHash}/receipt?download=1&chainId=${anchor.chainId}`}
+              className="inline-flex items-center space-x-1 text-xs text-green-800 hover:underline"
+            >
+              <Download className="h-3 w-3" />
+              <span>Receipt</span>
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ChainAnchors;
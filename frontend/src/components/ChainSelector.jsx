@@ -0,0 +1,41 @@
+import React from 'react';
+import { Link2 } from 'lucide-react';
+
+// Which of the service's chains to anchor the document on. Picking more than one
+// notarizes it on each, so it stays verifiable if one chain becomes unavailable.
+const ChainSelector = ({ chains, value, onChange }) => {
+  const toggleChain = (chainId) =>
+    onChange(value.includes(chainId) ? value.filter((id) => id !== chainId) : [...value, chainId]);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Chains
+      </label>
+      <div className="space-y-2">
+        {chains.map((chain) => (
+          <label key={chain.chainId} className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={value.includes(chain.chainId)}
+              onChange={() => toggleChain(chain.chainId)}
+              className="rounded border-gray-300"
+            />
+            <Link2 className="h-4 w-4 text-gray-400" />
+            <span>
+              {chain.network} <span className="text-gray-500">(chain {chain.chainId})</span>
+              {chain.primary && <span className="ml-1 text-xs text-blue-600">primary</span>}
+            </span>
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        {value.length > 1
+          ? `The document will be anchored on all ${value.length} chains.`
+          : 'Select more than one chain to anchor the document redundantly.'}
+      </p>
+    </div>
+  );
+};
+
+export default ChainSelector;
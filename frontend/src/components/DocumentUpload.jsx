@@ -1,23 +1,59 @@
-import React, { useState, useRef } from 'react';
-import { Upload, FileText, Hash, Users, Send, Loader, CheckCircle } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
+import { Upload, FileText, Hash, Users, Send, Loader, CheckCircle, Wallet, Download } from 'lucide-react';
 import axios from 'axios';
+import { isAddress } from 'ethers';
+import { getWalletErrorMessage } from '../hooks/useWallet';
+import { useFileHasher, HASH_ALGORITHMS, DEFAULT_HASH_ALGORITHM } from '../hooks/useFileHasher';
+import { EMPTY_METADATA, toMetadataPayload } from '../utils/metadata';
+import { uploadToVault } from '../utils/vault';
+import { followJob } from '../utils/jobs';
+import { isUnfinalized, describeFinalityProgress } from '../utils/finality';
+import FileHashStatus from './FileHashStatus';
+import MetadataForm from './MetadataForm';
+import ApprovalPolicyForm from './ApprovalPolicyForm';
+import ChainSelector from './ChainSelector';
+import { API_URL } from '../config';
 
-const DocumentUpload = ({ onNotification }) => {
+const DocumentUpload = ({ onNotification, wallet }) => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [fileHash, setFileHash] = useState('');
-  const [metadata, setMetadata] = useState('');
+  const [metadata, setMetadata] = useState(EMPTY_METADATA);
+  const [hashOnlyMetadata, setHashOnlyMetadata] = useState(false);
+  const [keepEncryptedCopy, setKeepEncryptedCopy] = useState(false);
+  const [contentCid, setContentCid] = useState('');
   const [requiredSigners, setRequiredSigners] = useState(['']);
-  const [isHashing, setIsHashing] = useState(false);
+  const [signingDeadline, setSigningDeadline] = useState('');
+  const [signatureThreshold, setSignatureThreshold] = useState('');
+  const [sequentialSigning, setSequentialSigning] = useState(false);
+  const [approvalPolicy, setApprovalPolicy] = useState({ approvers: [''], requiredApprovals: '' });
+  const [hashOnServer, setHashOnServer] = useState(false);
+  const [hashAlgorithm, setHashAlgorithm] = useState(DEFAULT_HASH_ALGORITHM);
   const [isNotarizing, setIsNotarizing] = useState(false);
   const [notarized, setNotarized] = useState(false);
+  const [chains, setChains] = useState([]);
+  const [targetChainIds, setTargetChainIds] = useState([]);
   const fileInputRef = useRef(null);
+  const hasher = useFileHasher();
+
+  // Chains the service can notarize on; the primary one is picked by default
+  useEffect(() => {
+    axios.get(`${API_URL}/api/contract/config`)
+      .then((response) => {
+        const available = response.data.data.chains || [];
+        setChains(available);
+        setTargetChainIds(available.filter((chain) => chain.primary).map((chain) => chain.chainId));
+      })
+      .catch((error) => console.error('Error loading chains:', error));
+  }, []);
 
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
     if (file) {
       setSelectedFile(file);
       setFileHash('');
+      setContentCid('');
       setNotarized(false);
+      hasher.reset();
       onNotification(`Selected file: ${file.name}`, 'info');
     }
   };
@@ -28,7 +64,9 @@ const DocumentUpload = ({ onNotification }) => {
     if (file) {
       setSelectedFile(file);
       setFileHash('');
+      setContentCid('');
       setNotarized(false);
+      hasher.reset();
       onNotification(`Selected file: ${file.name}`, 'info');
     }
   };
@@ -43,60 +81,191 @@ const DocumentUpload = ({ onNotification }) => {
       return;
     }
 
-    setIsHashing(true);
-    const formData = new FormData();
-    formData.append('document', selectedFile);
-
     try {
-      const response = await axios.post('http://localhost:3000/api/documents/hash', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-      });
-
-      if (response.data.success) {
-        setFileHash(response.data.data.hash);
-        onNotification('Document hashed successfully', 'success');
-      }
+      const { hash } = await hasher.hashFile(selectedFile, { useServer: hashOnServer, algorithm: hashAlgorithm });
+      setFileHash(hash);
+      onNotification('Document hashed successfully', 'success');
     } catch (error) {
-      onNotification('Failed to hash document', 'error');
+      onNotification(
+        hashOnServer ? 'Failed to hash document' : 'Failed to hash document in the browser. You can hash it on the server instead.',
+        'error'
+      );
       console.error('Hashing error:', error);
-    } finally {
-      setIsHashing(false);
     }
   };
 
   const notarizeDocument = async () => {
-    if (!fileHash || !metadata.trim()) {
-      onNotification('Please hash the document and provide metadata', 'error');
+    if (!fileHash || !metadata.title.trim()) {
+      onNotification('Please hash the document and provide a title', 'error');
       return;
     }
 
-    setIsNotarizing(true);
-    
     // Filter out empty signer addresses
-    const validSigners = requiredSigners.filter(signer => signer.trim() !== '');
+    const validSigners = requiredSigners.filter(signer => signer.trim() !== '').map(signer => signer.trim());
+
+    const invalidSigner = validSigners.find(signer => !isAddress(signer));
+    if (invalidSigner) {
+      onNotification(`Invalid Ethereum address: ${invalidSigner}`, 'error');
+      return;
+    }
+
+    // datetime-local values are in the user's time zone
+    const deadline = signingDeadline && validSigners.length ? new Date(signingDeadline) : null;
+    if (deadline && deadline <= new Date()) {
+      onNotification('The signing deadline must be in the future', 'error');
+      return;
+    }
+
+    // Blank means every required signer must sign
+    const threshold = signatureThreshold && Number(signatureThreshold) < validSigners.length
+      ? Number(signatureThreshold)
+      : null;
+
+    const sequential = sequentialSigning && validSigners.length > 1;
+
+    const approvers = approvalPolicy.approvers.filter(approver => approver.trim() !== '').map(approver => approver.trim());
+    const invalidApprover = approvers.find(approver => !isAddress(approver));
+    if (invalidApprover) {
+      onNotification(`Invalid Ethereum address: ${invalidApprover}`, 'error');
+      return;
+    }
+
+    const requiredApprovals = approvalPolicy.requiredApprovals ? Number(approvalPolicy.requiredApprovals) : null;
+    if (requiredApprovals !== null && (!Number.isInteger(requiredApprovals) || requiredApprovals < 1 ||
+      (approvers.length && requiredApprovals > approvers.length))) {
+      onNotification('Approvals needed must be a whole number no larger than the number of approvers', 'error');
+      return;
+    }
+    const options = { threshold, deadline, sequential, approvers, requiredApprovals };
+
+    setIsNotarizing(true);
+
+    const request = {
+      metadata: { ...toMetadataPayload(metadata), hashAlgorithm },
+      metadataStorage: hashOnlyMetadata ? 'hash' : 'full',
+    };
+
+    if (keepEncryptedCopy) {
+      try {
+        request.metadata.contentCid = contentCid || await storeEncryptedCopy();
+      } catch (error) {
+        console.error('Vault upload error:', error);
+        onNotification('Failed to store encrypted copy: ' + getWalletErrorMessage(error), 'error');
+        setIsNotarizing(false);
+        return;
+      }
+    }
 
+    if (wallet.account) {
+      await notarizeWithWallet(validSigners, options, request);
+    } else {
+      await notarizeWithBackend(validSigners, options, request);
+    }
+
+    setIsNotarizing(false);
+  };
+
+  // Upload once per file: the vault must have hashed it to the same hash we are notarizing
+  const storeEncryptedCopy = async () => {
+    if (!wallet.account) {
+      throw new Error('Connect an admin or notary wallet to sign the upload');
+    }
+    onNotification('Uploading encrypted copy to the document vault...', 'info');
+    const stored = await uploadToVault(wallet, selectedFile, hashAlgorithm, fileHash);
+    if (stored.documentHash !== fileHash.toLowerCase()) {
+      throw new Error('The vault computed a different hash for this file');
+    }
+    setContentCid(stored.contentCid);
+    return stored.contentCid;
+  };
+
+  // The connected account is recorded as the notary, so it must be an authorized notary
+  const notarizeWithWallet = async (validSigners, { threshold, deadline, sequential, approvers, requiredApprovals }, request) => {
     try {
-      console.log('Sending notarization request:', {
-        documentHash: fileHash,
-        metadata: metadata.trim(),
-        requiredSigners: validSigners,
-      });
+      // The backend validates the metadata and keeps its canonical form for hash-only storage
+      const prepared = await axios.post(`${API_URL}/api/metadata`, { ...request, documentHash: fileHash });
+      const contract = await wallet.getContract();
+      const onChainMetadata = prepared.data.data.onChainMetadata;
+      const tx = threshold || deadline || sequential || approvers.length || requiredApprovals
+        ? await contract.notarizeDocumentWithOptions(fileHash, onChainMetadata, validSigners, {
+          signatureThreshold: threshold || 0,
+          signingDeadline: deadline ? Math.floor(deadline.getTime() / 1000) : 0,
+          sequentialSigning: sequential,
+          approvers,
+          requiredApprovals: requiredApprovals || 0,
+        })
+        : await contract.notarizeDocument(fileHash, onChainMetadata, validSigners);
+      onNotification('Transaction submitted, waiting for confirmation...', 'info');
+
+      const receipt = await tx.wait();
+      setNotarized(true);
+      console.log('Notarization successful:', receipt);
+      onNotification(
+        `Document notarized successfully! Transaction: ${receipt.hash.slice(0, 10)}...`, 
+        'success'
+      );
+    } catch (error) {
+      console.error('Notarization error:', error);
+      const message = getWalletErrorMessage(error);
+      const details = error.response?.data?.details;
+      if (message.includes('Not authorized notary')) {
+        onNotification('Your wallet is not an authorized notary. Ask the contract owner to add it.', 'error');
+      } else if (Array.isArray(details)) {
+        onNotification(`${message}\n\n` + details.map(d => `• ${d}`).join('\n'), 'error');
+      } else {
+        onNotification('Failed to notarize document: ' + message, 'error');
+      }
+    }
+  };
 
-      const response = await axios.post('http://localhost:3000/api/documents/notarize', {
+  const notarizeWithBackend = async (validSigners, { threshold, deadline, sequential, approvers, requiredApprovals }, request) => {
+    try {
+      const body = {
         documentHash: fileHash,
-        metadata: metadata.trim(),
+        ...request,
         requiredSigners: validSigners,
-      });
+        signatureThreshold: threshold || undefined,
+        sequentialSigning: sequential || undefined,
+        approvers: approvers.length ? approvers : undefined,
+        requiredApprovals: requiredApprovals || undefined,
+        signingDeadline: deadline ? deadline.toISOString() : undefined,
+        chainIds: targetChainIds.length ? targetChainIds : undefined,
+      };
+      console.log('Sending notarization request:', body);
+
+      const response = await axios.post(`${API_URL}/api/documents/notarize`, body);
+
+      // Not confirmed in time on some chain: follow those jobs before reporting success
+      let [primaryAnchor] = response.data.data.anchors;
+      if (response.status === 202) {
+        onNotification('Transaction submitted, waiting for confirmation...', 'info');
+        const followed = await Promise.all(response.data.data.anchors
+          .map((anchor) => (anchor.status === 'pending' ? followJob(anchor.jobId) : anchor)));
+        primaryAnchor = { ...primaryAnchor, ...followed[0] };
+      }
+      const progress = describeFinalityProgress(primaryAnchor);
+      const finalityNote = isUnfinalized(primaryAnchor.finality)
+        ? `\nNot final yet${progress ? ` (${progress})` : ''}: a chain reorganization could still undo it.`
+        : '';
 
       if (response.data.success) {
         setNotarized(true);
         console.log('Notarization successful:', response.data);
-        onNotification(
-          `Document notarized successfully! Transaction: ${response.data.data.transactionHash.slice(0, 10)}...`, 
-          'success'
-        );
+        const { anchors, failedChains } = response.data.data;
+        if (failedChains.length) {
+          onNotification(
+            `${response.data.message}. Failed on:\n` +
+              failedChains.map((failed) => `• ${failed.network}: ${failed.error}`).join('\n'),
+            'warning'
+          );
+        } else {
+          onNotification(
+            (anchors.length > 1
+              ? `Document notarized on ${anchors.map((anchor) => anchor.network).join(', ')}!`
+              : `Document notarized successfully! Transaction: ${response.data.data.transactionHash.slice(0, 10)}...`) + finalityNote,
+            'success'
+          );
+        }
       }
     } catch (error) {
       console.error('Notarization error:', error);
@@ -111,8 +280,10 @@ const DocumentUpload = ({ onNotification }) => {
           errorMessage += '\n\nSuggestions:\n' + errorData.suggestions.map(s => `• ${s}`).join('\n');
         }
         
-        // Add details if available
-        if (errorData.details) {
+        // Schema validation errors are listed field by field
+        if (Array.isArray(errorData.details)) {
+          errorMessage += '\n\n' + errorData.details.map(d => `• ${d}`).join('\n');
+        } else if (errorData.details) {
           console.log('Error details:', errorData.details);
         }
         
@@ -122,8 +293,6 @@ const DocumentUpload = ({ onNotification }) => {
       } else {
         onNotification('Failed to notarize document: ' + (error.message || 'Unknown error'), 'error');
       }
-    } finally {
-      setIsNotarizing(false);
     }
   };
 
@@ -141,9 +310,12 @@ const DocumentUpload = ({ onNotification }) => {
     if (requiredSigners.length > 1) {
       const updated = requiredSigners.filter((_, i) => i !== index);
       setRequiredSigners(updated);
+      setSignatureThreshold('');
     }
   };
 
+  const signerCount = requiredSigners.filter(signer => signer.trim()).length;
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -157,7 +329,7 @@ const DocumentUpload = ({ onNotification }) => {
       <div className="max-w-4xl mx-auto">
         <div className="text-center mb-8">
           <h2 className="text-3xl font-bold text-gray-900 mb-2">Notarize Document</h2>
-          <p className="text-gray-600">Upload and permanently record your document on the blockchain</p>
+          <p className="text-gray-600">Hash your document locally and permanently record its fingerprint on the blockchain</p>
         </div>
 
         {/* File Upload Area */}
@@ -189,7 +361,9 @@ const DocumentUpload = ({ onNotification }) => {
                     e.stopPropagation();
                     setSelectedFile(null);
                     setFileHash('');
+                    setContentCid('');
                     setNotarized(false);
+                    hasher.reset();
                   }}
                   className="text-sm text-red-600 hover:text-red-800"
                 >
@@ -221,13 +395,40 @@ const DocumentUpload = ({ onNotification }) => {
               </div>
               <button
                 onClick={hashDocument}
-                disabled={isHashing}
+                disabled={hasher.isHashing}
                 className="bg-blue-500 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
               >
-                {isHashing ? <Loader className="h-4 w-4 animate-spin" /> : <Hash className="h-4 w-4" />}
-                <span>{isHashing ? 'Hashing...' : 'Generate Hash'}</span>
+                {hasher.isHashing ? <Loader className="h-4 w-4 animate-spin" /> : <Hash className="h-4 w-4" />}
+                <span>{hasher.isHashing ? 'Hashing...' : 'Generate Hash'}</span>
               </button>
             </div>
+
+            <div className="mt-4 flex flex-wrap items-center gap-4 text-sm text-gray-700">
+              <label className="flex items-center space-x-2">
+                <span>Algorithm</span>
+                <select
+                  value={hashAlgorithm}
+                  onChange={(e) => setHashAlgorithm(e.target.value)}
+                  disabled={hasher.isHashing}
+                  className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+                >
+                  {Object.entries(HASH_ALGORITHMS).map(([id, { label }]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={hashOnServer}
+                  onChange={(e) => setHashOnServer(e.target.checked)}
+                  disabled={hasher.isHashing}
+                  className="rounded border-gray-300"
+                />
+                <span>Hash on the server instead (uploads the file)</span>
+              </label>
+            </div>
+            <FileHashStatus isHashing={hasher.isHashing} progress={hasher.progress} mode={hasher.mode} />
           </div>
         )}
 
@@ -239,6 +440,7 @@ const DocumentUpload = ({ onNotification }) => {
               <div className="flex-1">
                 <h3 className="font-medium text-gray-900 mb-2">Document Hash Generated</h3>
                 <p className="text-sm font-mono bg-white p-3 rounded border break-all">{fileHash}</p>
+                <FileHashStatus isHashing={false} progress={1} mode={hasher.mode} />
               </div>
             </div>
           </div>
@@ -249,16 +451,27 @@ const DocumentUpload = ({ onNotification }) => {
           <div className="space-y-6 mb-8">
             {/* Metadata */}
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Document Metadata *
+              <h3 className="text-sm font-medium text-gray-900 mb-3">Document Metadata</h3>
+              <MetadataForm value={metadata} onChange={setMetadata} />
+              <label className="mt-4 flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={hashOnlyMetadata}
+                  onChange={(e) => setHashOnlyMetadata(e.target.checked)}
+                  className="rounded border-gray-300"
+                />
+                <span>Record only a hash of the metadata on-chain (details stay with the notary service)</span>
+              </label>
+              <label className="mt-2 flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={keepEncryptedCopy}
+                  onChange={(e) => setKeepEncryptedCopy(e.target.checked)}
+                  disabled={notarized}
+                  className="rounded border-gray-300"
+                />
+                <span>Keep an encrypted copy in the document vault (uploads the file, signed by your admin or notary wallet; only the notary and required signers can download it)</span>
               </label>
-              <textarea
-                value={metadata}
-                onChange={(e) => setMetadata(e.target.value)}
-                placeholder="Enter document description, purpose, or any relevant information..."
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                rows={3}
-              />
             </div>
 
             {/* Required Signers */}
@@ -278,7 +491,9 @@ const DocumentUpload = ({ onNotification }) => {
               <div className="space-y-2">
                 {requiredSigners.map((signer, index) => (
                   <div key={index} className="flex items-center space-x-2">
-                    <Users className="h-4 w-4 text-gray-400" />
+                    {sequentialSigning && signerCount > 1
+                      ? <span className="w-4 text-right text-sm text-gray-500">{index + 1}.</span>
+                      : <Users className="h-4 w-4 text-gray-400" />}
                     <input
                       type="text"
                       value={signer}
@@ -297,7 +512,64 @@ const DocumentUpload = ({ onNotification }) => {
                   </div>
                 ))}
               </div>
+
+              {signerCount > 1 && (
+                <label className="mt-4 flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={sequentialSigning}
+                    onChange={(e) => setSequentialSigning(e.target.checked)}
+                    className="rounded border-gray-300"
+                  />
+                  <span>Signers must sign in the order listed (e.g. employee, then manager, then legal)</span>
+                </label>
+              )}
+
+              {signerCount > 1 && (
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Signatures Needed
+                  </label>
+                  <select
+                    value={signatureThreshold}
+                    onChange={(e) => setSignatureThreshold(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">All {signerCount} signers</option>
+                    {Array.from({ length: signerCount - 1 }, (_, i) => i + 1).map((count) => (
+                      <option key={count} value={count}>Any {count} of {signerCount}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    The document counts as signed once this many of the required signers have signed.
+                  </p>
+                </div>
+              )}
+
+              {requiredSigners.some(signer => signer.trim()) && (
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Signing Deadline (Optional)
+                  </label>
+                  <input
+                    type="datetime-local"
+                    value={signingDeadline}
+                    onChange={(e) => setSigningDeadline(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    If not enough signers have signed by then, the document can be marked as expired.
+                  </p>
+                </div>
+              )}
             </div>
+
+            <ApprovalPolicyForm value={approvalPolicy} onChange={setApprovalPolicy} />
+
+            {/* Wallet notarizations go to the chain the wallet is on, so this is for the service account */}
+            {!wallet.account && chains.length > 1 && (
+              <ChainSelector chains={chains} value={targetChainIds} onChange={setTargetChainIds} />
+            )}
           </div>
         )}
 
@@ -306,7 +578,7 @@ const DocumentUpload = ({ onNotification }) => {
           <div className="text-center">
             <button
               onClick={notarizeDocument}
-              disabled={isNotarizing || !metadata.trim() || notarized}
+              disabled={isNotarizing || !metadata.title.trim() || notarized || (chains.length > 1 && !wallet.account && !targetChainIds.length)}
               className="bg-blue-600 text-white px-8 py-3 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2 mx-auto"
             >
               {isNotarizing ? (
@@ -321,10 +593,19 @@ const DocumentUpload = ({ onNotification }) => {
               </span>
             </button>
             
+            <p className="text-sm text-gray-500 mt-2 flex items-center justify-center space-x-1">
+              <Wallet className="h-4 w-4" />
+              <span>
+                {wallet.account
+                  ? `Notarizing as ${wallet.account.slice(0, 6)}...${wallet.account.slice(-4)} from your wallet`
+                  : 'No wallet connected: the notary service account will submit this transaction'}
+              </span>
+            </p>
+
             {/* Help text when button is disabled */}
-            {!metadata.trim() && (
+            {!metadata.title.trim() && (
               <p className="text-sm text-gray-500 mt-2">
-                ⬆️ Please fill in the document metadata above to enable notarization
+                ⬆️ Please give the document a title above to enable notarization
               </p>
             )}
           </div>
@@ -337,6 +618,22 @@ const DocumentUpload = ({ onNotification }) => {
             <p className="text-green-700">
               Your document has been permanently recorded on the blockchain and can now be verified by anyone.
             </p>
+            <div className="mt-4 flex justify-center gap-3">
+              <a
+                href={`${API_URL}/api/documents/${fileHash}/receipt?download=1`}
+                className="inline-flex items-center space-x-2 px-4 py-2 bg-white border border-green-300 rounded-lg text-sm font-medium text-green-800 hover:bg-green-100"
+              >
+                <Download className="h-4 w-4" />
+                <span>Receipt (JSON)</span>
+              </a>
+              <a
+                href={`${API_URL}/api/documents/${fileHash}/receipt?format=pdf`}
+                className="inline-flex items-center space-x-2 px-4 py-2 bg-white border border-green-300 rounded-lg text-sm font-medium text-green-800 hover:bg-green-100"
+              >
+                <Download className="h-4 w-4" />
+                <span>Certificate (PDF)</span>
+              </a>
+            </div>
           </div>
         )}
       </div>
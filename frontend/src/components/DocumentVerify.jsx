@@ -1,23 +1,53 @@
-import React, { useState, useRef } from 'react';
-import { Search, FileText, Hash, CheckCircle, XCircle, Clock, User, Loader, Upload, Edit } from 'lucide-react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Search, FileText, Hash, CheckCircle, XCircle, Clock, User, Loader, Upload, Edit, Wallet, Download, Ban, Archive } from 'lucide-react';
 import axios from 'axios';
+import { getWalletErrorMessage } from '../hooks/useWallet';
+import { useFileHasher, HASH_ALGORITHMS, DEFAULT_HASH_ALGORITHM } from '../hooks/useFileHasher';
+import FileHashStatus from './FileHashStatus';
+import MetadataFields from './MetadataFields';
+import VaultDownload from './VaultDownload';
+import SigningDeadline from './SigningDeadline';
+import SignatureProgress from './SignatureProgress';
+import SigningPipeline from './SigningPipeline';
+import RevocationNotice from './RevocationNotice';
+import ChainAnchors from './ChainAnchors';
+import LiveIndicator from './LiveIndicator';
+import FinalityBadge from './FinalityBadge';
+import { settleResponse } from '../utils/jobs';
+import { useDocumentEvents } from '../hooks/useDocumentEvents';
+import StatusDiagram from './StatusDiagram';
+import { getStatusInfo, canTransition } from '../utils/status';
+import { isUnfinalized } from '../utils/finality';
+import { API_URL } from '../config';
 
-const DocumentVerify = ({ onNotification }) => {
+const FINALITY_POLL_INTERVAL_MS = 15000;
+
+const DocumentVerify = ({ onNotification, wallet }) => {
   const [verificationMethod, setVerificationMethod] = useState('hash'); // 'hash' or 'file'
   const [documentHash, setDocumentHash] = useState('');
   const [selectedFile, setSelectedFile] = useState(null);
   const [verificationResult, setVerificationResult] = useState(null);
   const [isVerifying, setIsVerifying] = useState(false);
-  const [isHashing, setIsHashing] = useState(false);
+  const [hashOnServer, setHashOnServer] = useState(false);
+  const [hashAlgorithm, setHashAlgorithm] = useState(DEFAULT_HASH_ALGORITHM);
   const [isApproving, setIsApproving] = useState(false);
   const [isSigning, setIsSigning] = useState(false);
+  const [isRejecting, setIsRejecting] = useState(false);
+  const [isExpiring, setIsExpiring] = useState(false);
+  const [rejectReason, setRejectReason] = useState('');
+  const [isRevoking, setIsRevoking] = useState(false);
+  const [isArchiving, setIsArchiving] = useState(false);
+  const [revokeReason, setRevokeReason] = useState('');
+  const [useGasless, setUseGasless] = useState(false);
   const fileInputRef = useRef(null);
+  const hasher = useFileHasher();
 
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
     if (file) {
       setSelectedFile(file);
       setVerificationResult(null);
+      hasher.reset();
       onNotification(`Selected file: ${file.name}`, 'info');
     }
   };
@@ -28,29 +58,18 @@ const DocumentVerify = ({ onNotification }) => {
       return;
     }
 
-    setIsHashing(true);
-    const formData = new FormData();
-    formData.append('document', selectedFile);
-
     try {
-      const response = await axios.post('http://localhost:3000/api/documents/hash', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-      });
-
-      if (response.data.success) {
-        const hash = response.data.data.hash;
-        setDocumentHash(hash);
-        onNotification('File hashed successfully', 'success');
-        // Automatically verify after hashing
-        verifyDocument(hash);
-      }
+      const { hash } = await hasher.hashFile(selectedFile, { useServer: hashOnServer, algorithm: hashAlgorithm });
+      setDocumentHash(hash);
+      onNotification('File hashed successfully', 'success');
+      // Automatically verify after hashing
+      verifyDocument(hash);
     } catch (error) {
-      onNotification('Failed to hash file', 'error');
+      onNotification(
+        hashOnServer ? 'Failed to hash file' : 'Failed to hash file in the browser. You can hash it on the server instead.',
+        'error'
+      );
       console.error('Hashing error:', error);
-    } finally {
-      setIsHashing(false);
     }
   };
 
@@ -65,7 +84,7 @@ const DocumentVerify = ({ onNotification }) => {
 
     try {
       console.log('🔍 Verifying document with hash:', hashToVerify);
-      const response = await axios.get(`http://localhost:3000/api/documents/${hashToVerify}/verify`);
+      const response = await axios.get(`${API_URL}/api/documents/${hashToVerify}/verify`);
       
       if (response.data.success) {
         setVerificationResult(response.data.data);
@@ -92,21 +111,59 @@ const DocumentVerify = ({ onNotification }) => {
     }
   };
 
+  // Reload after a pushed update without clearing the result on screen; ignored if another
+  // document was verified in the meantime
+  const applyLiveUpdate = useCallback(async (hash) => {
+    try {
+      const response = await axios.get(`${API_URL}/api/documents/${hash}/verify`);
+      if (response.data.success) {
+        setVerificationResult((current) =>
+          current?.documentHash?.toLowerCase() === hash.toLowerCase() ? response.data.data : current
+        );
+      }
+    } catch (error) {
+      console.error('Live refresh error:', error);
+    }
+  }, []);
+
+  // Live updates come from the primary chain's indexer, so follow documents anchored there
+  const liveHash = verificationResult?.exists && verificationResult.anchors?.[0]?.primary
+    ? verificationResult.documentHash
+    : null;
+  const isLive = useDocumentEvents(
+    liveHash ? [liveHash] : null,
+    () => applyLiveUpdate(liveHash),
+    { enabled: !!liveHash }
+  );
+
+  // Blocks piling up on top move a document towards finality without any event about it,
+  // so an unfinalized result is checked again until it is final
+  const finality = verificationResult?.exists ? verificationResult.finality : null;
+  useEffect(() => {
+    if (!liveHash || !isUnfinalized(finality)) return;
+    const timer = setInterval(() => applyLiveUpdate(liveHash), FINALITY_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [liveHash, finality, applyLiveUpdate]);
+
+  // The API returns ISO timestamps
   const formatDate = (timestamp) => {
-    return new Date(parseInt(timestamp) * 1000).toLocaleString();
+    return new Date(timestamp).toLocaleString();
   };
 
+  // On sequential documents, someone other than the connected wallet is next to sign
+  const isOutOfTurn = !!(
+    wallet.account &&
+    verificationResult?.nextSigner &&
+    verificationResult.nextSigner.toLowerCase() !== wallet.account.toLowerCase()
+  );
+
   const getStatusBadge = (status) => {
-    const statusMap = {
-      0: { label: 'Pending', color: 'bg-yellow-100 text-yellow-800' },
-      1: { label: 'Approved', color: 'bg-green-100 text-green-800' },
-      2: { label: 'Rejected', color: 'bg-red-100 text-red-800' },
-    };
-    
-    const statusInfo = statusMap[status] || { label: 'Unknown', color: 'bg-gray-100 text-gray-800' };
+    const statusInfo = getStatusInfo(status);
+    const StatusIcon = statusInfo.icon;
     
     return (
-      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusInfo.color}`}>
+      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${statusInfo.color}`}>
+        <StatusIcon className={`h-3 w-3 mr-1 ${statusInfo.iconColor}`} />
         {statusInfo.label}
       </span>
     );
@@ -120,22 +177,67 @@ const DocumentVerify = ({ onNotification }) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
+  // Sign/approve/reject are sent from the user's own wallet so the contract sees the real msg.sender.
+  // In gasless mode the wallet only signs EIP-712 typed data and the backend relayer pays gas.
+  const sendWalletTransaction = async (action, hash, reason) => {
+    if (!wallet.account) {
+      onNotification('Connect your wallet to sign, approve or reject documents', 'warning');
+      return false;
+    }
+
+    if (useGasless) {
+      const params = { action, account: wallet.account };
+      if (reason) params.reason = reason;
+      const response = await axios.get(`${API_URL}/api/documents/${hash}/typed-data`, { params });
+      const typedData = response.data.data;
+
+      const signature = await wallet.signTypedData(typedData);
+      onNotification('Signature created, relaying transaction...', 'info');
+
+      await settleResponse(await axios.post(`${API_URL}/api/documents/${hash}/relay`, {
+        action,
+        account: wallet.account,
+        deadline: typedData.message.deadline,
+        reason,
+        signature,
+      }));
+    } else {
+      const contract = await wallet.getContract();
+      const tx = action === 'sign'
+        ? await contract.signDocument(hash)
+        : action === 'approve'
+          ? await contract.approveDocument(hash)
+          : await contract.rejectDocument(hash, reason);
+      onNotification('Transaction submitted, waiting for confirmation...', 'info');
+      await tx.wait();
+    }
+
+    // Refresh verification to show updated counts and status
+    verifyDocument(hash);
+    return true;
+  };
+
   const approveDocument = async (hash) => {
     setIsApproving(true);
     try {
       console.log('👍 Approving document:', hash);
-      const response = await axios.post(`http://localhost:3000/api/documents/${hash}/approve`);
-      if (response.data.success) {
+      if (await sendWalletTransaction('approve', hash)) {
         onNotification('Document approved successfully! 🎉', 'success');
-        // Refresh verification to show updated approval count
-        verifyDocument(hash);
       }
     } catch (error) {
       console.error('Approval error:', error);
-      if (error.response && error.response.data) {
-        onNotification(error.response.data.error || 'Failed to approve document', 'error');
+      const errorMsg = getWalletErrorMessage(error);
+      if (errorMsg.includes('Already approved')) {
+        onNotification('You have already approved this document.', 'warning');
+      } else if (errorMsg.includes('Not authorized approver')) {
+        onNotification(
+          verificationResult?.approvers?.length
+            ? 'You are not on the approver list for this document.'
+            : 'You do not have the approver role. Ask the contract owner to add you as an approver.',
+          'warning'
+        );
       } else {
-        onNotification('Failed to approve document', 'error');
+        onNotification('Failed to approve document: ' + errorMsg, 'error');
       }
     } finally {
       setIsApproving(false);
@@ -146,29 +248,130 @@ const DocumentVerify = ({ onNotification }) => {
     setIsSigning(true);
     try {
       console.log('✍️ Signing document:', hash);
-      const response = await axios.post(`http://localhost:3000/api/documents/${hash}/sign`);
-      if (response.data.success) {
+      if (await sendWalletTransaction('sign', hash)) {
         onNotification('Document signed successfully! 🎉', 'success');
-        // Refresh verification to show updated signature count
-        verifyDocument(hash);
       }
     } catch (error) {
       console.error('Signing error:', error);
-      if (error.response && error.response.data) {
-        const errorMsg = error.response.data.error || 'Failed to sign document';
-        if (errorMsg.includes('Not a required signer')) {
-          onNotification('You are not authorized to sign this document. Only required signers can sign.', 'warning');
-        } else {
-          onNotification(errorMsg, 'error');
-        }
+      const errorMsg = getWalletErrorMessage(error);
+      if (errorMsg.includes('Not a required signer')) {
+        onNotification('You are not authorized to sign this document. Only required signers can sign.', 'warning');
+      } else if (errorMsg.includes('Already signed')) {
+        onNotification('You have already signed this document.', 'warning');
       } else {
-        onNotification('Failed to sign document', 'error');
+        onNotification('Failed to sign document: ' + errorMsg, 'error');
       }
     } finally {
       setIsSigning(false);
     }
   };
 
+  const rejectDocument = async (hash) => {
+    if (!rejectReason.trim()) {
+      onNotification('Please provide a rejection reason', 'error');
+      return;
+    }
+
+    setIsRejecting(true);
+    try {
+      console.log('🚫 Rejecting document:', hash);
+      if (await sendWalletTransaction('reject', hash, rejectReason.trim())) {
+        setRejectReason('');
+        onNotification('Document rejected', 'success');
+      }
+    } catch (error) {
+      console.error('Rejection error:', error);
+      const errorMsg = getWalletErrorMessage(error);
+      if (errorMsg.includes('Not a required signer')) {
+        onNotification('Only required signers can reject this document.', 'warning');
+      } else {
+        onNotification('Failed to reject document: ' + errorMsg, 'error');
+      }
+    } finally {
+      setIsRejecting(false);
+    }
+  };
+
+  // Anyone can expire a pending document once its signing deadline has passed
+  const expireDocument = async (hash) => {
+    setIsExpiring(true);
+    try {
+      if (wallet.account) {
+        const contract = await wallet.getContract();
+        const tx = await contract.expireDocument(hash);
+        onNotification('Transaction submitted, waiting for confirmation...', 'info');
+        await tx.wait();
+      } else {
+        await settleResponse(await axios.post(`${API_URL}/api/documents/${hash}/expire`));
+      }
+      onNotification('Document marked as expired', 'success');
+      verifyDocument(hash);
+    } catch (error) {
+      console.error('Expiry error:', error);
+      onNotification('Failed to expire document: ' + getWalletErrorMessage(error), 'error');
+    } finally {
+      setIsExpiring(false);
+    }
+  };
+
+  // Revoking and archiving are open to the document's notary and admins, so they need
+  // that account's connected wallet.
+  const sendLifecycleTransaction = async (action, hash, reason) => {
+    if (!wallet.account) {
+      throw new Error(`Connect the notary's or an admin's wallet to ${action} this document`);
+    }
+    const contract = await wallet.getContract();
+    const tx = action === 'revoke'
+      ? await contract.revokeDocument(hash, reason)
+      : await contract.archiveDocument(hash);
+    onNotification('Transaction submitted, waiting for confirmation...', 'info');
+    await tx.wait();
+    verifyDocument(hash);
+  };
+
+  const revokeDocument = async (hash) => {
+    if (!revokeReason.trim()) {
+      onNotification('Please provide a revocation reason', 'error');
+      return;
+    }
+
+    setIsRevoking(true);
+    try {
+      console.log('⛔ Revoking document:', hash);
+      await sendLifecycleTransaction('revoke', hash, revokeReason.trim());
+      setRevokeReason('');
+      onNotification('Document revoked', 'success');
+    } catch (error) {
+      console.error('Revocation error:', error);
+      const errorMsg = getWalletErrorMessage(error);
+      if (errorMsg.includes('Not authorized to revoke')) {
+        onNotification('Only the notary who notarized this document or an admin can revoke it.', 'warning');
+      } else {
+        onNotification('Failed to revoke document: ' + errorMsg, 'error');
+      }
+    } finally {
+      setIsRevoking(false);
+    }
+  };
+
+  const archiveDocument = async (hash) => {
+    setIsArchiving(true);
+    try {
+      await sendLifecycleTransaction('archive', hash);
+      onNotification('Document archived', 'success');
+    } catch (error) {
+      console.error('Archive error:', error);
+      const errorMsg = getWalletErrorMessage(error);
+      if (errorMsg.includes('Not authorized to archive')) {
+        onNotification('Only the notary who notarized this document or an admin can archive it.', 'warning');
+      } else {
+        onNotification('Failed to archive document: ' + errorMsg, 'error');
+      }
+    } finally {
+      setIsArchiving(false);
+    }
+  };
+
   const refreshVerification = async () => {
     if (documentHash) {
       verifyDocument(documentHash);
@@ -272,12 +475,15 @@ const DocumentVerify = ({ onNotification }) => {
                   </div>
                   <div className="flex justify-center space-x-4">
                     <button
-                      onClick={hashFileForVerification}
-                      disabled={isHashing}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        hashFileForVerification();
+                      }}
+                      disabled={hasher.isHashing}
                       className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
                     >
-                      {isHashing ? <Loader className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
-                      <span>{isHashing ? 'Verifying...' : 'Verify File'}</span>
+                      {hasher.isHashing ? <Loader className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+                      <span>{hasher.isHashing ? 'Hashing...' : 'Verify File'}</span>
                     </button>
                     <button
                       onClick={(e) => {
@@ -285,6 +491,7 @@ const DocumentVerify = ({ onNotification }) => {
                         setSelectedFile(null);
                         setDocumentHash('');
                         setVerificationResult(null);
+                        hasher.reset();
                       }}
                       className="text-red-600 hover:text-red-800 text-sm"
                     >
@@ -302,6 +509,32 @@ const DocumentVerify = ({ onNotification }) => {
                 </div>
               )}
             </div>
+
+            <div className="mt-3 flex flex-wrap items-center gap-4 text-sm text-gray-700">
+              <label className="flex items-center space-x-2">
+                <span>Algorithm</span>
+                <select
+                  value={hashAlgorithm}
+                  onChange={(e) => setHashAlgorithm(e.target.value)}
+                  disabled={hasher.isHashing}
+                  className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+                >
+                  {Object.entries(HASH_ALGORITHMS).map(([id, { label }]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={hashOnServer}
+                  onChange={(e) => setHashOnServer(e.target.checked)}
+                  className="rounded border-gray-300"
+                />
+                <span>Hash on the server instead (uploads the file)</span>
+              </label>
+            </div>
+            <FileHashStatus isHashing={hasher.isHashing} progress={hasher.progress} mode={hasher.mode} />
           </div>
         )}
 
@@ -312,12 +545,28 @@ const DocumentVerify = ({ onNotification }) => {
               <div className="bg-green-50 rounded-lg p-6 border border-green-200">
                 <div className="flex items-start space-x-3 mb-4">
                   <CheckCircle className="h-6 w-6 text-green-500 mt-0.5" />
-                  <div>
+                  <div className="flex-1">
                     <h3 className="text-lg font-medium text-green-900">Document Verified ✓</h3>
                     <p className="text-green-700 text-sm">This document has been notarized on the blockchain</p>
+                    {isUnfinalized(verificationResult.finality) && (
+                      <p className="text-amber-800 text-xs mt-1">
+                        Not final yet: a chain reorganization could still undo the latest change to this document.
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex flex-col items-end gap-1">
+                    <FinalityBadge
+                      finality={verificationResult.finality}
+                      confirmations={verificationResult.confirmations}
+                      requiredConfirmations={verificationResult.anchors?.[0]?.requiredConfirmations}
+                      finalityDepth={verificationResult.anchors?.[0]?.finalityDepth}
+                    />
+                    {liveHash && <LiveIndicator isLive={isLive} />}
                   </div>
                 </div>
 
+                <RevocationNotice revocation={verificationResult.revocation} />
+
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
                   <div className="space-y-4">
                     <div>
@@ -325,7 +574,20 @@ const DocumentVerify = ({ onNotification }) => {
                       <p className="text-sm font-mono bg-white p-2 rounded border break-all">
                         {documentHash || 'N/A'}
                       </p>
+                      {verificationResult.hashAlgorithm && (
+                        <p className="text-xs text-gray-600 mt-1">
+                          Algorithm: {HASH_ALGORITHMS[verificationResult.hashAlgorithm]?.label || verificationResult.hashAlgorithm}
+                        </p>
+                      )}
                     </div>
+
+                    <MetadataFields metadata={verificationResult.metadata} />
+                    <VaultDownload
+                      documentHash={verificationResult.documentHash}
+                      contentCid={verificationResult.metadata?.contentCid}
+                      wallet={wallet}
+                      onNotification={onNotification}
+                    />
                     
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">Notarized By</label>
@@ -343,63 +605,245 @@ const DocumentVerify = ({ onNotification }) => {
                         <Clock className="h-4 w-4 text-gray-400" />
                         <p className="text-sm">{formatDate(verificationResult.timestamp)}</p>
                       </div>
+                      {verificationResult.importedFrom && (
+                        <p className="text-xs text-gray-600 mt-1">
+                          Migrated from contract <span className="font-mono">{verificationResult.importedFrom}</span>, original timestamp kept
+                        </p>
+                      )}
+                      {verificationResult.legacy && (
+                        <p className="text-xs text-amber-700 mt-1">
+                          Read from legacy contract <span className="font-mono">{verificationResult.contractAddress}</span>
+                        </p>
+                      )}
+                      {verificationResult.anchors?.length === 1 && !verificationResult.anchors[0].primary && (
+                        <p className="text-xs text-gray-600 mt-1">
+                          Notarized on {verificationResult.network} (chain {verificationResult.chainId})
+                        </p>
+                      )}
                     </div>
                   </div>
 
-                  <div className="space-y-4">
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
-                      {getStatusBadge(verificationResult.status)}
-                    </div>
+                  {verificationResult.anchorType === 'batch' ? (
+                    <div className="space-y-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                          Batch Anchored
+                        </span>
+                      </div>
 
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">Signatures</label>
-                      <p className="text-sm">{verificationResult.signerCount} signature(s)</p>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Merkle Root</label>
+                        <p className="text-sm font-mono bg-white p-2 rounded border break-all">
+                          {verificationResult.batch.merkleRoot}
+                        </p>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Batch</label>
+                        <p className="text-sm">
+                          {verificationResult.batch.documentCount} document(s) in block {verificationResult.batch.blockNumber}
+                        </p>
+                      </div>
                     </div>
+                  ) : (
+                    <div className="space-y-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                        {getStatusBadge(verificationResult.status)}
+                      </div>
 
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">Approvals</label>
-                      <p className="text-sm">{verificationResult.approverCount} approval(s)</p>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Signatures</label>
+                        <SignatureProgress
+                          signerCount={verificationResult.signerCount}
+                          threshold={verificationResult.signatureThreshold}
+                          requiredCount={verificationResult.requiredSigners?.length}
+                        />
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Approvals</label>
+                        <p className="text-sm">
+                          {verificationResult.requiredApprovals
+                            ? `${verificationResult.approverCount} of ${verificationResult.requiredApprovals} needed`
+                            : `${verificationResult.approverCount} approval(s)`}
+                        </p>
+                        {verificationResult.approvers?.length > 0 && (
+                          <ul className="mt-1 space-y-1">
+                            {verificationResult.approvers.map((approver) => (
+                              <li key={approver} className="flex items-center space-x-1 text-xs text-gray-600">
+                                <User className="h-3 w-3" />
+                                <span className="font-mono break-all">{approver}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+
+                      <SigningDeadline deadline={verificationResult.signingDeadline} status={verificationResult.status} />
                     </div>
-                  </div>
+                  )}
                 </div>
 
-                {/* Action Buttons */}
-                <div className="mt-6 pt-6 border-t border-green-200">
-                  <h4 className="text-sm font-medium text-gray-900 mb-3">Document Actions</h4>
-                  <div className="flex flex-wrap gap-3">
-                    <button
-                      onClick={() => approveDocument(documentHash)}
-                      disabled={isApproving}
-                      className="bg-green-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
-                    >
-                      {isApproving ? <Loader className="h-4 w-4 animate-spin" /> : <CheckCircle className="h-4 w-4" />}
-                      <span>{isApproving ? 'Approving...' : 'Approve Document'}</span>
-                    </button>
+                {verificationResult.anchorType === 'document' && (
+                  <div className="mt-6">
+                    <StatusDiagram status={verificationResult.status} />
+                  </div>
+                )}
+
+                {verificationResult.signingPipeline?.length > 0 && (
+                  <div className="mt-6">
+                    <SigningPipeline
+                      signers={verificationResult.signingPipeline}
+                      sequential={verificationResult.sequentialSigning}
+                      nextSigner={verificationResult.nextSigner}
+                    />
+                  </div>
+                )}
+
+                {verificationResult.anchors?.length > 1 && (
+                  <div className="mt-6">
+                    <ChainAnchors documentHash={verificationResult.documentHash} anchors={verificationResult.anchors} />
+                  </div>
+                )}
+
+                {/* Action Buttons (legacy records and records only on other chains are read-only) */}
+                {verificationResult.anchorType === 'document' && !verificationResult.legacy && verificationResult.anchors?.[0]?.primary && (
+                  <div className="mt-6 pt-6 border-t border-green-200">
+                    <h4 className="text-sm font-medium text-gray-900 mb-3">Document Actions</h4>
+                    <div className="flex flex-wrap gap-3">
+                      <button
+                        onClick={() => approveDocument(documentHash)}
+                        disabled={isApproving}
+                        className="bg-green-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                      >
+                        {isApproving ? <Loader className="h-4 w-4 animate-spin" /> : <CheckCircle className="h-4 w-4" />}
+                        <span>{isApproving ? 'Approving...' : 'Approve Document'}</span>
+                      </button>
                     
-                    <button
-                      onClick={() => signDocument(documentHash)}
-                      disabled={isSigning}
-                      className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
-                    >
-                      {isSigning ? <Loader className="h-4 w-4 animate-spin" /> : <Edit className="h-4 w-4" />}
-                      <span>{isSigning ? 'Signing...' : 'Sign Document'}</span>
-                    </button>
+                      <button
+                        onClick={() => signDocument(documentHash)}
+                        disabled={isSigning}
+                        className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                      >
+                        {isSigning ? <Loader className="h-4 w-4 animate-spin" /> : <Edit className="h-4 w-4" />}
+                        <span>{isSigning ? 'Signing...' : 'Sign Document'}</span>
+                      </button>
                     
-                    <button
-                      onClick={() => refreshVerification()}
-                      disabled={isVerifying}
-                      className="bg-gray-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
-                    >
-                      {isVerifying ? <Loader className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
-                      <span>Refresh Status</span>
-                    </button>
-                  </div>
+                      {verificationResult.signingDeadline?.expirable && (
+                        <button
+                          onClick={() => expireDocument(documentHash)}
+                          disabled={isExpiring}
+                          className="bg-orange-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-orange-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                        >
+                          {isExpiring ? <Loader className="h-4 w-4 animate-spin" /> : <Clock className="h-4 w-4" />}
+                          <span>{isExpiring ? 'Expiring...' : 'Mark as Expired'}</span>
+                        </button>
+                      )}
+
+                      {canTransition(verificationResult.status, 'archive') && (
+                        <button
+                          onClick={() => archiveDocument(documentHash)}
+                          disabled={isArchiving}
+                          className="bg-gray-500 text-white px-4 py-2 rounded-lg font-medium hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                        >
+                          {isArchiving ? <Loader className="h-4 w-4 animate-spin" /> : <Archive className="h-4 w-4" />}
+                          <span>{isArchiving ? 'Archiving...' : 'Archive'}</span>
+                        </button>
+                      )}
+
+                      <button
+                        onClick={() => refreshVerification()}
+                        disabled={isVerifying}
+                        className="bg-gray-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                      >
+                        {isVerifying ? <Loader className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+                        <span>Refresh Status</span>
+                      </button>
+                    </div>
+
+                    {isOutOfTurn && (
+                      <p className="mt-2 text-xs text-gray-600">
+                        Signers sign in order. Waiting for {verificationResult.nextSigner} to sign first.
+                      </p>
+                    )}
                   
-                  <p className="text-xs text-gray-600 mt-2">
-                    💡 Approve to endorse this document or sign if you're a required signer
-                  </p>
-                </div>
+                    <div className="mt-4 flex space-x-3">
+                      <input
+                        type="text"
+                        value={rejectReason}
+                        onChange={(e) => setRejectReason(e.target.value)}
+                        placeholder="Reason for rejection"
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                      />
+                      <button
+                        onClick={() => rejectDocument(documentHash)}
+                        disabled={isRejecting || !rejectReason.trim()}
+                        className="bg-red-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                      >
+                        {isRejecting ? <Loader className="h-4 w-4 animate-spin" /> : <XCircle className="h-4 w-4" />}
+                        <span>{isRejecting ? 'Rejecting...' : 'Reject'}</span>
+                      </button>
+                    </div>
+
+                    {canTransition(verificationResult.status, 'revoke') && (
+                      <div className="mt-3 flex space-x-3">
+                        <input
+                          type="text"
+                          value={revokeReason}
+                          onChange={(e) => setRevokeReason(e.target.value)}
+                          placeholder="Reason for revocation (notary or admin only)"
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                        />
+                        <button
+                          onClick={() => revokeDocument(documentHash)}
+                          disabled={isRevoking || !revokeReason.trim()}
+                          className="bg-red-800 text-white px-4 py-2 rounded-lg font-medium hover:bg-red-900 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                        >
+                          {isRevoking ? <Loader className="h-4 w-4 animate-spin" /> : <Ban className="h-4 w-4" />}
+                          <span>{isRevoking ? 'Revoking...' : 'Revoke'}</span>
+                        </button>
+                      </div>
+                    )}
+
+                    <label className="mt-4 flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={useGasless}
+                        onChange={(e) => setUseGasless(e.target.checked)}
+                        className="rounded border-gray-300"
+                      />
+                      <span>Gasless: sign off-chain and let the notary service pay the gas fee</span>
+                    </label>
+
+                    <p className="text-xs text-gray-600 mt-2 flex items-center space-x-1">
+                      <Wallet className="h-3 w-3" />
+                      <span>
+                        {wallet.account
+                          ? `Actions are signed by your wallet ${wallet.account.slice(0, 6)}...${wallet.account.slice(-4)}`
+                          : 'Connect your wallet to approve, sign (if you are a required signer) or reject'}
+                      </span>
+                    </p>
+
+                    <div className="mt-4 flex flex-wrap gap-3">
+                      <a
+                        href={`${API_URL}/api/documents/${verificationResult.documentHash}/receipt?download=1`}
+                        className="inline-flex items-center space-x-2 px-3 py-2 bg-white border border-green-300 rounded-lg text-sm font-medium text-green-800 hover:bg-green-100"
+                      >
+                        <Download className="h-4 w-4" />
+                        <span>Download Receipt (JSON)</span>
+                      </a>
+                      <a
+                        href={`${API_URL}/api/documents/${verificationResult.documentHash}/receipt?format=pdf`}
+                        className="inline-flex items-center space-x-2 px-3 py-2 bg-white border border-green-300 rounded-lg text-sm font-medium text-green-800 hover:bg-green-100"
+                      >
+                        <Download className="h-4 w-4" />
+                        <span>Download Certificate (PDF)</span>
+                      </a>
+                    </div>
+                  </div>
+                )}
               </div>
             ) : (
               <div className="bg-red-50 rounded-lg p-6 border border-red-200">
@@ -415,6 +859,11 @@ const DocumentVerify = ({ onNotification }) => {
                         <strong>Searched Hash:</strong> <br />
                         <span className="font-mono">{documentHash}</span>
                       </p>
+                      {verificationMethod === 'file' && (
+                        <p className="text-sm text-red-600 mt-2">
+                          Hashed with {HASH_ALGORITHMS[hashAlgorithm].label}. If the document was notarized with a different algorithm, select it and verify again.
+                        </p>
+                      )}
                     </div>
                   </div>
                 </div>
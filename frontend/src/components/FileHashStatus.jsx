@@ -0,0 +1,36 @@
+import React from 'react';
+import { Lock, Upload } from 'lucide-react';
+import { HASH_MODE_LABELS } from '../hooks/useFileHasher';
+
+// Progress bar while a file is being hashed, then which hashing mode was used
+const FileHashStatus = ({ isHashing, progress, mode }) => {
+  if (isHashing) {
+    return (
+      <div className="mt-4">
+        <div className="flex justify-between text-xs text-gray-600 mb-1">
+          <span>Hashing...</span>
+          <span>{Math.round(progress * 100)}%</span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div
+            className="bg-blue-500 h-2 rounded-full transition-all"
+            style={{ width: `${Math.round(progress * 100)}%` }}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (!mode) {
+    return null;
+  }
+
+  return (
+    <p className="mt-2 text-xs text-gray-600 flex items-center space-x-1">
+      {mode === 'server' ? <Upload className="h-3 w-3" /> : <Lock className="h-3 w-3" />}
+      <span>{HASH_MODE_LABELS[mode]}</span>
+    </p>
+  );
+};
+
+export default FileHashStatus;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { getFinalityInfo, describeFinalityProgress } from '../utils/finality';
+
+// Pending, confirmed or finalized, with how far along it is. `compact` leaves out the
+// progress, for lists; finalized records need no badge there.
+const FinalityBadge = ({ finality, confirmations, requiredConfirmations, finalityDepth, compact = false }) => {
+  const info = getFinalityInfo(finality);
+  if (!info || (compact && finality === 'finalized')) {
+    return null;
+  }
+
+  const FinalityIcon = info.icon;
+  const progress = describeFinalityProgress({ finality, confirmations, requiredConfirmations, finalityDepth });
+
+  return (
+    <span
+      className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${info.color}`}
+      title={finality === 'finalized' ? 'Deep enough that a chain reorganization cannot undo it' : 'A chain reorganization could still undo this'}
+    >
+      <FinalityIcon className={`h-3 w-3 mr-1 ${info.iconColor}`} />
+      {info.label}
+      {!compact && progress && <span className="ml-1 font-normal">· {progress}</span>}
+    </span>
+  );
+};
+
+export default FinalityBadge;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { Radio } from 'lucide-react';
+
+// Shows whether live document updates are streaming in
+const LiveIndicator = ({ isLive }) => (
+  <span
+    className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${
+      isLive ? 'bg-green-50 text-green-800 border-green-200' : 'bg-gray-50 text-gray-600 border-gray-200'
+    }`}
+    title={isLive ? 'Signatures, approvals and status update as they happen' : 'Not receiving live updates, use Refresh'}
+  >
+    <Radio className={`h-3 w-3 mr-1 ${isLive ? 'text-green-500 animate-pulse' : 'text-gray-400'}`} />
+    {isLive ? 'Live' : 'Offline'}
+  </span>
+);
+
+export default LiveIndicator;
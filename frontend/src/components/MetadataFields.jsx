@@ -0,0 +1,101 @@
+import React from 'react';
+import { Lock, Tag, Link as LinkIcon, Users } from 'lucide-react';
+import { getDocumentTypeLabel } from '../utils/metadata';
+
+const Field = ({ label, children }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+    <div className="text-sm text-gray-900">{children}</div>
+  </div>
+);
+
+// Renders decoded notarization metadata as individual fields
+const MetadataFields = ({ metadata }) => {
+  if (!metadata) {
+    return null;
+  }
+
+  if (metadata.storage === 'hash' && !metadata.available) {
+    return (
+      <Field label="Metadata">
+        <p className="flex items-center space-x-1 text-gray-600">
+          <Lock className="h-4 w-4" />
+          <span>Only the metadata hash was recorded on-chain, and the details are not held by this service.</span>
+        </p>
+        <p className="font-mono text-xs break-all mt-1">{metadata.metadataHash}</p>
+      </Field>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <Field label="Title">
+        <span className="font-medium">{metadata.title}</span>
+        {metadata.storage === 'hash' && (
+          <span className="ml-2 inline-flex items-center space-x-1 text-xs text-gray-600">
+            <Lock className="h-3 w-3" />
+            <span>hash-only on-chain</span>
+          </span>
+        )}
+      </Field>
+
+      {(metadata.documentType || metadata.jurisdiction || metadata.expiresAt) && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          {metadata.documentType && <Field label="Type">{getDocumentTypeLabel(metadata.documentType)}</Field>}
+          {metadata.jurisdiction && <Field label="Jurisdiction">{metadata.jurisdiction}</Field>}
+          {metadata.expiresAt && <Field label="Expires">{metadata.expiresAt}</Field>}
+        </div>
+      )}
+
+      {metadata.description && <Field label="Description">{metadata.description}</Field>}
+
+      {metadata.parties?.length > 0 && (
+        <Field label="Parties">
+          <ul className="space-y-1">
+            {metadata.parties.map((party, index) => (
+              <li key={index} className="flex items-center space-x-2">
+                <Users className="h-4 w-4 text-gray-400" />
+                <span>{party.name}</span>
+                {party.role && <span className="text-gray-500">({party.role})</span>}
+                {party.address && (
+                  <span className="font-mono text-xs text-gray-500">
+                    {party.address.slice(0, 6)}...{party.address.slice(-4)}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </Field>
+      )}
+
+      {metadata.tags?.length > 0 && (
+        <Field label="Tags">
+          <div className="flex flex-wrap gap-2">
+            {metadata.tags.map((tag) => (
+              <span key={tag} className="inline-flex items-center space-x-1 px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-700">
+                <Tag className="h-3 w-3" />
+                <span>{tag}</span>
+              </span>
+            ))}
+          </div>
+        </Field>
+      )}
+
+      {metadata.externalReferences?.length > 0 && (
+        <Field label="External References">
+          <ul className="space-y-1">
+            {metadata.externalReferences.map((reference, index) => (
+              <li key={index} className="flex items-center space-x-2">
+                <LinkIcon className="h-4 w-4 text-gray-400" />
+                <span className="text-gray-500">{reference.system}:</span>
+                <span className="font-mono text-xs">{reference.id}</span>
+              </li>
+            ))}
+          </ul>
+        </Field>
+      )}
+    </div>
+  );
+};
+
+export default MetadataFields;
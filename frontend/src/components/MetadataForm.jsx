@@ -0,0 +1,171 @@
+import React from 'react';
+import { DOCUMENT_TYPES } from '../utils/metadata';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Structured notarization metadata, validated against the backend JSON Schema on submit
+const MetadataForm = ({ value, onChange }) => {
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+  const updateListItem = (list, index, field, fieldValue) =>
+    update(list, value[list].map((item, i) => (i === index ? { ...item, [field]: fieldValue } : item)));
+
+  const removeListItem = (list, index) => update(list, value[list].filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Title *</label>
+        <input
+          type="text"
+          value={value.title}
+          onChange={(e) => update('title', e.target.value)}
+          placeholder="e.g. Mutual Non-Disclosure Agreement"
+          className={inputClass}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Document Type</label>
+          <select
+            value={value.documentType}
+            onChange={(e) => update('documentType', e.target.value)}
+            className={`${inputClass} bg-white`}
+          >
+            <option value="">Not specified</option>
+            {DOCUMENT_TYPES.map((type) => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Jurisdiction</label>
+          <input
+            type="text"
+            value={value.jurisdiction}
+            onChange={(e) => update('jurisdiction', e.target.value)}
+            placeholder="e.g. England and Wales"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Expires</label>
+          <input
+            type="date"
+            value={value.expiresAt}
+            onChange={(e) => update('expiresAt', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+        <textarea
+          value={value.description}
+          onChange={(e) => update('description', e.target.value)}
+          placeholder="Purpose of the document or any relevant information..."
+          className={inputClass}
+          rows={3}
+        />
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-sm font-medium text-gray-700">Parties</label>
+          <button
+            onClick={() => update('parties', [...value.parties, { name: '', role: '', address: '' }])}
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            + Add Party
+          </button>
+        </div>
+        <div className="space-y-2">
+          {value.parties.map((party, index) => (
+            <div key={index} className="grid grid-cols-1 md:grid-cols-[1fr_1fr_2fr_auto] gap-2 items-center">
+              <input
+                type="text"
+                value={party.name}
+                onChange={(e) => updateListItem('parties', index, 'name', e.target.value)}
+                placeholder="Name"
+                className={inputClass}
+              />
+              <input
+                type="text"
+                value={party.role}
+                onChange={(e) => updateListItem('parties', index, 'role', e.target.value)}
+                placeholder="Role (e.g. Buyer)"
+                className={inputClass}
+              />
+              <input
+                type="text"
+                value={party.address}
+                onChange={(e) => updateListItem('parties', index, 'address', e.target.value)}
+                placeholder="0x... (optional)"
+                className={inputClass}
+              />
+              <button
+                onClick={() => removeListItem('parties', index)}
+                className="text-red-600 hover:text-red-800 text-sm"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Tags</label>
+        <input
+          type="text"
+          value={value.tags}
+          onChange={(e) => update('tags', e.target.value)}
+          placeholder="Comma-separated, e.g. hr, confidential"
+          className={inputClass}
+        />
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-sm font-medium text-gray-700">External References</label>
+          <button
+            onClick={() => update('externalReferences', [...value.externalReferences, { system: '', id: '' }])}
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            + Add Reference
+          </button>
+        </div>
+        <div className="space-y-2">
+          {value.externalReferences.map((reference, index) => (
+            <div key={index} className="grid grid-cols-1 md:grid-cols-[1fr_2fr_auto] gap-2 items-center">
+              <input
+                type="text"
+                value={reference.system}
+                onChange={(e) => updateListItem('externalReferences', index, 'system', e.target.value)}
+                placeholder="System (e.g. DocuSign)"
+                className={inputClass}
+              />
+              <input
+                type="text"
+                value={reference.id}
+                onChange={(e) => updateListItem('externalReferences', index, 'id', e.target.value)}
+                placeholder="Reference ID"
+                className={inputClass}
+              />
+              <button
+                onClick={() => removeListItem('externalReferences', index)}
+                className="text-red-600 hover:text-red-800 text-sm"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MetadataForm;
@@ -1,89 +1,91 @@
 import React, { useState, useEffect } from 'react';
-import { FileText, Clock, User, Eye, Signature, CheckCircle, XCircle, AlertCircle, RefreshCw } from 'lucide-react';
+import { FileText, Clock, User, Eye, Signature, RefreshCw, Filter, ChevronLeft, ChevronRight } from 'lucide-react';
 import axios from 'axios';
+import MetadataFields from './MetadataFields';
+import VaultDownload from './VaultDownload';
+import SigningDeadline from './SigningDeadline';
+import SignatureProgress from './SignatureProgress';
+import SigningPipeline from './SigningPipeline';
+import RevocationNotice from './RevocationNotice';
+import StatusDiagram from './StatusDiagram';
+import LiveIndicator from './LiveIndicator';
+import FinalityBadge from './FinalityBadge';
+import { useDocumentEvents } from '../hooks/useDocumentEvents';
+import { STATUS_NAMES, getStatusInfo } from '../utils/status';
+import { API_URL } from '../config';
 
-const NotarizedDocuments = ({ onNotification }) => {
+const NotarizedDocuments = ({ onNotification, wallet }) => {
   const [documents, setDocuments] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [selectedDocument, setSelectedDocument] = useState(null);
   const [showModal, setShowModal] = useState(false);
+  const [filters, setFilters] = useState({ address: '', role: 'notary', status: '' });
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 1 });
 
   useEffect(() => {
     fetchDocuments();
-  }, []);
+  }, [page, appliedFilters]);
+
+  // Keep the listed documents, and the one open in the modal, in step with the chain.
+  // A document only notarized in blocks a reorg dropped comes through as null.
+  const applyUpdate = ({ documentHash, document }) => {
+    const isUpdated = (entry) => entry.hash.toLowerCase() === documentHash.toLowerCase();
+    setDocuments((current) => current
+      .map((entry) => (isUpdated(entry) ? document : entry))
+      .filter(Boolean));
+    setSelectedDocument((current) => (current && isUpdated(current) ? document : current));
+    if (!document) {
+      onNotification('A chain reorganization removed a notarization from this list', 'warning');
+    }
+  };
+
+  const isLive = useDocumentEvents(
+    documents.map((document) => document.hash),
+    applyUpdate,
+    { enabled: documents.length > 0 }
+  );
 
   const fetchDocuments = async () => {
     setIsLoading(true);
     try {
-      // In a real app, you would fetch user's notarized documents
-      // For now, we'll create some mock data
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate API call
-      
-      const mockDocuments = [
-        {
-          hash: '0x1234567890abcdef1234567890abcdef12345678',
-          metadata: 'Contract Agreement for Software Development Services',
-          timestamp: Math.floor(Date.now() / 1000) - 86400, // 1 day ago
-          notary: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
-          status: 1, // Approved
-          signerCount: 2,
-          approverCount: 1,
-          requiredSigners: ['0x70997970C51812dc3A010C7d01b50e0d17dc79C8']
-        },
-        {
-          hash: '0xabcdef1234567890abcdef1234567890abcdef12',
-          metadata: 'Identity Verification Document',
-          timestamp: Math.floor(Date.now() / 1000) - 172800, // 2 days ago
-          notary: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
-          status: 0, // Pending
-          signerCount: 0,
-          approverCount: 0,
-          requiredSigners: ['0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC']
-        }
-      ];
-      
-      setDocuments(mockDocuments);
-      onNotification('Documents loaded successfully', 'success');
+      const params = { page };
+      if (appliedFilters.address.trim()) {
+        params[appliedFilters.role] = appliedFilters.address.trim();
+      }
+      if (appliedFilters.status) {
+        params.status = appliedFilters.status;
+      }
+
+      const response = await axios.get(`${API_URL}/api/documents`, { params });
+
+      if (response.data.success) {
+        const { documents, total, totalPages } = response.data.data;
+        setDocuments(documents);
+        setPagination({ total, totalPages });
+        onNotification('Documents loaded successfully', 'success');
+      }
     } catch (error) {
-      onNotification('Failed to load documents', 'error');
+      if (error.response && error.response.data) {
+        onNotification(error.response.data.error || 'Failed to load documents', 'error');
+      } else {
+        onNotification('Failed to load documents', 'error');
+      }
       console.error('Error fetching documents:', error);
     } finally {
       setIsLoading(false);
     }
   };
 
-  const formatDate = (timestamp) => {
-    return new Date(timestamp * 1000).toLocaleString();
+  const applyFilters = (event) => {
+    event.preventDefault();
+    setPage(1);
+    setAppliedFilters({ ...filters });
   };
 
-  const getStatusInfo = (status) => {
-    const statusMap = {
-      0: { 
-        label: 'Pending', 
-        color: 'bg-yellow-100 text-yellow-800 border-yellow-200',
-        icon: AlertCircle,
-        iconColor: 'text-yellow-500'
-      },
-      1: { 
-        label: 'Approved', 
-        color: 'bg-green-100 text-green-800 border-green-200',
-        icon: CheckCircle,
-        iconColor: 'text-green-500'
-      },
-      2: { 
-        label: 'Rejected', 
-        color: 'bg-red-100 text-red-800 border-red-200',
-        icon: XCircle,
-        iconColor: 'text-red-500'
-      },
-    };
-    
-    return statusMap[status] || { 
-      label: 'Unknown', 
-      color: 'bg-gray-100 text-gray-800 border-gray-200',
-      icon: AlertCircle,
-      iconColor: 'text-gray-500'
-    };
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleString();
   };
 
   const openDocumentDetails = (document) => {
@@ -128,26 +130,65 @@ const NotarizedDocuments = ({ onNotification }) => {
             <p className="text-gray-600">View and manage your blockchain-notarized documents</p>
           </div>
           
+          <div className="flex items-center space-x-3">
+            {documents.length > 0 && <LiveIndicator isLive={isLive} />}
+            <button
+              onClick={fetchDocuments}
+              className="flex items-center space-x-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors"
+            >
+              <RefreshCw className="h-4 w-4" />
+              <span>Refresh</span>
+            </button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <form onSubmit={applyFilters} className="mb-6 flex flex-col md:flex-row md:items-center gap-3 bg-gray-50 p-4 rounded-lg">
+          <Filter className="h-4 w-4 text-gray-400 hidden md:block" />
+          <select
+            value={filters.role}
+            onChange={(e) => setFilters({ ...filters, role: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="notary">Notarized by</option>
+            <option value="signer">Signer</option>
+          </select>
+          <input
+            type="text"
+            value={filters.address}
+            onChange={(e) => setFilters({ ...filters, address: e.target.value })}
+            placeholder="0x... (Ethereum address)"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All statuses</option>
+            {STATUS_NAMES.map((name) => (
+              <option key={name} value={name}>{getStatusInfo(name).label}</option>
+            ))}
+          </select>
           <button
-            onClick={fetchDocuments}
-            className="flex items-center space-x-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors"
+            type="submit"
+            className="px-4 py-2 bg-primary-500 text-white rounded-lg text-sm hover:bg-primary-600 transition-colors"
           >
-            <RefreshCw className="h-4 w-4" />
-            <span>Refresh</span>
+            Apply
           </button>
-        </div>
+        </form>
 
         {documents.length === 0 ? (
           <div className="text-center py-12">
             <FileText className="h-24 w-24 text-gray-300 mx-auto mb-4" />
             <h3 className="text-xl font-medium text-gray-900 mb-2">No Documents Found</h3>
             <p className="text-gray-600">
-              You haven't notarized any documents yet. Start by uploading a document in the "Notarize Document" tab.
+              No notarized documents match these filters. Start by uploading a document in the "Notarize Document" tab.
             </p>
           </div>
         ) : (
           <div className="space-y-4">
-            {documents.map((document, index) => {
+            {documents.map((document) => {
               const statusInfo = getStatusInfo(document.status);
               const StatusIcon = statusInfo.icon;
               
@@ -162,12 +203,19 @@ const NotarizedDocuments = ({ onNotification }) => {
                       <div className="flex items-center space-x-3 mb-3">
                         <FileText className="h-5 w-5 text-primary-500" />
                         <h3 className="text-lg font-medium text-gray-900 line-clamp-1">
-                          {document.metadata}
+                          {document.metadata.title || 'Untitled document'}
                         </h3>
                         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${statusInfo.color}`}>
                           <StatusIcon className={`h-3 w-3 mr-1 ${statusInfo.iconColor}`} />
                           {statusInfo.label}
                         </span>
+                        {(document.signingDeadline?.approaching || document.signingDeadline?.expirable) && (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border bg-orange-50 text-orange-800 border-orange-200">
+                            <Clock className="h-3 w-3 mr-1 text-orange-500" />
+                            {document.signingDeadline.expirable ? 'Deadline passed' : 'Deadline soon'}
+                          </span>
+                        )}
+                        <FinalityBadge finality={document.finality} compact />
                       </div>
                       
                       <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-gray-600">
@@ -186,7 +234,10 @@ const NotarizedDocuments = ({ onNotification }) => {
                         <div className="flex items-center space-x-2">
                           <Signature className="h-4 w-4" />
                           <span>
-                            {document.signerCount}/{document.requiredSigners.length} signatures
+                            {document.signerCount}/{document.signatureThreshold ?? document.requiredSigners.length} signatures
+                            {document.nextSigner && (
+                              <> · next {document.nextSigner.slice(0, 6)}...{document.nextSigner.slice(-4)}</>
+                            )}
                           </span>
                         </div>
                       </div>
@@ -206,6 +257,30 @@ const NotarizedDocuments = ({ onNotification }) => {
           </div>
         )}
 
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="mt-6 flex items-center justify-between text-sm text-gray-600">
+            <span>{pagination.total} document(s)</span>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <span>Page {page} of {pagination.totalPages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.totalPages}
+                className="p-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Document Details Modal */}
         {showModal && selectedDocument && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -237,12 +312,18 @@ const NotarizedDocuments = ({ onNotification }) => {
                     </div>
                   </div>
                   
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Metadata</label>
-                    <p className="text-sm bg-gray-50 p-3 rounded border">
-                      {selectedDocument.metadata}
-                    </p>
+                  <div className="bg-gray-50 p-4 rounded border">
+                    <MetadataFields metadata={selectedDocument.metadata} />
                   </div>
+
+                  <RevocationNotice revocation={selectedDocument.revocation} />
+
+                  <VaultDownload
+                    documentHash={selectedDocument.hash}
+                    contentCid={selectedDocument.metadata?.contentCid}
+                    wallet={wallet}
+                    onNotification={onNotification}
+                  />
                   
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                     <div>
@@ -259,6 +340,9 @@ const NotarizedDocuments = ({ onNotification }) => {
                           );
                         })()}
                       </div>
+                      <div className="mt-2">
+                        <FinalityBadge finality={selectedDocument.finality} confirmations={selectedDocument.confirmations} />
+                      </div>
                     </div>
                     
                     <div>
@@ -273,25 +357,39 @@ const NotarizedDocuments = ({ onNotification }) => {
                     
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">Signatures</label>
+                      <SignatureProgress
+                        signerCount={selectedDocument.signerCount}
+                        threshold={selectedDocument.signatureThreshold ?? selectedDocument.requiredSigners.length}
+                        requiredCount={selectedDocument.requiredSigners.length}
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Approvals</label>
                       <p className="text-sm">
-                        {selectedDocument.signerCount} of {selectedDocument.requiredSigners.length} required
+                        {selectedDocument.approverCount} of {selectedDocument.requiredApprovals ?? 1} needed
                       </p>
+                      {selectedDocument.approverWhitelist?.length > 0 && (
+                        <p className="text-xs text-gray-600 mt-1">
+                          Only {selectedDocument.approverWhitelist.map((a) => `${a.slice(0, 6)}...${a.slice(-4)}`).join(', ')} may approve
+                        </p>
+                      )}
                     </div>
+
+                    <SigningDeadline deadline={selectedDocument.signingDeadline} status={selectedDocument.status} />
                   </div>
                   
-                  {selectedDocument.requiredSigners.length > 0 && (
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">Required Signers</label>
-                      <div className="space-y-2">
-                        {selectedDocument.requiredSigners.map((signer, index) => (
-                          <div key={index} className="flex items-center space-x-2 text-sm">
-                            <User className="h-4 w-4 text-gray-400" />
-                            <span className="font-mono">{signer}</span>
-                          </div>
-                        ))}
-                      </div>
-                    </div>
-                  )}
+                  <StatusDiagram status={selectedDocument.status} />
+
+                  <SigningPipeline
+                    signers={selectedDocument.requiredSigners.map((address, index) => ({
+                      address,
+                      position: index + 1,
+                      signed: selectedDocument.signers.some((signer) => signer.toLowerCase() === address.toLowerCase()),
+                    }))}
+                    sequential={selectedDocument.sequentialSigning}
+                    nextSigner={selectedDocument.nextSigner}
+                  />
                 </div>
                 
                 <div className="mt-8 flex justify-end space-x-3">
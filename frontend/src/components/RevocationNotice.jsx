@@ -0,0 +1,26 @@
+import React from 'react';
+import { Ban } from 'lucide-react';
+
+// Revocation as reported by the backend: { revokedBy, revokedAt, reason }
+const RevocationNotice = ({ revocation }) => {
+  if (!revocation) {
+    return null;
+  }
+
+  return (
+    <div className="bg-red-100 border border-red-300 rounded-lg p-4">
+      <div className="flex items-start space-x-3">
+        <Ban className="h-5 w-5 text-red-600 mt-0.5" />
+        <div>
+          <h4 className="font-medium text-red-900">This notarization has been revoked</h4>
+          <p className="text-sm text-red-800 mt-1">{revocation.reason}</p>
+          <p className="text-xs text-red-700 mt-2">
+            Revoked by <span className="font-mono">{revocation.revokedBy}</span> on {new Date(revocation.revokedAt).toLocaleString()}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RevocationNotice;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Signatures collected toward the document's M-of-N threshold
+const SignatureProgress = ({ signerCount, threshold, requiredCount }) => {
+  if (!threshold) {
+    return <p className="text-sm">{signerCount} signature(s)</p>;
+  }
+
+  const percent = Math.min(100, Math.round((signerCount / threshold) * 100));
+
+  return (
+    <div>
+      <p className="text-sm">
+        {signerCount} of {threshold} needed
+        {requiredCount > threshold && (
+          <span className="text-gray-500"> (any {threshold} of {requiredCount} signers)</span>
+        )}
+      </p>
+      <div className="mt-1 h-2 w-full max-w-xs rounded-full bg-gray-200">
+        <div
+          className={`h-2 rounded-full ${signerCount >= threshold ? 'bg-green-500' : 'bg-blue-500'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default SignatureProgress;
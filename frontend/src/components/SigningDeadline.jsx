@@ -0,0 +1,42 @@
+import React from 'react';
+import { Clock, AlertTriangle } from 'lucide-react';
+
+const formatRemaining = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+// Signing deadline as reported by the backend (see describeSigningDeadline in app.js)
+const SigningDeadline = ({ deadline, status }) => {
+  if (!deadline) {
+    return null;
+  }
+
+  let note = null;
+  if (deadline.expirable) {
+    note = <span className="text-red-700">Deadline passed without enough signatures. Anyone can now mark it expired.</span>;
+  } else if (deadline.approaching) {
+    note = <span className="text-orange-700">{formatRemaining(deadline.secondsRemaining)} left to sign</span>;
+  } else if (status === 'PENDING') {
+    note = <span className="text-gray-600">{formatRemaining(deadline.secondsRemaining)} left to sign</span>;
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Signing Deadline</label>
+      <div className="flex items-center space-x-2 text-sm">
+        {deadline.approaching || deadline.expirable
+          ? <AlertTriangle className={`h-4 w-4 ${deadline.expirable ? 'text-red-500' : 'text-orange-500'}`} />
+          : <Clock className="h-4 w-4 text-gray-400" />}
+        <span>{new Date(deadline.deadline).toLocaleString()}</span>
+      </div>
+      {note && <p className="text-xs mt-1">{note}</p>}
+    </div>
+  );
+};
+
+export default SigningDeadline;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { CheckCircle, Clock, User } from 'lucide-react';
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Required signers in order, with who has signed and, on sequential documents, whose turn it is
+const SigningPipeline = ({ signers, sequential, nextSigner }) => {
+  if (!signers?.length) {
+    return null;
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        {sequential ? 'Signing Order' : 'Required Signers'}
+      </label>
+      <ol className="space-y-2">
+        {signers.map((signer) => {
+          const isNext = sequential && sameAddress(signer.address, nextSigner);
+          let icon = <User className="h-4 w-4 text-gray-400" />;
+          if (signer.signed) icon = <CheckCircle className="h-4 w-4 text-green-500" />;
+          else if (isNext) icon = <Clock className="h-4 w-4 text-blue-500" />;
+
+          return (
+            <li
+              key={signer.address}
+              className={`flex items-center space-x-2 text-sm ${isNext ? 'font-medium text-blue-900' : ''}`}
+            >
+              {sequential && <span className="w-5 text-right text-gray-500">{signer.position}.</span>}
+              {icon}
+              <span className="font-mono break-all">{signer.address}</span>
+              {signer.signed && <span className="text-xs text-green-700">signed</span>}
+              {isNext && <span className="text-xs text-blue-700">next to sign</span>}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default SigningPipeline;
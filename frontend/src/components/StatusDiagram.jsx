@@ -0,0 +1,135 @@
+import React from 'react';
+import { STATUS_NAMES, STATUS_TRANSITIONS, ACTION_LABELS, getStatusInfo } from '../utils/status';
+
+const NODE_WIDTH = 104;
+const NODE_HEIGHT = 30;
+const COLUMN_GAP = 150;
+const ROW_GAP = 46;
+
+// One edge per (from, to) pair, merging actions that lead to the same status
+const EDGES = STATUS_TRANSITIONS.flatMap((transition) =>
+  transition.from.map((from) => ({ from, to: transition.to, action: transition.action }))
+).reduce((edges, edge) => {
+  const existing = edges.find((e) => e.from === edge.from && e.to === edge.to);
+  if (existing) {
+    if (!existing.actions.includes(edge.action)) existing.actions.push(edge.action);
+  } else {
+    edges.push({ from: edge.from, to: edge.to, actions: [edge.action] });
+  }
+  return edges;
+}, []);
+
+// Columns by longest path from the initial status, so every edge points to the right
+const computeLayout = () => {
+  const depth = Object.fromEntries(STATUS_NAMES.map((name) => [name, 0]));
+  for (let pass = 0; pass < STATUS_NAMES.length; pass++) {
+    EDGES.forEach(({ from, to }) => {
+      depth[to] = Math.max(depth[to], depth[from] + 1);
+    });
+  }
+
+  const rows = {};
+  const positions = {};
+  STATUS_NAMES.forEach((name) => {
+    const row = rows[depth[name]] || 0;
+    rows[depth[name]] = row + 1;
+    positions[name] = { x: 8 + depth[name] * COLUMN_GAP, y: 8 + row * ROW_GAP };
+  });
+
+  const width = 16 + Math.max(...Object.values(depth)) * COLUMN_GAP + NODE_WIDTH;
+  const height = 16 + (Math.max(...Object.values(rows)) - 1) * ROW_GAP + NODE_HEIGHT;
+  return { positions, width, height };
+};
+
+const LAYOUT = computeLayout();
+
+// Lifecycle of a document with its current status highlighted and the moves open from it
+const StatusDiagram = ({ status }) => {
+  if (!status) {
+    return null;
+  }
+
+  const { positions, width, height } = LAYOUT;
+  const nextStatuses = EDGES.filter((edge) => edge.from === status).map((edge) => edge.to);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Lifecycle</label>
+      <div className="overflow-x-auto bg-white border border-gray-200 rounded-lg p-2">
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full min-w-[560px]" role="img" aria-label={`Document lifecycle, currently ${status}`}>
+          <defs>
+            <marker id="status-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#9ca3af" />
+            </marker>
+            <marker id="status-arrow-active" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#2563eb" />
+            </marker>
+          </defs>
+
+          {EDGES.map((edge) => {
+            const from = positions[edge.from];
+            const to = positions[edge.to];
+            const x1 = from.x + NODE_WIDTH;
+            const y1 = from.y + NODE_HEIGHT / 2;
+            const x2 = to.x;
+            const y2 = to.y + NODE_HEIGHT / 2;
+            const bend = (x2 - x1) / 2;
+            const active = edge.from === status;
+            return (
+              <g key={`${edge.from}-${edge.to}`}>
+                <path
+                  d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+                  fill="none"
+                  stroke={active ? '#2563eb' : '#d1d5db'}
+                  strokeWidth={active ? 2 : 1}
+                  strokeDasharray={edge.actions.includes('revoke') && !active ? '4 3' : undefined}
+                  markerEnd={`url(#${active ? 'status-arrow-active' : 'status-arrow'})`}
+                />
+                {active && (
+                  <text x={(x1 + x2) / 2} y={(y1 + y2) / 2 - 4} textAnchor="middle" className="fill-blue-700 text-[10px]">
+                    {edge.actions.map((action) => ACTION_LABELS[action] || action).join(' / ')}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+
+          {STATUS_NAMES.map((name) => {
+            const { x, y } = positions[name];
+            const isCurrent = name === status;
+            const isNext = nextStatuses.includes(name);
+            return (
+              <g key={name}>
+                <rect
+                  x={x}
+                  y={y}
+                  width={NODE_WIDTH}
+                  height={NODE_HEIGHT}
+                  rx="6"
+                  fill={isCurrent ? '#2563eb' : '#ffffff'}
+                  stroke={isCurrent || isNext ? '#2563eb' : '#d1d5db'}
+                  strokeWidth={isNext ? 1.5 : 1}
+                />
+                <text
+                  x={x + NODE_WIDTH / 2}
+                  y={y + NODE_HEIGHT / 2 + 4}
+                  textAnchor="middle"
+                  className={`text-[11px] font-medium ${isCurrent ? 'fill-white' : isNext ? 'fill-blue-700' : 'fill-gray-500'}`}
+                >
+                  {getStatusInfo(name).label}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        {nextStatuses.length
+          ? `From ${getStatusInfo(status).label.toLowerCase()} the document can move to ${nextStatuses.map((name) => getStatusInfo(name).label.toLowerCase()).join(', ')}.`
+          : 'This status is final.'}
+      </p>
+    </div>
+  );
+};
+
+export default StatusDiagram;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { Lock, Download, Loader } from 'lucide-react';
+import { getWalletErrorMessage } from '../hooks/useWallet';
+import { downloadFromVault } from '../utils/vault';
+
+// Encrypted copy held in the document vault, downloadable by the notary and required signers
+const VaultDownload = ({ documentHash, contentCid, wallet, onNotification }) => {
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  if (!contentCid) {
+    return null;
+  }
+
+  const download = async () => {
+    if (!wallet.account) {
+      onNotification('Connect your wallet to download the original document', 'warning');
+      return;
+    }
+
+    setIsDownloading(true);
+    try {
+      await downloadFromVault(wallet, documentHash);
+      onNotification('Original document downloaded', 'success');
+    } catch (error) {
+      console.error('Vault download error:', error);
+      onNotification('Failed to download document: ' + getWalletErrorMessage(error), 'error');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Encrypted Copy</label>
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="flex items-center space-x-1 text-sm text-gray-600">
+          <Lock className="h-4 w-4" />
+          <span className="font-mono text-xs break-all">{contentCid}</span>
+        </span>
+        <button
+          onClick={download}
+          disabled={isDownloading}
+          className="inline-flex items-center space-x-2 px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {isDownloading ? <Loader className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+          <span>{isDownloading ? 'Downloading...' : 'Download Original'}</span>
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">Only the notary and required signers can download it, after signing a message in their wallet.</p>
+    </div>
+  );
+};
+
+export default VaultDownload;
@@ -0,0 +1,3 @@
+// Backend base URL, set with VITE_API_URL at build time. Everything chain-specific
+// (contract address, chain ID, ABI) comes from that backend's /api/contract routes.
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
@@ -0,0 +1,33 @@
+import { useState, useEffect, useRef } from 'react';
+import { API_URL } from '../config';
+
+// Live document updates from the backend's /api/events stream (Server-Sent Events).
+// `onUpdate` gets each update: { documentHash, event, blockNumber, transactionHash, document }.
+// With no hashes every document is followed. Returns whether the stream is connected;
+// EventSource reconnects by itself after an error.
+export const useDocumentEvents = (hashes, onUpdate, { enabled = true } = {}) => {
+  const [isLive, setIsLive] = useState(false);
+  const onUpdateRef = useRef(onUpdate);
+  const hashList = hashes ? hashes.join(',') : '';
+
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+  }, [onUpdate]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const query = hashList ? `?hashes=${encodeURIComponent(hashList)}` : '';
+    const source = new EventSource(`${API_URL}/api/events${query}`);
+    source.addEventListener('ready', () => setIsLive(true));
+    source.addEventListener('document', (event) => onUpdateRef.current(JSON.parse(event.data)));
+    source.onerror = () => setIsLive(false);
+
+    return () => {
+      source.close();
+      setIsLive(false);
+    };
+  }, [hashList, enabled]);
+
+  return isLive;
+};
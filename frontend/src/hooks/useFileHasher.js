@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { sha256 } from '@noble/hashes/sha256';
+import { sha3_256, keccak_256 } from '@noble/hashes/sha3';
+import { blake2b } from '@noble/hashes/blake2b';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Web Crypto can only digest a complete buffer, so larger files are hashed
+// incrementally instead of being held in memory all at once
+const WEB_CRYPTO_MAX_SIZE = 256 * 1024 * 1024;
+
+// Same algorithm ids as lib/hashing.js on the backend, all producing 32 bytes
+export const DEFAULT_HASH_ALGORITHM = 'sha256';
+export const HASH_ALGORITHMS = {
+  sha256: { label: 'SHA-256', create: () => sha256.create() },
+  'sha3-256': { label: 'SHA3-256', create: () => sha3_256.create() },
+  keccak256: { label: 'Keccak-256', create: () => keccak_256.create() },
+  'blake2b-256': { label: 'BLAKE2b-256', create: () => blake2b.create({ dkLen: 32 }) },
+};
+
+export const HASH_MODE_LABELS = {
+  'web-crypto': 'Hashed in your browser with Web Crypto. The file was not uploaded.',
+  streaming: 'Hashed in your browser (streaming). The file was not uploaded.',
+  server: 'Hashed on the server. The file was uploaded to compute the hash.',
+};
+
+const toHex = (bytes) => '0x' + Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const readChunks = async (file, onChunk, onProgress) => {
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    const chunk = new Uint8Array(await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+    onChunk(chunk, offset);
+    onProgress(Math.min(offset + CHUNK_SIZE, file.size) / file.size);
+  }
+};
+
+// Digest of the raw bytes, same as calculateFileHash on the backend.
+// Web Crypto has no SHA-3, Keccak or BLAKE2, so only SHA-256 can use it.
+export const hashFileInBrowser = async (file, algorithm = DEFAULT_HASH_ALGORITHM, onProgress = () => {}) => {
+  if (algorithm === 'sha256' && window.crypto?.subtle && file.size <= WEB_CRYPTO_MAX_SIZE) {
+    const buffer = new Uint8Array(file.size);
+    await readChunks(file, (chunk, offset) => buffer.set(chunk, offset), onProgress);
+    const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+    return { hash: toHex(new Uint8Array(digest)), mode: 'web-crypto', algorithm };
+  }
+
+  const hasher = HASH_ALGORITHMS[algorithm].create();
+  await readChunks(file, (chunk) => hasher.update(chunk), onProgress);
+  return { hash: toHex(hasher.digest()), mode: 'streaming', algorithm };
+};
+
+export const hashFileOnServer = async (file, algorithm = DEFAULT_HASH_ALGORITHM, onProgress = () => {}) => {
+  const formData = new FormData();
+  formData.append('document', file);
+
+  const response = await axios.post(`${API_URL}/api/documents/hash`, formData, {
+    params: { algorithm },
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+    onUploadProgress: (event) => event.total && onProgress(event.loaded / event.total),
+  });
+  return { hash: response.data.data.hash, mode: 'server', algorithm };
+};
+
+// Files are hashed locally unless the user explicitly opts into the server endpoint
+export const useFileHasher = () => {
+  const [isHashing, setIsHashing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [mode, setMode] = useState(null);
+
+  const hashFile = async (file, { useServer = false, algorithm = DEFAULT_HASH_ALGORITHM } = {}) => {
+    setIsHashing(true);
+    setProgress(0);
+    setMode(null);
+    try {
+      const result = useServer
+        ? await hashFileOnServer(file, algorithm, setProgress)
+        : await hashFileInBrowser(file, algorithm, setProgress);
+      setMode(result.mode);
+      return result;
+    } finally {
+      setIsHashing(false);
+    }
+  };
+
+  const reset = () => {
+    setProgress(0);
+    setMode(null);
+  };
+
+  return {
+    hashFile,
+    isHashing,
+    progress,
+    mode,
+    reset,
+  };
+};
@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback } from 'react';
+import { BrowserProvider, Contract } from 'ethers';
+import axios from 'axios';
+import { API_URL } from '../config';
+
+// Injected EIP-1193 wallet (MetaMask and friends). Transactions sent through
+// getContract() are signed by the user's own account, not the backend key.
+export const useWallet = () => {
+  const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [contractConfig, setContractConfig] = useState(null);
+  const [isConnecting, setIsConnecting] = useState(false);
+  const isAvailable = typeof window !== 'undefined' && !!window.ethereum;
+
+  useEffect(() => {
+    if (!isAvailable) return;
+
+    const handleAccountsChanged = (accounts) => setAccount(accounts[0] || null);
+    const handleChainChanged = (id) => setChainId(parseInt(id, 16));
+
+    // Pick up an already-authorized account without prompting
+    window.ethereum.request({ method: 'eth_accounts' }).then(handleAccountsChanged).catch(() => {});
+    window.ethereum.request({ method: 'eth_chainId' }).then(handleChainChanged).catch(() => {});
+
+    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    window.ethereum.on('chainChanged', handleChainChanged);
+
+    return () => {
+      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+      window.ethereum.removeListener('chainChanged', handleChainChanged);
+    };
+  }, [isAvailable]);
+
+  // Address and chain, plus the ABI the backend built its own contract client from
+  const loadContractConfig = useCallback(async () => {
+    if (contractConfig) return contractConfig;
+    const [configResponse, abiResponse] = await Promise.all([
+      axios.get(`${API_URL}/api/contract/config`),
+      axios.get(`${API_URL}/api/contract/abi`),
+    ]);
+    const config = { ...configResponse.data.data, abi: abiResponse.data.data.abi };
+    setContractConfig(config);
+    return config;
+  }, [contractConfig]);
+
+  const connect = async () => {
+    if (!isAvailable) {
+      throw new Error('No browser wallet found. Please install MetaMask.');
+    }
+    setIsConnecting(true);
+    try {
+      const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+      setAccount(accounts[0] || null);
+      return accounts[0];
+    } finally {
+      setIsConnecting(false);
+    }
+  };
+
+  // EIP-1193 has no disconnect call, so we only forget the account locally
+  const disconnect = () => setAccount(null);
+
+  const getContract = async () => {
+    if (!account) {
+      throw new Error('Connect your wallet first');
+    }
+
+    const config = await loadContractConfig();
+    if (chainId !== config.chainId) {
+      try {
+        await window.ethereum.request({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: '0x' + config.chainId.toString(16) }],
+        });
+      } catch (error) {
+        // 4902: the wallet has never seen this chain
+        if (error.code === 4902) {
+          throw new Error(`Add the ${config.network} network (chain ${config.chainId}) to your wallet first`);
+        }
+        throw error;
+      }
+    }
+
+    const provider = new BrowserProvider(window.ethereum);
+    const signer = await provider.getSigner(account);
+    return new Contract(config.contractAddress, config.abi, signer);
+  };
+
+  // Off-chain EIP-712 signature for gasless actions relayed by the backend
+  const signTypedData = async ({ domain, types, message }) => {
+    if (!account) {
+      throw new Error('Connect your wallet first');
+    }
+    const provider = new BrowserProvider(window.ethereum);
+    const signer = await provider.getSigner(account);
+    return signer.signTypedData(domain, types, message);
+  };
+
+  // Plain EIP-191 message signature, e.g. to prove who is asking for vaulted content
+  const signMessage = async (message) => {
+    if (!account) {
+      throw new Error('Connect your wallet first');
+    }
+    const provider = new BrowserProvider(window.ethereum);
+    const signer = await provider.getSigner(account);
+    return signer.signMessage(message);
+  };
+
+  return {
+    account,
+    chainId,
+    isAvailable,
+    isConnecting,
+    connect,
+    disconnect,
+    getContract,
+    signTypedData,
+    signMessage,
+  };
+};
+
+// Pull the most useful message out of an ethers / wallet / relayer error
+export const getWalletErrorMessage = (error) => {
+  if (error.code === 'ACTION_REJECTED' || error.code === 4001) {
+    return 'Transaction rejected in wallet';
+  }
+  if (error.response?.data) {
+    return error.response.data.error || error.message;
+  }
+  return error.reason || error.shortMessage || error.info?.error?.message || error.message || 'Unknown error';
+};
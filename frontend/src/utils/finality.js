@@ -0,0 +1,24 @@
+import { Hourglass, ShieldCheck, ShieldAlert } from 'lucide-react';
+
+// The API's `finality` field (lib/finality.js on the backend): how far the reported state is
+// from being undone by a chain reorganization
+const FINALITY_STYLES = {
+  pending: { label: 'Awaiting confirmations', color: 'bg-amber-50 text-amber-800 border-amber-200', icon: Hourglass, iconColor: 'text-amber-500' },
+  confirmed: { label: 'Confirmed, not final', color: 'bg-blue-50 text-blue-800 border-blue-200', icon: ShieldAlert, iconColor: 'text-blue-500' },
+  finalized: { label: 'Finalized', color: 'bg-green-50 text-green-800 border-green-200', icon: ShieldCheck, iconColor: 'text-green-500' },
+};
+
+export const getFinalityInfo = (finality) => FINALITY_STYLES[finality] || null;
+
+export const isUnfinalized = (finality) => finality === 'pending' || finality === 'confirmed';
+
+// "3 of 12 confirmations" while pending, "20 of 64 blocks to finality" once confirmed
+export const describeFinalityProgress = ({ finality, confirmations, requiredConfirmations, finalityDepth }) => {
+  if (finality === 'pending' && requiredConfirmations) {
+    return `${confirmations ?? 0} of ${requiredConfirmations} confirmations`;
+  }
+  if (finality === 'confirmed' && finalityDepth) {
+    return `${confirmations} of ${finalityDepth} blocks to finality`;
+  }
+  return null;
+};
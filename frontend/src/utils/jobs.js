@@ -0,0 +1,36 @@
+import axios from 'axios';
+import { API_URL } from '../config';
+
+const JOB_POLL_INTERVAL_MS = 3000;
+// With the default settings the queue gives up on a transaction before this
+const JOB_FOLLOW_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Poll a queued backend transaction until it leaves the pending state. Resolves with the
+// mined job; a failed or replaced transaction rejects with the backend's reason, and so
+// does one still pending after `timeout` milliseconds.
+export const followJob = async (jobId, timeout = JOB_FOLLOW_TIMEOUT_MS) => {
+  const deadline = Date.now() + timeout;
+  let job;
+  do {
+    if (job) {
+      if (Date.now() + JOB_POLL_INTERVAL_MS > deadline) {
+        throw new Error(`Transaction still pending after ${Math.round(timeout / 60000)} minutes (job ${jobId})`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+    job = (await axios.get(`${API_URL}/api/jobs/${jobId}`)).data.data;
+  } while (job.status === 'pending');
+
+  if (job.status !== 'mined') {
+    throw new Error(`Transaction ${job.status}: ${job.error}`);
+  }
+  return job;
+};
+
+// Transaction routes answer 202 with the job when the block takes too long; wait it out
+export const settleResponse = async (response) => {
+  if (response.status === 202) {
+    await followJob(response.data.data.jobId);
+  }
+  return response;
+};
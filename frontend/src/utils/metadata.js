@@ -0,0 +1,54 @@
+// Mirrors DOCUMENT_TYPES in lib/metadata.js
+export const DOCUMENT_TYPES = [
+  { value: 'contract', label: 'Contract' },
+  { value: 'agreement', label: 'Agreement' },
+  { value: 'certificate', label: 'Certificate' },
+  { value: 'deed', label: 'Deed' },
+  { value: 'invoice', label: 'Invoice' },
+  { value: 'power-of-attorney', label: 'Power of Attorney' },
+  { value: 'will', label: 'Will' },
+  { value: 'other', label: 'Other' },
+];
+
+export const EMPTY_METADATA = {
+  title: '',
+  documentType: '',
+  description: '',
+  parties: [],
+  jurisdiction: '',
+  expiresAt: '',
+  tags: '',
+  externalReferences: [],
+};
+
+// Turn form state into schema-shaped metadata, leaving out anything left blank
+export const toMetadataPayload = (form) => {
+  const payload = { title: form.title.trim() };
+
+  ['documentType', 'description', 'jurisdiction', 'expiresAt'].forEach((field) => {
+    if (form[field].trim()) payload[field] = form[field].trim();
+  });
+
+  const parties = form.parties
+    .filter((party) => party.name.trim())
+    .map((party) => {
+      const entry = { name: party.name.trim() };
+      if (party.role.trim()) entry.role = party.role.trim();
+      if (party.address.trim()) entry.address = party.address.trim();
+      return entry;
+    });
+  if (parties.length) payload.parties = parties;
+
+  const tags = [...new Set(form.tags.split(',').map((tag) => tag.trim()).filter(Boolean))];
+  if (tags.length) payload.tags = tags;
+
+  const references = form.externalReferences
+    .filter((reference) => reference.system.trim() && reference.id.trim())
+    .map((reference) => ({ system: reference.system.trim(), id: reference.id.trim() }));
+  if (references.length) payload.externalReferences = references;
+
+  return payload;
+};
+
+export const getDocumentTypeLabel = (value) =>
+  DOCUMENT_TYPES.find((type) => type.value === value)?.label || value;
@@ -0,0 +1,49 @@
+import { AlertCircle, Signature, CheckCircle, XCircle, Archive, Clock, Ban } from 'lucide-react';
+// Named imports keep the ABI out of the bundle; wallets load it from /api/contract/abi
+import { statuses, transitions } from '../../../shared/notaryContract.json';
+
+// Generated from the compiled contract by scripts/generate-contract-module.js
+export const STATUS_NAMES = statuses;
+export const STATUS_TRANSITIONS = transitions;
+
+const STATUS_STYLES = {
+  PENDING: { label: 'Pending', color: 'bg-yellow-100 text-yellow-800 border-yellow-200', icon: AlertCircle, iconColor: 'text-yellow-500' },
+  SIGNED: { label: 'Signed', color: 'bg-blue-100 text-blue-800 border-blue-200', icon: Signature, iconColor: 'text-blue-500' },
+  APPROVED: { label: 'Approved', color: 'bg-green-100 text-green-800 border-green-200', icon: CheckCircle, iconColor: 'text-green-500' },
+  REJECTED: { label: 'Rejected', color: 'bg-red-100 text-red-800 border-red-200', icon: XCircle, iconColor: 'text-red-500' },
+  ARCHIVED: { label: 'Archived', color: 'bg-gray-100 text-gray-800 border-gray-200', icon: Archive, iconColor: 'text-gray-500' },
+  EXPIRED: { label: 'Expired', color: 'bg-orange-100 text-orange-800 border-orange-200', icon: Clock, iconColor: 'text-orange-500' },
+  REVOKED: { label: 'Revoked', color: 'bg-red-200 text-red-900 border-red-300', icon: Ban, iconColor: 'text-red-700' },
+};
+
+export const ACTION_LABELS = {
+  notarize: 'Notarize',
+  createVersion: 'New version',
+  sign: 'Sign',
+  approve: 'Approve',
+  reject: 'Reject',
+  expire: 'Expire',
+  archive: 'Archive',
+  revoke: 'Revoke',
+};
+
+// Accepts the status name the API returns or the raw enum index from the contract.
+// A status added to the contract but not styled here still gets a readable label.
+export const getStatusInfo = (status) => {
+  const name = typeof status === 'number' ? STATUS_NAMES[status] : status;
+  if (STATUS_STYLES[name]) {
+    return STATUS_STYLES[name];
+  }
+  return {
+    label: name ? name.charAt(0) + name.slice(1).toLowerCase() : 'Unknown',
+    color: 'bg-gray-100 text-gray-800 border-gray-200',
+    icon: AlertCircle,
+    iconColor: 'text-gray-500',
+  };
+};
+
+export const getNextTransitions = (status) =>
+  STATUS_TRANSITIONS.filter((transition) => transition.from.includes(status));
+
+export const canTransition = (status, action) =>
+  getNextTransitions(status).some((transition) => transition.action === action);
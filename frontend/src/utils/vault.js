@@ -0,0 +1,67 @@
+import axios from 'axios';
+import { API_URL } from '../config';
+
+// Upload the file so the backend keeps an encrypted copy. The wallet, an admin or notary,
+// signs the upload for this document hash. Returns the document hash the backend computed
+// and the CID to record in the metadata.
+export const uploadToVault = async (wallet, file, algorithm, documentHash) => {
+  const path = `/api/vault/documents?${new URLSearchParams({ algorithm, documentHash })}`;
+  const challenge = await axios.get(`${API_URL}/api/admin/challenge`, {
+    params: { action: 'vault', method: 'POST', path },
+  });
+  const { message, issuedAt, nonce } = challenge.data.data;
+  const signature = await wallet.signMessage(message);
+
+  const formData = new FormData();
+  formData.append('document', file);
+
+  const response = await axios.post(`${API_URL}${path}`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+      'X-Admin-Signature': signature,
+      'X-Admin-Issued-At': String(issuedAt),
+      'X-Admin-Nonce': nonce,
+    },
+  });
+  return response.data.data;
+};
+
+// Blob error bodies hide the backend's JSON error, so read it back out
+const readBlobError = async (error) => {
+  if (error.response?.data instanceof Blob) {
+    try {
+      error.response.data = JSON.parse(await error.response.data.text());
+    } catch {
+      // Not JSON, keep the original error
+    }
+  }
+  return error;
+};
+
+// The wallet signs a short-lived challenge proving it is the notary or a required signer
+export const downloadFromVault = async (wallet, documentHash) => {
+  try {
+    const challenge = await axios.get(`${API_URL}/api/documents/${documentHash}/content/challenge`);
+    const { message, issuedAt } = challenge.data.data;
+    const signature = await wallet.signMessage(message);
+
+    const response = await axios.get(`${API_URL}/api/documents/${documentHash}/content`, {
+      headers: {
+        'X-Content-Signature': signature,
+        'X-Content-Issued-At': String(issuedAt),
+      },
+      responseType: 'blob',
+    });
+
+    const fileName = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1]
+      || `document-${documentHash.slice(2, 10)}`;
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    throw await readBlobError(error);
+  }
+};
@@ -8,4 +8,10 @@ export default defineConfig({
     react(),
     tailwindcss(),
   ],
+  server: {
+    fs: {
+      // shared/notaryContract.json lives next to the backend, outside the frontend root
+      allow: ['..'],
+    },
+  },
 })
@@ -1,13 +1,26 @@
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-ethers");
+require("@typechain/hardhat");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
 require("dotenv").config();
+const { task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const { generateContractModule } = require("./scripts/generate-contract-module");
 
 const INFURA_PROJECT_ID = process.env.INFURA_PROJECT_ID;
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
 
+// Keep shared/notaryContract.json (statuses, transitions, ABI) in step with the contract
+task(TASK_COMPILE, async (args, hre, runSuper) => {
+  const result = await runSuper(args);
+  if (generateContractModule({ artifactsDir: hre.config.paths.artifacts })) {
+    console.log("📝 Updated shared/notaryContract.json");
+  }
+  return result;
+});
+
 // Function to get accounts array - only include private key if it's valid
 function getAccounts() {
   if (PRIVATE_KEY && PRIVATE_KEY.length === 66) { // 0x + 64 hex characters
@@ -79,6 +92,10 @@ module.exports = {
   etherscan: {
     apiKey: ETHERSCAN_API_KEY
   },
+  typechain: {
+    outDir: "typechain-types",
+    target: "ethers-v5"
+  },
   paths: {
     sources: "./contracts",
     tests: "./test",
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Blobs are addressed by CIDv1 with the raw codec and a sha2-256 multihash, the same CID
+// IPFS gives a single raw block, so a local store can later be swapped for an IPFS node.
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// RFC 4648 base32, lowercase and unpadded, as used by multibase prefix 'b'
+function toBase32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * CID of a blob from its sha2-256 digest.
+ * @param {Buffer} digest 32-byte sha256 digest
+ * @returns {string} base32 CIDv1, e.g. "bafkrei..."
+ */
+function computeCid(digest) {
+  const bytes = Buffer.concat([Buffer.from([CID_VERSION, RAW_CODEC, SHA2_256, digest.length]), digest]);
+  return 'b' + toBase32(bytes);
+}
+
+function isValidCid(cid) {
+  return typeof cid === 'string' && /^bafkrei[a-z2-7]{52}$/.test(cid);
+}
+
+/**
+ * Local filesystem backend. Blobs live at <dir>/<cid>, so a blob can be checked
+ * against its name at any time.
+ */
+function createFsContentStore(dir) {
+  const blobPath = cid => path.join(dir, cid);
+
+  return {
+    type: 'fs',
+
+    // Moves a finished temp file into place under its CID
+    async putFile(filePath, cid) {
+      fs.mkdirSync(dir, { recursive: true });
+      if (fs.existsSync(blobPath(cid))) {
+        fs.unlinkSync(filePath);
+      } else {
+        fs.renameSync(filePath, blobPath(cid));
+      }
+      return cid;
+    },
+
+    async has(cid) {
+      return isValidCid(cid) && fs.existsSync(blobPath(cid));
+    },
+
+    async createReadStream(cid) {
+      return fs.createReadStream(blobPath(cid));
+    },
+
+    async remove(cid) {
+      fs.rmSync(blobPath(cid), { force: true });
+    },
+
+    tempPath() {
+      fs.mkdirSync(dir, { recursive: true });
+      return path.join(dir, `.upload-${crypto.randomBytes(8).toString('hex')}`);
+    }
+  };
+}
+
+/**
+ * IPFS backend over the Kubo HTTP RPC API (e.g. http://127.0.0.1:5001).
+ * Blobs are written as raw blocks, so the node returns the same CID we computed.
+ */
+function createIpfsContentStore(apiUrl, tempDir) {
+  const rpc = (command, params) =>
+    `${apiUrl.replace(/\/$/, '')}/api/v0/${command}?${new URLSearchParams(params)}`;
+
+  return {
+    type: 'ipfs',
+
+    async putFile(filePath, cid) {
+      try {
+        // Each document is one raw block, which can exceed Kubo's default 1 MiB block limit
+        const form = new FormData();
+        form.append('data', await fs.openAsBlob(filePath));
+        const params = { 'cid-codec': 'raw', mhtype: 'sha2-256', pin: 'true', 'allow-big-block': 'true' };
+        const response = await fetch(rpc('block/put', params), {
+          method: 'POST',
+          body: form
+        });
+        if (!response.ok) {
+          throw new Error(`IPFS block/put failed: ${response.status} ${await response.text()}`);
+        }
+        const { Key } = await response.json();
+        if (Key !== cid) {
+          throw new Error(`IPFS returned CID ${Key}, expected ${cid}`);
+        }
+        return cid;
+      } finally {
+        fs.unlink(filePath, () => {});
+      }
+    },
+
+    async has(cid) {
+      if (!isValidCid(cid)) {
+        return false;
+      }
+      const response = await fetch(rpc('block/stat', { arg: cid, offline: 'true' }), { method: 'POST' });
+      return response.ok;
+    },
+
+    async createReadStream(cid) {
+      const response = await fetch(rpc('block/get', { arg: cid }), { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(`IPFS block/get failed: ${response.status}`);
+      }
+      return Readable.fromWeb(response.body);
+    },
+
+    // Unpin, then drop the block from the node's repo
+    async remove(cid) {
+      await fetch(rpc('pin/rm', { arg: cid }), { method: 'POST' });
+      const response = await fetch(rpc('block/rm', { arg: cid }), { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(`IPFS block/rm failed: ${response.status} ${await response.text()}`);
+      }
+    },
+
+    tempPath() {
+      fs.mkdirSync(tempDir, { recursive: true });
+      return path.join(tempDir, `.upload-${crypto.randomBytes(8).toString('hex')}`);
+    }
+  };
+}
+
+module.exports = {
+  computeCid,
+  isValidCid,
+  createFsContentStore,
+  createIpfsContentStore
+};
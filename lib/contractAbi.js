@@ -0,0 +1,7 @@
+const { abi } = require('../shared/notaryContract.json');
+
+// NotaryService ABI from the compiled artifact (see scripts/generate-contract-module.js),
+// shared by the API server and the CLI and served to the frontend
+const CONTRACT_ABI = abi;
+
+module.exports = { CONTRACT_ABI };
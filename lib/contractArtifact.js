@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const CONTRACT_SOURCE = 'contracts/NotaryService.sol';
+const CONTRACT_NAME = 'NotaryService';
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, '..', 'artifacts');
+
+/**
+ * Compiled NotaryService from the Hardhat artifacts: ABI, runtime bytecode and the
+ * compiler output needed to compare that bytecode with what is deployed.
+ * @param {string} [artifactsDir]
+ * @returns {{contractName: string, sourceName: string, abi: Object[], deployedBytecode: string, immutableReferences: Object, ast: Object}}
+ */
+function loadContractArtifact(artifactsDir = DEFAULT_ARTIFACTS_DIR) {
+  const artifactDir = path.join(artifactsDir, CONTRACT_SOURCE);
+  const artifactFile = path.join(artifactDir, `${CONTRACT_NAME}.json`);
+  if (!fs.existsSync(artifactFile)) {
+    throw new Error(`No compiled ${CONTRACT_NAME} artifact in ${artifactsDir}, run npm run compile`);
+  }
+
+  const artifact = JSON.parse(fs.readFileSync(artifactFile, 'utf8'));
+  const debug = JSON.parse(fs.readFileSync(path.join(artifactDir, `${CONTRACT_NAME}.dbg.json`), 'utf8'));
+  const buildInfo = JSON.parse(fs.readFileSync(path.resolve(artifactDir, debug.buildInfo), 'utf8'));
+  const compiled = buildInfo.output.contracts[CONTRACT_SOURCE][CONTRACT_NAME];
+
+  return {
+    contractName: CONTRACT_NAME,
+    sourceName: CONTRACT_SOURCE,
+    abi: artifact.abi,
+    deployedBytecode: artifact.deployedBytecode,
+    immutableReferences: compiled.evm.deployedBytecode.immutableReferences || {},
+    ast: buildInfo.output.sources[CONTRACT_SOURCE].ast
+  };
+}
+
+// keccak256 of the ABI JSON, to tell which interface a client or deployment was built against
+function computeAbiHash(abi) {
+  return ethers.utils.id(JSON.stringify(abi));
+}
+
+// Immutables (chain id, domain separator) are written into the code at deploy time,
+// so those byte ranges are zeroed on both sides before comparing
+function maskImmutables(bytecode, immutableReferences) {
+  const hex = bytecode.replace(/^0x/, '').toLowerCase().split('');
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      hex.fill('0', start * 2, (start + length) * 2);
+    }
+  }
+  return hex.join('');
+}
+
+/**
+ * Compare the code deployed at `address` with the compiled runtime bytecode.
+ * @returns {Promise<{matches: boolean, reason: string|null}>}
+ */
+async function checkDeployedBytecode(provider, address, artifact) {
+  const code = await provider.getCode(address);
+  if (code === '0x') {
+    return { matches: false, reason: `No contract deployed at ${address}` };
+  }
+  if (maskImmutables(code, artifact.immutableReferences) !== maskImmutables(artifact.deployedBytecode, artifact.immutableReferences)) {
+    return { matches: false, reason: `Code at ${address} does not match the compiled ${artifact.contractName}` };
+  }
+  return { matches: true, reason: null };
+}
+
+/**
+ * NotaryService client built from the artifact ABI. Typed by the TypeChain bindings
+ * that `hardhat compile` writes to typechain-types/.
+ * @param {string} address
+ * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider
+ * @param {Object} artifact from loadContractArtifact
+ * @returns {import('../typechain-types').NotaryService}
+ */
+function createNotaryContract(address, signerOrProvider, artifact) {
+  return new ethers.Contract(address, artifact.abi, signerOrProvider);
+}
+
+module.exports = {
+  checkDeployedBytecode,
+  computeAbiHash,
+  createNotaryContract,
+  loadContractArtifact,
+  maskImmutables
+};
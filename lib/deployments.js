@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+// One JSON file per network (deployments/<network>.json) listing every NotaryService
+// deployment on it, oldest first. The last entry is the active contract.
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+function getDeploymentsDir() {
+  return process.env.DEPLOYMENTS_DIR || DEFAULT_DEPLOYMENTS_DIR;
+}
+
+function readRegistryFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Registry for one network, or null if nothing was deployed there yet.
+ * @param {string} network Hardhat network name
+ * @param {string} [dir]
+ * @returns {{network: string, chainId: number, deployments: Object[]}|null}
+ */
+function readRegistry(network, dir = getDeploymentsDir()) {
+  const file = path.join(dir, `${network}.json`);
+  return fs.existsSync(file) ? readRegistryFile(file) : null;
+}
+
+/**
+ * Every registry in the directory.
+ * @param {string} [dir]
+ */
+function listRegistries(dir = getDeploymentsDir()) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => readRegistryFile(path.join(dir, name)));
+}
+
+/**
+ * Append a deployment to its network's registry, making it the active one.
+ * @param {Object} deployment
+ * @param {string} deployment.network
+ * @param {number} deployment.chainId
+ * @param {string} deployment.contractName
+ * @param {string} deployment.address
+ * @param {number} deployment.blockNumber
+ * @param {string} deployment.transactionHash
+ * @param {string} deployment.abiHash keccak256 of the ABI JSON (see lib/contractArtifact.js)
+ * @param {string} deployment.deployer
+ * @param {string} [deployment.upgradedFrom] contract it replaced, when deployed by scripts/upgrade.js
+ * @param {string} [deployment.migration] "import" or "link", with upgradedFrom
+ * @param {string} [dir]
+ * @returns {string} path of the registry file
+ */
+function recordDeployment({ network, chainId, ...entry }, dir = getDeploymentsDir()) {
+  const registry = readRegistry(network, dir) || { network, chainId, deployments: [] };
+  if (registry.chainId !== chainId) {
+    throw new Error(`deployments/${network}.json is for chain ${registry.chainId}, not ${chainId}`);
+  }
+
+  registry.deployments.push({ ...entry, deployedAt: new Date().toISOString() });
+
+  const file = path.join(dir, `${network}.json`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2) + '\n');
+  return file;
+}
+
+/**
+ * Active deployment for a chain, with the network it was recorded under, or null.
+ * @param {number} chainId
+ * @param {string} [dir]
+ */
+function findDeployment(chainId, dir = getDeploymentsDir()) {
+  const registry = listRegistries(dir).find((entry) => entry.chainId === chainId && entry.deployments.length);
+  if (!registry) {
+    return null;
+  }
+  return { network: registry.network, chainId, ...registry.deployments[registry.deployments.length - 1] };
+}
+
+module.exports = {
+  findDeployment,
+  getDeploymentsDir,
+  listRegistries,
+  readRegistry,
+  recordDeployment
+};
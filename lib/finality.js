@@ -0,0 +1,110 @@
+// pending: not yet in a block, or fewer blocks on top than the network requires
+// confirmed: enough confirmations to report, but a deep reorg could still undo it
+// finalized: deeper than the network's finality depth
+const FINALITY_STATES = ['pending', 'confirmed', 'finalized'];
+
+// Confirmations before a transaction is reported as done, and the depth after which it is
+// treated as final, by chain ID
+const DEFAULT_CONFIRMATION_POLICIES = {
+  1: { confirmations: 12, finalityDepth: 64 }, // Ethereum mainnet, two epochs
+  5: { confirmations: 6, finalityDepth: 64 },
+  11155111: { confirmations: 6, finalityDepth: 64 },
+  137: { confirmations: 64, finalityDepth: 256 },
+  80001: { confirmations: 32, finalityDepth: 256 },
+  // Local development nodes mine on demand and never reorganize
+  1337: { confirmations: 1, finalityDepth: 1 },
+  31337: { confirmations: 1, finalityDepth: 1 }
+};
+
+// Chains not listed above
+const FALLBACK_CONFIRMATION_POLICY = { confirmations: 12, finalityDepth: 64 };
+
+/**
+ * Parse NETWORK_CONFIRMATIONS: comma separated `<chain ID or network>=<confirmations>[/<finality depth>]`,
+ * e.g. "sepolia=3/32,137=128/512". Malformed entries are reported and skipped.
+ * @returns {Object<string, {confirmations: number, finalityDepth?: number}>}
+ */
+function parseConfirmationOverrides(value) {
+  const overrides = {};
+  for (const entry of String(value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const match = entry.match(/^([^=]+)=(\d+)(?:\/(\d+))?$/);
+    if (!match || parseInt(match[2], 10) < 1) {
+      console.warn(`⚠️  Ignoring NETWORK_CONFIRMATIONS entry "${entry}" (expected <chain>=<confirmations>[/<finality depth>])`);
+      continue;
+    }
+    overrides[match[1].trim()] = {
+      confirmations: parseInt(match[2], 10),
+      ...(match[3] && { finalityDepth: parseInt(match[3], 10) })
+    };
+  }
+  return overrides;
+}
+
+/**
+ * Confirmation requirements for a chain: an override by chain ID or network name, else
+ * the default for the chain ID. The finality depth is never below the confirmations.
+ * @param {{chainId: number, network: string}} chain
+ * @param {Object} overrides from parseConfirmationOverrides
+ */
+function getConfirmationPolicy({ chainId, network }, overrides = {}) {
+  const policy = {
+    ...(DEFAULT_CONFIRMATION_POLICIES[chainId] || FALLBACK_CONFIRMATION_POLICY),
+    ...overrides[network],
+    ...overrides[chainId]
+  };
+  return { ...policy, finalityDepth: Math.max(policy.finalityDepth, policy.confirmations) };
+}
+
+/**
+ * Finality of something included in `blockNumber` (null when not in a block yet),
+ * with `headBlock` the chain's latest block.
+ * @returns {{finality: string, confirmations: number}}
+ */
+function describeFinality(blockNumber, headBlock, policy) {
+  if (blockNumber === null || blockNumber === undefined) {
+    return { finality: 'pending', confirmations: 0 };
+  }
+  const confirmations = Math.max(headBlock - blockNumber + 1, 0);
+  let finality = 'pending';
+  if (confirmations >= policy.finalityDepth) {
+    finality = 'finalized';
+  } else if (confirmations >= policy.confirmations) {
+    finality = 'confirmed';
+  }
+  return { finality, confirmations };
+}
+
+/**
+ * Finality of a document's current on-chain state: that of the latest event about it within
+ * the finality depth. Older changes are final, so a document with none there is finalized
+ * and `confirmations` is null. For a document the contract does not hold, `finality` is null.
+ * @param {ethers.Contract} contract NotaryService holding the document
+ * @returns {Promise<{finality: string|null, confirmations: number|null}>}
+ */
+async function getDocumentFinality(contract, documentHash, policy) {
+  const { provider } = contract;
+  const headBlock = await provider.getBlockNumber();
+  const range = { address: contract.address, fromBlock: Math.max(headBlock - policy.finalityDepth + 1, 0), toBlock: headBlock };
+  const [about, versioned] = await Promise.all([
+    provider.getLogs({ ...range, topics: [null, documentHash] }),
+    // A version is created under its own hash in the second topic
+    provider.getLogs({ ...range, topics: [contract.interface.getEventTopic('DocumentVersionCreated'), null, documentHash] })
+  ]);
+
+  const changes = [...about, ...versioned];
+  if (!changes.length) {
+    // No recent logs: either every change is older than the finality depth, or there never was one
+    const { exists } = await contract.verifyDocument(documentHash);
+    return { finality: exists ? 'finalized' : null, confirmations: null };
+  }
+  return describeFinality(Math.max(...changes.map(log => log.blockNumber)), headBlock, policy);
+}
+
+module.exports = {
+  DEFAULT_CONFIRMATION_POLICIES,
+  FINALITY_STATES,
+  describeFinality,
+  getConfirmationPolicy,
+  getDocumentFinality,
+  parseConfirmationOverrides
+};
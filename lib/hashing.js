@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { blake2b } = require('@noble/hashes/blake2b');
+
+const DEFAULT_HASH_ALGORITHM = 'sha256';
+
+// Every algorithm yields 32 bytes so the digest fits the contract's bytes32 document hash.
+// Keccak-256 (Ethereum's pre-standard SHA-3) and 256-bit BLAKE2b are not in Node's crypto.
+const HASH_ALGORITHMS = {
+  sha256: { label: 'SHA-256', create: () => crypto.createHash('sha256') },
+  'sha3-256': { label: 'SHA3-256', create: () => crypto.createHash('sha3-256') },
+  keccak256: { label: 'Keccak-256', create: () => keccak_256.create() },
+  'blake2b-256': { label: 'BLAKE2b-256', create: () => blake2b.create({ dkLen: 32 }) }
+};
+
+function isSupportedHashAlgorithm(algorithm) {
+  return Object.prototype.hasOwnProperty.call(HASH_ALGORITHMS, algorithm);
+}
+
+function createHasher(algorithm = DEFAULT_HASH_ALGORITHM) {
+  if (!isSupportedHashAlgorithm(algorithm)) {
+    const error = new Error(`Unsupported hash algorithm: ${algorithm}. Use one of ${Object.keys(HASH_ALGORITHMS).join(', ')}`);
+    error.code = 'UNSUPPORTED_HASH_ALGORITHM';
+    throw error;
+  }
+  return HASH_ALGORITHMS[algorithm].create();
+}
+
+function toHash(hasher) {
+  return '0x' + Buffer.from(hasher.digest()).toString('hex');
+}
+
+// Document hashes are the digest of the raw file bytes, 0x-prefixed so they fit a bytes32
+function calculateFileHash(fileBuffer, algorithm = DEFAULT_HASH_ALGORITHM) {
+  const hasher = createHasher(algorithm);
+  hasher.update(fileBuffer);
+  return toHash(hasher);
+}
+
+/**
+ * Hash a readable stream chunk by chunk, so file size is not bounded by memory.
+ * @returns {Promise<{ hash: string, size: number, algorithm: string }>}
+ */
+function hashStream(stream, algorithm = DEFAULT_HASH_ALGORITHM) {
+  return new Promise((resolve, reject) => {
+    let hasher;
+    try {
+      hasher = createHasher(algorithm);
+    } catch (error) {
+      stream.resume();
+      return reject(error);
+    }
+
+    let size = 0;
+    stream.on('data', chunk => {
+      size += chunk.length;
+      hasher.update(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve({ hash: toHash(hasher), size, algorithm }));
+  });
+}
+
+function hashFile(filePath, algorithm = DEFAULT_HASH_ALGORITHM) {
+  return hashStream(fs.createReadStream(filePath), algorithm);
+}
+
+/**
+ * Multer storage engine that hashes uploads as they stream in and keeps nothing.
+ * The algorithm comes from `?algorithm=` or a `hashAlgorithm` field sent before the file.
+ */
+function createHashingStorage() {
+  return {
+    _handleFile(req, file, cb) {
+      const algorithm = req.query.algorithm || (req.body && req.body.hashAlgorithm) || DEFAULT_HASH_ALGORITHM;
+      hashStream(file.stream, algorithm)
+        .then(result => cb(null, result))
+        .catch(cb);
+    },
+    _removeFile(req, file, cb) {
+      cb(null);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_HASH_ALGORITHM,
+  HASH_ALGORITHMS,
+  isSupportedHashAlgorithm,
+  createHasher,
+  toHash,
+  calculateFileHash,
+  hashStream,
+  hashFile,
+  createHashingStorage
+};
@@ -0,0 +1,599 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { createJsonStore } = require('./store');
+const { getRoleName } = require('./roles');
+const { STATUS_NAMES } = require('./status');
+
+const INDEXED_EVENTS = [
+  'DocumentNotarized',
+  'DocumentSigned',
+  'DocumentApproved',
+  'DocumentRejected',
+  'DocumentVersionCreated',
+  'SigningDeadlineSet',
+  'DocumentExpired',
+  'DocumentRevoked',
+  'DocumentArchived',
+  'DocumentImported',
+  'RoleGranted',
+  'RoleRevoked',
+  'OwnershipTransferStarted',
+  'OwnershipTransferred'
+];
+
+const emptyAccessState = () => ({
+  owner: null,
+  pendingOwner: null,
+  roles: {},
+  events: []
+});
+
+// A range that fails partway is read again whole on the next sync, so a log may be applied
+// twice. Entries are keyed by transaction hash and log index and recorded once; returns
+// whether the entry is new.
+function recordEntry(entries, entry) {
+  const seen = entries.some(existing =>
+    existing.transactionHash === entry.transactionHash && existing.logIndex === entry.logIndex);
+  if (!seen) {
+    entries.push(entry);
+  }
+  return !seen;
+}
+
+// Apply a role or ownership entry to the access state and record it
+function applyAccessEvent(access, entry) {
+  if (!recordEntry(access.events, entry)) {
+    return;
+  }
+  switch (entry.event) {
+    case 'RoleGranted':
+    case 'RoleRevoked': {
+      const others = (access.roles[entry.role] || [])
+        .filter(address => address.toLowerCase() !== entry.account.toLowerCase());
+      access.roles[entry.role] = entry.event === 'RoleGranted' ? [...others, entry.account] : others;
+      break;
+    }
+    case 'OwnershipTransferStarted':
+      access.pendingOwner = entry.account === ethers.constants.AddressZero ? null : entry.account;
+      break;
+    case 'OwnershipTransferred':
+      access.owner = entry.account;
+      access.pendingOwner = null;
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Replays NotaryService logs into a local document index so the API can
+ * list documents, which the contract itself only exposes per hash. Role and
+ * ownership events are replayed the same way to list current role holders.
+ *
+ * Emits 'event' for every log it applies, once the documents it touched are refreshed.
+ *
+ * Indexed blocks are checked against the chain before every sync. When a reorg replaced
+ * some of them, everything indexed from those blocks is rolled back and indexed again
+ * from the new ones, and 'reorg' is emitted with the documents that changed or went away.
+ */
+class DocumentIndexer extends EventEmitter {
+  constructor(contract, options = {}) {
+    super();
+    this.contract = contract;
+    this.provider = contract.provider;
+    this.store = options.store || createJsonStore('document-index', () => ({
+      contractAddress: contract.address,
+      lastBlock: null,
+      blockHashes: {},
+      lastReorg: null,
+      documents: {},
+      access: emptyAccessState()
+    }));
+    this.startBlock = options.startBlock || 0;
+    this.batchSize = options.batchSize || 2000;
+    this.pollInterval = options.pollInterval || 5000;
+    // How far back indexed block hashes are kept to find where a reorg forked off
+    this.reorgDepth = options.reorgDepth || 128;
+    this.timer = null;
+    this.syncing = false;
+    this.headBlock = null;
+
+    this.state = this.store.load();
+    if (this.state.contractAddress !== contract.address || !this.state.access) {
+      // Index belongs to a different deployment or predates role indexing, rebuild from scratch
+      this.state = { contractAddress: contract.address, lastBlock: null, documents: {}, access: emptyAccessState() };
+    }
+    this.state.blockHashes = this.state.blockHashes || {};
+    this.state.lastReorg = this.state.lastReorg || null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    console.log('🗂️  Document indexer started from block', this.nextBlock());
+    this.sync();
+    this.timer = setInterval(() => this.sync(), this.pollInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  nextBlock() {
+    return this.state.lastBlock === null ? this.startBlock : this.state.lastBlock + 1;
+  }
+
+  async sync() {
+    if (this.syncing) {
+      return;
+    }
+    this.syncing = true;
+
+    try {
+      const latestBlock = await this.provider.getBlockNumber();
+      this.headBlock = latestBlock;
+      await this.checkForReorg();
+      let fromBlock = this.nextBlock();
+
+      while (fromBlock <= latestBlock) {
+        const toBlock = Math.min(fromBlock + this.batchSize - 1, latestBlock);
+        await this.processRange(fromBlock, toBlock);
+        this.state.lastBlock = toBlock;
+        this.store.save(this.state);
+        fromBlock = toBlock + 1;
+      }
+    } catch (error) {
+      console.error('⚠️  Document indexer sync failed:', error.message);
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  async processRange(fromBlock, toBlock) {
+    // Read before the logs: if a reorg lands in between, the next check finds this hash gone
+    const rangeEnd = await this.provider.getBlock(toBlock);
+    const logs = await this.provider.getLogs({
+      address: this.contract.address,
+      fromBlock,
+      toBlock
+    });
+
+    const touched = new Set();
+    const blockTimestamps = new Map();
+    const known = [];
+    const applied = [];
+
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = this.contract.interface.parseLog(log);
+      } catch (error) {
+        continue; // Not an event we know about
+      }
+      if (!INDEXED_EVENTS.includes(parsed.name)) {
+        continue;
+      }
+
+      if (!blockTimestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        // Nothing is applied yet, so the range is simply read again on the next sync
+        if (block.hash !== log.blockHash) {
+          throw new Error(`block ${log.blockNumber} was replaced while indexing it`);
+        }
+        blockTimestamps.set(log.blockNumber, block.timestamp);
+      }
+      known.push({ parsed, log });
+    }
+
+    for (const { parsed, log } of known) {
+      const hashes = await this.applyEvent(parsed, log, blockTimestamps.get(log.blockNumber));
+      hashes.forEach(hash => touched.add(hash));
+      applied.push({ parsed, log, hashes });
+      // Checked against the chain before the next sync, like the end of the range
+      this.state.blockHashes[log.blockNumber] = log.blockHash;
+    }
+    this.rememberBlock(rangeEnd);
+
+    // Status transitions live in the contract, so read them back rather than re-deriving them
+    for (const hash of touched) {
+      await this.refreshDocument(hash);
+    }
+
+    for (const { parsed, log, hashes } of applied) {
+      this.emit('event', {
+        name: parsed.name,
+        args: parsed.args,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        timestamp: blockTimestamps.get(log.blockNumber),
+        documentHashes: hashes
+      });
+    }
+  }
+
+  async applyEvent(parsed, log, blockTimestamp) {
+    const { args } = parsed;
+    const entry = {
+      event: parsed.name,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      timestamp: blockTimestamp
+    };
+
+    switch (parsed.name) {
+      case 'DocumentNotarized': {
+        const doc = await this.createDocument(args.documentHash, {
+          notary: args.notary,
+          metadata: args.metadata,
+          timestamp: args.timestamp.toNumber(),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash
+        });
+        recordEntry(doc.events, { ...entry, actor: args.notary });
+        return [doc.hash];
+      }
+
+      case 'DocumentVersionCreated': {
+        const original = this.getDocument(args.originalHash);
+        const doc = await this.createDocument(args.newVersionHash, {
+          notary: original ? original.notary : args.creator,
+          metadata: original ? original.metadata : '',
+          timestamp: blockTimestamp,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          originalHash: args.originalHash,
+          version: args.version.toNumber()
+        });
+        recordEntry(doc.events, { ...entry, actor: args.creator });
+
+        if (original) {
+          if (recordEntry(original.events, { ...entry, actor: args.creator, newVersionHash: doc.hash })) {
+            original.versions.push({
+              documentHash: doc.hash,
+              version: args.version.toNumber(),
+              creator: args.creator,
+              timestamp: blockTimestamp
+            });
+          }
+          return [original.hash, doc.hash];
+        }
+        return [doc.hash];
+      }
+
+      case 'DocumentSigned': {
+        const doc = this.getDocument(args.documentHash);
+        if (!doc) return [];
+        if (!doc.signers.includes(args.signer)) {
+          doc.signers.push(args.signer);
+        }
+        recordEntry(doc.events, { ...entry, actor: args.signer });
+        return [doc.hash];
+      }
+
+      case 'DocumentApproved': {
+        const doc = this.getDocument(args.documentHash);
+        if (!doc) return [];
+        if (!doc.approvers.includes(args.approver)) {
+          doc.approvers.push(args.approver);
+        }
+        recordEntry(doc.events, { ...entry, actor: args.approver });
+        return [doc.hash];
+      }
+
+      case 'DocumentRejected': {
+        const doc = this.getDocument(args.documentHash);
+        if (!doc) return [];
+        doc.rejection = {
+          rejector: args.rejector,
+          reason: args.reason,
+          timestamp: args.timestamp.toNumber()
+        };
+        recordEntry(doc.events, { ...entry, actor: args.rejector, reason: args.reason });
+        return [doc.hash];
+      }
+
+      case 'SigningDeadlineSet': {
+        const doc = this.getDocument(args.documentHash);
+        if (!doc) return [];
+        doc.signingDeadline = args.deadline.toNumber();
+        return [doc.hash];
+      }
+
+      case 'DocumentExpired': {
+        const doc = this.getDocument(args.documentHash);
+        if (!doc) return [];
+        recordEntry(doc.events, { ...entry, actor: args.caller });
+        return [doc.hash];
+      }
+
+      case 'DocumentRevoked': {
+        const doc = this.getDocument(args.documentHash);
+        if (!doc) return [];
+        doc.revocation = {
+          revokedBy: args.revoker,
+          reason: args.reason,
+          timestamp: args.timestamp.toNumber()
+        };
+        recordEntry(doc.events, { ...entry, actor: args.revoker, reason: args.reason });
+        return [doc.hash];
+      }
+
+      case 'DocumentArchived': {
+        const doc = this.getDocument(args.documentHash);
+        if (!doc) return [];
+        recordEntry(doc.events, { ...entry, actor: args.archiver, previousStatus: args.previousStatus });
+        return [doc.hash];
+      }
+
+      // Carried over from the legacy contract with its original timestamp; signatures,
+      // approvals and revocation happened there, so read them from the record
+      case 'DocumentImported': {
+        const hash = args.documentHash;
+        const [metadata, requiredSigners, approvers, signingDeadline] = await Promise.all([
+          this.contract.getDocumentMetadata(hash),
+          this.contract.getRequiredSigners(hash),
+          this.contract.getApprovers(hash),
+          this.contract.getSigningDeadline(hash)
+        ]);
+        const signed = await Promise.all(requiredSigners.map(signer => this.contract.hasSigned(hash, signer)));
+        const doc = await this.createDocument(hash, {
+          notary: args.notary,
+          metadata,
+          timestamp: args.timestamp.toNumber(),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          importedFrom: args.legacyContract,
+          signers: requiredSigners.filter((signer, index) => signed[index]),
+          approvers: [...approvers],
+          signingDeadline: signingDeadline.isZero() ? null : signingDeadline.toNumber()
+        });
+        if (STATUS_NAMES[args.status] === 'REVOKED') {
+          const revocation = await this.contract.getRevocation(hash);
+          doc.revocation = {
+            revokedBy: revocation.revokedBy,
+            reason: revocation.reason,
+            timestamp: revocation.revokedAt.toNumber()
+          };
+        }
+        recordEntry(doc.events, { ...entry, actor: args.notary, legacyContract: args.legacyContract });
+        return [doc.hash];
+      }
+
+      case 'RoleGranted':
+      case 'RoleRevoked':
+        applyAccessEvent(this.state.access, {
+          ...entry,
+          role: getRoleName(args.role) || args.role,
+          account: args.account,
+          actor: args.sender
+        });
+        return [];
+
+      case 'OwnershipTransferStarted':
+      case 'OwnershipTransferred':
+        applyAccessEvent(this.state.access, { ...entry, account: args.newOwner, actor: args.previousOwner });
+        return [];
+
+      default:
+        return [];
+    }
+  }
+
+  async createDocument(hash, fields) {
+    const key = hash.toLowerCase();
+    if (!this.state.documents[key]) {
+      const requiredSigners = await this.contract.getRequiredSigners(hash);
+      this.state.documents[key] = {
+        hash,
+        originalHash: null,
+        version: 1,
+        status: 0,
+        signerCount: 0,
+        signatureThreshold: requiredSigners.length,
+        sequentialSigning: false,
+        nextSigner: null,
+        approverCount: 0,
+        approverWhitelist: [],
+        requiredApprovals: 1,
+        requiredSigners: [...requiredSigners],
+        signers: [],
+        approvers: [],
+        rejection: null,
+        revocation: null,
+        signingDeadline: null,
+        versions: [],
+        events: [],
+        ...fields
+      };
+    }
+    return this.state.documents[key];
+  }
+
+  async refreshDocument(hash) {
+    const doc = this.getDocument(hash);
+    const result = await this.contract.verifyDocument(hash);
+    doc.status = result.status;
+    doc.signerCount = result.signerCount.toNumber();
+    doc.signatureThreshold = result.signatureThreshold.toNumber();
+    doc.approverCount = result.approverCount.toNumber();
+    const { approvers, requiredApprovals } = await this.contract.getApprovalPolicy(hash);
+    doc.approverWhitelist = [...approvers];
+    doc.requiredApprovals = requiredApprovals.toNumber();
+    doc.sequentialSigning = await this.contract.isSequentialSigning(hash);
+    const nextSigner = await this.contract.getNextSigner(hash);
+    doc.nextSigner = nextSigner === ethers.constants.AddressZero ? null : nextSigner;
+  }
+
+  getDocument(hash) {
+    return this.state.documents[hash.toLowerCase()] || null;
+  }
+
+  // Remember the hash of an indexed block, keeping only the last reorgDepth blocks
+  rememberBlock(block) {
+    this.state.blockHashes[block.number] = block.hash;
+    for (const number of Object.keys(this.state.blockHashes)) {
+      if (Number(number) <= block.number - this.reorgDepth) {
+        delete this.state.blockHashes[number];
+      }
+    }
+  }
+
+  /**
+   * Compare the remembered blocks with the chain, newest first. The newest one still on the
+   * chain is where the reorg forked off; everything indexed after it is rolled back. With
+   * none of them left, the reorg is deeper than reorgDepth and the index is rebuilt.
+   */
+  async checkForReorg() {
+    const numbers = Object.keys(this.state.blockHashes).map(Number).sort((a, b) => b - a);
+    for (const [index, number] of numbers.entries()) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === this.state.blockHashes[number]) {
+        if (index > 0) {
+          await this.rollback(number);
+        }
+        return;
+      }
+    }
+    if (numbers.length) {
+      await this.rollback(this.startBlock - 1);
+    }
+  }
+
+  // Undo everything indexed after `blockNumber`; the next ranges index the new blocks instead
+  async rollback(blockNumber) {
+    const depth = this.state.lastBlock - blockNumber;
+    console.warn(`⚠️  Chain reorganization: rolling the document index back ${depth} block(s) to block ${blockNumber}`);
+
+    const removed = [];
+    for (const [key, doc] of Object.entries(this.state.documents)) {
+      if (doc.blockNumber > blockNumber) {
+        delete this.state.documents[key];
+        removed.push(doc.hash);
+      }
+    }
+
+    const updated = [];
+    for (const doc of Object.values(this.state.documents)) {
+      const dropped = doc.events.filter(entry => entry.blockNumber > blockNumber);
+      if (!dropped.length) {
+        continue;
+      }
+      const droppedActors = name => dropped.filter(entry => entry.event === name).map(entry => entry.actor);
+      doc.events = doc.events.filter(entry => entry.blockNumber <= blockNumber);
+      doc.signers = doc.signers.filter(signer => !droppedActors('DocumentSigned').includes(signer));
+      doc.approvers = doc.approvers.filter(approver => !droppedActors('DocumentApproved').includes(approver));
+      doc.versions = doc.versions.filter(version => !removed.includes(version.documentHash));
+      if (droppedActors('DocumentRejected').length) {
+        doc.rejection = null;
+      }
+      if (droppedActors('DocumentRevoked').length) {
+        doc.revocation = null;
+      }
+      await this.refreshDocument(doc.hash);
+      updated.push(doc.hash);
+    }
+
+    // Role and ownership state is replayed from the entries that are left
+    const kept = this.state.access.events.filter(entry => entry.blockNumber <= blockNumber);
+    this.state.access = emptyAccessState();
+    kept.forEach(entry => applyAccessEvent(this.state.access, entry));
+
+    for (const number of Object.keys(this.state.blockHashes)) {
+      if (Number(number) > blockNumber) {
+        delete this.state.blockHashes[number];
+      }
+    }
+    this.state.lastBlock = blockNumber < this.startBlock ? null : blockNumber;
+    this.state.lastReorg = { detectedAt: new Date().toISOString(), forkBlock: blockNumber, depth, removed, updated };
+    this.store.save(this.state);
+
+    this.emit('reorg', { forkBlock: blockNumber, depth, removed, updated });
+  }
+
+  /**
+   * List indexed documents, newest first.
+   * @param {Object} filters notary, signer (required or actual), status (enum index), page, pageSize
+   */
+  listDocuments({ notary, signer, status, page = 1, pageSize = 20 } = {}) {
+    const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+    let documents = Object.values(this.state.documents);
+
+    if (notary) {
+      documents = documents.filter(doc => sameAddress(doc.notary, notary));
+    }
+    if (signer) {
+      documents = documents.filter(doc =>
+        doc.requiredSigners.some(address => sameAddress(address, signer)) ||
+        doc.signers.some(address => sameAddress(address, signer))
+      );
+    }
+    if (status !== undefined && status !== null) {
+      documents = documents.filter(doc => doc.status === status);
+    }
+
+    documents.sort((a, b) => b.timestamp - a.timestamp);
+
+    const total = documents.length;
+    const start = (page - 1) * pageSize;
+
+    return {
+      documents: documents.slice(start, start + pageSize),
+      page,
+      pageSize,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / pageSize))
+    };
+  }
+
+  /**
+   * Pending documents whose signing deadline falls before `until`, soonest first.
+   * Includes documents already past their deadline that nobody has expired yet.
+   * @param {number} until Unix seconds
+   */
+  listExpiring(until) {
+    return Object.values(this.state.documents)
+      .filter(doc => doc.signingDeadline && doc.status === 0 /* PENDING */ && doc.signingDeadline <= until)
+      .sort((a, b) => a.signingDeadline - b.signingDeadline);
+  }
+
+  /**
+   * Owner, pending owner and current holders of each role, as replayed from events.
+   */
+  getAccessControl() {
+    const { owner, pendingOwner, roles, events } = this.state.access;
+    return { owner, pendingOwner, roles, events };
+  }
+
+  /**
+   * Every indexed role, ownership and document event, newest first.
+   */
+  listAuditTrail() {
+    const documentEvents = Object.values(this.state.documents)
+      .flatMap(doc => doc.events.map(event => ({ ...event, documentHash: doc.hash })));
+
+    return [...this.state.access.events, ...documentEvents]
+      .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+  }
+
+  getStatus() {
+    return {
+      running: !!this.timer,
+      lastBlock: this.state.lastBlock,
+      headBlock: this.headBlock,
+      documentCount: Object.keys(this.state.documents).length,
+      lastReorg: this.state.lastReorg
+    };
+  }
+}
+
+module.exports = {
+  DocumentIndexer,
+  INDEXED_EVENTS
+};
@@ -0,0 +1,77 @@
+const { ethers } = require('ethers');
+const { abi: V1_ABI } = require('../shared/legacy/NotaryService-v1.json');
+const { createNotaryContract } = require('./contractArtifact');
+
+// The first NotaryService deployed (shared/legacy/NotaryService-v1.json) predates signature
+// thresholds, deadlines, approval policies, revocation, batches, roles and upgrades. Its
+// verifyDocument returns six values where later versions return seven.
+const V1_VERIFY_RESULT_LENGTH = 6 * 32;
+
+const { AddressZero, HashZero, Zero, One } = ethers.constants;
+
+async function isFirstVersion(provider, address) {
+  const data = new ethers.utils.Interface(V1_ABI).encodeFunctionData('verifyDocument', [HashZero]);
+  return ethers.utils.hexDataLength(await provider.call({ to: address, data })) === V1_VERIFY_RESULT_LENGTH;
+}
+
+// Current-interface client for a first-version contract: getters it has are read through
+// its own ABI, the ones it lacks answer with what they meant on it. Everything else,
+// event queries included, goes to the artifact client underneath.
+function createV1Client(address, signerOrProvider, artifact) {
+  const v1 = new ethers.Contract(address, V1_ABI, signerOrProvider);
+  const overrides = {
+    verifyDocument: async (documentHash) => {
+      const result = await v1.verifyDocument(documentHash);
+      // Every required signer had to sign
+      const signatureThreshold = result.exists ? (await v1.getRequiredSigners(documentHash)).length : 0;
+      return {
+        exists: result.exists,
+        notary: result.notary,
+        timestamp: result.timestamp,
+        status: result.status,
+        signerCount: result.signerCount,
+        approverCount: result.approverCount,
+        signatureThreshold: ethers.BigNumber.from(signatureThreshold)
+      };
+    },
+    getSigningDeadline: async () => Zero,
+    isSequentialSigning: async () => false,
+    getNextSigner: async () => AddressZero,
+    // Anyone could approve, and one approval after the last signature made a document APPROVED
+    getApprovalPolicy: async () => ({ approvers: [], requiredApprovals: One }),
+    getApprovers: async (documentHash) => (await v1.queryFilter(v1.filters.DocumentApproved(documentHash)))
+      .map(event => event.args.approver),
+    getRevocation: async () => ({ revokedBy: AddressZero, revokedAt: Zero, reason: '' }),
+    batches: async (merkleRoot) => ({
+      merkleRoot, notary: AddressZero, timestamp: Zero, blockNumber: Zero, documentCount: Zero, metadata: '', exists: false
+    }),
+    verifyBatchInclusion: async () => ({ included: false, notary: AddressZero, timestamp: Zero }),
+    importedDocuments: async () => false,
+    legacyContract: async () => AddressZero
+  };
+
+  const client = createNotaryContract(address, signerOrProvider, artifact);
+  return Object.create(client, Object.fromEntries(
+    Object.entries(overrides).map(([name, value]) => [name, { value, enumerable: true }])
+  ));
+}
+
+/**
+ * Read-only client for a contract an upgrade replaced, with the current contract's
+ * interface whichever version is deployed there.
+ * @param {string} address
+ * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider
+ * @param {Object} artifact current NotaryService artifact (needs `abi`)
+ * @returns {Promise<ethers.Contract>}
+ */
+async function attachLegacyContract(address, signerOrProvider, artifact) {
+  const provider = signerOrProvider.provider || signerOrProvider;
+  if (await isFirstVersion(provider, address)) {
+    return createV1Client(address, signerOrProvider, artifact);
+  }
+  return createNotaryContract(address, signerOrProvider, artifact);
+}
+
+module.exports = {
+  attachLegacyContract
+};
@@ -0,0 +1,68 @@
+const { ethers } = require('ethers');
+
+// Merkle tree compatible with NotaryService.verifyBatchInclusion:
+// leaves are keccak256(documentHash), parents are keccak256 of the sorted pair,
+// and an odd node at the end of a layer is carried up unchanged.
+
+function hashLeaf(documentHash) {
+  return ethers.utils.keccak256(documentHash);
+}
+
+function hashPair(a, b) {
+  const [left, right] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return ethers.utils.keccak256(ethers.utils.hexConcat([left, right]));
+}
+
+/**
+ * Build a Merkle tree over 32-byte document hashes.
+ * @param {string[]} documentHashes 0x-prefixed 32-byte hashes
+ * @returns {{ root: string, layers: string[][] }}
+ */
+function buildMerkleTree(documentHashes) {
+  if (!documentHashes.length) {
+    throw new Error('Cannot build a Merkle tree without documents');
+  }
+
+  const layers = [documentHashes.map(hashLeaf)];
+
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+    }
+    layers.push(next);
+  }
+
+  return { root: layers[layers.length - 1][0], layers };
+}
+
+/**
+ * Sibling hashes needed to recompute the root from the leaf at `index`.
+ */
+function getMerkleProof(tree, index) {
+  const proof = [];
+
+  for (let level = 0; level < tree.layers.length - 1; level++) {
+    const layer = tree.layers[level];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layer.length) {
+      proof.push(layer[sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+}
+
+function verifyMerkleProof(documentHash, proof, root) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), hashLeaf(documentHash));
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+  hashLeaf,
+  buildMerkleTree,
+  getMerkleProof,
+  verifyMerkleProof
+};
@@ -0,0 +1,103 @@
+const { ethers } = require('ethers');
+
+// EIP-712 types accepted by the *BySig functions in NotaryService.sol
+const META_TX_TYPES = {
+  sign: {
+    primaryType: 'SignDocument',
+    accountField: 'signer',
+    fields: [
+      { name: 'documentHash', type: 'bytes32' },
+      { name: 'signer', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  approve: {
+    primaryType: 'ApproveDocument',
+    accountField: 'approver',
+    fields: [
+      { name: 'documentHash', type: 'bytes32' },
+      { name: 'approver', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  reject: {
+    primaryType: 'RejectDocument',
+    accountField: 'signer',
+    fields: [
+      { name: 'documentHash', type: 'bytes32' },
+      { name: 'signer', type: 'address' },
+      { name: 'reason', type: 'string' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  }
+};
+
+/**
+ * Build the typed data a signer has to sign for a relayed action.
+ * @returns {{ domain, types, primaryType, message }}
+ */
+function buildTypedData({ action, chainId, contractAddress, documentHash, account, nonce, deadline, reason }) {
+  const definition = META_TX_TYPES[action];
+  if (!definition) {
+    throw new Error(`Unsupported meta-transaction action: ${action}`);
+  }
+
+  const message = {
+    documentHash,
+    [definition.accountField]: account,
+    nonce: nonce.toString(),
+    deadline: deadline.toString()
+  };
+  if (action === 'reject') {
+    message.reason = reason;
+  }
+
+  return {
+    domain: {
+      name: 'NotaryService',
+      version: '1',
+      chainId,
+      verifyingContract: contractAddress
+    },
+    types: { [definition.primaryType]: definition.fields },
+    primaryType: definition.primaryType,
+    message
+  };
+}
+
+/**
+ * Recover the address that signed the typed data, so bad signatures are
+ * refused before the relayer spends gas on them.
+ */
+function recoverTypedDataSigner(typedData, signature) {
+  return ethers.utils.verifyTypedData(typedData.domain, typedData.types, typedData.message, signature);
+}
+
+/**
+ * Contract method and arguments that relay a verified meta-transaction.
+ * @returns {{method: string, args: Array}}
+ */
+function getMetaTransactionCall({ action, documentHash, account, deadline, reason, signature }) {
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+
+  switch (action) {
+    case 'sign':
+      return { method: 'signDocumentBySig', args: [documentHash, account, deadline, v, r, s] };
+    case 'approve':
+      return { method: 'approveDocumentBySig', args: [documentHash, account, deadline, v, r, s] };
+    case 'reject':
+      return { method: 'rejectDocumentBySig', args: [documentHash, account, reason, deadline, v, r, s] };
+    default:
+      throw new Error(`Unsupported meta-transaction action: ${action}`);
+  }
+}
+
+module.exports = {
+  META_TX_TYPES,
+  buildTypedData,
+  getMetaTransactionCall,
+  recoverTypedDataSigner
+};
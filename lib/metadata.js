@@ -0,0 +1,176 @@
+const Ajv = require('ajv');
+const { ethers } = require('ethers');
+const { HASH_ALGORITHMS, DEFAULT_HASH_ALGORITHM } = require('./hashing');
+
+// Notarization metadata is a typed JSON object validated against METADATA_SCHEMA and
+// stored on-chain in canonical form (sorted keys, no whitespace). With hash-only storage
+// the chain gets just the keccak256 of that canonical JSON plus the hash algorithm, and
+// the full metadata stays with the service. Documents notarized before metadata was
+// structured carry free text, which is read as the title of a SHA-256 document.
+
+const DOCUMENT_TYPES = [
+  'contract',
+  'agreement',
+  'certificate',
+  'deed',
+  'invoice',
+  'power-of-attorney',
+  'will',
+  'other'
+];
+
+const METADATA_STORAGE = ['full', 'hash'];
+
+const METADATA_SCHEMA = {
+  $id: 'https://notary.local/schemas/document-metadata.json',
+  type: 'object',
+  additionalProperties: false,
+  required: ['title'],
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    documentType: { type: 'string', enum: DOCUMENT_TYPES },
+    description: { type: 'string', maxLength: 2000 },
+    parties: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 200 },
+          role: { type: 'string', maxLength: 100 },
+          address: { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' }
+        }
+      }
+    },
+    jurisdiction: { type: 'string', maxLength: 100 },
+    expiresAt: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    tags: {
+      type: 'array',
+      maxItems: 20,
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1, maxLength: 50 }
+    },
+    externalReferences: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['system', 'id'],
+        properties: {
+          system: { type: 'string', minLength: 1, maxLength: 100 },
+          id: { type: 'string', minLength: 1, maxLength: 200 }
+        }
+      }
+    },
+    hashAlgorithm: { type: 'string', enum: Object.keys(HASH_ALGORITHMS) },
+    // CID of the encrypted copy held in the document vault (CIDv1, raw, sha2-256)
+    contentCid: { type: 'string', pattern: '^bafkrei[a-z2-7]{52}$' }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(METADATA_SCHEMA);
+
+// JSON with object keys sorted at every level, so equal metadata always hashes the same
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashMetadata(canonical) {
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(canonical));
+}
+
+/**
+ * Validate metadata against METADATA_SCHEMA.
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateMetadata(metadata) {
+  const valid = validateSchema(metadata);
+  return {
+    valid,
+    errors: valid ? [] : validateSchema.errors.map(error =>
+      `${error.instancePath || '/'} ${error.message}` +
+      (error.params.additionalProperty ? `: ${error.params.additionalProperty}` : ''))
+  };
+}
+
+/**
+ * Build what goes on-chain for a piece of metadata.
+ * @param {Object} metadata schema-valid metadata
+ * @param {'full'|'hash'} storage whether the chain gets the metadata itself or only its hash
+ * @returns {{ metadata: Object, canonical: string, metadataHash: string, onChain: string }}
+ */
+function prepareMetadata(metadata, storage = 'full') {
+  const normalized = { hashAlgorithm: DEFAULT_HASH_ALGORITHM, ...metadata };
+  const canonical = canonicalize(normalized);
+  const metadataHash = hashMetadata(canonical);
+
+  return {
+    metadata: normalized,
+    canonical,
+    metadataHash,
+    onChain: storage === 'hash'
+      ? canonicalize({ hashAlgorithm: normalized.hashAlgorithm, metadataHash })
+      : canonical
+  };
+}
+
+/**
+ * Read on-chain metadata back into an object, whatever format it was written in.
+ * Hash-only metadata is looked up through `lookup(metadataHash)` and checked against the hash.
+ */
+function decodeMetadata(raw, lookup = () => null) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    // Legacy free-text metadata
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { title: raw || '', hashAlgorithm: DEFAULT_HASH_ALGORITHM, storage: 'full' };
+  }
+
+  if (parsed.metadataHash && !parsed.title) {
+    const canonical = lookup(parsed.metadataHash);
+    const available = !!canonical && hashMetadata(canonical) === parsed.metadataHash;
+    return {
+      ...(available ? JSON.parse(canonical) : {}),
+      hashAlgorithm: parsed.hashAlgorithm || DEFAULT_HASH_ALGORITHM,
+      metadataHash: parsed.metadataHash,
+      storage: 'hash',
+      available
+    };
+  }
+
+  if (!parsed.title) {
+    // Metadata written before the schema only had a description
+    const { description, ...rest } = parsed;
+    return { ...rest, title: description || '', hashAlgorithm: parsed.hashAlgorithm || DEFAULT_HASH_ALGORITHM, storage: 'full' };
+  }
+
+  return { ...parsed, hashAlgorithm: parsed.hashAlgorithm || DEFAULT_HASH_ALGORITHM, storage: 'full' };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  METADATA_STORAGE,
+  METADATA_SCHEMA,
+  canonicalize,
+  hashMetadata,
+  validateMetadata,
+  prepareMetadata,
+  decodeMetadata
+};
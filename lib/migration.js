@@ -0,0 +1,152 @@
+const { ROLES } = require('./roles');
+const { STATUS_NAMES } = require('./status');
+
+// Read everything a NotaryService holds, from its events and views, in the shape the
+// replacement contract's importDocument / importVersions / importBatch take. Pass a client
+// from attachLegacyContract so first-version contracts read through their own ABI.
+
+const EMPTY_REVOCATION = { revokedBy: '0x0000000000000000000000000000000000000000', revokedAt: 0, reason: '' };
+
+// Contracts deployed before getApprovers existed only have the DocumentApproved events
+async function readApprovers(contract, documentHash, approvedEvents) {
+  try {
+    return [...await contract.getApprovers(documentHash)];
+  } catch (error) {
+    return approvedEvents
+      .filter(event => event.args.documentHash === documentHash)
+      .map(event => event.args.approver);
+  }
+}
+
+/**
+ * One legacy document as a DocumentImport struct.
+ * @param {ethers.Contract} legacy
+ * @param {string} documentHash
+ * @param {Object[]} approvedEvents DocumentApproved logs of the legacy contract
+ */
+async function readDocument(legacy, documentHash, approvedEvents = []) {
+  const result = await legacy.verifyDocument(documentHash);
+  const [metadata, requiredSigners, signingDeadline, sequentialSigning, approvalPolicy] = await Promise.all([
+    legacy.getDocumentMetadata(documentHash),
+    legacy.getRequiredSigners(documentHash),
+    legacy.getSigningDeadline(documentHash),
+    legacy.isSequentialSigning(documentHash),
+    legacy.getApprovalPolicy(documentHash)
+  ]);
+  const signed = await Promise.all(requiredSigners.map(signer => legacy.hasSigned(documentHash, signer)));
+  const revocation = STATUS_NAMES[result.status] === 'REVOKED' ? await legacy.getRevocation(documentHash) : null;
+
+  return {
+    documentHash,
+    notary: result.notary,
+    timestamp: result.timestamp,
+    metadata,
+    status: result.status,
+    requiredSigners: [...requiredSigners],
+    // Sequential signers sign in list order, so this is also the signing order
+    signedBy: requiredSigners.filter((signer, index) => signed[index]),
+    approvedBy: await readApprovers(legacy, documentHash, approvedEvents),
+    options: {
+      signatureThreshold: result.signatureThreshold,
+      signingDeadline,
+      sequentialSigning,
+      approvers: [...approvalPolicy.approvers],
+      requiredApprovals: approvalPolicy.requiredApprovals
+    },
+    revocation: revocation
+      ? { revokedBy: revocation.revokedBy, revokedAt: revocation.revokedAt, reason: revocation.reason }
+      : EMPTY_REVOCATION
+  };
+}
+
+/**
+ * Everything to carry over from a legacy contract.
+ * @param {ethers.Contract} legacy
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] block the legacy contract was deployed in
+ * @returns {Promise<{documents: Object[], versions: Object[], batches: Object[], roles: Object[]}>}
+ */
+async function readLegacyState(legacy, { fromBlock = 0 } = {}) {
+  const query = eventName => legacy.queryFilter(legacy.filters[eventName](), fromBlock);
+  const [notarized, versioned, imported, approved, anchored, importedBatches, granted] = await Promise.all([
+    query('DocumentNotarized'),
+    query('DocumentVersionCreated'),
+    // A legacy contract that was itself upgraded holds imported records too
+    query('DocumentImported'),
+    query('DocumentApproved'),
+    query('BatchAnchored'),
+    query('BatchImported'),
+    query('RoleGranted')
+  ]);
+
+  // Oldest first, so originals are imported before their versions
+  const hashes = [...new Set([
+    ...imported.map(event => event.args.documentHash),
+    ...notarized.map(event => event.args.documentHash),
+    ...versioned.map(event => event.args.newVersionHash)
+  ])];
+
+  const documents = [];
+  const versions = [];
+  for (const documentHash of hashes) {
+    documents.push(await readDocument(legacy, documentHash, approved));
+    const history = await legacy.getDocumentVersions(documentHash);
+    if (history.length) {
+      versions.push({
+        originalHash: documentHash,
+        versions: history.map(version => ({
+          documentHash: version.documentHash,
+          version: version.version,
+          previousVersionHash: version.previousVersionHash,
+          creator: version.creator,
+          timestamp: version.timestamp,
+          changeDescription: version.changeDescription,
+          isLatest: version.isLatest
+        }))
+      });
+    }
+  }
+
+  const batches = [];
+  for (const merkleRoot of new Set([...importedBatches, ...anchored].map(event => event.args.merkleRoot))) {
+    const batch = await legacy.batches(merkleRoot);
+    batches.push({
+      merkleRoot,
+      notary: batch.notary,
+      timestamp: batch.timestamp,
+      blockNumber: batch.blockNumber,
+      documentCount: batch.documentCount,
+      metadata: batch.metadata,
+      exists: batch.exists
+    });
+  }
+
+  // Current holders: everyone ever granted a role who still has it
+  const roles = [];
+  const seen = new Set();
+  for (const event of granted) {
+    const key = `${event.args.role}:${event.args.account}`.toLowerCase();
+    if (!seen.has(key) && await legacy.hasRole(event.args.role, event.args.account)) {
+      roles.push({ role: event.args.role, account: event.args.account });
+    }
+    seen.add(key);
+  }
+
+  // The first version has no roles, only the authorizedNotaries mapping, which it never
+  // logged: check the owner and everyone who notarized or versioned a document against it
+  const candidates = [await legacy.owner(), ...notarized.map(event => event.args.notary), ...versioned.map(event => event.args.creator)];
+  for (const account of candidates) {
+    const key = `${ROLES.notary}:${account}`.toLowerCase();
+    if (!seen.has(key) && await legacy.authorizedNotaries(account)) {
+      roles.push({ role: ROLES.notary, account });
+    }
+    seen.add(key);
+  }
+
+  return { documents, versions, batches, roles };
+}
+
+module.exports = {
+  readDocument,
+  readLegacyState
+};
@@ -0,0 +1,388 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { STATUS_NAMES } = require('./status');
+const { decodeMetadata } = require('./metadata');
+const { getDocumentFinality } = require('./finality');
+
+const RECEIPT_VERSION = 1;
+
+function toIsoTime(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+function sameAddress(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+// Stable id for a receipt: sha256 over its JSON without the id itself. Anyone can recompute
+// it, so it only catches accidental damage; verifyReceipt checks each claim against the chain.
+function computeReceiptId(receipt) {
+  const { receiptId, ...body } = receipt;
+  return '0x' + crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+async function findOriginEvent(contract, documentHash, fromBlock) {
+  const notarized = await contract.queryFilter(contract.filters.DocumentNotarized(documentHash), fromBlock);
+  if (notarized.length) {
+    return { event: notarized[0], originalHash: documentHash };
+  }
+  // Versions are registered through createDocumentVersion rather than notarizeDocument
+  const versioned = await contract.queryFilter(contract.filters.DocumentVersionCreated(null, documentHash), fromBlock);
+  if (versioned.length) {
+    return { event: versioned[0], originalHash: versioned[0].args.originalHash };
+  }
+  // Records carried over from a legacy contract by scripts/upgrade.js
+  const imported = await contract.queryFilter(contract.filters.DocumentImported(documentHash), fromBlock);
+  if (imported.length) {
+    return { event: imported[0], originalHash: documentHash, importedFrom: imported[0].args.legacyContract };
+  }
+  return { event: null, originalHash: documentHash };
+}
+
+// Revocation record for a REVOKED document, otherwise null
+async function readRevocation(contract, documentHash, status) {
+  if (STATUS_NAMES[status] !== 'REVOKED') {
+    return null;
+  }
+  const revocation = await contract.getRevocation(documentHash);
+  return {
+    address: revocation.revokedBy,
+    timestamp: toIsoTime(revocation.revokedAt.toNumber()),
+    reason: revocation.reason
+  };
+}
+
+/**
+ * Collect everything needed to prove a notarization into a self-contained receipt.
+ * @returns {Promise<Object|null>} null when the document is not notarized
+ */
+async function buildReceipt(contract, documentHash, { fromBlock = 0, confirmationPolicy = null } = {}) {
+  const provider = contract.provider;
+  const result = await contract.verifyDocument(documentHash);
+  if (!result.exists) {
+    return null;
+  }
+
+  const [network, metadata, requiredSigners, signingDeadline, approvalPolicy, origin] = await Promise.all([
+    provider.getNetwork(),
+    contract.getDocumentMetadata(documentHash),
+    contract.getRequiredSigners(documentHash),
+    contract.getSigningDeadline(documentHash),
+    contract.getApprovalPolicy(documentHash),
+    findOriginEvent(contract, documentHash, fromBlock)
+  ]);
+  const finality = confirmationPolicy ? await getDocumentFinality(contract, documentHash, confirmationPolicy) : null;
+
+  const [signedEvents, approvedEvents, rejectedEvents, versions] = await Promise.all([
+    contract.queryFilter(contract.filters.DocumentSigned(documentHash), fromBlock),
+    contract.queryFilter(contract.filters.DocumentApproved(documentHash), fromBlock),
+    contract.queryFilter(contract.filters.DocumentRejected(documentHash), fromBlock),
+    contract.getDocumentVersions(origin.originalHash)
+  ]);
+
+  const block = origin.event ? await provider.getBlock(origin.event.blockNumber) : null;
+  const toAction = (event, actorField) => ({
+    address: event.args[actorField],
+    timestamp: toIsoTime(event.args.timestamp.toNumber()),
+    transactionHash: event.transactionHash,
+    blockNumber: event.blockNumber
+  });
+
+  const receipt = {
+    receiptVersion: RECEIPT_VERSION,
+    generatedAt: new Date().toISOString(),
+    // How settled the document's state was when the receipt was issued: pending, confirmed or finalized
+    finality: finality ? finality.finality : null,
+    chain: {
+      chainId: network.chainId,
+      contractAddress: contract.address
+    },
+    document: {
+      hash: documentHash,
+      originalHash: origin.originalHash,
+      metadata,
+      hashAlgorithm: decodeMetadata(metadata).hashAlgorithm,
+      notary: result.notary,
+      timestamp: toIsoTime(result.timestamp.toNumber()),
+      status: STATUS_NAMES[result.status]
+    },
+    notarization: {
+      transactionHash: origin.event ? origin.event.transactionHash : null,
+      blockNumber: origin.event ? origin.event.blockNumber : null,
+      blockHash: block ? block.hash : null,
+      blockTimestamp: block ? toIsoTime(block.timestamp) : null,
+      // The transaction above is the import; the original one is on this contract
+      ...(origin.importedFrom && { importedFrom: origin.importedFrom })
+    },
+    signers: {
+      required: [...requiredSigners],
+      threshold: result.signatureThreshold.toNumber(),
+      sequential: await contract.isSequentialSigning(documentHash),
+      deadline: signingDeadline.isZero() ? null : toIsoTime(signingDeadline.toNumber()),
+      signed: signedEvents.map(event => toAction(event, 'signer'))
+    },
+    approvalPolicy: {
+      approvers: [...approvalPolicy.approvers],
+      required: approvalPolicy.requiredApprovals.toNumber()
+    },
+    approvers: approvedEvents.map(event => toAction(event, 'approver')),
+    rejection: rejectedEvents.length ? {
+      ...toAction(rejectedEvents[0], 'rejector'),
+      reason: rejectedEvents[0].args.reason
+    } : null,
+    revocation: await readRevocation(contract, documentHash, result.status),
+    versions: versions.map(version => ({
+      documentHash: version.documentHash,
+      version: version.version.toNumber(),
+      previousVersionHash: version.previousVersionHash,
+      creator: version.creator,
+      timestamp: toIsoTime(version.timestamp.toNumber()),
+      changeDescription: version.changeDescription
+    }))
+  };
+
+  receipt.receiptId = computeReceiptId(receipt);
+  return receipt;
+}
+
+// Whether a signature, approval or rejection in a receipt is the contract log it names:
+// same actor, transaction, block and time
+function matchesAction(event, action, actorField) {
+  return sameAddress(event.args[actorField], action.address) &&
+    event.transactionHash === action.transactionHash &&
+    event.blockNumber === action.blockNumber &&
+    toIsoTime(event.args.timestamp.toNumber()) === action.timestamp;
+}
+
+/**
+ * Re-check every claim in a receipt against the chain.
+ * Status is reported but not treated as a failure, since it legitimately moves on
+ * (e.g. PENDING at issue time, SIGNED later).
+ */
+async function verifyReceipt(contract, receipt, { confirmationPolicy = null } = {}) {
+  const provider = contract.provider;
+  const checks = [];
+  const check = (claim, expected, actual, valid = expected === actual) => {
+    checks.push({ claim, expected, actual, valid });
+    return valid;
+  };
+
+  if (!receipt || !receipt.document || !receipt.chain) {
+    throw new Error('Malformed receipt: document and chain sections are required');
+  }
+
+  const documentHash = receipt.document.hash;
+  const network = await provider.getNetwork();
+
+  check('receiptId', receipt.receiptId, computeReceiptId(receipt));
+  check('chain.chainId', receipt.chain.chainId, network.chainId);
+  check('chain.contractAddress', receipt.chain.contractAddress, contract.address,
+    sameAddress(receipt.chain.contractAddress, contract.address));
+
+  // The claims below are checked against the latest state, which may not be final yet
+  const { finality } = confirmationPolicy
+    ? await getDocumentFinality(contract, documentHash, confirmationPolicy)
+    : { finality: null };
+
+  const result = await contract.verifyDocument(documentHash);
+  if (!check('document.exists', true, result.exists)) {
+    return { valid: false, checks, currentStatus: null, finality };
+  }
+
+  const [metadata, requiredSigners, signingDeadline, versions] = await Promise.all([
+    contract.getDocumentMetadata(documentHash),
+    contract.getRequiredSigners(documentHash),
+    contract.getSigningDeadline(documentHash),
+    contract.getDocumentVersions(receipt.document.originalHash || documentHash)
+  ]);
+
+  const { notarization } = receipt;
+  // Every event the receipt names was emitted at or after the notarization
+  const fromBlock = (notarization && notarization.blockNumber) || 0;
+  const origin = await findOriginEvent(contract, documentHash, fromBlock);
+
+  check('document.notary', receipt.document.notary, result.notary, sameAddress(receipt.document.notary, result.notary));
+  check('document.metadata', receipt.document.metadata, metadata);
+  if (receipt.document.hashAlgorithm !== undefined) {
+    check('document.hashAlgorithm', receipt.document.hashAlgorithm, decodeMetadata(metadata).hashAlgorithm);
+  }
+  check('document.timestamp', receipt.document.timestamp, toIsoTime(result.timestamp.toNumber()));
+  if (receipt.document.originalHash !== undefined) {
+    check('document.originalHash', receipt.document.originalHash, origin.originalHash);
+  }
+
+  if (notarization && notarization.transactionHash) {
+    const txReceipt = await provider.getTransactionReceipt(notarization.transactionHash);
+    if (check('notarization.transaction', notarization.transactionHash, txReceipt ? txReceipt.transactionHash : null)) {
+      const block = await provider.getBlock(txReceipt.blockNumber);
+      check('notarization.status', 1, txReceipt.status);
+      check('notarization.contract', receipt.chain.contractAddress, txReceipt.to, sameAddress(receipt.chain.contractAddress, txReceipt.to));
+      check('notarization.blockNumber', notarization.blockNumber, txReceipt.blockNumber);
+      check('notarization.blockHash', notarization.blockHash, block.hash);
+      check('notarization.blockTimestamp', notarization.blockTimestamp, toIsoTime(block.timestamp));
+      // The transaction must be the one that notarized, versioned or imported the document,
+      // not just any transaction about it
+      check('notarization.event', notarization.transactionHash, origin.event ? origin.event.transactionHash : null);
+    }
+  }
+
+  const claimedRequired = (receipt.signers && receipt.signers.required) || [];
+  check('signers.required', claimedRequired.join(','), requiredSigners.join(','),
+    claimedRequired.length === requiredSigners.length &&
+    claimedRequired.every((address, i) => sameAddress(address, requiredSigners[i])));
+
+  // Receipts issued before thresholds and deadlines existed have no claim for them
+  if (receipt.signers && receipt.signers.threshold !== undefined) {
+    check('signers.threshold', receipt.signers.threshold, result.signatureThreshold.toNumber());
+  }
+  if (receipt.signers && receipt.signers.sequential !== undefined) {
+    check('signers.sequential', receipt.signers.sequential, await contract.isSequentialSigning(documentHash));
+  }
+  if (receipt.signers && receipt.signers.deadline !== undefined) {
+    check('signers.deadline', receipt.signers.deadline,
+      signingDeadline.isZero() ? null : toIsoTime(signingDeadline.toNumber()));
+  }
+
+  if (receipt.approvalPolicy) {
+    const { approvers, requiredApprovals } = await contract.getApprovalPolicy(documentHash);
+    const claimedApprovers = receipt.approvalPolicy.approvers || [];
+    check('approvalPolicy.approvers', claimedApprovers.join(','), approvers.join(','),
+      claimedApprovers.length === approvers.length &&
+      claimedApprovers.every((address, i) => sameAddress(address, approvers[i])));
+    check('approvalPolicy.required', receipt.approvalPolicy.required, requiredApprovals.toNumber());
+  }
+
+  const [signedEvents, approvedEvents, rejectedEvents] = await Promise.all([
+    contract.queryFilter(contract.filters.DocumentSigned(documentHash), fromBlock),
+    contract.queryFilter(contract.filters.DocumentApproved(documentHash), fromBlock),
+    contract.queryFilter(contract.filters.DocumentRejected(documentHash), fromBlock)
+  ]);
+
+  for (const signature of (receipt.signers && receipt.signers.signed) || []) {
+    const match = signedEvents.find(event => matchesAction(event, signature, 'signer'));
+    check(`signers.signed[${signature.address}]`, signature.transactionHash, match ? match.transactionHash : null, !!match);
+  }
+
+  for (const approval of receipt.approvers || []) {
+    const match = approvedEvents.find(event => matchesAction(event, approval, 'approver'));
+    check(`approvers[${approval.address}]`, approval.transactionHash, match ? match.transactionHash : null, !!match);
+  }
+
+  if (receipt.rejection) {
+    const match = rejectedEvents.find(event =>
+      matchesAction(event, receipt.rejection, 'rejector') && event.args.reason === receipt.rejection.reason);
+    check('rejection', receipt.rejection.transactionHash, match ? match.transactionHash : null, !!match);
+  }
+
+  (receipt.versions || []).forEach((version, index) => {
+    const onChain = versions[index];
+    check(`versions[${index}]`, version.documentHash, onChain ? onChain.documentHash : null,
+      !!onChain && onChain.documentHash === version.documentHash && onChain.version.toNumber() === version.version &&
+      onChain.previousVersionHash === version.previousVersionHash && sameAddress(onChain.creator, version.creator) &&
+      toIsoTime(onChain.timestamp.toNumber()) === version.timestamp && onChain.changeDescription === version.changeDescription);
+  });
+
+  // Revocation after issue is reported like a status change; a claimed one must match
+  const revocation = await readRevocation(contract, documentHash, result.status);
+  if (receipt.revocation) {
+    check('revocation', receipt.revocation.reason, revocation ? revocation.reason : null,
+      !!revocation && sameAddress(receipt.revocation.address, revocation.address) &&
+      receipt.revocation.timestamp === revocation.timestamp && receipt.revocation.reason === revocation.reason);
+  }
+
+  const currentStatus = STATUS_NAMES[result.status];
+
+  return {
+    valid: checks.every(item => item.valid),
+    checks,
+    currentStatus,
+    statusChanged: currentStatus !== receipt.document.status,
+    revocation,
+    finality
+  };
+}
+
+/**
+ * Render a receipt as a printable PDF certificate.
+ * @returns {PDFDocument} readable stream, already ended
+ */
+function renderReceiptPdf(receipt) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Certificate of Notarization' } });
+
+  const field = (label, value) => {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#555555').text(label.toUpperCase());
+    doc.font('Helvetica').fontSize(10).fillColor('#000000').text(value === null || value === undefined ? 'N/A' : String(value));
+    doc.moveDown(0.5);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(20).text('Certificate of Notarization', { align: 'center' });
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(10).fillColor('#555555')
+    .text('This document was recorded on a blockchain by the NotaryService smart contract.', { align: 'center' });
+  doc.moveDown(1.5).fillColor('#000000');
+
+  field('Document hash', receipt.document.hash);
+  field('Hash algorithm', receipt.document.hashAlgorithm);
+  const metadata = decodeMetadata(receipt.document.metadata);
+  field('Title', metadata.storage === 'hash' ? `Kept off-chain, metadata hash ${metadata.metadataHash}` : metadata.title);
+  if (metadata.documentType) field('Document type', metadata.documentType);
+  if (metadata.parties && metadata.parties.length) {
+    field('Parties', metadata.parties
+      .map(party => [party.name, party.role && `(${party.role})`, party.address].filter(Boolean).join(' '))
+      .join('\n'));
+  }
+  if (metadata.jurisdiction) field('Jurisdiction', metadata.jurisdiction);
+  if (metadata.expiresAt) field('Expires', metadata.expiresAt);
+  if (metadata.contentCid) field('Encrypted copy (CID)', metadata.contentCid);
+  field('Notary', receipt.document.notary);
+  field('Status at issue', receipt.document.status);
+  if (receipt.finality) field('Finality at issue', receipt.finality);
+  field('Chain ID', receipt.chain.chainId);
+  field('Contract address', receipt.chain.contractAddress);
+  field('Transaction hash', receipt.notarization.transactionHash);
+  field('Block', `${receipt.notarization.blockNumber} (${receipt.notarization.blockHash})`);
+  field('Block timestamp', receipt.notarization.blockTimestamp);
+
+  field('Required signers', receipt.signers.required.length ? receipt.signers.required.join('\n') : 'None');
+  if (receipt.signers.required.length) {
+    field('Signatures needed', `${receipt.signers.threshold} of ${receipt.signers.required.length}${receipt.signers.sequential ? ', in the order listed' : ''}`);
+  }
+  if (receipt.signers.deadline) field('Signing deadline', receipt.signers.deadline);
+  field('Signatures', receipt.signers.signed.length
+    ? receipt.signers.signed.map(s => `${s.address} at ${s.timestamp}`).join('\n')
+    : 'None');
+  if (receipt.approvalPolicy) {
+    field('Approvals needed', receipt.approvalPolicy.approvers.length
+      ? `${receipt.approvalPolicy.required} of:\n${receipt.approvalPolicy.approvers.join('\n')}`
+      : `${receipt.approvalPolicy.required} from any authorized approver`);
+  }
+  field('Approvals', receipt.approvers.length
+    ? receipt.approvers.map(a => `${a.address} at ${a.timestamp}`).join('\n')
+    : 'None');
+  if (receipt.rejection) {
+    field('Rejected', `${receipt.rejection.address} at ${receipt.rejection.timestamp}: ${receipt.rejection.reason}`);
+  }
+  if (receipt.revocation) {
+    field('Revoked', `${receipt.revocation.address} at ${receipt.revocation.timestamp}: ${receipt.revocation.reason}`);
+  }
+  field('Version chain', receipt.versions
+    .map(v => `v${v.version} ${v.documentHash} (${v.changeDescription})`)
+    .join('\n'));
+
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(8).fillColor('#555555')
+    .text(`Receipt ID ${receipt.receiptId}, generated ${receipt.generatedAt}. ` +
+      'Verify the accompanying JSON receipt with POST /api/receipts/verify or the notary CLI.');
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  RECEIPT_VERSION,
+  buildReceipt,
+  verifyReceipt,
+  renderReceiptPdf,
+  computeReceiptId,
+  findOriginEvent
+};
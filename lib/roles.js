@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { createJsonStore } = require('./store');
+
+// Mirrors the role constants in NotaryService.sol
+const ROLES = {
+  admin: ethers.utils.id('ADMIN_ROLE'),
+  notary: ethers.utils.id('NOTARY_ROLE'),
+  approver: ethers.utils.id('APPROVER_ROLE'),
+  auditor: ethers.utils.id('AUDITOR_ROLE')
+};
+
+// How long a signed admin request stays valid
+const ADMIN_REQUEST_WINDOW_SECONDS = 300;
+
+/**
+ * Role name ("admin", "notary", ...) for an on-chain role id, or null if unknown.
+ * @param {string} roleId bytes32 role hash
+ */
+function getRoleName(roleId) {
+  const entry = Object.entries(ROLES).find(([, id]) => id === roleId.toLowerCase());
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Hash of a request body as it goes into an admin request message: SHA-256 of the raw
+ * bytes sent, 0x-prefixed. A request without a body hashes the empty string.
+ * @param {Buffer|string} [body]
+ */
+function hashAdminRequestBody(body) {
+  return '0x' + crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+/**
+ * Message an admin or auditor signs (EIP-191) to authorize one request to the admin API.
+ * It names the exact request, so a captured signature is no good for any other one.
+ * @param {Object} request
+ * @param {string} request.action e.g. "grant notary 0xabc..." or "audit"
+ * @param {string} request.method HTTP method
+ * @param {string} request.path Request path, query string included
+ * @param {string} request.bodyHash hashAdminRequestBody() of the body
+ * @param {string} request.nonce Accepted once
+ * @param {number} request.issuedAt Unix seconds
+ */
+function buildAdminRequestMessage({ action, method, path, bodyHash, nonce, issuedAt }) {
+  return [
+    'Blockchain Notary Service: admin request',
+    `Action: ${action.toLowerCase()}`,
+    `Request: ${method.toUpperCase()} ${path}`,
+    `Body hash: ${bodyHash.toLowerCase()}`,
+    `Nonce: ${nonce}`,
+    `Issued at: ${issuedAt}`
+  ].join('\n');
+}
+
+// Nonces of accepted admin requests, kept until their signatures would have expired anyway.
+// They are saved under DATA_DIR, so a restart does not open the window to replays.
+class NonceRegistry {
+  constructor({ windowSeconds = ADMIN_REQUEST_WINDOW_SECONDS, store } = {}) {
+    this.windowSeconds = windowSeconds;
+    this.store = store || createJsonStore('admin-nonces', () => ({ used: {} }));
+    // used: nonce -> unix seconds after which it is forgotten
+    this.state = this.store.load();
+  }
+
+  /**
+   * Records a nonce, or returns false if it was already used.
+   * @param {string} nonce
+   * @param {number} issuedAt Unix seconds the request was signed at
+   */
+  use(nonce, issuedAt) {
+    const now = Math.floor(Date.now() / 1000);
+    const { used } = this.state;
+    Object.keys(used)
+      .filter(key => used[key] < now)
+      .forEach(key => delete used[key]);
+
+    if (Object.prototype.hasOwnProperty.call(used, nonce)) {
+      return false;
+    }
+    // Covers requests signed with a clock ahead of ours
+    used[nonce] = Math.max(now, issuedAt) + this.windowSeconds;
+    this.store.save(this.state);
+    return true;
+  }
+}
+
+module.exports = {
+  ADMIN_REQUEST_WINDOW_SECONDS,
+  NonceRegistry,
+  ROLES,
+  buildAdminRequestMessage,
+  getRoleName,
+  hashAdminRequestBody
+};
@@ -0,0 +1,20 @@
+const { statuses, transitions } = require('../shared/notaryContract.json');
+
+// DocumentStatus enum names in declaration order, generated from the compiled contract
+const STATUS_NAMES = statuses;
+
+/**
+ * Actions that can move a document on from `status`, e.g. [{ action: 'sign', to: 'SIGNED' }].
+ * @param {string} status Status name
+ */
+function getNextTransitions(status) {
+  return transitions
+    .filter(transition => transition.from.includes(status))
+    .map(({ action, to }) => ({ action, to }));
+}
+
+module.exports = {
+  STATUS_NAMES,
+  STATUS_TRANSITIONS: transitions,
+  getNextTransitions
+};
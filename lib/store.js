@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local persistence for backend state (indexed events, queues, etc.)
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+function getDataDir() {
+  return process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+/**
+ * Create a JSON file backed store under DATA_DIR.
+ * Writes go to a temp file first and are renamed into place so a crash
+ * mid-write never leaves a truncated file behind.
+ * @param {string} name File name without extension
+ * @param {Function} defaults Returns the initial state when no file exists
+ */
+function createJsonStore(name, defaults) {
+  const dataDir = getDataDir();
+  const filePath = path.join(dataDir, `${name}.json`);
+
+  return {
+    filePath,
+
+    load() {
+      try {
+        if (fs.existsSync(filePath)) {
+          return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+      } catch (error) {
+        console.error(`⚠️  Failed to read ${filePath}, starting fresh:`, error.message);
+      }
+      return defaults();
+    },
+
+    save(data) {
+      fs.mkdirSync(dataDir, { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpPath, filePath);
+    }
+  };
+}
+
+module.exports = {
+  createJsonStore,
+  getDataDir
+};
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { createJsonStore } = require('./store');
+
+// pending: broadcast (or about to be), not yet in a block with enough confirmations
+// mined: included, confirmed and succeeded; failed: reverted, could not be sent or given up on
+// replaced: its nonce was used by a transaction this queue did not send
+const JOB_STATUSES = ['pending', 'mined', 'failed', 'replaced'];
+
+const toBigNumber = value => ethers.BigNumber.from(value);
+const maxBigNumber = (a, b) => (a.gt(b) ? a : b);
+
+const describeReceipt = receipt => receipt && {
+  transactionHash: receipt.transactionHash,
+  blockNumber: receipt.blockNumber,
+  gasUsed: receipt.gasUsed.toString()
+};
+
+/**
+ * Sends contract transactions from one wallet in order, so concurrent requests never
+ * race for a nonce. Every transaction is a job persisted under DATA_DIR with its
+ * calldata, which lets the queue keep watching, and rebroadcast with higher fees,
+ * transactions that were still pending when the server restarted. A job is mined once its
+ * block has `confirmations` blocks on top (itself included); until then it stays pending
+ * with the block it was included in, and goes back to waiting if a reorg drops it.
+ *
+ * A job still not mined `dropAfter` after its last fee bump is given up on: a cancel job, a
+ * zero-value transfer to the wallet itself priced to replace it, is sent with its nonce so
+ * the jobs after it are not held up. The job stays pending, with `cancelledBy` set, until
+ * one of them is mined: it is mined if its own transaction got in after all, and failed if
+ * the nonce went to the cancel. Settled jobs are kept for `settledRetention`, long enough
+ * for clients following them, then pruned.
+ *
+ * Emits 'mined', 'failed' and 'replaced' with the job, then 'settled' for all three.
+ */
+class TransactionQueue extends EventEmitter {
+  constructor(wallet, options = {}) {
+    super();
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.chainId = options.chainId || null;
+    this.store = options.store || createJsonStore('tx-queue', () => ({ jobs: {} }));
+    this.pollInterval = options.pollInterval || 3000;
+    // A transaction not mined this long after it was (re)broadcast is sent again with higher fees
+    this.stuckAfter = options.stuckAfter || 120000;
+    this.feeBumpPercent = options.feeBumpPercent || 20;
+    this.maxFeeBumps = options.maxFeeBumps === undefined ? 5 : options.maxFeeBumps;
+    this.dropAfter = options.dropAfter || 600000;
+    this.settledRetention = options.settledRetention || 24 * 60 * 60 * 1000;
+    this.confirmations = options.confirmations || 1;
+    this.timer = null;
+    this.checking = false;
+    this.recheck = false;
+
+    // Next nonce to hand out, read from the chain on first use
+    this.nextNonce = null;
+    // Tail of the send chain: jobs are signed and broadcast one at a time
+    this.sending = Promise.resolve();
+
+    this.state = this.store.load();
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    // A job saved just before a crash may never have reached the node
+    const unsent = this.listJobs({ status: 'pending' }).filter(job => !job.transactions.length);
+    unsent.forEach(job => this.broadcast(job).catch(() => {}));
+
+    const pending = this.listJobs({ status: 'pending' }).length;
+    if (pending) {
+      console.log(`📮 Transaction queue resuming ${pending} pending job(s)`);
+    }
+    this.prune();
+    this.check();
+    this.timer = setInterval(() => this.check(), this.pollInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getJob(id) {
+    return this.state.jobs[id] || null;
+  }
+
+  listJobs({ status } = {}) {
+    return Object.values(this.state.jobs).filter(job => !status || job.status === status);
+  }
+
+  /**
+   * Queue a call to `contract[method](...args)` and broadcast it. Resolves with the job as
+   * soon as the transaction is sent; a call that would revert is rejected before a nonce
+   * is used, and a send that fails marks the job failed and rejects with the error.
+   * @param {ethers.Contract} contract connected to this queue's wallet
+   * @param {string} method
+   * @param {Array} args
+   * @param {Object} [meta] stored with the job for whoever reads it back
+   */
+  async enqueue(contract, method, args, meta = {}) {
+    const gasLimit = await contract.estimateGas[method](...args);
+    const job = this.addJob({
+      method,
+      meta,
+      to: contract.address,
+      data: contract.interface.encodeFunctionData(method, args),
+      // Headroom for state changing between the estimate and the block
+      gasLimit: gasLimit.mul(120).div(100).toString()
+    });
+
+    await this.broadcast(job);
+    return job;
+  }
+
+  addJob(fields) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      chainId: this.chainId,
+      status: 'pending',
+      nonce: null,
+      transactions: [],
+      receipt: null,
+      error: null,
+      // Id of the cancel job sent for its nonce once it was given up on
+      cancelledBy: null,
+      createdAt: now,
+      updatedAt: now,
+      ...fields
+    };
+    this.state.jobs[job.id] = job;
+    this.store.save(this.state);
+    return job;
+  }
+
+  /**
+   * Resolve with the job once it is no longer pending, or as it stands after `timeout`
+   * milliseconds (0 waits indefinitely).
+   */
+  waitFor(id, timeout = 0) {
+    const job = this.getJob(id);
+    if (!job || job.status !== 'pending') {
+      return Promise.resolve(job);
+    }
+
+    return new Promise((resolve) => {
+      let timer = null;
+      const onSettled = (settled) => {
+        if (settled.id === id) {
+          cleanup();
+          resolve(settled);
+        }
+      };
+      const cleanup = () => {
+        this.off('settled', onSettled);
+        clearTimeout(timer);
+      };
+      this.on('settled', onSettled);
+      if (timeout) {
+        timer = setTimeout(() => {
+          cleanup();
+          resolve(job);
+        }, timeout);
+      }
+    });
+  }
+
+  broadcast(job) {
+    const sent = this.sending.then(() => this.send(job));
+    this.sending = sent.catch(() => {});
+    return sent;
+  }
+
+  async send(job, retried = false) {
+    const isNew = job.nonce === null;
+    const nonce = isNew ? await this.takeNonce() : job.nonce;
+    const fees = await this.getFees(job);
+
+    let tx;
+    try {
+      tx = await this.wallet.sendTransaction({
+        to: job.to,
+        data: job.data,
+        gasLimit: job.gasLimit,
+        nonce,
+        ...fees
+      });
+    } catch (error) {
+      // Another sender used our nonce: read it again from the chain and retry once
+      if (isNew && !retried && error.code === 'NONCE_EXPIRED') {
+        this.nextNonce = null;
+        return this.send(job, true);
+      }
+      if (!job.transactions.length) {
+        this.settle(job, 'failed', { error: error.reason || error.message });
+      } else {
+        console.error(`⚠️  Rebroadcast of job ${job.id} failed:`, error.message);
+      }
+      throw error;
+    }
+
+    const firstSend = !job.transactions.length;
+    if (isNew) {
+      job.nonce = nonce;
+      this.nextNonce = nonce + 1;
+    }
+    job.transactions.push({
+      hash: tx.hash,
+      ...Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()])),
+      sentAt: new Date().toISOString()
+    });
+    job.updatedAt = new Date().toISOString();
+    this.store.save(this.state);
+    console.log(`📮 Job ${job.id} ${firstSend ? 'sent' : 'rebroadcast'} (${job.method}, nonce ${nonce}):`, tx.hash);
+
+    // Pick up instantly mined transactions (local nodes) without waiting for the next poll
+    setImmediate(() => this.check());
+    return tx;
+  }
+
+  // Never behind the chain's pending count, nor behind nonces of jobs still waiting to be mined
+  async takeNonce() {
+    if (this.nextNonce === null) {
+      const onChain = await this.wallet.getTransactionCount('pending');
+      const queued = this.listJobs({ status: 'pending' })
+        .filter(job => job.nonce !== null)
+        .map(job => job.nonce + 1);
+      this.nextNonce = Math.max(onChain, ...queued);
+    }
+    return this.nextNonce;
+  }
+
+  // Current network fees, and for a rebroadcast at least feeBumpPercent over the last attempt
+  // (for a cancel job, the last attempt of the job it replaces)
+  async getFees(job) {
+    const feeData = await this.provider.getFeeData();
+    const last = job.transactions[job.transactions.length - 1] || job.replacesFees;
+    const bump = value => toBigNumber(value).mul(100 + this.feeBumpPercent).div(100);
+
+    if (feeData.maxFeePerGas) {
+      let { maxFeePerGas, maxPriorityFeePerGas } = feeData;
+      if (last && last.maxFeePerGas) {
+        maxFeePerGas = maxBigNumber(maxFeePerGas, bump(last.maxFeePerGas));
+        maxPriorityFeePerGas = maxBigNumber(maxPriorityFeePerGas, bump(last.maxPriorityFeePerGas));
+      }
+      return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    let { gasPrice } = feeData;
+    if (last && last.gasPrice) {
+      gasPrice = maxBigNumber(gasPrice, bump(last.gasPrice));
+    }
+    return { gasPrice };
+  }
+
+  async check() {
+    if (this.checking) {
+      this.recheck = true;
+      return;
+    }
+    this.checking = true;
+
+    try {
+      do {
+        this.recheck = false;
+        const pending = this.listJobs({ status: 'pending' }).filter(job => job.transactions.length);
+        if (!pending.length) {
+          break;
+        }
+        // Read before the receipts, so a nonce counted as used here has its receipt below
+        const minedNonce = await this.wallet.getTransactionCount('latest');
+        for (const job of pending) {
+          await this.checkJob(job, minedNonce);
+        }
+      } while (this.recheck);
+    } catch (error) {
+      console.error('⚠️  Transaction queue check failed:', error.message);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async checkJob(job, minedNonce) {
+    // Any of the job's broadcasts may be the one that got in
+    for (const { hash } of job.transactions) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (!receipt) {
+        continue;
+      }
+      if (receipt.status !== 1) {
+        return this.settle(job, 'failed', { receipt, error: 'Transaction reverted' });
+      }
+      if (receipt.confirmations >= this.confirmations) {
+        return this.settle(job, 'mined', { receipt });
+      }
+      // In a block, waiting for the blocks on top of it
+      if (!job.receipt || job.receipt.blockNumber !== receipt.blockNumber) {
+        job.receipt = describeReceipt(receipt);
+        job.updatedAt = new Date().toISOString();
+        this.store.save(this.state);
+      }
+      return;
+    }
+
+    if (job.receipt) {
+      console.log(`↩️  Job ${job.id} left block ${job.receipt.blockNumber} in a reorg, waiting for it to be mined again`);
+      job.receipt = null;
+      job.updatedAt = new Date().toISOString();
+      this.store.save(this.state);
+    }
+
+    if (minedNonce > job.nonce) {
+      if (job.cancelledBy) {
+        return this.settle(job, 'failed', {
+          error: `Not mined after ${job.transactions.length} broadcasts, nonce ${job.nonce} went to cancel job ${job.cancelledBy}`
+        });
+      }
+      return this.settle(job, 'replaced', { error: `Nonce ${job.nonce} was used by another transaction` });
+    }
+    // Given up on: no more bumps, it is settled by whichever transaction takes its nonce
+    if (job.cancelledBy) {
+      return;
+    }
+
+    const lastSentAt = Date.parse(job.transactions[job.transactions.length - 1].sentAt);
+    const waited = Date.now() - lastSentAt;
+    if (job.transactions.length <= this.maxFeeBumps) {
+      if (waited >= this.stuckAfter) {
+        console.log(`⛽ Job ${job.id} not mined after ${Math.round(waited / 1000)}s, bumping fees`);
+        await this.broadcast(job).catch(() => {});
+      }
+    } else if (waited >= this.dropAfter) {
+      await this.abandon(job);
+    }
+  }
+
+  // Sends a cancel job for the nonce of a job that ran out of fee bumps
+  async abandon(job) {
+    // Cancels are not cancelled in turn, each with higher fees
+    if (job.method === 'cancel') {
+      return this.settle(job, 'failed', {
+        error: `Not mined after ${job.transactions.length} broadcasts, nonce ${job.nonce} is still unused and holds up later jobs`
+      });
+    }
+
+    const last = job.transactions[job.transactions.length - 1];
+    const cancel = this.addJob({
+      method: 'cancel',
+      meta: { cancels: job.id },
+      to: this.wallet.address,
+      data: '0x',
+      gasLimit: '21000',
+      nonce: job.nonce,
+      replacesFees: { maxFeePerGas: last.maxFeePerGas, maxPriorityFeePerGas: last.maxPriorityFeePerGas, gasPrice: last.gasPrice }
+    });
+    job.cancelledBy = cancel.id;
+    job.updatedAt = new Date().toISOString();
+    this.store.save(this.state);
+    console.log(`🛑 Job ${job.id} not mined after ${job.transactions.length} broadcasts, cancelling nonce ${job.nonce} with job ${cancel.id}`);
+    await this.broadcast(cancel).catch(() => {});
+  }
+
+  // Drops jobs settled longer ago than settledRetention
+  prune() {
+    const cutoff = Date.now() - this.settledRetention;
+    const expired = Object.values(this.state.jobs)
+      .filter(job => job.status !== 'pending' && Date.parse(job.updatedAt) < cutoff);
+    if (!expired.length) {
+      return;
+    }
+    expired.forEach(job => delete this.state.jobs[job.id]);
+    this.store.save(this.state);
+  }
+
+  settle(job, status, { receipt = null, error = null } = {}) {
+    job.status = status;
+    job.receipt = describeReceipt(receipt);
+    job.error = error;
+    job.updatedAt = new Date().toISOString();
+    this.store.save(this.state);
+
+    if (status !== 'mined') {
+      console.error(`❌ Job ${job.id} ${status}:`, error);
+    }
+    this.emit(status, job);
+    this.emit('settled', job);
+    this.prune();
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  TransactionQueue
+};
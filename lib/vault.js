@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform, pipeline } = require('stream');
+const { DEFAULT_HASH_ALGORITHM, createHasher, toHash } = require('./hashing');
+const { computeCid } = require('./contentStore');
+
+// Each document is encrypted with its own random AES-256-GCM key. The key is wrapped
+// with the vault master key and kept in the vault index next to the CID of the
+// ciphertext, so the content store (local disk or IPFS) only ever sees ciphertext.
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// How long a signed content access request stays valid
+const ACCESS_WINDOW_SECONDS = 300;
+
+// Passes chunks through unchanged while showing each one to `onChunk`
+function tap(onChunk) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      onChunk(chunk);
+      callback(null, chunk);
+    }
+  });
+}
+
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString('hex'), authTag: cipher.getAuthTag().toString('hex'), data: data.toString('hex') };
+}
+
+function decrypt(key, { iv, authTag, data }) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'hex')), decipher.final()]);
+}
+
+/**
+ * Message a notary or required signer signs (EIP-191) to download vaulted content.
+ * @param {string} documentHash
+ * @param {number} issuedAt Unix seconds
+ */
+function buildContentAccessMessage(documentHash, issuedAt) {
+  return [
+    'Blockchain Notary Service: download notarized document',
+    `Document: ${documentHash.toLowerCase()}`,
+    `Issued at: ${issuedAt}`
+  ].join('\n');
+}
+
+class DocumentVault {
+  /**
+   * @param {Object} options
+   * @param {string} options.masterKey 32-byte hex key that wraps the per-document keys
+   * @param {Object} options.contentStore backend from lib/contentStore
+   * @param {Object} options.store JSON store from lib/store holding the vault index
+   */
+  constructor({ masterKey, contentStore, store }) {
+    const key = Buffer.from((masterKey || '').replace(/^0x/, ''), 'hex');
+    if (key.length !== 32) {
+      throw new Error('Vault master key must be 32 bytes of hex');
+    }
+
+    this.masterKey = key;
+    this.contentStore = contentStore;
+    this.store = store;
+    this.state = store.load();
+  }
+
+  /**
+   * Multer storage engine that hashes the plaintext for the document hash while
+   * encrypting it to a temp file, then files the ciphertext under its CID.
+   * The algorithm comes from `?algorithm=` or a `hashAlgorithm` field sent before the file.
+   */
+  createUploadStorage() {
+    return {
+      _handleFile: (req, file, cb) => {
+        const algorithm = req.query.algorithm || (req.body && req.body.hashAlgorithm) || DEFAULT_HASH_ALGORITHM;
+        let documentHasher;
+        try {
+          documentHasher = createHasher(algorithm);
+        } catch (error) {
+          file.stream.resume();
+          return cb(error);
+        }
+
+        const documentKey = crypto.randomBytes(32);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(CIPHER, documentKey, iv);
+        const blobHasher = crypto.createHash('sha256');
+        const tempPath = this.contentStore.tempPath();
+        let size = 0;
+
+        const plaintext = tap(chunk => {
+          size += chunk.length;
+          documentHasher.update(chunk);
+        });
+        const ciphertext = tap(chunk => blobHasher.update(chunk));
+
+        pipeline(file.stream, plaintext, cipher, ciphertext, fs.createWriteStream(tempPath), async error => {
+          // Busboy ends the stream early when the upload goes over the size limit
+          if (!error && file.stream.truncated) {
+            error = new Error('Upload is larger than the size limit');
+          }
+          if (error) {
+            fs.unlink(tempPath, () => {});
+            return cb(error);
+          }
+
+          try {
+            const cid = computeCid(blobHasher.digest());
+            await this.contentStore.putFile(tempPath, cid);
+
+            const entry = {
+              cid,
+              documentHash: toHash(documentHasher),
+              hashAlgorithm: algorithm,
+              size,
+              fileName: file.originalname,
+              mimeType: file.mimetype,
+              iv: iv.toString('hex'),
+              authTag: cipher.getAuthTag().toString('hex'),
+              wrappedKey: encrypt(this.masterKey, documentKey),
+              storedAt: new Date().toISOString()
+            };
+            this.state.blobs[cid] = entry;
+            this.store.save(this.state);
+
+            cb(null, { hash: entry.documentHash, algorithm, size, cid });
+          } catch (putError) {
+            fs.unlink(tempPath, () => {});
+            cb(putError);
+          }
+        });
+      },
+      // Called by multer for files already stored when the rest of the upload fails
+      _removeFile: (req, file, cb) => {
+        if (!file.cid) {
+          return cb(null);
+        }
+        this.removeDocument(file.cid).then(() => cb(null), cb);
+      }
+    };
+  }
+
+  /**
+   * Deletes a vaulted document: its ciphertext and its wrapped key.
+   * @param {string} cid
+   */
+  async removeDocument(cid) {
+    delete this.state.blobs[cid];
+    this.store.save(this.state);
+    await this.contentStore.remove(cid);
+  }
+
+  /**
+   * Vault entry for a CID, without its key material.
+   * @returns {Object|null}
+   */
+  getEntry(cid) {
+    const entry = this.state.blobs[cid];
+    if (!entry) {
+      return null;
+    }
+    const { iv, authTag, wrappedKey, ...info } = entry;
+    return info;
+  }
+
+  // Rehash the stored ciphertext and check it still matches its CID
+  async verifyBlob(cid) {
+    const hasher = crypto.createHash('sha256');
+    const blob = await this.contentStore.createReadStream(cid);
+    for await (const chunk of blob) {
+      hasher.update(chunk);
+    }
+    return computeCid(hasher.digest()) === cid;
+  }
+
+  /**
+   * Readable stream of the decrypted document. GCM only authenticates once the whole
+   * blob has been read, so the blob is checked against its CID before anything is sent.
+   */
+  async createContentStream(cid) {
+    const entry = this.state.blobs[cid];
+    if (!entry) {
+      throw new Error(`No vault entry for ${cid}`);
+    }
+    if (!(await this.verifyBlob(cid))) {
+      const error = new Error(`Stored content for ${cid} does not match its CID`);
+      error.code = 'VAULT_INTEGRITY';
+      throw error;
+    }
+
+    const documentKey = decrypt(this.masterKey, entry.wrappedKey);
+    const decipher = crypto.createDecipheriv(CIPHER, documentKey, Buffer.from(entry.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(entry.authTag, 'hex'));
+
+    const blob = await this.contentStore.createReadStream(cid);
+    return pipeline(blob, decipher, () => {});
+  }
+}
+
+module.exports = {
+  ACCESS_WINDOW_SECONDS,
+  DocumentVault,
+  buildContentAccessMessage
+};
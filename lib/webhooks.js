@@ -0,0 +1,453 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { createJsonStore } = require('./store');
+const { STATUS_NAMES } = require('./status');
+const { describeFinality } = require('./finality');
+
+// Webhook event types and the NotaryService events they are derived from
+const WEBHOOK_EVENTS = {
+  notarized: 'DocumentNotarized',
+  signed: 'DocumentSigned',
+  approved: 'DocumentApproved',
+  rejected: 'DocumentRejected',
+  versioned: 'DocumentVersionCreated',
+  revoked: 'DocumentRevoked'
+};
+
+// Sent in place of a contract event type when a reorg removed an event already sent
+const RETRACTED_EVENT = 'retracted';
+
+// cancelled: the event was reorged out before any attempt was made
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+
+// Addresses webhooks are not sent to: this host, private networks and link-local (cloud metadata)
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16]].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Why a webhook may not be sent to `url`, or null if it may. Subscribers are not trusted
+ * with the service's network: a host that is or resolves to a loopback, private or
+ * link-local address is refused.
+ * @param {string} url http(s) URL
+ */
+async function checkWebhookUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      return `Could not resolve ${host}`;
+    }
+  }
+  const blocked = addresses.find(isPrivateAddress);
+  return blocked ? `${host} is a private address (${blocked})` : null;
+}
+
+/**
+ * Webhook event type for a contract event name, or null if it is not delivered.
+ * @param {string} eventName e.g. "DocumentSigned"
+ */
+function getWebhookEventType(eventName) {
+  const entry = Object.entries(WEBHOOK_EVENTS).find(([, name]) => name === eventName);
+  return entry ? entry[0] : null;
+}
+
+// Event-specific fields; a version is reported under its own hash
+function describeEventArgs(name, args) {
+  switch (name) {
+    case 'DocumentNotarized':
+      return { documentHash: args.documentHash, notary: args.notary };
+    case 'DocumentSigned':
+      return { documentHash: args.documentHash, signer: args.signer };
+    case 'DocumentApproved':
+      return { documentHash: args.documentHash, approver: args.approver };
+    case 'DocumentRejected':
+      return { documentHash: args.documentHash, rejector: args.rejector, reason: args.reason };
+    case 'DocumentVersionCreated':
+      return {
+        documentHash: args.newVersionHash,
+        originalHash: args.originalHash,
+        version: args.version.toNumber(),
+        creator: args.creator
+      };
+    case 'DocumentRevoked':
+      return { documentHash: args.documentHash, revoker: args.revoker, reason: args.reason };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Webhook body for an event emitted by the DocumentIndexer. `id` is the same for every
+ * delivery of one contract log, so receivers can drop duplicates. Events are sent as soon
+ * as they are indexed: `finality` and `confirmations` say how settled the event was then,
+ * and a `retracted` event follows if a reorg removes it.
+ * @param {Object} event indexer 'event' payload
+ * @param {Object} context
+ * @param {number} context.chainId
+ * @param {string} context.contractAddress
+ * @param {Function} context.getDocument indexed document by hash, for its current status
+ * @param {number} context.headBlock latest block of the chain
+ * @param {Object} context.confirmationPolicy from getConfirmationPolicy
+ */
+function buildWebhookPayload(event, { chainId, contractAddress, getDocument, headBlock, confirmationPolicy }) {
+  const data = describeEventArgs(event.name, event.args);
+  const doc = getDocument(data.documentHash);
+
+  return {
+    id: `${event.transactionHash}:${event.logIndex}`,
+    type: getWebhookEventType(event.name),
+    occurredAt: new Date(event.timestamp * 1000).toISOString(),
+    chainId,
+    contractAddress,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    ...describeFinality(event.blockNumber, Math.max(headBlock, event.blockNumber), confirmationPolicy),
+    data: {
+      ...data,
+      status: doc ? STATUS_NAMES[doc.status] : null,
+      signerCount: doc ? doc.signerCount : null,
+      approverCount: doc ? doc.approverCount : null
+    }
+  };
+}
+
+// Tells subscribers that an event they were sent was reorged out of the chain
+function buildRetractionPayload(payload, forkBlock) {
+  return {
+    id: `${payload.id}:retracted:${forkBlock}`,
+    type: RETRACTED_EVENT,
+    occurredAt: new Date().toISOString(),
+    chainId: payload.chainId,
+    contractAddress: payload.contractAddress,
+    // The last block both chains share
+    blockNumber: forkBlock,
+    data: {
+      eventId: payload.id,
+      type: payload.type,
+      documentHash: payload.data.documentHash,
+      blockNumber: payload.blockNumber,
+      transactionHash: payload.transactionHash
+    }
+  };
+}
+
+/**
+ * X-Notary-Signature header value: HMAC-SHA256 of "<X-Notary-Timestamp>.<raw body>"
+ * with the subscription secret.
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Keeps webhook subscriptions and delivers events to them. Deliveries are persisted
+ * under DATA_DIR with every attempt, retried with exponential backoff until they
+ * succeed or run out of attempts, and picked up again after a restart.
+ *
+ * Private addresses are checked when a delivery is attempted, not only when the
+ * subscription is made, since a host can resolve elsewhere later.
+ */
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.store = options.store || createJsonStore('webhooks', () => ({ subscriptions: {}, deliveries: {}, published: {} }));
+    this.maxAttempts = options.maxAttempts || 6;
+    // Delay before the first retry, doubled after each further failure
+    this.retryDelay = options.retryDelay || 30000;
+    this.timeout = options.timeout || 10000;
+    this.pollInterval = options.pollInterval || 5000;
+    // Settled deliveries kept per subscription for the delivery log
+    this.logSize = options.logSize || 200;
+    // For local receivers in development; never set where subscribers are not trusted
+    this.allowPrivateUrls = options.allowPrivateUrls || false;
+    this.timer = null;
+    this.delivering = false;
+
+    this.state = this.store.load();
+    // Event ids queued per subscription, kept apart from the delivery log, which is trimmed
+    if (!this.state.published) {
+      this.state.published = {};
+      for (const [subscriptionId, deliveries] of Object.entries(this.state.deliveries)) {
+        this.state.published[subscriptionId] = Object.fromEntries(deliveries
+          .filter(delivery => delivery.type !== RETRACTED_EVENT && !delivery.retractedAt)
+          .map(delivery => [delivery.eventId, delivery.payload.blockNumber]));
+      }
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.deliverDue();
+    this.timer = setInterval(() => this.deliverDue(), this.pollInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Why a webhook may not be sent to `url`, or null if it may
+  async checkUrl(url) {
+    return this.allowPrivateUrls ? null : checkWebhookUrl(url);
+  }
+
+  /**
+   * @param {Object} subscription
+   * @param {string} subscription.url
+   * @param {string} [subscription.secret] generated when left out
+   * @param {string[]} [subscription.events] WEBHOOK_EVENTS types, all of them by default
+   * @param {number} subscription.fromBlock events from earlier blocks are not delivered
+   * @param {string} [subscription.createdBy]
+   */
+  subscribe({ url, secret, events, fromBlock, createdBy = null }) {
+    const subscription = {
+      id: crypto.randomUUID(),
+      url,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      events: events && events.length ? [...new Set(events)] : Object.keys(WEBHOOK_EVENTS),
+      fromBlock,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+    this.state.subscriptions[subscription.id] = subscription;
+    this.state.deliveries[subscription.id] = [];
+    this.state.published[subscription.id] = {};
+    this.store.save(this.state);
+    return subscription;
+  }
+
+  unsubscribe(id) {
+    if (!this.state.subscriptions[id]) {
+      return false;
+    }
+    delete this.state.subscriptions[id];
+    delete this.state.deliveries[id];
+    delete this.state.published[id];
+    this.store.save(this.state);
+    return true;
+  }
+
+  getSubscription(id) {
+    return this.state.subscriptions[id] || null;
+  }
+
+  listSubscriptions() {
+    return Object.values(this.state.subscriptions);
+  }
+
+  // Newest first
+  listDeliveries(subscriptionId) {
+    return [...(this.state.deliveries[subscriptionId] || [])].reverse();
+  }
+
+  /**
+   * Queue the payload for every subscription that wants its type. An event replayed
+   * after a restart, or from before a subscription existed, is not queued again; one
+   * that was retracted is, since the log landed in a new block.
+   */
+  publish(payload) {
+    let queued = 0;
+    for (const subscription of this.listSubscriptions()) {
+      const published = this.state.published[subscription.id];
+      if (!subscription.events.includes(payload.type) || payload.blockNumber < subscription.fromBlock
+        || published[payload.id] !== undefined) {
+        continue;
+      }
+      this.queue(subscription.id, payload);
+      published[payload.id] = payload.blockNumber;
+      queued++;
+    }
+
+    if (queued) {
+      this.store.save(this.state);
+      setImmediate(() => this.deliverDue());
+    }
+    return queued;
+  }
+
+  /**
+   * Take back the events of blocks after `forkBlock`, which a reorg replaced. Deliveries
+   * not attempted yet are cancelled; where a subscriber may have received the event, further
+   * attempts stop and a `retracted` event naming it is queued behind it.
+   */
+  retract(forkBlock) {
+    let queued = 0;
+    const retractedAt = new Date().toISOString();
+    for (const subscription of this.listSubscriptions()) {
+      for (const delivery of [...this.state.deliveries[subscription.id]]) {
+        if (delivery.type === RETRACTED_EVENT || delivery.retractedAt || delivery.payload.blockNumber <= forkBlock) {
+          continue;
+        }
+        delivery.retractedAt = retractedAt;
+        const attempted = delivery.attempts.length > 0;
+        if (delivery.status === 'pending') {
+          delivery.status = 'cancelled';
+        }
+        if (attempted) {
+          this.queue(subscription.id, buildRetractionPayload(delivery.payload, forkBlock));
+          queued++;
+        }
+      }
+      // Including events whose deliveries were already trimmed from the log
+      const published = this.state.published[subscription.id];
+      for (const [eventId, blockNumber] of Object.entries(published)) {
+        if (blockNumber > forkBlock) {
+          delete published[eventId];
+        }
+      }
+    }
+
+    this.store.save(this.state);
+    if (queued) {
+      setImmediate(() => this.deliverDue());
+    }
+    return queued;
+  }
+
+  queue(subscriptionId, payload) {
+    this.state.deliveries[subscriptionId].push({
+      id: crypto.randomUUID(),
+      eventId: payload.id,
+      type: payload.type,
+      payload,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: Date.now(),
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  // Send a failed delivery again, with a fresh set of attempts. Retracted events are not sent again.
+  retry(subscriptionId, deliveryId) {
+    const delivery = (this.state.deliveries[subscriptionId] || []).find(entry => entry.id === deliveryId);
+    if (!delivery || delivery.retractedAt) {
+      return null;
+    }
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = Date.now();
+    delivery.retriedAt = new Date().toISOString();
+    this.store.save(this.state);
+    setImmediate(() => this.deliverDue());
+    return delivery;
+  }
+
+  async deliverDue() {
+    if (this.delivering) {
+      return;
+    }
+    this.delivering = true;
+
+    try {
+      for (const subscription of this.listSubscriptions()) {
+        // One at a time per subscription, so receivers see events in order
+        for (const delivery of this.state.deliveries[subscription.id] || []) {
+          if (delivery.status !== 'pending') {
+            continue;
+          }
+          if (delivery.nextAttemptAt > Date.now()) {
+            break;
+          }
+          if (!(await this.attempt(subscription, delivery))) {
+            break;
+          }
+        }
+        this.trimLog(subscription.id);
+      }
+      this.store.save(this.state);
+    } catch (error) {
+      console.error('⚠️  Webhook delivery failed:', error.message);
+    } finally {
+      this.delivering = false;
+    }
+  }
+
+  async attempt(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+    // Recorded up front: a reorg while the request is out must count it as possibly received
+    delivery.attempts.push(attempt);
+
+    try {
+      const refused = await this.checkUrl(subscription.url);
+      if (refused) {
+        throw new Error(refused);
+      }
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'BlockchainNotaryService-Webhook',
+          'X-Notary-Event': delivery.type,
+          'X-Notary-Delivery': delivery.id,
+          'X-Notary-Timestamp': String(timestamp),
+          'X-Notary-Signature': signWebhookPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      attempt.statusCode = response.status;
+      if (!response.ok) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = attempt.at;
+      return true;
+    }
+
+    const failures = delivery.attempts.filter(entry => entry.error && (!delivery.retriedAt || entry.at >= delivery.retriedAt)).length;
+    if (failures >= this.maxAttempts) {
+      delivery.status = 'failed';
+      console.error(`❌ Webhook ${delivery.type} to ${subscription.url} failed after ${failures} attempts:`, attempt.error);
+      return true;
+    }
+    delivery.nextAttemptAt = Date.now() + this.retryDelay * 2 ** (failures - 1);
+    return false;
+  }
+
+  trimLog(subscriptionId) {
+    const deliveries = this.state.deliveries[subscriptionId] || [];
+    const settled = deliveries.filter(delivery => delivery.status !== 'pending');
+    const excess = settled.length - this.logSize;
+    if (excess > 0) {
+      const dropped = new Set(settled.slice(0, excess));
+      this.state.deliveries[subscriptionId] = deliveries.filter(delivery => !dropped.has(delivery));
+    }
+  }
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  RETRACTED_EVENT,
+  WEBHOOK_EVENTS,
+  WebhookDispatcher,
+  buildWebhookPayload,
+  checkWebhookUrl,
+  getWebhookEventType,
+  signWebhookPayload
+};
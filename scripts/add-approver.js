@@ -0,0 +1,60 @@
+const { ethers } = require("hardhat");
+require('dotenv').config();
+const { readRegistry } = require("../lib/deployments");
+
+// Grants (or with REMOVE=1, revokes) the global approver role. Documents notarized
+// with their own approver list ignore this role.
+async function main() {
+  const registry = readRegistry(hre.network.name);
+  const contractAddress = process.env.CONTRACT_ADDRESS ||
+    (registry && registry.deployments[registry.deployments.length - 1].address);
+  const approver = process.env.APPROVER_ADDRESS;
+  if (!contractAddress) {
+    console.error(`❌ No deployment recorded for ${hre.network.name} and CONTRACT_ADDRESS not found in .env file`);
+    return;
+  }
+  if (!approver || !ethers.utils.isAddress(approver)) {
+    console.error("❌ Set APPROVER_ADDRESS to the wallet that should approve documents");
+    return;
+  }
+
+  const [owner] = await ethers.getSigners();
+  const NotaryService = await ethers.getContractFactory("NotaryService");
+  const contract = NotaryService.attach(contractAddress);
+  const remove = process.env.REMOVE === '1';
+
+  console.log("👤 Contract owner:", owner.address);
+  console.log("📋 Contract address:", contractAddress);
+  console.log();
+
+  try {
+    const authorized = await contract.authorizedApprovers(approver);
+    console.log(`🔍 ${approver}: ${authorized ? '✅ Authorized approver' : '❌ Not an approver'}`);
+
+    if (remove ? !authorized : authorized) {
+      console.log("ℹ️  Nothing to change");
+      return;
+    }
+
+    console.log(remove ? "📝 Removing approver role..." : "📝 Granting approver role...");
+    const tx = remove
+      ? await contract.connect(owner).removeApprover(approver)
+      : await contract.connect(owner).addApprover(approver);
+    await tx.wait();
+    console.log(remove ? "✅ Approver removed!" : "✅ Approver added!");
+    console.log("📄 Transaction hash:", tx.hash);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+
+    if (error.message.includes("Missing required role")) {
+      console.log("💡 Make sure you're using an admin's private key in .env");
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
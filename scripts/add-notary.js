@@ -1,13 +1,16 @@
 const { ethers } = require("hardhat");
 require('dotenv').config();
+const { readRegistry } = require("../lib/deployments");
 
 async function main() {
   console.log("🔧 Adding wallet as authorized notary...\n");
 
   // Get the contract
-  const contractAddress = process.env.CONTRACT_ADDRESS;
+  const registry = readRegistry(hre.network.name);
+  const contractAddress = process.env.CONTRACT_ADDRESS ||
+    (registry && registry.deployments[registry.deployments.length - 1].address);
   if (!contractAddress) {
-    console.error("❌ CONTRACT_ADDRESS not found in .env file");
+    console.error(`❌ No deployment recorded for ${hre.network.name} and CONTRACT_ADDRESS not found in .env file`);
     return;
   }
 
@@ -70,8 +73,8 @@ async function main() {
   } catch (error) {
     console.error("❌ Error:", error.message);
     
-    if (error.message.includes("Only owner can perform this action")) {
-      console.log("💡 Make sure you're using the contract owner's private key in .env");
+    if (error.message.includes("Missing required role")) {
+      console.log("💡 Make sure you're using an admin's private key in .env");
       console.log("   The owner is usually the first account from hardhat node");
     }
   }
@@ -1,4 +1,7 @@
 const { ethers } = require("hardhat");
+const path = require("path");
+const { computeAbiHash } = require("../lib/contractArtifact");
+const { recordDeployment } = require("../lib/deployments");
 
 async function main() {
   console.log("Starting deployment of NotaryService contract...");
@@ -48,18 +51,27 @@ async function main() {
   }
   
   // Save deployment info
+  const receipt = await notaryService.deployTransaction.wait();
+  const { abi } = await hre.artifacts.readArtifact("NotaryService");
   const deploymentInfo = {
     network: hre.network.name,
-    contractAddress: notaryService.address,
-    deployer: deployer.address,
-    transactionHash: notaryService.deployTransaction.hash,
-    blockNumber: notaryService.deployTransaction.blockNumber,
-    gasUsed: notaryService.deployTransaction.gasLimit?.toString(),
-    timestamp: new Date().toISOString()
+    chainId: hre.network.config.chainId || (await ethers.provider.getNetwork()).chainId,
+    contractName: "NotaryService",
+    address: notaryService.address,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.transactionHash,
+    abiHash: computeAbiHash(abi),
+    deployer: deployer.address
   };
   
   console.log("\n📊 Deployment Summary:");
-  console.log(JSON.stringify(deploymentInfo, null, 2));
+  console.log(JSON.stringify({ ...deploymentInfo, gasUsed: receipt.gasUsed.toString() }, null, 2));
+
+  // The in-process hardhat network is gone when this script exits, so there is nothing to record
+  if (hre.network.name !== "hardhat") {
+    const registryFile = recordDeployment(deploymentInfo);
+    console.log("🗂️  Recorded in", path.relative(process.cwd(), registryFile));
+  }
   
   // Test basic functionality
   console.log("\n🧪 Testing basic functionality...");
@@ -80,7 +92,7 @@ async function main() {
   }
   
   console.log("\n🎉 Deployment completed successfully!");
-  console.log("📝 Save this contract address for future interactions:", notaryService.address);
+  console.log("📝 The API picks this deployment up by chain ID; CONTRACT_ADDRESS is only needed to override it:", notaryService.address);
 }
 
 main()
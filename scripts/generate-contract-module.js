@@ -0,0 +1,132 @@
+const fs = require("fs");
+const path = require("path");
+const { loadContractArtifact } = require("../lib/contractArtifact");
+
+// Builds shared/notaryContract.json from the compiled NotaryService artifact: the
+// DocumentStatus enum (read from the compiler AST), its allowed transitions and the ABI.
+// Runs after every `hardhat compile`; the backend (lib/status.js, lib/contractAbi.js)
+// and the frontend (src/utils/status.js) both import the generated file.
+
+const CONTRACT_SOURCE = "contracts/NotaryService.sol";
+const CONTRACT_NAME = "NotaryService";
+const STATUS_ENUM = "DocumentStatus";
+const OUTPUT_FILE = path.join(__dirname, "..", "shared", "notaryContract.json");
+
+// Lifecycle of a document. `via` is the contract function that writes the new status;
+// generation fails if the contract assigns a status somewhere this table does not cover.
+const TRANSITIONS = [
+  { from: [], to: "PENDING", action: "notarize", via: "_notarizeDocument" },
+  { from: [], to: "PENDING", action: "createVersion", via: "createDocumentVersion" },
+  { from: ["PENDING"], to: "SIGNED", action: "sign", via: "_signDocument" },
+  // The last signature lands on a document that already has enough approvals
+  { from: ["PENDING"], to: "APPROVED", action: "sign", via: "_signDocument" },
+  { from: ["SIGNED"], to: "APPROVED", action: "approve", via: "_approveDocument" },
+  { from: ["PENDING"], to: "REJECTED", action: "reject", via: "_rejectDocument" },
+  { from: ["PENDING"], to: "EXPIRED", action: "expire", via: "expireDocument" },
+  { from: ["APPROVED", "REJECTED", "EXPIRED"], to: "ARCHIVED", action: "archive", via: "archiveDocument" },
+  {
+    from: ["PENDING", "SIGNED", "APPROVED", "REJECTED", "ARCHIVED", "EXPIRED"],
+    to: "REVOKED",
+    action: "revoke",
+    via: "revokeDocument"
+  }
+];
+
+function walk(node, visit) {
+  if (!node || typeof node !== "object") return;
+  visit(node);
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visit));
+    } else if (value && typeof value === "object") {
+      walk(value, visit);
+    }
+  }
+}
+
+// Enum members in declaration order, so index i is the uint8 the contract returns
+function readStatuses(ast) {
+  let statuses = null;
+  walk(ast, node => {
+    if (node.nodeType === "EnumDefinition" && node.name === STATUS_ENUM) {
+      statuses = node.members.map(member => member.name);
+    }
+  });
+  if (!statuses) {
+    throw new Error(`${STATUS_ENUM} enum not found in ${CONTRACT_SOURCE}`);
+  }
+  return statuses;
+}
+
+// Every `<x>.status = DocumentStatus.<Y>` (including both arms of a conditional), by function
+function readStatusAssignments(ast) {
+  const assignments = [];
+  walk(ast, node => {
+    if (node.nodeType !== "FunctionDefinition" || !node.body) return;
+    walk(node.body, statement => {
+      if (statement.nodeType !== "Assignment" || statement.leftHandSide.memberName !== "status") return;
+      walk(statement.rightHandSide, value => {
+        if (value.nodeType === "MemberAccess" && value.expression && value.expression.name === STATUS_ENUM) {
+          assignments.push({ via: node.name, to: value.memberName });
+        }
+      });
+    });
+  });
+  return assignments;
+}
+
+function checkTransitions(statuses, assignments) {
+  for (const transition of TRANSITIONS) {
+    for (const status of [...transition.from, transition.to]) {
+      if (!statuses.includes(status)) {
+        throw new Error(`Transition ${transition.action} uses ${status}, which is not a ${STATUS_ENUM} member`);
+      }
+    }
+  }
+  for (const { via, to } of assignments) {
+    if (!TRANSITIONS.some(transition => transition.via === via && transition.to === to)) {
+      throw new Error(`${via} sets status ${to}, add it to TRANSITIONS in ${path.basename(__filename)}`);
+    }
+  }
+}
+
+/**
+ * Regenerate the shared contract module from compiled artifacts.
+ * @param {Object} options
+ * @param {string} options.artifactsDir Hardhat artifacts directory
+ * @param {string} [options.outputFile]
+ * @returns {boolean} whether the file changed
+ */
+function generateContractModule({ artifactsDir, outputFile = OUTPUT_FILE }) {
+  const { abi, ast } = loadContractArtifact(artifactsDir);
+  const statuses = readStatuses(ast);
+  checkTransitions(statuses, readStatusAssignments(ast));
+
+  const contents = JSON.stringify({
+    contractName: CONTRACT_NAME,
+    sourceName: CONTRACT_SOURCE,
+    statuses,
+    transitions: TRANSITIONS.map(({ from, to, action }) => ({ from, to, action })),
+    abi
+  }, null, 2) + "\n";
+
+  if (fs.existsSync(outputFile) && fs.readFileSync(outputFile, "utf8") === contents) {
+    return false;
+  }
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(outputFile, contents);
+  return true;
+}
+
+module.exports = {
+  TRANSITIONS,
+  checkTransitions,
+  generateContractModule,
+  readStatusAssignments,
+  readStatuses
+};
+
+if (require.main === module) {
+  const changed = generateContractModule({ artifactsDir: path.join(__dirname, "..", "artifacts") });
+  console.log(changed ? `📝 Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}` : "✅ Contract module is up to date");
+}
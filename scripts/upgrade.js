@@ -0,0 +1,100 @@
+const { ethers } = require("hardhat");
+const path = require("path");
+const { computeAbiHash } = require("../lib/contractArtifact");
+const { readRegistry, recordDeployment } = require("../lib/deployments");
+const { attachLegacyContract } = require("../lib/legacyContract");
+const { readLegacyState } = require("../lib/migration");
+
+// Deploys a new NotaryService next to the active one for this network and carries the
+// old records over. MIGRATION_MODE=import (default) copies documents, versions, batches
+// and role holders with their original timestamps; MIGRATION_MODE=link only copies the
+// roles and leaves the records on the legacy contract, which the API then reads from.
+const MIGRATION_MODES = ["import", "link"];
+
+async function main() {
+  const mode = process.env.MIGRATION_MODE || "import";
+  if (!MIGRATION_MODES.includes(mode)) {
+    throw new Error(`MIGRATION_MODE must be one of ${MIGRATION_MODES.join(", ")}`);
+  }
+
+  const registry = readRegistry(hre.network.name);
+  const previous = registry && registry.deployments[registry.deployments.length - 1];
+  const legacyAddress = process.env.LEGACY_CONTRACT_ADDRESS || (previous && previous.address);
+  if (!legacyAddress) {
+    throw new Error(`No deployment recorded for ${hre.network.name}; set LEGACY_CONTRACT_ADDRESS`);
+  }
+  const fromBlock = previous && previous.address === legacyAddress ? previous.blockNumber : 0;
+
+  const [deployer] = await ethers.getSigners();
+  const NotaryService = await ethers.getContractFactory("NotaryService");
+  // The legacy contract may be an older version than the compiled one
+  const legacy = await attachLegacyContract(legacyAddress, deployer, await hre.artifacts.readArtifact("NotaryService"));
+
+  console.log(`🔄 Upgrading NotaryService on ${hre.network.name} (${mode})`);
+  console.log("📋 Legacy contract:", legacyAddress);
+
+  console.log("🔍 Reading legacy state...");
+  const state = await readLegacyState(legacy, { fromBlock });
+  console.log(`   ${state.documents.length} documents, ${state.versions.length} version histories, ${state.batches.length} batches, ${state.roles.length} role assignments`);
+
+  console.log("🚀 Deploying new NotaryService...");
+  const notaryService = await NotaryService.deploy();
+  await notaryService.deployed();
+  const receipt = await notaryService.deployTransaction.wait();
+  console.log("✅ Deployed at", notaryService.address);
+
+  await (await notaryService.startMigration(legacyAddress)).wait();
+
+  let granted = 0;
+  for (const { role, account } of state.roles) {
+    if (!(await notaryService.hasRole(role, account))) {
+      await (await notaryService.grantRole(role, account)).wait();
+      granted++;
+    }
+  }
+  console.log(`👥 Granted ${granted} roles`);
+
+  if (mode === "import") {
+    for (const record of state.documents) {
+      await (await notaryService.importDocument(record)).wait();
+    }
+    for (const { originalHash, versions } of state.versions) {
+      await (await notaryService.importVersions(originalHash, versions)).wait();
+    }
+    for (const batch of state.batches) {
+      await (await notaryService.importBatch(batch)).wait();
+    }
+    console.log(`📥 Imported ${state.documents.length} documents and ${state.batches.length} batches`);
+  }
+
+  // Closing the migration keeps the legacyContract pointer but rules out further imports
+  await (await notaryService.finalizeMigration()).wait();
+  console.log("🔒 Migration finalized");
+
+  if (hre.network.name !== "hardhat") {
+    const { abi } = await hre.artifacts.readArtifact("NotaryService");
+    const registryFile = recordDeployment({
+      network: hre.network.name,
+      chainId: hre.network.config.chainId || (await ethers.provider.getNetwork()).chainId,
+      contractName: "NotaryService",
+      address: notaryService.address,
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.transactionHash,
+      abiHash: computeAbiHash(abi),
+      deployer: deployer.address,
+      upgradedFrom: legacyAddress,
+      migration: mode
+    });
+    console.log("🗂️  Recorded in", path.relative(process.cwd(), registryFile));
+  }
+
+  console.log("\n🎉 Upgrade complete. Restart the API to switch to", notaryService.address);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Upgrade failed:");
+    console.error(error);
+    process.exit(1);
+  });
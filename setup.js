@@ -1,6 +1,7 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { findDeployment } = require('./lib/deployments');
 
 async function setup() {
   console.log('🚀 Setting up Blockchain Notary Service...\n');
@@ -27,7 +28,7 @@ async function setup() {
   };
 
   console.log(`📡 Network URL: ${config.networkUrl}`);
-  console.log(`📋 Contract Address: ${config.contractAddress || 'Not set'}`);
+  console.log(`📋 Contract Address: ${config.contractAddress || 'Not set (looked up in deployments/)'}`);
   console.log(`🔑 Private Key: ${config.privateKey ? 'Set' : 'Not set'}`);
   console.log(`🌐 API Port: ${config.port}\n`);
 
@@ -39,6 +40,12 @@ async function setup() {
     const blockNumber = await provider.getBlockNumber();
     
     console.log(`✅ Connected to network: ${network.name} (Chain ID: ${network.chainId})`);
+
+    const deployment = findDeployment(network.chainId);
+    if (!config.contractAddress && deployment) {
+      config.contractAddress = deployment.address;
+      console.log(`🗂️  Contract from deployments/${deployment.network}.json: ${deployment.address}`);
+    }
     console.log(`📦 Latest block: ${blockNumber}\n`);
 
     // Test wallet if private key is set
@@ -82,8 +89,8 @@ async function setup() {
       console.log('❌ Error checking contract:', error.message);
     }
   } else {
-    console.log('📋 Contract address not set in .env file');
-    console.log('   Deploy your contract and update CONTRACT_ADDRESS in .env\n');
+    console.log('📋 No deployment recorded for this chain and CONTRACT_ADDRESS not set in .env file');
+    console.log('   Deploy your contract; the address is recorded in deployments/<network>.json\n');
     console.log('   To compile and deploy:');
     console.log('   npx hardhat compile');
     console.log('   npx hardhat run scripts/deploy.js --network localhost\n');
@@ -92,7 +99,7 @@ async function setup() {
   console.log('🎯 Next Steps:');
   console.log('1. Make sure your local blockchain is running: npx hardhat node');
   console.log('2. Deploy the contract: npx hardhat run scripts/deploy.js --network localhost');
-  console.log('3. Update CONTRACT_ADDRESS and PRIVATE_KEY in .env file');
+  console.log('3. Set PRIVATE_KEY in .env file');
   console.log('4. Start the backend: npm start');
   console.log('5. Start the frontend: cd frontend && npm run dev\n');
 
@@ -1,5 +1,9 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, artifacts } = require("hardhat");
+const { buildMerkleTree, getMerkleProof } = require("../lib/merkle");
+const { readDocument, readLegacyState } = require("../lib/migration");
+const { attachLegacyContract } = require("../lib/legacyContract");
+const firstVersion = require("../shared/legacy/NotaryService-v1.json");
 
 describe("NotaryService", function () {
   let NotaryService;
@@ -57,15 +61,131 @@ describe("NotaryService", function () {
       expect(await notaryService.authorizedNotaries(notary1.address)).to.be.false;
     });
 
-    it("Should not allow non-owner to add notary", async function () {
+    it("Should not allow non-admin to add notary", async function () {
       await expect(
         notaryService.connect(notary1).addNotary(notary2.address)
-      ).to.be.revertedWith("Only owner can perform this action");
+      ).to.be.revertedWith("Missing required role");
     });
 
-    it("Should not allow non-owner to remove notary", async function () {
+    it("Should not allow non-admin to remove notary", async function () {
       await expect(
         notaryService.connect(notary1).removeNotary(owner.address)
+      ).to.be.revertedWith("Missing required role");
+    });
+  });
+
+  describe("Access Control", function () {
+    let ADMIN_ROLE, NOTARY_ROLE, AUDITOR_ROLE;
+    let admin2, auditor;
+
+    beforeEach(async function () {
+      [ADMIN_ROLE, NOTARY_ROLE, AUDITOR_ROLE] = await Promise.all([
+        notaryService.ADMIN_ROLE(),
+        notaryService.NOTARY_ROLE(),
+        notaryService.AUDITOR_ROLE()
+      ]);
+      [admin2, auditor] = accounts.slice(6, 8);
+    });
+
+    it("Should give the deployer the admin, notary and approver roles", async function () {
+      expect(await notaryService.hasRole(ADMIN_ROLE, owner.address)).to.be.true;
+      expect(await notaryService.hasRole(NOTARY_ROLE, owner.address)).to.be.true;
+      expect(await notaryService.authorizedApprovers(owner.address)).to.be.true;
+      expect(await notaryService.hasRole(AUDITOR_ROLE, owner.address)).to.be.false;
+    });
+
+    it("Should emit RoleGranted and RoleRevoked", async function () {
+      await expect(notaryService.grantRole(AUDITOR_ROLE, auditor.address))
+        .to.emit(notaryService, "RoleGranted")
+        .withArgs(AUDITOR_ROLE, auditor.address, owner.address);
+      expect(await notaryService.hasRole(AUDITOR_ROLE, auditor.address)).to.be.true;
+
+      await expect(notaryService.revokeRole(AUDITOR_ROLE, auditor.address))
+        .to.emit(notaryService, "RoleRevoked")
+        .withArgs(AUDITOR_ROLE, auditor.address, owner.address);
+      expect(await notaryService.hasRole(AUDITOR_ROLE, auditor.address)).to.be.false;
+    });
+
+    it("Should emit RoleGranted from addNotary", async function () {
+      await expect(notaryService.addNotary(notary1.address))
+        .to.emit(notaryService, "RoleGranted")
+        .withArgs(NOTARY_ROLE, notary1.address, owner.address);
+    });
+
+    it("Should let a second admin manage roles but not appoint admins", async function () {
+      await notaryService.grantRole(ADMIN_ROLE, admin2.address);
+
+      await notaryService.connect(admin2).grantRole(NOTARY_ROLE, notary1.address);
+      expect(await notaryService.authorizedNotaries(notary1.address)).to.be.true;
+
+      await expect(
+        notaryService.connect(admin2).grantRole(ADMIN_ROLE, notary2.address)
+      ).to.be.revertedWith("Only owner can perform this action");
+    });
+
+    it("Should not allow non-admins to grant roles", async function () {
+      await expect(
+        notaryService.connect(notary1).grantRole(NOTARY_ROLE, notary1.address)
+      ).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should reject unknown roles", async function () {
+      await expect(
+        notaryService.grantRole(ethers.utils.id("SUPERUSER_ROLE"), notary1.address)
+      ).to.be.revertedWith("Unknown role");
+    });
+
+    it("Should let an account renounce its own role", async function () {
+      await notaryService.addNotary(notary1.address);
+
+      await expect(notaryService.connect(notary1).renounceRole(NOTARY_ROLE))
+        .to.emit(notaryService, "RoleRevoked")
+        .withArgs(NOTARY_ROLE, notary1.address, notary1.address);
+      await expect(
+        notaryService.connect(notary1).notarizeDocument(documentHash1, metadata1, [])
+      ).to.be.revertedWith("Not authorized notary");
+      await expect(
+        notaryService.connect(notary1).renounceRole(NOTARY_ROLE)
+      ).to.be.revertedWith("Role not held");
+    });
+
+    it("Should not let the owner notarize after giving up the notary role", async function () {
+      await notaryService.removeNotary(owner.address);
+      await expect(
+        notaryService.notarizeDocument(documentHash1, metadata1, [])
+      ).to.be.revertedWith("Not authorized notary");
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      await expect(notaryService.transferOwnership(admin2.address))
+        .to.emit(notaryService, "OwnershipTransferStarted")
+        .withArgs(owner.address, admin2.address);
+      expect(await notaryService.owner()).to.equal(owner.address);
+      expect(await notaryService.pendingOwner()).to.equal(admin2.address);
+
+      await expect(notaryService.connect(admin2).acceptOwnership())
+        .to.emit(notaryService, "OwnershipTransferred")
+        .withArgs(owner.address, admin2.address);
+      expect(await notaryService.owner()).to.equal(admin2.address);
+      expect(await notaryService.pendingOwner()).to.equal(ethers.constants.AddressZero);
+      expect(await notaryService.hasRole(ADMIN_ROLE, admin2.address)).to.be.true;
+
+      // Only the new owner can appoint admins now
+      await expect(
+        notaryService.grantRole(ADMIN_ROLE, notary1.address)
+      ).to.be.revertedWith("Only owner can perform this action");
+    });
+
+    it("Should only let the pending owner accept", async function () {
+      await notaryService.transferOwnership(admin2.address);
+      await expect(
+        notaryService.connect(notary1).acceptOwnership()
+      ).to.be.revertedWith("Not the pending owner");
+    });
+
+    it("Should only let the owner start a transfer", async function () {
+      await expect(
+        notaryService.connect(admin2).transferOwnership(admin2.address)
       ).to.be.revertedWith("Only owner can perform this action");
     });
   });
@@ -189,9 +309,10 @@ describe("NotaryService", function () {
       const requiredSigners = [signer1.address];
       await notaryService.connect(notary1).notarizeDocument(documentHash1, metadata1, requiredSigners);
       await notaryService.connect(signer1).signDocument(documentHash1);
+      await notaryService.addApprover(approver1.address);
     });
 
-    it("Should allow anyone to approve a signed document", async function () {
+    it("Should allow an authorized approver to approve a signed document", async function () {
       await expect(
         notaryService.connect(approver1).approveDocument(documentHash1)
       ).to.emit(notaryService, "DocumentApproved")
@@ -269,9 +390,9 @@ describe("NotaryService", function () {
       const changeDescription = "Updated terms and conditions";
       
       await expect(
-        notaryService.connect(signer1).createDocumentVersion(documentHash1, documentHash2, changeDescription)
+        notaryService.connect(notary1).createDocumentVersion(documentHash1, documentHash2, changeDescription)
       ).to.emit(notaryService, "DocumentVersionCreated")
-        .withArgs(documentHash1, documentHash2, 2, signer1.address);
+        .withArgs(documentHash1, documentHash2, 2, notary1.address);
 
       const latestVersion = await notaryService.getLatestVersion(documentHash1);
       expect(latestVersion).to.equal(documentHash2);
@@ -279,13 +400,13 @@ describe("NotaryService", function () {
 
     it("Should not allow creating version with existing hash", async function () {
       await expect(
-        notaryService.connect(signer1).createDocumentVersion(documentHash1, documentHash1, "change")
+        notaryService.connect(notary1).createDocumentVersion(documentHash1, documentHash1, "change")
       ).to.be.revertedWith("New version hash already exists");
     });
 
     it("Should track version history correctly", async function () {
-      await notaryService.connect(signer1).createDocumentVersion(documentHash1, documentHash2, "Version 2");
-      await notaryService.connect(signer1).createDocumentVersion(documentHash1, documentHash3, "Version 3");
+      await notaryService.connect(notary1).createDocumentVersion(documentHash1, documentHash2, "Version 2");
+      await notaryService.connect(notary1).createDocumentVersion(documentHash1, documentHash3, "Version 3");
 
       const versions = await notaryService.getDocumentVersions(documentHash1);
       expect(versions.length).to.equal(3);
@@ -300,6 +421,34 @@ describe("NotaryService", function () {
       expect(versions[2].isLatest).to.be.true;
     });
 
+    it("Should only let the document's notary or an admin create a version", async function () {
+      await expect(
+        notaryService.connect(signer1).createDocumentVersion(documentHash1, documentHash2, "change")
+      ).to.be.revertedWith("Not authorized to version");
+      await notaryService.addNotary(notary2.address);
+      await expect(
+        notaryService.connect(notary2).createDocumentVersion(documentHash1, documentHash2, "change")
+      ).to.be.revertedWith("Not authorized to version");
+
+      await notaryService.connect(owner).createDocumentVersion(documentHash1, documentHash2, "Amended by an admin");
+      expect(await notaryService.getLatestVersion(documentHash1)).to.equal(documentHash2);
+    });
+
+    it("Should not version a revoked document or revoked latest version", async function () {
+      await notaryService.connect(notary1).revokeDocument(documentHash1, "Notarized in error");
+      await expect(
+        notaryService.connect(notary1).createDocumentVersion(documentHash1, documentHash2, "change")
+      ).to.be.revertedWith("Document revoked");
+
+      const documentHash4 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("document4"));
+      await notaryService.connect(notary1).notarizeDocument(documentHash3, metadata1, [signer1.address]);
+      await notaryService.connect(notary1).createDocumentVersion(documentHash3, documentHash2, "Version 2");
+      await notaryService.connect(notary1).revokeDocument(documentHash2, "Superseded");
+      await expect(
+        notaryService.connect(notary1).createDocumentVersion(documentHash3, documentHash4, "Version 3")
+      ).to.be.revertedWith("Document revoked");
+    });
+
     it("Should not allow versioning non-existent document", async function () {
       await expect(
         notaryService.connect(signer1).createDocumentVersion(documentHash3, documentHash2, "change")
@@ -307,6 +456,974 @@ describe("NotaryService", function () {
     });
   });
 
+  describe("Meta-transactions (EIP-712)", function () {
+    const TYPES = {
+      SignDocument: [
+        { name: "documentHash", type: "bytes32" },
+        { name: "signer", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ],
+      ApproveDocument: [
+        { name: "documentHash", type: "bytes32" },
+        { name: "approver", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ],
+      RejectDocument: [
+        { name: "documentHash", type: "bytes32" },
+        { name: "signer", type: "address" },
+        { name: "reason", type: "string" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+
+    let relayer;
+    let deadline;
+
+    async function signTypedData(account, primaryType, message) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "NotaryService",
+        version: "1",
+        chainId,
+        verifyingContract: notaryService.address
+      };
+      const signature = await account._signTypedData(domain, { [primaryType]: TYPES[primaryType] }, message);
+      return ethers.utils.splitSignature(signature);
+    }
+
+    beforeEach(async function () {
+      relayer = accounts[6];
+      await notaryService.addNotary(notary1.address);
+      await notaryService.addApprover(signer1.address);
+      await notaryService.addApprover(approver1.address);
+      await notaryService.connect(notary1).notarizeDocument(documentHash1, metadata1, [signer1.address, signer2.address]);
+
+      const block = await ethers.provider.getBlock("latest");
+      deadline = block.timestamp + 3600;
+    });
+
+    it("Should let a relayer submit a signature on behalf of a signer", async function () {
+      const { v, r, s } = await signTypedData(signer1, "SignDocument", {
+        documentHash: documentHash1, signer: signer1.address, nonce: 0, deadline
+      });
+
+      await expect(
+        notaryService.connect(relayer).signDocumentBySig(documentHash1, signer1.address, deadline, v, r, s)
+      ).to.emit(notaryService, "DocumentSigned");
+
+      expect(await notaryService.hasSigned(documentHash1, signer1.address)).to.be.true;
+      expect(await notaryService.hasSigned(documentHash1, relayer.address)).to.be.false;
+      expect(await notaryService.nonces(signer1.address)).to.equal(1);
+    });
+
+    it("Should reject a signature made by a different account", async function () {
+      const { v, r, s } = await signTypedData(signer2, "SignDocument", {
+        documentHash: documentHash1, signer: signer1.address, nonce: 0, deadline
+      });
+
+      await expect(
+        notaryService.connect(relayer).signDocumentBySig(documentHash1, signer1.address, deadline, v, r, s)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject an expired signature", async function () {
+      const expired = deadline - 7200;
+      const { v, r, s } = await signTypedData(signer1, "SignDocument", {
+        documentHash: documentHash1, signer: signer1.address, nonce: 0, deadline: expired
+      });
+
+      await expect(
+        notaryService.connect(relayer).signDocumentBySig(documentHash1, signer1.address, expired, v, r, s)
+      ).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should not allow replaying a signature", async function () {
+      const { v, r, s } = await signTypedData(signer1, "ApproveDocument", {
+        documentHash: documentHash1, approver: signer1.address, nonce: 0, deadline
+      });
+
+      await notaryService.connect(relayer).approveDocumentBySig(documentHash1, signer1.address, deadline, v, r, s);
+
+      await expect(
+        notaryService.connect(relayer).approveDocumentBySig(documentHash1, signer1.address, deadline, v, r, s)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should attribute a relayed approval to the approver", async function () {
+      const { v, r, s } = await signTypedData(approver1, "ApproveDocument", {
+        documentHash: documentHash1, approver: approver1.address, nonce: 0, deadline
+      });
+
+      await notaryService.connect(relayer).approveDocumentBySig(documentHash1, approver1.address, deadline, v, r, s);
+
+      // A direct approval from the same address now counts as a duplicate
+      await expect(
+        notaryService.connect(approver1).approveDocument(documentHash1)
+      ).to.be.revertedWith("Already approved");
+    });
+
+    it("Should reject a document with a relayed signature", async function () {
+      const reason = "Wrong counterparty";
+      const { v, r, s } = await signTypedData(signer2, "RejectDocument", {
+        documentHash: documentHash1, signer: signer2.address, reason, nonce: 0, deadline
+      });
+
+      await expect(
+        notaryService.connect(relayer).rejectDocumentBySig(documentHash1, signer2.address, reason, deadline, v, r, s)
+      ).to.emit(notaryService, "DocumentRejected");
+
+      const doc = await notaryService.verifyDocument(documentHash1);
+      expect(doc.status).to.equal(3); // REJECTED
+    });
+
+    it("Should still require the signer to be a required signer", async function () {
+      const { v, r, s } = await signTypedData(approver1, "SignDocument", {
+        documentHash: documentHash1, signer: approver1.address, nonce: 0, deadline
+      });
+
+      await expect(
+        notaryService.connect(relayer).signDocumentBySig(documentHash1, approver1.address, deadline, v, r, s)
+      ).to.be.revertedWith("Not a required signer");
+    });
+  });
+
+  describe("Batch Notarization", function () {
+    const batchHashes = ["invoice-1", "invoice-2", "invoice-3", "invoice-4", "invoice-5"]
+      .map(name => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(name)));
+    let tree;
+
+    beforeEach(async function () {
+      await notaryService.addNotary(notary1.address);
+      tree = buildMerkleTree(batchHashes);
+    });
+
+    it("Should anchor a batch root", async function () {
+      await expect(
+        notaryService.connect(notary1).anchorBatch(tree.root, batchHashes.length, "Nightly invoices")
+      ).to.emit(notaryService, "BatchAnchored");
+
+      const batch = await notaryService.batches(tree.root);
+      expect(batch.exists).to.be.true;
+      expect(batch.notary).to.equal(notary1.address);
+      expect(batch.documentCount).to.equal(batchHashes.length);
+      expect(await notaryService.totalBatches()).to.equal(1);
+    });
+
+    it("Should verify inclusion of every document in the batch", async function () {
+      await notaryService.connect(notary1).anchorBatch(tree.root, batchHashes.length, "Nightly invoices");
+
+      for (let i = 0; i < batchHashes.length; i++) {
+        const result = await notaryService.verifyBatchInclusion(batchHashes[i], getMerkleProof(tree, i), tree.root);
+        expect(result.included).to.be.true;
+        expect(result.notary).to.equal(notary1.address);
+      }
+    });
+
+    it("Should not verify a document outside the batch", async function () {
+      await notaryService.connect(notary1).anchorBatch(tree.root, batchHashes.length, "Nightly invoices");
+
+      const result = await notaryService.verifyBatchInclusion(documentHash1, getMerkleProof(tree, 0), tree.root);
+      expect(result.included).to.be.false;
+    });
+
+    it("Should not verify against a root that was never anchored", async function () {
+      const result = await notaryService.verifyBatchInclusion(batchHashes[0], getMerkleProof(tree, 0), tree.root);
+      expect(result.included).to.be.false;
+    });
+
+    it("Should not allow anchoring the same root twice", async function () {
+      await notaryService.connect(notary1).anchorBatch(tree.root, batchHashes.length, "Nightly invoices");
+
+      await expect(
+        notaryService.connect(notary1).anchorBatch(tree.root, batchHashes.length, "Nightly invoices")
+      ).to.be.revertedWith("Batch already anchored");
+    });
+
+    it("Should not allow unauthorized user to anchor a batch", async function () {
+      await expect(
+        notaryService.connect(signer1).anchorBatch(tree.root, batchHashes.length, "Nightly invoices")
+      ).to.be.revertedWith("Not authorized notary");
+    });
+  });
+
+  describe("Signature Thresholds", function () {
+    let directors;
+
+    beforeEach(async function () {
+      await notaryService.addNotary(notary1.address);
+      directors = accounts.slice(3, 8);
+      await notaryService.connect(notary1).notarizeDocumentWithOptions(
+        documentHash1, metadata1, directors.map(director => director.address),
+        { signatureThreshold: 3, signingDeadline: 0, sequentialSigning: false, approvers: [], requiredApprovals: 0 }
+      );
+    });
+
+    it("Should report the threshold in verifyDocument", async function () {
+      const doc = await notaryService.verifyDocument(documentHash1);
+      expect(doc.signatureThreshold).to.equal(3);
+    });
+
+    it("Should require every signer by default", async function () {
+      await notaryService.connect(notary1).notarizeDocument(documentHash2, metadata2, [signer1.address, signer2.address]);
+      const doc = await notaryService.verifyDocument(documentHash2);
+      expect(doc.signatureThreshold).to.equal(2);
+    });
+
+    it("Should treat a zero threshold as every signer", async function () {
+      await notaryService.connect(notary1).notarizeDocumentWithOptions(
+        documentHash2, metadata2, [signer1.address, signer2.address], { signatureThreshold: 0, signingDeadline: 0, sequentialSigning: false, approvers: [], requiredApprovals: 0 }
+      );
+      const doc = await notaryService.verifyDocument(documentHash2);
+      expect(doc.signatureThreshold).to.equal(2);
+    });
+
+    it("Should stay pending below the threshold", async function () {
+      await notaryService.connect(directors[0]).signDocument(documentHash1);
+      await notaryService.connect(directors[1]).signDocument(documentHash1);
+
+      const doc = await notaryService.verifyDocument(documentHash1);
+      expect(doc.status).to.equal(0); // PENDING
+      expect(doc.signerCount).to.equal(2);
+    });
+
+    it("Should become SIGNED once the threshold is reached", async function () {
+      await notaryService.connect(directors[4]).signDocument(documentHash1);
+      await notaryService.connect(directors[2]).signDocument(documentHash1);
+      await notaryService.connect(directors[0]).signDocument(documentHash1);
+
+      const doc = await notaryService.verifyDocument(documentHash1);
+      expect(doc.status).to.equal(1); // SIGNED
+      expect(doc.signerCount).to.equal(3);
+    });
+
+    it("Should close signing once the threshold is reached", async function () {
+      for (const director of directors.slice(0, 3)) {
+        await notaryService.connect(director).signDocument(documentHash1);
+      }
+
+      await expect(
+        notaryService.connect(directors[3]).signDocument(documentHash1)
+      ).to.be.revertedWith("Document not in pending status");
+    });
+
+    it("Should not accept a threshold above the number of signers", async function () {
+      await expect(
+        notaryService.connect(notary1).notarizeDocumentWithOptions(
+          documentHash2, metadata2, [signer1.address, signer2.address], { signatureThreshold: 3, signingDeadline: 0, sequentialSigning: false, approvers: [], requiredApprovals: 0 }
+        )
+      ).to.be.revertedWith("Threshold exceeds signers");
+    });
+
+    it("Should carry the threshold over to new versions", async function () {
+      await notaryService.connect(notary1).createDocumentVersion(documentHash1, documentHash2, "Amended");
+      const doc = await notaryService.verifyDocument(documentHash2);
+      expect(doc.signatureThreshold).to.equal(3);
+    });
+
+    it("Should combine a threshold with a signing deadline", async function () {
+      const block = await ethers.provider.getBlock("latest");
+      await notaryService.connect(notary1).notarizeDocumentWithOptions(
+        documentHash2, metadata2, directors.map(director => director.address),
+        { signatureThreshold: 2, signingDeadline: block.timestamp + 3600, sequentialSigning: false, approvers: [], requiredApprovals: 0 }
+      );
+
+      expect(await notaryService.getSigningDeadline(documentHash2)).to.equal(block.timestamp + 3600);
+      expect((await notaryService.verifyDocument(documentHash2)).signatureThreshold).to.equal(2);
+    });
+  });
+
+  describe("Sequential Signing", function () {
+    let employee, manager, legal;
+
+    beforeEach(async function () {
+      await notaryService.addNotary(notary1.address);
+      [employee, manager, legal] = accounts.slice(3, 6);
+      await notaryService.connect(notary1).notarizeDocumentWithOptions(
+        documentHash1, metadata1, [employee.address, manager.address, legal.address],
+        { signatureThreshold: 0, signingDeadline: 0, sequentialSigning: true, approvers: [], requiredApprovals: 0 }
+      );
+    });
+
+    it("Should report sequential mode and the first signer", async function () {
+      expect(await notaryService.isSequentialSigning(documentHash1)).to.equal(true);
+      expect(await notaryService.getNextSigner(documentHash1)).to.equal(employee.address);
+    });
+
+    it("Should reject a signer who is out of turn", async function () {
+      await expect(
+        notaryService.connect(manager).signDocument(documentHash1)
+      ).to.be.revertedWith("Not this signer's turn");
+    });
+
+    it("Should advance the next signer after each signature", async function () {
+      await notaryService.connect(employee).signDocument(documentHash1);
+      expect(await notaryService.getNextSigner(documentHash1)).to.equal(manager.address);
+
+      await expect(
+        notaryService.connect(legal).signDocument(documentHash1)
+      ).to.be.revertedWith("Not this signer's turn");
+
+      await notaryService.connect(manager).signDocument(documentHash1);
+      expect(await notaryService.getNextSigner(documentHash1)).to.equal(legal.address);
+    });
+
+    it("Should become SIGNED once the last signer signs in order", async function () {
+      await notaryService.connect(employee).signDocument(documentHash1);
+      await notaryService.connect(manager).signDocument(documentHash1);
+      await notaryService.connect(legal).signDocument(documentHash1);
+
+      const doc = await notaryService.verifyDocument(documentHash1);
+      expect(doc.status).to.equal(1); // SIGNED
+      expect(await notaryService.getNextSigner(documentHash1)).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Should enforce the order for relayed signatures", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: "NotaryService", version: "1", chainId, verifyingContract: notaryService.address };
+      const types = {
+        SignDocument: [
+          { name: "documentHash", type: "bytes32" },
+          { name: "signer", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const signature = await manager._signTypedData(domain, types, {
+        documentHash: documentHash1, signer: manager.address, nonce: 0, deadline
+      });
+      const { v, r, s } = ethers.utils.splitSignature(signature);
+
+      await expect(
+        notaryService.signDocumentBySig(documentHash1, manager.address, deadline, v, r, s)
+      ).to.be.revertedWith("Not this signer's turn");
+    });
+
+    it("Should report no next signer for unordered documents", async function () {
+      await notaryService.connect(notary1).notarizeDocument(documentHash2, metadata2, [signer1.address]);
+      expect(await notaryService.isSequentialSigning(documentHash2)).to.equal(false);
+      expect(await notaryService.getNextSigner(documentHash2)).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Should report no next signer once the document is rejected", async function () {
+      await notaryService.connect(legal).rejectDocument(documentHash1, "Wrong clause");
+      expect(await notaryService.getNextSigner(documentHash1)).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Should require signers for sequential mode", async function () {
+      await expect(
+        notaryService.connect(notary1).notarizeDocumentWithOptions(
+          documentHash2, metadata2, [], { signatureThreshold: 0, signingDeadline: 0, sequentialSigning: true, approvers: [], requiredApprovals: 0 }
+        )
+      ).to.be.revertedWith("Sequential signing requires signers");
+    });
+
+    it("Should keep the signing order for new versions", async function () {
+      await notaryService.connect(notary1).createDocumentVersion(documentHash1, documentHash2, "Amended");
+      expect(await notaryService.isSequentialSigning(documentHash2)).to.equal(true);
+      expect(await notaryService.getNextSigner(documentHash2)).to.equal(employee.address);
+    });
+  });
+
+  describe("Approver Roles", function () {
+    const options = (approvers, requiredApprovals) => ({
+      signatureThreshold: 0, signingDeadline: 0, sequentialSigning: false, approvers, requiredApprovals
+    });
+
+    beforeEach(async function () {
+      await notaryService.addNotary(notary1.address);
+    });
+
+    it("Should make the owner an authorized approver", async function () {
+      expect(await notaryService.authorizedApprovers(owner.address)).to.be.true;
+    });
+
+    it("Should allow owner to add and remove an approver", async function () {
+      await notaryService.addApprover(approver1.address);
+      expect(await notaryService.authorizedApprovers(approver1.address)).to.be.true;
+
+      await notaryService.removeApprover(approver1.address);
+      expect(await notaryService.authorizedApprovers(approver1.address)).to.be.false;
+    });
+
+    it("Should not allow non-admin to manage approvers", async function () {
+      await expect(
+        notaryService.connect(notary1).addApprover(approver1.address)
+      ).to.be.revertedWith("Missing required role");
+      await expect(
+        notaryService.connect(notary1).removeApprover(owner.address)
+      ).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should reject approvals from unauthorized addresses", async function () {
+      await notaryService.connect(notary1).notarizeDocument(documentHash1, metadata1, [signer1.address]);
+      await notaryService.connect(signer1).signDocument(documentHash1);
+
+      expect(await notaryService.canApprove(documentHash1, approver1.address)).to.be.false;
+      await expect(
+        notaryService.connect(approver1).approveDocument(documentHash1)
+      ).to.be.revertedWith("Not authorized approver");
+    });
+
+    it("Should only accept whitelisted approvers on a document with a whitelist", async function () {
+      const [legal, finance] = accounts.slice(6, 8);
+      await notaryService.connect(notary1).notarizeDocumentWithOptions(
+        documentHash1, metadata1, [signer1.address], options([legal.address, finance.address], 0)
+      );
+
+      expect(await notaryService.canApprove(documentHash1, legal.address)).to.be.true;
+      // The whitelist replaces the global role for this document
+      expect(await notaryService.canApprove(documentHash1, owner.address)).to.be.false;
+      await expect(
+        notaryService.approveDocument(documentHash1)
+      ).to.be.revertedWith("Not authorized approver");
+      await expect(
+        notaryService.connect(legal).approveDocument(documentHash1)
+      ).to.emit(notaryService, "DocumentApproved");
+    });
+
+    it("Should report the approval policy", async function () {
+      const [legal, finance] = accounts.slice(6, 8);
+      await notaryService.connect(notary1).notarizeDocumentWithOptions(
+        documentHash1, metadata1, [signer1.address], options([legal.address, finance.address], 2)
+      );
+      await notaryService.connect(notary1).notarizeDocument(documentHash2, metadata2, [signer1.address]);
+
+      const policy = await notaryService.getApprovalPolicy(documentHash1);
+      expect(policy.approvers).to.deep.equal([legal.address, finance.address]);
+      expect(policy.requiredApprovals).to.equal(2);
+
+      const defaults = await notaryService.getApprovalPolicy(documentHash2);
+      expect(defaults.approvers).to.deep.equal([]);
+      expect(defaults.requiredApprovals).to.equal(1);
+    });
+
+    it("Should stay SIGNED until the required approvals are in", async function () {
+      const [legal, finance] = accounts.slice(6, 8);
+      await notaryService.connect(notary1).notarizeDocumentWithOptions(
+        documentHash1, metadata1, [signer1.address], options([legal.address, finance.address], 2)
+      );
+      await notaryService.connect(signer1).signDocument(documentHash1);
+
+      await notaryService.connect(legal).approveDocument(documentHash1);
+      expect((await notaryService.verifyDocument(documentHash1)).status).to.equal(1); // SIGNED
+
+      await notaryService.connect(finance).approveDocument(documentHash1);
+      expect((await notaryService.verifyDocument(documentHash1)).status).to.equal(2); // APPROVED
+    });
+
+    it("Should count approvals given while pending once signing completes", async function () {
+      const [legal, finance] = accounts.slice(6, 8);
+      await notaryService.connect(notary1).notarizeDocumentWithOptions(
+        documentHash1, metadata1, [signer1.address], options([legal.address, finance.address], 2)
+      );
+      await notaryService.connect(legal).approveDocument(documentHash1);
+      await notaryService.connect(finance).approveDocument(documentHash1);
+      expect((await notaryService.verifyDocument(documentHash1)).status).to.equal(0); // PENDING
+
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      expect((await notaryService.verifyDocument(documentHash1)).status).to.equal(2); // APPROVED
+    });
+
+    it("Should not require more approvals than whitelisted approvers", async function () {
+      await expect(
+        notaryService.connect(notary1).notarizeDocumentWithOptions(
+          documentHash1, metadata1, [signer1.address], options([approver1.address], 2)
+        )
+      ).to.be.revertedWith("Approvals exceed approvers");
+    });
+
+    it("Should keep the approval policy for new versions", async function () {
+      await notaryService.connect(notary1).notarizeDocumentWithOptions(
+        documentHash1, metadata1, [signer1.address], options([approver1.address], 1)
+      );
+      await notaryService.connect(notary1).createDocumentVersion(documentHash1, documentHash2, "Amended");
+
+      const policy = await notaryService.getApprovalPolicy(documentHash2);
+      expect(policy.approvers).to.deep.equal([approver1.address]);
+      expect(await notaryService.canApprove(documentHash2, approver1.address)).to.be.true;
+    });
+  });
+
+  describe("Signing Deadlines", function () {
+    let deadline;
+
+    async function passDeadline() {
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
+      await notaryService.addNotary(notary1.address);
+      const block = await ethers.provider.getBlock("latest");
+      deadline = block.timestamp + 3600;
+      await notaryService.connect(notary1).notarizeDocumentWithDeadline(
+        documentHash1, metadata1, [signer1.address, signer2.address], deadline
+      );
+      await notaryService.addApprover(approver1.address);
+    });
+
+    it("Should store the signing deadline", async function () {
+      expect(await notaryService.getSigningDeadline(documentHash1)).to.equal(deadline);
+    });
+
+    it("Should have no deadline for documents notarized without one", async function () {
+      await notaryService.connect(notary1).notarizeDocument(documentHash2, metadata2, [signer1.address]);
+      expect(await notaryService.getSigningDeadline(documentHash2)).to.equal(0);
+    });
+
+    it("Should emit the deadline when notarizing", async function () {
+      const block = await ethers.provider.getBlock("latest");
+      await expect(
+        notaryService.connect(notary1).notarizeDocumentWithDeadline(
+          documentHash2, metadata2, [signer1.address], block.timestamp + 600
+        )
+      ).to.emit(notaryService, "SigningDeadlineSet")
+        .withArgs(documentHash2, block.timestamp + 600);
+    });
+
+    it("Should not accept a deadline in the past", async function () {
+      const block = await ethers.provider.getBlock("latest");
+      await expect(
+        notaryService.connect(notary1).notarizeDocumentWithDeadline(
+          documentHash2, metadata2, [signer1.address], block.timestamp
+        )
+      ).to.be.revertedWith("Deadline must be in the future");
+    });
+
+    it("Should not accept a deadline without required signers", async function () {
+      await expect(
+        notaryService.connect(notary1).notarizeDocumentWithDeadline(documentHash2, metadata2, [], deadline)
+      ).to.be.revertedWith("Deadline requires signers");
+    });
+
+    it("Should allow signing before the deadline", async function () {
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      await notaryService.connect(signer2).signDocument(documentHash1);
+
+      const doc = await notaryService.verifyDocument(documentHash1);
+      expect(doc.status).to.equal(1); // SIGNED
+    });
+
+    it("Should not allow signing, approving or rejecting after the deadline", async function () {
+      await passDeadline();
+
+      await expect(
+        notaryService.connect(signer1).signDocument(documentHash1)
+      ).to.be.revertedWith("Signing deadline passed");
+      await expect(
+        notaryService.connect(approver1).approveDocument(documentHash1)
+      ).to.be.revertedWith("Signing deadline passed");
+      await expect(
+        notaryService.connect(signer1).rejectDocument(documentHash1, "too late")
+      ).to.be.revertedWith("Signing deadline passed");
+    });
+
+    it("Should let anyone expire a document after the deadline", async function () {
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      await passDeadline();
+
+      await expect(
+        notaryService.connect(approver1).expireDocument(documentHash1)
+      ).to.emit(notaryService, "DocumentExpired");
+
+      const doc = await notaryService.verifyDocument(documentHash1);
+      expect(doc.status).to.equal(5); // EXPIRED
+      expect(doc.signerCount).to.equal(1);
+    });
+
+    it("Should not expire a document before the deadline", async function () {
+      await expect(
+        notaryService.connect(approver1).expireDocument(documentHash1)
+      ).to.be.revertedWith("Signing deadline not reached");
+    });
+
+    it("Should not expire a document without a deadline", async function () {
+      await notaryService.connect(notary1).notarizeDocument(documentHash2, metadata2, [signer1.address]);
+      await passDeadline();
+
+      await expect(
+        notaryService.connect(approver1).expireDocument(documentHash2)
+      ).to.be.revertedWith("Signing deadline not reached");
+    });
+
+    it("Should not expire a document that was fully signed in time", async function () {
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      await notaryService.connect(signer2).signDocument(documentHash1);
+      await passDeadline();
+
+      await expect(
+        notaryService.connect(approver1).expireDocument(documentHash1)
+      ).to.be.revertedWith("Document not in pending status");
+    });
+  });
+
+  describe("Revocation and Archival", function () {
+    beforeEach(async function () {
+      await notaryService.addNotary(notary1.address);
+      await notaryService.addApprover(approver1.address);
+      await notaryService.connect(notary1).notarizeDocument(documentHash1, metadata1, [signer1.address]);
+    });
+
+    async function approveDocument1() {
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      await notaryService.connect(approver1).approveDocument(documentHash1);
+    }
+
+    it("Should let the notary revoke a document with a reason", async function () {
+      const tx = await notaryService.connect(notary1).revokeDocument(documentHash1, "Signed in error");
+      const block = await ethers.provider.getBlock(tx.blockNumber);
+
+      await expect(tx).to.emit(notaryService, "DocumentRevoked")
+        .withArgs(documentHash1, notary1.address, block.timestamp, "Signed in error");
+
+      const doc = await notaryService.verifyDocument(documentHash1);
+      expect(doc.status).to.equal(6); // REVOKED
+
+      const revocation = await notaryService.getRevocation(documentHash1);
+      expect(revocation.revokedBy).to.equal(notary1.address);
+      expect(revocation.revokedAt).to.equal(block.timestamp);
+      expect(revocation.reason).to.equal("Signed in error");
+    });
+
+    it("Should let an admin revoke an approved document", async function () {
+      await approveDocument1();
+      await notaryService.revokeDocument(documentHash1, "Agreement terminated");
+
+      const revocation = await notaryService.getRevocation(documentHash1);
+      expect(revocation.revokedBy).to.equal(owner.address);
+      expect((await notaryService.verifyDocument(documentHash1)).status).to.equal(6);
+    });
+
+    it("Should not let anyone else revoke", async function () {
+      await expect(
+        notaryService.connect(signer1).revokeDocument(documentHash1, "No longer valid")
+      ).to.be.revertedWith("Not authorized to revoke");
+      await expect(
+        notaryService.connect(notary2).revokeDocument(documentHash1, "No longer valid")
+      ).to.be.revertedWith("Not authorized to revoke");
+    });
+
+    it("Should require a reason and revoke only once", async function () {
+      await expect(
+        notaryService.connect(notary1).revokeDocument(documentHash1, "")
+      ).to.be.revertedWith("Revocation reason required");
+
+      await notaryService.connect(notary1).revokeDocument(documentHash1, "Signed in error");
+      await expect(
+        notaryService.revokeDocument(documentHash1, "Again")
+      ).to.be.revertedWith("Document already revoked");
+    });
+
+    it("Should close signing and approval on a revoked document", async function () {
+      await notaryService.connect(notary1).revokeDocument(documentHash1, "Signed in error");
+
+      await expect(
+        notaryService.connect(signer1).signDocument(documentHash1)
+      ).to.be.revertedWith("Document not in pending status");
+      await expect(
+        notaryService.connect(approver1).approveDocument(documentHash1)
+      ).to.be.revertedWith("Invalid document status");
+    });
+
+    it("Should report no revocation for an active document", async function () {
+      const revocation = await notaryService.getRevocation(documentHash1);
+      expect(revocation.revokedBy).to.equal(ethers.constants.AddressZero);
+      expect(revocation.reason).to.equal("");
+    });
+
+    it("Should archive a document once its lifecycle is over", async function () {
+      await approveDocument1();
+
+      const tx = await notaryService.connect(notary1).archiveDocument(documentHash1);
+      const block = await ethers.provider.getBlock(tx.blockNumber);
+      await expect(tx).to.emit(notaryService, "DocumentArchived")
+        .withArgs(documentHash1, notary1.address, 2, block.timestamp); // from APPROVED
+
+      expect((await notaryService.verifyDocument(documentHash1)).status).to.equal(4); // ARCHIVED
+    });
+
+    it("Should let an admin archive a rejected document", async function () {
+      await notaryService.connect(signer1).rejectDocument(documentHash1, "Wrong terms");
+      await notaryService.archiveDocument(documentHash1);
+
+      expect((await notaryService.verifyDocument(documentHash1)).status).to.equal(4);
+    });
+
+    it("Should not archive pending, signed, revoked or archived documents", async function () {
+      await expect(
+        notaryService.connect(notary1).archiveDocument(documentHash1)
+      ).to.be.revertedWith("Document not in a final status");
+
+      await notaryService.connect(notary1).notarizeDocument(documentHash2, metadata2, [signer1.address]);
+      await notaryService.connect(signer1).signDocument(documentHash2);
+      await expect(
+        notaryService.connect(notary1).archiveDocument(documentHash2)
+      ).to.be.revertedWith("Document not in a final status");
+
+      await notaryService.connect(notary1).revokeDocument(documentHash1, "Signed in error");
+      await expect(
+        notaryService.connect(notary1).archiveDocument(documentHash1)
+      ).to.be.revertedWith("Document not in a final status");
+    });
+
+    it("Should not let anyone else archive", async function () {
+      await approveDocument1();
+      await expect(
+        notaryService.connect(approver1).archiveDocument(documentHash1)
+      ).to.be.revertedWith("Not authorized to archive");
+    });
+
+    it("Should still allow revoking an archived document", async function () {
+      await approveDocument1();
+      await notaryService.connect(notary1).archiveDocument(documentHash1);
+      await notaryService.connect(notary1).revokeDocument(documentHash1, "Agreement terminated");
+
+      expect((await notaryService.verifyDocument(documentHash1)).status).to.equal(6);
+    });
+  });
+
+  describe("Upgrades and Migration", function () {
+    let successor;
+
+    beforeEach(async function () {
+      await notaryService.addNotary(notary1.address);
+      await notaryService.addApprover(approver1.address);
+      await notaryService.connect(notary1).notarizeDocument(documentHash1, metadata1, [signer1.address, signer2.address]);
+      await notaryService.connect(signer1).signDocument(documentHash1);
+
+      successor = await NotaryService.deploy();
+      await successor.deployed();
+    });
+
+    it("Should only let the owner start a migration, once", async function () {
+      await expect(
+        successor.connect(notary1).startMigration(notaryService.address)
+      ).to.be.revertedWith("Only owner can perform this action");
+      await expect(
+        successor.startMigration(ethers.constants.AddressZero)
+      ).to.be.revertedWith("Invalid legacy contract");
+
+      await expect(successor.startMigration(notaryService.address))
+        .to.emit(successor, "MigrationStarted")
+        .withArgs(notaryService.address);
+      expect(await successor.legacyContract()).to.equal(notaryService.address);
+
+      await expect(
+        successor.startMigration(notaryService.address)
+      ).to.be.revertedWith("Migration already started");
+    });
+
+    it("Should not import before the migration starts or from non-admins", async function () {
+      const record = await readDocument(notaryService, documentHash1);
+
+      await expect(successor.importDocument(record)).to.be.revertedWith("Migration not started");
+
+      await successor.startMigration(notaryService.address);
+      await expect(
+        successor.connect(notary1).importDocument(record)
+      ).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should import a document with its original notary, timestamp and signatures", async function () {
+      const original = await notaryService.verifyDocument(documentHash1);
+      await successor.startMigration(notaryService.address);
+
+      await expect(successor.importDocument(await readDocument(notaryService, documentHash1)))
+        .to.emit(successor, "DocumentImported")
+        .withArgs(documentHash1, notaryService.address, notary1.address, original.timestamp, 0);
+
+      const doc = await successor.verifyDocument(documentHash1);
+      expect(doc.exists).to.be.true;
+      expect(doc.notary).to.equal(notary1.address);
+      expect(doc.timestamp).to.equal(original.timestamp);
+      expect(doc.status).to.equal(0); // PENDING
+      expect(doc.signerCount).to.equal(1);
+      expect(await successor.hasSigned(documentHash1, signer1.address)).to.be.true;
+      expect(await successor.getDocumentMetadata(documentHash1)).to.equal(metadata1);
+      expect(await successor.importedDocuments(documentHash1)).to.be.true;
+      expect(await successor.totalImported()).to.equal(1);
+    });
+
+    it("Should let an imported document carry on signing on the new contract", async function () {
+      await successor.addApprover(approver1.address);
+      await successor.startMigration(notaryService.address);
+      await successor.importDocument(await readDocument(notaryService, documentHash1));
+
+      await expect(
+        successor.connect(signer1).signDocument(documentHash1)
+      ).to.be.revertedWith("Already signed");
+
+      await successor.connect(signer2).signDocument(documentHash1);
+      await successor.connect(approver1).approveDocument(documentHash1);
+
+      expect((await successor.verifyDocument(documentHash1)).status).to.equal(2); // APPROVED
+      expect(await successor.getApprovers(documentHash1)).to.deep.equal([approver1.address]);
+    });
+
+    it("Should carry over revocations", async function () {
+      await notaryService.connect(notary1).revokeDocument(documentHash1, "Signed in error");
+      const revocation = await notaryService.getRevocation(documentHash1);
+
+      await successor.startMigration(notaryService.address);
+      await successor.importDocument(await readDocument(notaryService, documentHash1));
+
+      expect((await successor.verifyDocument(documentHash1)).status).to.equal(6); // REVOKED
+      const imported = await successor.getRevocation(documentHash1);
+      expect(imported.revokedBy).to.equal(notary1.address);
+      expect(imported.revokedAt).to.equal(revocation.revokedAt);
+      expect(imported.reason).to.equal("Signed in error");
+    });
+
+    it("Should refuse documents that already exist or claim a future timestamp", async function () {
+      await successor.startMigration(notaryService.address);
+      const record = await readDocument(notaryService, documentHash1);
+      await successor.importDocument(record);
+
+      await expect(successor.importDocument(record)).to.be.revertedWith("Document already notarized");
+
+      const latest = await ethers.provider.getBlock("latest");
+      await expect(
+        successor.importDocument({ ...record, documentHash: documentHash2, timestamp: latest.timestamp + 3600 })
+      ).to.be.revertedWith("Timestamp in the future");
+    });
+
+    it("Should import versions, batches and role holders read from the legacy contract", async function () {
+      const batchHashes = ["invoice-1", "invoice-2", "invoice-3"]
+        .map(name => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(name)));
+      const tree = buildMerkleTree(batchHashes);
+      await notaryService.connect(notary1).anchorBatch(tree.root, batchHashes.length, "Nightly invoices");
+      await notaryService.connect(notary1).createDocumentVersion(documentHash1, documentHash2, "Fixed a typo");
+
+      const state = await readLegacyState(notaryService);
+      expect(state.documents.map(doc => doc.documentHash)).to.deep.equal([documentHash1, documentHash2]);
+
+      await successor.startMigration(notaryService.address);
+      for (const { role, account } of state.roles) {
+        if (!(await successor.hasRole(role, account))) {
+          await successor.grantRole(role, account);
+        }
+      }
+      for (const record of state.documents) {
+        await successor.importDocument(record);
+      }
+      for (const { originalHash, versions } of state.versions) {
+        await successor.importVersions(originalHash, versions);
+      }
+      for (const batch of state.batches) {
+        await successor.importBatch(batch);
+      }
+
+      expect(await successor.getLatestVersion(documentHash1)).to.equal(documentHash2);
+      const versions = await successor.getDocumentVersions(documentHash1);
+      expect(versions.length).to.equal(2);
+      expect(versions[1].changeDescription).to.equal("Fixed a typo");
+
+      const inclusion = await successor.verifyBatchInclusion(batchHashes[1], getMerkleProof(tree, 1), tree.root);
+      expect(inclusion.included).to.be.true;
+      expect(inclusion.notary).to.equal(notary1.address);
+
+      expect(await successor.authorizedNotaries(notary1.address)).to.be.true;
+      expect(await successor.authorizedApprovers(approver1.address)).to.be.true;
+      expect(await successor.totalDocuments()).to.equal(2);
+    });
+
+    it("Should close imports for good once the migration is finalized", async function () {
+      await successor.startMigration(notaryService.address);
+      await successor.importDocument(await readDocument(notaryService, documentHash1));
+
+      await expect(
+        successor.connect(notary1).finalizeMigration()
+      ).to.be.revertedWith("Only owner can perform this action");
+      await expect(successor.finalizeMigration())
+        .to.emit(successor, "MigrationFinalized")
+        .withArgs(notaryService.address, 1);
+
+      await notaryService.connect(notary1).notarizeDocument(documentHash3, metadata2, []);
+      await expect(
+        successor.importDocument(await readDocument(notaryService, documentHash3))
+      ).to.be.revertedWith("Migration finalized");
+      expect(await successor.legacyContract()).to.equal(notaryService.address);
+    });
+
+    describe("From the first deployed version", function () {
+      let v1;
+      let legacy;
+
+      beforeEach(async function () {
+        const FirstVersion = new ethers.ContractFactory(firstVersion.abi, firstVersion.bytecode, owner);
+        v1 = await FirstVersion.deploy();
+        await v1.deployed();
+
+        await v1.addNotary(notary1.address);
+        await v1.connect(notary1).notarizeDocument(documentHash1, metadata1, [signer1.address, signer2.address]);
+        await v1.connect(signer1).signDocument(documentHash1);
+        await v1.connect(signer2).signDocument(documentHash1);
+        await v1.connect(approver1).approveDocument(documentHash1);
+        await v1.connect(notary1).createDocumentVersion(documentHash1, documentHash2, "Second draft");
+        await v1.notarizeDocument(documentHash3, metadata2, [signer1.address]);
+        await v1.connect(signer1).rejectDocument(documentHash3, "Wrong party");
+
+        legacy = await attachLegacyContract(v1.address, owner, await artifacts.readArtifact("NotaryService"));
+      });
+
+      it("Should answer the current interface from a first-version contract", async function () {
+        const doc = await legacy.verifyDocument(documentHash1);
+        expect(doc.exists).to.be.true;
+        expect(doc.status).to.equal(2); // APPROVED
+        expect(doc.signatureThreshold).to.equal(2);
+        expect(await legacy.getSigningDeadline(documentHash1)).to.equal(0);
+        expect(await legacy.isSequentialSigning(documentHash1)).to.be.false;
+        expect(await legacy.getApprovers(documentHash1)).to.deep.equal([approver1.address]);
+        expect((await legacy.getApprovalPolicy(documentHash1)).requiredApprovals).to.equal(1);
+        expect(await legacy.legacyContract()).to.equal(ethers.constants.AddressZero);
+        expect((await legacy.verifyDocument(ethers.constants.HashZero)).exists).to.be.false;
+
+        // Contracts with the current interface get the plain client
+        const current = await attachLegacyContract(notaryService.address, owner, await artifacts.readArtifact("NotaryService"));
+        expect((await current.verifyDocument(documentHash1)).signatureThreshold).to.equal(2);
+      });
+
+      it("Should migrate documents, versions and notaries from a first-version contract", async function () {
+        const state = await readLegacyState(legacy);
+        expect(state.documents.map(doc => doc.documentHash)).to.deep.equal([documentHash1, documentHash3, documentHash2]);
+        expect(state.batches).to.deep.equal([]);
+        const notaryRole = await successor.NOTARY_ROLE();
+        expect(state.roles.map(({ role, account }) => [role, account])).to.deep.equal([
+          [notaryRole, owner.address],
+          [notaryRole, notary1.address]
+        ]);
+
+        await successor.startMigration(v1.address);
+        for (const { role, account } of state.roles) {
+          if (!(await successor.hasRole(role, account))) {
+            await successor.grantRole(role, account);
+          }
+        }
+        for (const record of state.documents) {
+          await successor.importDocument(record);
+        }
+        for (const { originalHash, versions } of state.versions) {
+          await successor.importVersions(originalHash, versions);
+        }
+
+        const approved = await successor.verifyDocument(documentHash1);
+        expect(approved.status).to.equal(2); // APPROVED
+        expect(approved.notary).to.equal(notary1.address);
+        expect(approved.timestamp).to.equal((await v1.verifyDocument(documentHash1)).timestamp);
+        expect(await successor.hasSigned(documentHash1, signer2.address)).to.be.true;
+        expect(await successor.getApprovers(documentHash1)).to.deep.equal([approver1.address]);
+        expect((await successor.verifyDocument(documentHash3)).status).to.equal(3); // REJECTED
+        expect(await successor.getLatestVersion(documentHash1)).to.equal(documentHash2);
+        expect(await successor.authorizedNotaries(notary1.address)).to.be.true;
+        expect(await successor.totalDocuments()).to.equal(3);
+      });
+    });
+  });
+
   describe("Document Verification", function () {
     it("Should return false for non-existent document", async function () {
       const doc = await notaryService.verifyDocument(documentHash1);
@@ -0,0 +1,507 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { expect } = require("chai");
+const { artifacts, config, ethers, network, run } = require("hardhat");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const { createProvider } = require("hardhat/internal/core/providers/construction");
+const { computeAbiHash } = require("../lib/contractArtifact");
+const { recordDeployment } = require("../lib/deployments");
+const { hashAdminRequestBody } = require("../lib/roles");
+const { signWebhookPayload } = require("../lib/webhooks");
+
+// Runs app.js in-process against the Hardhat network, served over JSON-RPC like a local node,
+// with a second Hardhat network (chain 31337) as an additional chain
+describe("API", function () {
+  const SECOND_CHAIN_ID = 31337;
+  const savedEnv = { ...process.env };
+  let rpcServer;
+  let secondRpcServer;
+  let secondNotaryService;
+  let server;
+  let api;
+  let baseUrl;
+  let dataDir;
+  let notaryService;
+  let serviceWallet;
+  let notary;
+  let signer;
+  let outsider;
+
+  const request = (urlPath, options) => fetch(baseUrl + urlPath, options);
+
+  // Send a request signed like the admin API, with a challenge fetched for it
+  async function signedRequest(account, challenge, method, urlPath, body) {
+    const text = body === undefined ? undefined : JSON.stringify(body);
+    const query = new URLSearchParams({ ...challenge, method, path: urlPath, bodyHash: hashAdminRequestBody(text) });
+    const { data } = await (await request(`/api/admin/challenge?${query}`)).json();
+    return request(urlPath, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Admin-Signature": await account.signMessage(data.message),
+        "X-Admin-Issued-At": String(data.issuedAt),
+        "X-Admin-Nonce": data.nonce
+      },
+      body: text
+    });
+  }
+
+  // Poll until `condition` returns something truthy, and return that
+  async function eventually(condition, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const result = await condition();
+      if (result || Date.now() > deadline) {
+        return result;
+      }
+      // Not much faster: the API allows 100 requests a minute
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  // Open the live update stream, collecting its events as { event, data } as they arrive
+  const openEventStream = query => new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}/api/events${query}`, res => {
+      const stream = { req, res, events: [] };
+      let buffer = "";
+      res.setEncoding("utf8");
+      res.on("data", chunk => {
+        buffer += chunk;
+        const messages = buffer.split("\n\n");
+        buffer = messages.pop();
+        messages.forEach(message => {
+          const fields = Object.fromEntries(message.split("\n")
+            .filter(line => !line.startsWith(":"))
+            .map(line => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)]));
+          if (fields.event) {
+            stream.events.push({ event: fields.event, data: JSON.parse(fields.data) });
+          }
+        });
+      });
+      resolve(stream);
+    });
+    req.on("error", reject);
+  });
+
+  const documentStatus = async hash => (await (await request(`/api/documents/${hash}/verify`)).json()).data.status;
+
+  before(async function () {
+    this.timeout(60000);
+    rpcServer = await run(TASK_NODE_CREATE_SERVER, { hostname: "127.0.0.1", port: 0, provider: network.provider });
+    const { port: rpcPort } = await rpcServer.listen();
+
+    [serviceWallet, notary, signer, outsider] = await ethers.getSigners();
+    const NotaryService = await ethers.getContractFactory("NotaryService");
+    notaryService = await NotaryService.deploy();
+    await notaryService.deployed();
+    await notaryService.grantRole(await notaryService.NOTARY_ROLE(), notary.address);
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "notary-api-"));
+    const deploymentsDir = path.join(dataDir, "deployments");
+
+    // Additional chains are found through the deployment registry
+    const secondProvider = await createProvider({
+      ...config,
+      networks: { ...config.networks, hardhat: { ...config.networks.hardhat, chainId: SECOND_CHAIN_ID } }
+    }, "hardhat", artifacts);
+    secondRpcServer = await run(TASK_NODE_CREATE_SERVER, { hostname: "127.0.0.1", port: 0, provider: secondProvider });
+    const { port: secondRpcPort } = await secondRpcServer.listen();
+    const secondDeployer = new ethers.providers.Web3Provider(secondProvider).getSigner(0);
+    secondNotaryService = await NotaryService.connect(secondDeployer).deploy();
+    const deployed = await secondNotaryService.deployTransaction.wait();
+    recordDeployment({
+      network: "second",
+      chainId: SECOND_CHAIN_ID,
+      contractName: "NotaryService",
+      address: secondNotaryService.address,
+      blockNumber: deployed.blockNumber,
+      transactionHash: deployed.transactionHash,
+      abiHash: computeAbiHash(NotaryService.interface.fragments),
+      deployer: await secondDeployer.getAddress()
+    }, deploymentsDir);
+
+    Object.assign(process.env, {
+      NETWORK_URL: `http://127.0.0.1:${rpcPort}`,
+      ADDITIONAL_NETWORK_URLS: `http://127.0.0.1:${secondRpcPort}`,
+      CONTRACT_ADDRESS: notaryService.address,
+      PRIVATE_KEY: ethers.Wallet.fromMnemonic(network.config.accounts.mnemonic).privateKey,
+      DATA_DIR: dataDir,
+      DEPLOYMENTS_DIR: deploymentsDir,
+      TX_QUEUE_POLL_INTERVAL: "100",
+      INDEXER_POLL_INTERVAL: "200",
+      // The webhook receiver below runs on this host
+      WEBHOOK_ALLOW_PRIVATE_URLS: "true"
+    });
+    api = require("../app");
+    await api.initializeBlockchain();
+    server = api.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async function () {
+    if (api) {
+      api.stopBlockchain();
+    }
+    if (server) {
+      server.closeAllConnections();
+      server.close();
+    }
+    if (rpcServer) {
+      await rpcServer.close();
+    }
+    if (secondRpcServer) {
+      await secondRpcServer.close();
+    }
+    process.env = savedEnv;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("Document hashes in the path", function () {
+    const routes = [
+      ["GET", "verify"], ["GET", "receipt"], ["POST", "sign"], ["POST", "approve"], ["POST", "reject"],
+      ["POST", "expire"], ["POST", "revoke"], ["POST", "archive"], ["GET", "typed-data"], ["POST", "relay"],
+      ["POST", "versions"], ["GET", "versions"], ["GET", "metadata"], ["GET", "signers"],
+      ["GET", "content/challenge"], ["GET", "content"]
+    ];
+
+    it("Should answer 400 to a hash that is not 32 bytes of hex on every document route", async function () {
+      for (const [method, route] of routes) {
+        const response = await request(`/api/documents/0x1234/${route}`, {
+          method,
+          headers: { "Content-Type": "application/json" },
+          body: method === "POST" ? "{}" : undefined
+        });
+        expect(response.status, `${method} ${route}`).to.equal(400);
+        expect((await response.json()).error).to.equal("Invalid Document hash: 0x1234");
+      }
+
+      // The API allows 100 requests a minute, so the other malformed hashes only against one route
+      for (const hash of ["not-a-hash", "0x" + "zz".repeat(32), "ab".repeat(32)]) {
+        expect((await request(`/api/documents/${hash}/verify`)).status, hash).to.equal(400);
+      }
+    });
+
+    it("Should answer 400 to an invalid batch root or proof", async function () {
+      const batch = await request("/api/batches/0x1234");
+      expect(batch.status).to.equal(400);
+      expect((await batch.json()).details).to.equal("Merkle root must be a 32-byte hex string");
+
+      const documentHash = ethers.utils.id("api unknown document");
+      const proof = await request(`/api/documents/${documentHash}/verify?merkleRoot=${documentHash}&proof=0x1234`);
+      expect(proof.status).to.equal(400);
+    });
+
+    it("Should look up a valid hash in either case", async function () {
+      const documentHash = ethers.utils.id("api unknown document").toUpperCase().replace("0X", "0x");
+      const response = await request(`/api/documents/${documentHash}/verify`);
+      expect(response.status).to.equal(200);
+      expect((await response.json()).data.exists).to.be.false;
+    });
+
+    it("Should answer 400 to an invalid new version hash", async function () {
+      const response = await request(`/api/documents/${ethers.utils.id("api original")}/versions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ newVersionHash: "0x1234", changeDescription: "Typo" })
+      });
+      expect(response.status).to.equal(400);
+    });
+  });
+
+  describe("Revoking and archiving", function () {
+    const revokedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("api revoke"));
+    const rejectedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("api archive"));
+    const reason = { reason: "Notarized in error" };
+
+    before(async function () {
+      await notaryService.connect(notary).notarizeDocument(revokedHash, "Lease", []);
+      await notaryService.connect(notary).notarizeDocument(rejectedHash, "Lease", [signer.address]);
+      await notaryService.connect(signer).rejectDocument(rejectedHash, "Wrong tenant");
+    });
+
+    it("Should answer 401 to an unsigned revoke or archive", async function () {
+      const revoke = await request(`/api/documents/${revokedHash}/revoke`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(reason)
+      });
+      expect(revoke.status).to.equal(401);
+
+      const archive = await request(`/api/documents/${rejectedHash}/archive`, { method: "POST" });
+      expect(archive.status).to.equal(401);
+      expect(await documentStatus(revokedHash)).to.equal("PENDING");
+      expect(await documentStatus(rejectedHash)).to.equal("REJECTED");
+    });
+
+    it("Should answer 403 when the signer is neither the notary nor an admin", async function () {
+      const revoke = await signedRequest(outsider, { action: "revoke-document", hash: revokedHash },
+        "POST", `/api/documents/${revokedHash}/revoke`, reason);
+      expect(revoke.status).to.equal(403);
+      expect((await revoke.json()).details).to.include(outsider.address);
+
+      const archive = await signedRequest(outsider, { action: "archive-document", hash: rejectedHash },
+        "POST", `/api/documents/${rejectedHash}/archive`);
+      expect(archive.status).to.equal(403);
+      expect(await documentStatus(revokedHash)).to.equal("PENDING");
+      expect(await documentStatus(rejectedHash)).to.equal("REJECTED");
+    });
+
+    it("Should not accept a signature for another document", async function () {
+      const response = await signedRequest(notary, { action: "revoke-document", hash: rejectedHash },
+        "POST", `/api/documents/${revokedHash}/revoke`, reason);
+      expect(response.status).to.equal(403);
+      expect(await documentStatus(revokedHash)).to.equal("PENDING");
+    });
+
+    it("Should revoke and archive for the document's notary", async function () {
+      this.timeout(30000);
+      const revoke = await signedRequest(notary, { action: "revoke-document", hash: revokedHash },
+        "POST", `/api/documents/${revokedHash}/revoke`, reason);
+      expect(revoke.status).to.equal(200);
+      const { data } = await revoke.json();
+      expect(data.requestedBy).to.equal(notary.address);
+      expect(data.revokedBy).to.equal(serviceWallet.address);
+      expect(await documentStatus(revokedHash)).to.equal("REVOKED");
+
+      const archive = await signedRequest(notary, { action: "archive-document", hash: rejectedHash },
+        "POST", `/api/documents/${rejectedHash}/archive`);
+      expect(archive.status).to.equal(200);
+      expect(await documentStatus(rejectedHash)).to.equal("ARCHIVED");
+    });
+  });
+
+  describe("Legacy service wallet routes", function () {
+    const documentHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("api legacy"));
+
+    before(async function () {
+      await notaryService.connect(notary).notarizeDocument(documentHash, "Lease", [serviceWallet.address]);
+    });
+
+    it("Should answer 401 to an unsigned sign, approve or reject", async function () {
+      for (const action of ["sign", "approve", "reject"]) {
+        const response = await request(`/api/documents/${documentHash}/${action}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ reason: "Wrong tenant" })
+        });
+        expect(response.status).to.equal(401);
+      }
+      expect(await documentStatus(documentHash)).to.equal("PENDING");
+    });
+
+    it("Should answer 403 to a signer without the admin role", async function () {
+      const response = await signedRequest(notary, { action: "sign-document", hash: documentHash },
+        "POST", `/api/documents/${documentHash}/sign`);
+      expect(response.status).to.equal(403);
+      expect(await documentStatus(documentHash)).to.equal("PENDING");
+    });
+
+    it("Should sign and approve as the service wallet for an admin", async function () {
+      this.timeout(30000);
+      const sign = await signedRequest(serviceWallet, { action: "sign-document", hash: documentHash },
+        "POST", `/api/documents/${documentHash}/sign`);
+      expect(sign.status).to.equal(200);
+      expect(await documentStatus(documentHash)).to.equal("SIGNED");
+
+      const approve = await signedRequest(serviceWallet, { action: "approve-document", hash: documentHash },
+        "POST", `/api/documents/${documentHash}/approve`);
+      expect(approve.status).to.equal(200);
+      expect(await documentStatus(documentHash)).to.equal("APPROVED");
+    });
+  });
+
+  describe("Multiple chains", function () {
+    const notarize = (documentHash, chainIds) => request("/api/documents/notarize", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ documentHash, metadata: { title: "Lease" }, chainIds })
+    });
+
+    it("Should connect the additional chain from the registry", async function () {
+      const { blockchain } = await (await request("/api/health")).json();
+      expect(blockchain.chains.map(chain => chain.chainId)).to.deep.equal([1337, SECOND_CHAIN_ID]);
+      expect(blockchain.chains[1]).to.include({ network: "second", contractAddress: secondNotaryService.address, primary: false });
+    });
+
+    it("Should notarize on every chain asked for", async function () {
+      this.timeout(30000);
+      const documentHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("api both chains"));
+      const response = await notarize(documentHash, [1337, SECOND_CHAIN_ID]);
+      expect(response.status).to.equal(200);
+      const { data } = await response.json();
+      expect(data.anchors.map(anchor => [anchor.chainId, anchor.status])).to.deep.equal([[1337, "mined"], [SECOND_CHAIN_ID, "mined"]]);
+      expect(data.failedChains).to.deep.equal([]);
+
+      expect((await notaryService.verifyDocument(documentHash)).exists).to.be.true;
+      expect((await secondNotaryService.verifyDocument(documentHash)).exists).to.be.true;
+
+      const verified = (await (await request(`/api/documents/${documentHash}/verify`)).json()).data;
+      expect(verified.chainId).to.equal(1337);
+      expect(verified.anchors.map(anchor => anchor.chainId)).to.deep.equal([1337, SECOND_CHAIN_ID]);
+    });
+
+    it("Should verify a document notarized only on the additional chain", async function () {
+      this.timeout(30000);
+      const documentHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("api second chain"));
+      const response = await notarize(documentHash, [String(SECOND_CHAIN_ID)]);
+      expect(response.status).to.equal(200);
+      expect((await notaryService.verifyDocument(documentHash)).exists).to.be.false;
+
+      const verified = (await (await request(`/api/documents/${documentHash}/verify`)).json()).data;
+      expect(verified.exists).to.be.true;
+      expect(verified.chainId).to.equal(SECOND_CHAIN_ID);
+      expect(verified.network).to.equal("second");
+      expect(verified.anchors.map(anchor => anchor.chainId)).to.deep.equal([SECOND_CHAIN_ID]);
+    });
+
+    it("Should refuse a chain that is not configured", async function () {
+      const documentHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("api unknown chain"));
+      const response = await notarize(documentHash, [1337, 5]);
+      expect(response.status).to.equal(400);
+      expect((await response.json()).details).to.equal("Chain 5 is not configured on this service");
+      expect((await notaryService.verifyDocument(documentHash)).exists).to.be.false;
+    });
+
+    it("Should report the finality of a job on an unknown chain as unknown", async function () {
+      const job = { status: "mined", chainId: 5, receipt: { blockNumber: 1 } };
+      expect(await api.getJobFinality(job)).to.deep.equal({
+        finality: "unknown",
+        confirmations: 0,
+        finalityError: "Chain 5 is not configured on this service"
+      });
+      expect(await api.getJobFinality({ ...job, chainId: SECOND_CHAIN_ID })).to.include({ finality: "finalized" });
+    });
+  });
+
+  describe("Async notarization and webhooks", function () {
+    let receiver;
+    let hookUrl;
+    let received;
+
+    before(async function () {
+      received = [];
+      receiver = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+          received.push({ headers: req.headers, body });
+          res.writeHead(204).end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+      hookUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    });
+
+    after(function () {
+      receiver.close();
+    });
+
+    it("Should only let admins and notaries manage webhooks", async function () {
+      const unsigned = await request("/api/webhooks", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url: hookUrl })
+      });
+      expect(unsigned.status).to.equal(401);
+
+      const response = await signedRequest(outsider, { action: "webhooks" }, "POST", "/api/webhooks", { url: hookUrl });
+      expect(response.status).to.equal(403);
+    });
+
+    it("Should refuse a URL that is not http(s), or events it does not know", async function () {
+      const ftp = await signedRequest(notary, { action: "webhooks" }, "POST", "/api/webhooks", { url: "ftp://example.com/hook" });
+      expect(ftp.status).to.equal(400);
+      expect((await ftp.json()).error).to.equal("Invalid webhook URL");
+
+      const events = await signedRequest(notary, { action: "webhooks" }, "POST", "/api/webhooks", { url: hookUrl, events: ["minted"] });
+      expect(events.status).to.equal(400);
+    });
+
+    it("Should queue a notarization and deliver its signed webhook", async function () {
+      this.timeout(30000);
+      const created = await signedRequest(notary, { action: "webhooks" }, "POST", "/api/webhooks", { url: hookUrl, events: ["notarized"] });
+      expect(created.status).to.equal(201);
+      const subscription = (await created.json()).data;
+      expect(subscription).to.include({ url: hookUrl, createdBy: notary.address });
+      expect(subscription.secret).to.have.lengthOf(64);
+
+      const documentHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("api async"));
+      const queued = await request("/api/documents/notarize?async=true", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ documentHash, metadata: { title: "Lease" } })
+      });
+      expect(queued.status).to.equal(202);
+      const { data } = await queued.json();
+      expect(data.status).to.equal("pending");
+
+      const delivery = await eventually(() => received.find(({ body }) => JSON.parse(body).data.documentHash === documentHash));
+      const job = await eventually(async () => {
+        const { data: current } = await (await request(`/api/jobs/${data.jobId}`)).json();
+        return current.status === "mined" && current;
+      });
+      expect(job.meta).to.deep.equal({ documentHash });
+
+      const payload = JSON.parse(delivery.body);
+      expect(payload).to.include({ type: "notarized", chainId: 1337, transactionHash: job.transactionHash, blockNumber: job.blockNumber });
+      expect(delivery.headers["x-notary-signature"])
+        .to.equal(signWebhookPayload(subscription.secret, delivery.headers["x-notary-timestamp"], delivery.body));
+
+      const deliveriesPath = `/api/webhooks/${subscription.id}/deliveries`;
+      const log = await eventually(async () => {
+        const response = await signedRequest(notary, { action: "webhooks" }, "GET", deliveriesPath);
+        const entries = (await response.json()).data.deliveries;
+        return entries.length && entries[0].status === "delivered" && entries;
+      });
+      expect(log[0]).to.include({ eventId: payload.id, type: "notarized" });
+
+      const listed = (await (await signedRequest(notary, { action: "webhooks" }, "GET", "/api/webhooks")).json()).data;
+      const entry = listed.subscriptions.find(({ id }) => id === subscription.id);
+      // The secret is only shown when the subscription is created
+      expect(entry).to.not.have.property("secret");
+
+      const removed = await signedRequest(notary, { action: "webhooks" }, "DELETE", `/api/webhooks/${subscription.id}`);
+      expect(removed.status).to.equal(200);
+    });
+  });
+
+  describe("Live updates", function () {
+    const followedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("api live followed"));
+    const otherHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("api live other"));
+    const liveStreams = async () => (await (await request("/api/health")).json()).services.liveUpdateStreams;
+
+    it("Should refuse an invalid hash to follow", async function () {
+      const response = await request("/api/events?hashes=0x1234");
+      expect(response.status).to.equal(400);
+    });
+
+    it("Should push the followed document's changes and drop the stream when the client leaves", async function () {
+      this.timeout(30000);
+      const stream = await openEventStream(`?hashes=${followedHash}`);
+      expect(stream.res.statusCode).to.equal(200);
+      expect(stream.res.headers["content-type"]).to.match(/^text\/event-stream/);
+      expect(await eventually(() => stream.events.find(({ event }) => event === "ready"))).to.be.ok;
+      expect(await liveStreams()).to.equal(1);
+
+      await notaryService.connect(notary).notarizeDocument(otherHash, "Lease", []);
+      await notaryService.connect(notary).notarizeDocument(followedHash, "Lease", [signer.address]);
+      const notarized = await eventually(() => stream.events.find(({ event }) => event === "document"));
+      expect(notarized.data).to.include({ documentHash: followedHash, event: "DocumentNotarized" });
+      expect(notarized.data.document.status).to.equal("PENDING");
+
+      await notaryService.connect(signer).signDocument(followedHash);
+      const signed = await eventually(() => stream.events.find(({ data }) => data.event === "DocumentSigned"));
+      expect(signed.data.document.status).to.equal("SIGNED");
+      // Only the document asked for
+      expect(stream.events.filter(({ event }) => event === "document").map(({ data }) => data.documentHash))
+        .to.deep.equal([followedHash, followedHash]);
+
+      stream.req.destroy();
+      expect(await eventually(async () => (await liveStreams()) === 0)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { COMMANDS, EXIT_VERIFIED, EXIT_MISMATCH, EXIT_INVALID } = require("../bin/notary");
+const { hashFile } = require("../lib/hashing");
+
+describe("Verification CLI", function () {
+  const metadata = JSON.stringify({ title: "Lease", hashAlgorithm: "sha256" });
+  let notaryService;
+  let signer1;
+  let filePath;
+  let documentHash;
+
+  before(function () {
+    filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "notary-cli-")), "lease.txt");
+    fs.writeFileSync(filePath, `Lease ${Date.now()}`);
+  });
+
+  after(function () {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    [, signer1] = await ethers.getSigners();
+    const NotaryService = await ethers.getContractFactory("NotaryService");
+    notaryService = await NotaryService.deploy();
+    await notaryService.deployed();
+    ({ hash: documentHash } = await hashFile(filePath));
+  });
+
+  const verify = () => COMMANDS.verify(notaryService, [filePath], {});
+
+  it("Should verify a notarized file that is still being signed", async function () {
+    await notaryService.notarizeDocument(documentHash, metadata, []);
+    const { exitCode, result } = await verify();
+    expect(exitCode).to.equal(EXIT_VERIFIED);
+    expect(result.verified).to.be.true;
+    expect(result.status).to.equal("PENDING");
+  });
+
+  it("Should fail for a file that is not notarized", async function () {
+    const { exitCode, result } = await verify();
+    expect(exitCode).to.equal(EXIT_MISMATCH);
+    expect(result.exists).to.be.false;
+  });
+
+  it("Should report a revoked document and not verify it", async function () {
+    await notaryService.notarizeDocument(documentHash, metadata, []);
+    await notaryService.revokeDocument(documentHash, "Signed in error");
+
+    const { exitCode, result } = await verify();
+    expect(exitCode).to.equal(EXIT_INVALID);
+    expect(result.verified).to.be.false;
+    expect(result.exists).to.be.true;
+    expect(result.status).to.equal("REVOKED");
+    expect(result.revocation.reason).to.equal("Signed in error");
+  });
+
+  it("Should judge an archived document by the status it was archived in", async function () {
+    await notaryService.notarizeDocument(documentHash, metadata, [signer1.address]);
+    await notaryService.connect(signer1).rejectDocument(documentHash, "Wrong party");
+    await notaryService.archiveDocument(documentHash);
+
+    const { exitCode, result } = await verify();
+    expect(exitCode).to.equal(EXIT_INVALID);
+    expect(result.status).to.equal("ARCHIVED");
+    expect(result.archivedFrom).to.equal("REJECTED");
+  });
+});
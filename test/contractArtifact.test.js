@@ -0,0 +1,112 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+const { checkDeployedBytecode, computeAbiHash, loadContractArtifact, maskImmutables } = require("../lib/contractArtifact");
+const {
+  TRANSITIONS,
+  checkTransitions,
+  generateContractModule,
+  readStatusAssignments,
+  readStatuses
+} = require("../scripts/generate-contract-module");
+const firstVersion = require("../shared/legacy/NotaryService-v1.json");
+
+describe("Contract artifact", function () {
+  let artifact;
+
+  before(function () {
+    artifact = loadContractArtifact(config.paths.artifacts);
+  });
+
+  describe("maskImmutables", function () {
+    it("Should zero every immutable range, whatever the prefix and case", function () {
+      const references = { 7: [{ start: 1, length: 2 }], 9: [{ start: 4, length: 1 }] };
+      expect(maskImmutables("0xAABBCCDDEEFF", references)).to.equal("aa0000dd00ff");
+      expect(maskImmutables("aabbccddeeff", references)).to.equal("aa0000dd00ff");
+      expect(maskImmutables("0xaabb", {})).to.equal("aabb");
+    });
+
+    it("Should know where NotaryService keeps its immutables", function () {
+      expect(Object.keys(artifact.immutableReferences)).to.have.lengthOf(2);
+    });
+  });
+
+  describe("checkDeployedBytecode", function () {
+    it("Should match a deployed NotaryService despite its immutables", async function () {
+      const notaryService = await (await ethers.getContractFactory("NotaryService")).deploy();
+      await notaryService.deployed();
+
+      // The chain id and domain separator are filled in at deploy time
+      const code = await ethers.provider.getCode(notaryService.address);
+      expect(code).to.not.equal(artifact.deployedBytecode);
+      expect(await checkDeployedBytecode(ethers.provider, notaryService.address, artifact))
+        .to.deep.equal({ matches: true, reason: null });
+    });
+
+    it("Should report a different contract as a mismatch", async function () {
+      const [owner] = await ethers.getSigners();
+      const legacy = await new ethers.ContractFactory(firstVersion.abi, firstVersion.bytecode, owner).deploy();
+      await legacy.deployed();
+
+      expect(await checkDeployedBytecode(ethers.provider, legacy.address, artifact)).to.deep.equal({
+        matches: false,
+        reason: `Code at ${legacy.address} does not match the compiled NotaryService`
+      });
+    });
+
+    it("Should report an account without code", async function () {
+      const [, account] = await ethers.getSigners();
+      expect(await checkDeployedBytecode(ethers.provider, account.address, artifact)).to.deep.equal({
+        matches: false,
+        reason: `No contract deployed at ${account.address}`
+      });
+    });
+  });
+
+  it("Should hash the ABI so any interface change shows", function () {
+    expect(computeAbiHash(artifact.abi)).to.equal(computeAbiHash(JSON.parse(JSON.stringify(artifact.abi))));
+    expect(computeAbiHash(artifact.abi)).to.not.equal(computeAbiHash(firstVersion.abi));
+  });
+
+  describe("Contract module generator", function () {
+    it("Should read the statuses and cover every status the contract sets", function () {
+      const statuses = readStatuses(artifact.ast);
+      expect(statuses).to.deep.equal(["PENDING", "SIGNED", "APPROVED", "REJECTED", "ARCHIVED", "EXPIRED", "REVOKED"]);
+
+      const assignments = readStatusAssignments(artifact.ast);
+      expect(assignments).to.deep.include({ via: "revokeDocument", to: "REVOKED" });
+      expect(() => checkTransitions(statuses, assignments)).to.not.throw();
+    });
+
+    it("Should fail for a status the contract sets outside TRANSITIONS", function () {
+      const statuses = readStatuses(artifact.ast);
+      const assignments = [...readStatusAssignments(artifact.ast), { via: "signDocument", to: "ARCHIVED" }];
+      expect(() => checkTransitions(statuses, assignments))
+        .to.throw("signDocument sets status ARCHIVED, add it to TRANSITIONS in generate-contract-module.js");
+    });
+
+    it("Should fail for a transition to a status the contract does not have", function () {
+      const statuses = readStatuses(artifact.ast).filter(status => status !== "EXPIRED");
+      expect(TRANSITIONS.some(transition => transition.to === "EXPIRED")).to.be.true;
+      expect(() => checkTransitions(statuses, [])).to.throw("which is not a DocumentStatus member");
+    });
+
+    it("Should write the module only when it changed", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notary-contract-module-"));
+      try {
+        const outputFile = path.join(dir, "notaryContract.json");
+        expect(generateContractModule({ artifactsDir: config.paths.artifacts, outputFile })).to.be.true;
+        expect(generateContractModule({ artifactsDir: config.paths.artifacts, outputFile })).to.be.false;
+
+        const generated = JSON.parse(fs.readFileSync(outputFile, "utf8"));
+        expect(generated.statuses).to.deep.equal(readStatuses(artifact.ast));
+        expect(generated.abi).to.deep.equal(artifact.abi);
+        expect(fs.readFileSync(outputFile, "utf8")).to.equal(fs.readFileSync(path.join(__dirname, "..", "shared", "notaryContract.json"), "utf8"));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
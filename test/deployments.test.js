@@ -0,0 +1,87 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { findDeployment, getDeploymentsDir, listRegistries, readRegistry, recordDeployment } = require("../lib/deployments");
+
+describe("Deployment registry", function () {
+  const deployment = (address, blockNumber, changes = {}) => ({
+    network: "sepolia",
+    chainId: 11155111,
+    contractName: "NotaryService",
+    address,
+    blockNumber,
+    transactionHash: "0x" + String(blockNumber).padStart(64, "0"),
+    abiHash: "0x" + "ab".repeat(32),
+    deployer: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+    ...changes
+  });
+  const first = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const second = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "notary-deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should append deployments to the network's file, oldest first", function () {
+    const file = recordDeployment(deployment(first, 10), dir);
+    expect(file).to.equal(path.join(dir, "sepolia.json"));
+    recordDeployment(deployment(second, 20, { upgradedFrom: first, migration: "import" }), dir);
+
+    const registry = readRegistry("sepolia", dir);
+    expect(registry.network).to.equal("sepolia");
+    expect(registry.chainId).to.equal(11155111);
+    expect(registry.deployments.map(entry => entry.address)).to.deep.equal([first, second]);
+    expect(registry.deployments[1]).to.include({ upgradedFrom: first, migration: "import", blockNumber: 20 });
+    expect(Date.parse(registry.deployments[1].deployedAt)).to.be.closeTo(Date.now(), 5000);
+    expect(registry.deployments[1]).to.not.have.property("network");
+  });
+
+  it("Should resolve the active deployment by chain id, with its network", function () {
+    recordDeployment(deployment(first, 10), dir);
+    recordDeployment(deployment(second, 20), dir);
+    recordDeployment(deployment(first, 5, { network: "localhost", chainId: 1337 }), dir);
+
+    expect(findDeployment(11155111, dir)).to.include({ network: "sepolia", chainId: 11155111, address: second, blockNumber: 20 });
+    expect(findDeployment(1337, dir)).to.include({ network: "localhost", address: first });
+    expect(listRegistries(dir).map(registry => registry.network)).to.have.members(["sepolia", "localhost"]);
+  });
+
+  it("Should find nothing for a network or chain without deployments", function () {
+    expect(readRegistry("sepolia", dir)).to.equal(null);
+    expect(findDeployment(11155111, dir)).to.equal(null);
+    expect(listRegistries(path.join(dir, "missing"))).to.deep.equal([]);
+
+    // A registry emptied by hand does not count either
+    fs.writeFileSync(path.join(dir, "sepolia.json"), JSON.stringify({ network: "sepolia", chainId: 11155111, deployments: [] }));
+    expect(findDeployment(11155111, dir)).to.equal(null);
+  });
+
+  it("Should refuse to record a deployment under a network kept for another chain", function () {
+    recordDeployment(deployment(first, 10), dir);
+    expect(() => recordDeployment(deployment(second, 20, { chainId: 1 }), dir))
+      .to.throw("deployments/sepolia.json is for chain 11155111, not 1");
+    expect(readRegistry("sepolia", dir).deployments).to.have.lengthOf(1);
+  });
+
+  it("Should use DEPLOYMENTS_DIR when set", function () {
+    const saved = process.env.DEPLOYMENTS_DIR;
+    process.env.DEPLOYMENTS_DIR = dir;
+    try {
+      recordDeployment(deployment(first, 10));
+      expect(getDeploymentsDir()).to.equal(dir);
+      expect(findDeployment(11155111)).to.include({ address: first });
+    } finally {
+      if (saved === undefined) {
+        delete process.env.DEPLOYMENTS_DIR;
+      } else {
+        process.env.DEPLOYMENTS_DIR = saved;
+      }
+    }
+  });
+});
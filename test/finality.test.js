@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  describeFinality,
+  getConfirmationPolicy,
+  getDocumentFinality,
+  parseConfirmationOverrides
+} = require("../lib/finality");
+
+describe("Finality", function () {
+  describe("Confirmation policies", function () {
+    it("Should use the defaults for known chains and the fallback for others", function () {
+      expect(getConfirmationPolicy({ chainId: 1, network: "mainnet" })).to.deep.equal({ confirmations: 12, finalityDepth: 64 });
+      expect(getConfirmationPolicy({ chainId: 1337, network: "localhost" })).to.deep.equal({ confirmations: 1, finalityDepth: 1 });
+      expect(getConfirmationPolicy({ chainId: 424242, network: "unknown" })).to.deep.equal({ confirmations: 12, finalityDepth: 64 });
+    });
+
+    it("Should parse overrides by chain ID or network and skip malformed entries", function () {
+      const overrides = parseConfirmationOverrides("sepolia=3/32, 137=128, bad, 5=0, 10=x/4");
+      expect(overrides).to.deep.equal({
+        sepolia: { confirmations: 3, finalityDepth: 32 },
+        137: { confirmations: 128 }
+      });
+      expect(parseConfirmationOverrides(undefined)).to.deep.equal({});
+    });
+
+    it("Should prefer a chain ID override and keep the finality depth at least the confirmations", function () {
+      const overrides = parseConfirmationOverrides("sepolia=3/32,11155111=4,137=128");
+      expect(getConfirmationPolicy({ chainId: 11155111, network: "sepolia" }, overrides))
+        .to.deep.equal({ confirmations: 4, finalityDepth: 32 });
+      expect(getConfirmationPolicy({ chainId: 137, network: "polygon" }, overrides))
+        .to.deep.equal({ confirmations: 128, finalityDepth: 256 });
+      expect(getConfirmationPolicy({ chainId: 1337, network: "localhost" }, parseConfirmationOverrides("1337=3")))
+        .to.deep.equal({ confirmations: 3, finalityDepth: 3 });
+    });
+  });
+
+  describe("describeFinality", function () {
+    const policy = { confirmations: 3, finalityDepth: 6 };
+
+    it("Should count the block itself as the first confirmation", function () {
+      expect(describeFinality(10, 10, policy)).to.deep.equal({ finality: "pending", confirmations: 1 });
+      expect(describeFinality(10, 12, policy)).to.deep.equal({ finality: "confirmed", confirmations: 3 });
+      expect(describeFinality(10, 15, policy)).to.deep.equal({ finality: "finalized", confirmations: 6 });
+    });
+
+    it("Should treat a transaction not yet in a block as pending", function () {
+      expect(describeFinality(null, 10, policy)).to.deep.equal({ finality: "pending", confirmations: 0 });
+      // A head behind the block, e.g. from a lagging node
+      expect(describeFinality(10, 8, policy)).to.deep.equal({ finality: "pending", confirmations: 0 });
+    });
+  });
+
+  describe("getDocumentFinality", function () {
+    const policy = { confirmations: 2, finalityDepth: 4 };
+    const documentHash1 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("document1"));
+    const documentHash2 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("document2"));
+    const mine = blocks => Promise.all(Array.from({ length: blocks }, () => ethers.provider.send("evm_mine", [])));
+    let notaryService;
+    let signer1;
+
+    beforeEach(async function () {
+      [, signer1] = await ethers.getSigners();
+      const NotaryService = await ethers.getContractFactory("NotaryService");
+      notaryService = await NotaryService.deploy();
+      await notaryService.deployed();
+    });
+
+    it("Should follow a document from pending to finalized", async function () {
+      await notaryService.notarizeDocument(documentHash1, "Contract", []);
+      expect(await getDocumentFinality(notaryService, documentHash1, policy)).to.deep.equal({ finality: "pending", confirmations: 1 });
+      await mine(1);
+      expect(await getDocumentFinality(notaryService, documentHash1, policy)).to.deep.equal({ finality: "confirmed", confirmations: 2 });
+      await mine(2);
+      expect(await getDocumentFinality(notaryService, documentHash1, policy)).to.deep.equal({ finality: "finalized", confirmations: 4 });
+      // Past the finality depth there are no logs left to look at
+      await mine(5);
+      expect(await getDocumentFinality(notaryService, documentHash1, policy)).to.deep.equal({ finality: "finalized", confirmations: null });
+    });
+
+    it("Should take the latest change, including a version created from the document", async function () {
+      await notaryService.notarizeDocument(documentHash1, "Contract", [signer1.address]);
+      await mine(4);
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      expect((await getDocumentFinality(notaryService, documentHash1, policy)).finality).to.equal("pending");
+
+      await mine(4);
+      await notaryService.createDocumentVersion(documentHash1, documentHash2, "Second draft");
+      expect((await getDocumentFinality(notaryService, documentHash2, policy)).finality).to.equal("pending");
+    });
+
+    it("Should report no finality for a document that was never notarized", async function () {
+      expect(await getDocumentFinality(notaryService, documentHash1, policy)).to.deep.equal({ finality: null, confirmations: null });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { expect } = require("chai");
+const {
+  DEFAULT_HASH_ALGORITHM,
+  HASH_ALGORITHMS,
+  calculateFileHash,
+  createHasher,
+  hashFile,
+  hashStream,
+  isSupportedHashAlgorithm
+} = require("../lib/hashing");
+
+// Digests of "abc" and of no bytes at all, from each algorithm's reference
+const VECTORS = {
+  sha256: {
+    abc: "0xba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad",
+    empty: "0xe3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855"
+  },
+  "sha3-256": {
+    abc: "0x3a985da74fe225b2045c172d6bd390bd855f086e3e9d525b46bfe24511431532",
+    empty: "0xa7ffc6f8bf1ed76651c14756a061d662f580ff4de43b49fa82d80a4b80f8434a"
+  },
+  keccak256: {
+    abc: "0x4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45",
+    empty: "0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470"
+  },
+  "blake2b-256": {
+    abc: "0xbddd813c634239723171ef3fee98579b94964e3bb1cb3e427262c8c068d52319",
+    empty: "0x0e5751c026e543b2e8ab2eb06099daa1d1e5df47778f7787faab45cdf12fe3a8"
+  }
+};
+
+describe("Hashing", function () {
+  // Several chunks of uneven size, so digests are built across chunk boundaries
+  const content = crypto.randomBytes(200 * 1024 + 17);
+  const chunks = [content.subarray(0, 1), content.subarray(1, 65537), content.subarray(65537)];
+
+  it("Should support exactly the algorithms with reference vectors", function () {
+    expect(Object.keys(HASH_ALGORITHMS)).to.have.members(Object.keys(VECTORS));
+    expect(DEFAULT_HASH_ALGORITHM).to.equal("sha256");
+  });
+
+  Object.entries(VECTORS).forEach(([algorithm, vector]) => {
+    describe(algorithm, function () {
+      it("Should match the reference digests", function () {
+        expect(calculateFileHash(Buffer.from("abc"), algorithm)).to.equal(vector.abc);
+        expect(calculateFileHash(Buffer.alloc(0), algorithm)).to.equal(vector.empty);
+      });
+
+      it("Should hash a stream like the whole buffer", async function () {
+        const streamed = await hashStream(Readable.from(chunks), algorithm);
+        expect(streamed).to.deep.equal({
+          hash: calculateFileHash(content, algorithm),
+          size: content.length,
+          algorithm
+        });
+      });
+    });
+  });
+
+  it("Should hash a file from disk like its contents", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notary-hashing-"));
+    try {
+      const filePath = path.join(dir, "lease.bin");
+      fs.writeFileSync(filePath, content);
+      const { hash, size } = await hashFile(filePath, "keccak256");
+      expect(hash).to.equal(calculateFileHash(content, "keccak256"));
+      expect(size).to.equal(content.length);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should refuse an unknown algorithm with UNSUPPORTED_HASH_ALGORITHM", async function () {
+    expect(isSupportedHashAlgorithm("md5")).to.be.false;
+    expect(isSupportedHashAlgorithm("toString")).to.be.false;
+    expect(() => createHasher("md5")).to.throw("Unsupported hash algorithm: md5")
+      .with.property("code", "UNSUPPORTED_HASH_ALGORITHM");
+
+    const stream = Readable.from([Buffer.from("abc")]);
+    const error = await hashStream(stream, "md5").catch(rejected => rejected);
+    expect(error.code).to.equal("UNSUPPORTED_HASH_ALGORITHM");
+  });
+});
@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DocumentIndexer } = require("../lib/indexer");
+
+// Keeps the index in memory instead of under DATA_DIR
+const memoryStore = () => ({ load: () => ({}), save() {} });
+
+describe("DocumentIndexer", function () {
+  let notaryService;
+  let indexer;
+  let owner;
+  let signer1;
+  let signer2;
+
+  const documentHash1 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("document1"));
+  const documentHash2 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("document2"));
+
+  beforeEach(async function () {
+    [owner, signer1, signer2] = await ethers.getSigners();
+    const NotaryService = await ethers.getContractFactory("NotaryService");
+    notaryService = await NotaryService.deploy();
+    await notaryService.deployed();
+
+    indexer = new DocumentIndexer(notaryService, {
+      store: memoryStore(),
+      startBlock: notaryService.deployTransaction.blockNumber
+    });
+  });
+
+  it("Should index notarizations, signatures and versions", async function () {
+    await notaryService.notarizeDocument(documentHash1, "Contract", [signer1.address, signer2.address]);
+    await notaryService.connect(signer1).signDocument(documentHash1);
+    await notaryService.createDocumentVersion(documentHash1, documentHash2, "Second draft");
+    await indexer.sync();
+
+    const doc = indexer.getDocument(documentHash1);
+    expect(doc.notary).to.equal(owner.address);
+    expect(doc.signers).to.deep.equal([signer1.address]);
+    expect(doc.signerCount).to.equal(1);
+    expect(doc.events.map(entry => entry.event)).to.deep.equal(["DocumentNotarized", "DocumentSigned", "DocumentVersionCreated"]);
+    expect(doc.versions.map(version => version.documentHash)).to.deep.equal([documentHash2]);
+    expect(indexer.getDocument(documentHash2).originalHash).to.equal(documentHash1);
+    expect(indexer.getStatus().lastBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("Should record each log once when a range that failed partway is read again", async function () {
+    await notaryService.notarizeDocument(documentHash1, "Contract", [signer1.address]);
+    await notaryService.connect(signer1).signDocument(documentHash1);
+    await notaryService.createDocumentVersion(documentHash1, documentHash2, "Second draft");
+    await notaryService.grantRole(await notaryService.AUDITOR_ROLE(), signer2.address);
+    const head = await ethers.provider.getBlockNumber();
+
+    // Every event is applied, then reading the statuses back fails
+    const refreshDocument = indexer.refreshDocument;
+    indexer.refreshDocument = async () => { throw new Error("RPC timeout"); };
+    let failure;
+    try {
+      await indexer.processRange(indexer.nextBlock(), head);
+    } catch (error) {
+      failure = error;
+    }
+    expect(failure.message).to.equal("RPC timeout");
+    expect(indexer.getStatus().lastBlock).to.equal(null);
+
+    indexer.refreshDocument = refreshDocument;
+    await indexer.sync();
+
+    const doc = indexer.getDocument(documentHash1);
+    expect(doc.events.length).to.equal(3);
+    expect(doc.versions.length).to.equal(1);
+    expect(doc.status).to.equal(1); // SIGNED
+    expect(indexer.getDocument(documentHash2).events.length).to.equal(1);
+    const audits = indexer.getAccessControl().events.filter(entry => entry.role === "auditor");
+    expect(audits.length).to.equal(1);
+    expect(indexer.getAccessControl().roles.auditor).to.deep.equal([signer2.address]);
+  });
+
+  describe("Queries", function () {
+    const documentHash3 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("document3"));
+
+    it("Should list documents newest first, filtered by notary, signer and status", async function () {
+      await notaryService.notarizeDocument(documentHash1, "Contract", [signer1.address]);
+      await notaryService.addNotary(signer2.address);
+      await notaryService.connect(signer2).notarizeDocument(documentHash2, "Invoice", []);
+      await notaryService.notarizeDocument(documentHash3, "Lease", [signer2.address]);
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      await indexer.sync();
+
+      const hashes = result => result.documents.map(doc => doc.hash);
+      expect(hashes(indexer.listDocuments())).to.deep.equal([documentHash3, documentHash2, documentHash1]);
+      expect(hashes(indexer.listDocuments({ notary: signer2.address.toLowerCase() }))).to.deep.equal([documentHash2]);
+      expect(hashes(indexer.listDocuments({ signer: signer2.address }))).to.deep.equal([documentHash3]);
+      expect(hashes(indexer.listDocuments({ status: 1 }))).to.deep.equal([documentHash1]);
+
+      const page = indexer.listDocuments({ page: 2, pageSize: 2 });
+      expect(hashes(page)).to.deep.equal([documentHash1]);
+      expect(page.total).to.equal(3);
+      expect(page.totalPages).to.equal(2);
+    });
+
+    it("Should list pending documents due before a time, overdue ones included", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await notaryService.notarizeDocumentWithDeadline(documentHash1, "Contract", [signer1.address], now + 1000);
+      await notaryService.notarizeDocumentWithDeadline(documentHash2, "Invoice", [signer1.address], now + 100);
+      await notaryService.notarizeDocumentWithDeadline(documentHash3, "Lease", [signer1.address], now + 100000);
+      await notaryService.connect(signer1).signDocument(documentHash2);
+      await indexer.sync();
+
+      // The signed one is no longer pending
+      expect(indexer.listExpiring(now + 5000).map(doc => doc.hash)).to.deep.equal([documentHash1]);
+      const documentHash4 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("document4"));
+      await notaryService.notarizeDocumentWithDeadline(documentHash4, "Late", [signer1.address], now + 50);
+      await ethers.provider.send("evm_increaseTime", [500]);
+      await ethers.provider.send("evm_mine", []);
+      await indexer.sync();
+      expect(indexer.listExpiring(now + 5000).map(doc => doc.hash)).to.deep.equal([documentHash4, documentHash1]);
+    });
+
+    it("Should replay role and two-step ownership events into the current holders", async function () {
+      const auditorRole = await notaryService.AUDITOR_ROLE();
+      await notaryService.grantRole(auditorRole, signer1.address);
+      await notaryService.grantRole(auditorRole, signer2.address);
+      await notaryService.revokeRole(auditorRole, signer1.address);
+      await notaryService.transferOwnership(signer2.address);
+      await indexer.sync();
+
+      let access = indexer.getAccessControl();
+      expect(access.roles.auditor).to.deep.equal([signer2.address]);
+      expect(access.owner).to.equal(owner.address);
+      expect(access.pendingOwner).to.equal(signer2.address);
+
+      await notaryService.connect(signer2).acceptOwnership();
+      await indexer.sync();
+      access = indexer.getAccessControl();
+      expect(access.owner).to.equal(signer2.address);
+      expect(access.pendingOwner).to.equal(null);
+      expect(access.roles.admin).to.have.members([owner.address, signer2.address]);
+    });
+
+    it("Should merge role and document events into one audit trail, newest first", async function () {
+      await notaryService.notarizeDocument(documentHash1, "Contract", [signer1.address]);
+      await notaryService.grantRole(await notaryService.AUDITOR_ROLE(), signer2.address);
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      await indexer.sync();
+
+      const trail = indexer.listAuditTrail();
+      expect(trail.slice(0, 3).map(entry => entry.event)).to.deep.equal(["DocumentSigned", "RoleGranted", "DocumentNotarized"]);
+      expect(trail[0].documentHash).to.equal(documentHash1);
+      const blocks = trail.map(entry => entry.blockNumber);
+      expect(blocks).to.deep.equal([...blocks].sort((a, b) => b - a));
+    });
+  });
+
+  describe("Reorgs", function () {
+    const mine = blocks => Promise.all(Array.from({ length: blocks }, () => ethers.provider.send("evm_mine", [])));
+
+    it("Should roll back what it indexed from replaced blocks and index the new ones", async function () {
+      await notaryService.notarizeDocument(documentHash1, "Contract", [signer1.address, signer2.address]);
+      await indexer.sync();
+      const forkBlock = await ethers.provider.getBlockNumber();
+
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      await notaryService.createDocumentVersion(documentHash1, documentHash2, "Second draft");
+      await notaryService.grantRole(await notaryService.AUDITOR_ROLE(), signer2.address);
+      await indexer.sync();
+      expect(indexer.getDocument(documentHash1).signers).to.deep.equal([signer1.address]);
+      expect(indexer.getDocument(documentHash2)).to.not.equal(null);
+
+      // The replacement chain has a different signature and no version
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await notaryService.connect(signer2).signDocument(documentHash1);
+      await mine(3);
+
+      const reorgs = [];
+      indexer.on("reorg", reorg => reorgs.push(reorg));
+      await indexer.sync();
+
+      expect(reorgs).to.deep.equal([{ forkBlock, depth: 3, removed: [documentHash2], updated: [documentHash1] }]);
+      expect(indexer.getDocument(documentHash2)).to.equal(null);
+      const doc = indexer.getDocument(documentHash1);
+      expect(doc.signers).to.deep.equal([signer2.address]);
+      expect(doc.versions).to.deep.equal([]);
+      expect(doc.events.map(entry => entry.event)).to.deep.equal(["DocumentNotarized", "DocumentSigned"]);
+      expect(doc.signerCount).to.equal(1);
+      expect(indexer.getAccessControl().roles.auditor || []).to.deep.equal([]);
+
+      const status = indexer.getStatus();
+      expect(status.lastReorg.forkBlock).to.equal(forkBlock);
+      expect(status.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should not report a reorg while the indexed blocks are still on the chain", async function () {
+      await notaryService.notarizeDocument(documentHash1, "Contract", []);
+      await indexer.sync();
+      await mine(2);
+
+      const reorgs = [];
+      indexer.on("reorg", reorg => reorgs.push(reorg));
+      await indexer.sync();
+      expect(reorgs).to.deep.equal([]);
+      expect(indexer.getStatus().lastReorg).to.equal(null);
+    });
+
+    it("Should rebuild the index when the reorg is deeper than the blocks it remembers", async function () {
+      indexer = new DocumentIndexer(notaryService, {
+        store: memoryStore(),
+        startBlock: notaryService.deployTransaction.blockNumber,
+        reorgDepth: 2
+      });
+      await notaryService.notarizeDocument(documentHash1, "Contract", [signer1.address]);
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      await mine(3);
+      await notaryService.notarizeDocument(documentHash2, "Invoice", []);
+      await indexer.sync();
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await notaryService.connect(signer1).rejectDocument(documentHash1, "Wrong party");
+      await mine(6);
+
+      const reorgs = [];
+      indexer.on("reorg", reorg => reorgs.push(reorg));
+      await indexer.sync();
+
+      expect(reorgs.length).to.equal(1);
+      expect(reorgs[0].forkBlock).to.equal(notaryService.deployTransaction.blockNumber - 1);
+      expect(reorgs[0].removed).to.have.members([documentHash1, documentHash2]);
+      // Indexed again from the start of the new chain
+      const doc = indexer.getDocument(documentHash1);
+      expect(doc.rejection.reason).to.equal("Wrong party");
+      expect(doc.signers).to.deep.equal([]);
+      expect(indexer.getDocument(documentHash2)).to.equal(null);
+    });
+  });
+});
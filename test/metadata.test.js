@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { canonicalize, decodeMetadata, hashMetadata, prepareMetadata, validateMetadata } = require("../lib/metadata");
+
+describe("Document metadata", function () {
+  const metadata = {
+    title: "Lease",
+    documentType: "contract",
+    parties: [
+      { name: "Alice", role: "landlord", address: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8" },
+      { name: "Bob", role: "tenant" }
+    ],
+    expiresAt: "2027-01-31",
+    tags: ["housing", "berlin"],
+    externalReferences: [{ system: "crm", id: "A-17" }]
+  };
+
+  describe("validateMetadata", function () {
+    it("Should accept metadata matching the schema", function () {
+      expect(validateMetadata(metadata)).to.deep.equal({ valid: true, errors: [] });
+      expect(validateMetadata({ title: "Lease", hashAlgorithm: "keccak256" }).valid).to.be.true;
+    });
+
+    it("Should report every problem with its path", function () {
+      const { valid, errors } = validateMetadata({
+        documentType: "poem",
+        parties: [{ name: "Alice", address: "0x1234" }],
+        expiresAt: "31.01.2027",
+        tags: ["housing", "housing"],
+        hashAlgorithm: "md5",
+        signature: "Alice"
+      });
+      expect(valid).to.be.false;
+      expect(errors).to.include("/ must have required property 'title'");
+      expect(errors).to.include("/ must NOT have additional properties: signature");
+      expect(errors).to.include("/documentType must be equal to one of the allowed values");
+      expect(errors).to.include("/hashAlgorithm must be equal to one of the allowed values");
+      expect(errors.some(error => error.startsWith("/parties/0/address "))).to.be.true;
+      expect(errors.some(error => error.startsWith("/expiresAt "))).to.be.true;
+      expect(errors.some(error => error.startsWith("/tags "))).to.be.true;
+    });
+
+    it("Should refuse anything but an object", function () {
+      expect(validateMetadata("Lease").valid).to.be.false;
+      expect(validateMetadata(["Lease"]).valid).to.be.false;
+      expect(validateMetadata(null).valid).to.be.false;
+    });
+  });
+
+  describe("prepareMetadata", function () {
+    it("Should write the same canonical JSON whatever the key order", function () {
+      const reordered = {
+        externalReferences: [{ id: "A-17", system: "crm" }],
+        tags: ["housing", "berlin"],
+        expiresAt: "2027-01-31",
+        parties: [
+          { address: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8", role: "landlord", name: "Alice" },
+          { role: "tenant", name: "Bob" }
+        ],
+        documentType: "contract",
+        title: "Lease"
+      };
+      const prepared = prepareMetadata(metadata);
+      expect(prepareMetadata(reordered)).to.deep.equal(prepared);
+      expect(prepared.canonical).to.equal(canonicalize(JSON.parse(prepared.canonical)));
+      expect(prepared.canonical).to.not.match(/\s/);
+      expect(prepared.onChain).to.equal(prepared.canonical);
+    });
+
+    it("Should sort keys at every level and keep array order", function () {
+      expect(canonicalize({ b: 1, a: { d: [2, 1], c: undefined } })).to.equal('{"a":{"d":[2,1]},"b":1}');
+    });
+
+    it("Should default the hash algorithm to SHA-256", function () {
+      expect(prepareMetadata({ title: "Lease" }).metadata.hashAlgorithm).to.equal("sha256");
+      expect(prepareMetadata({ title: "Lease", hashAlgorithm: "blake2b-256" }).metadata.hashAlgorithm)
+        .to.equal("blake2b-256");
+    });
+
+    it("Should put only the hash and algorithm on-chain in hash storage", function () {
+      const prepared = prepareMetadata(metadata, "hash");
+      expect(prepared.metadataHash).to.equal(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(prepared.canonical)));
+      expect(JSON.parse(prepared.onChain)).to.deep.equal({ hashAlgorithm: "sha256", metadataHash: prepared.metadataHash });
+    });
+  });
+
+  describe("decodeMetadata", function () {
+    it("Should read full on-chain metadata", function () {
+      const { onChain } = prepareMetadata(metadata);
+      expect(decodeMetadata(onChain)).to.deep.equal({ ...metadata, hashAlgorithm: "sha256", storage: "full" });
+    });
+
+    it("Should read legacy free text as the title of a SHA-256 document", function () {
+      expect(decodeMetadata("Contract Agreement v1.0")).to.deep.equal({
+        title: "Contract Agreement v1.0",
+        hashAlgorithm: "sha256",
+        storage: "full"
+      });
+      expect(decodeMetadata("")).to.deep.equal({ title: "", hashAlgorithm: "sha256", storage: "full" });
+      // Valid JSON, but not an object
+      expect(decodeMetadata("42").title).to.equal("42");
+      expect(decodeMetadata('["Lease"]').title).to.equal('["Lease"]');
+    });
+
+    it("Should read pre-schema JSON with only a description", function () {
+      expect(decodeMetadata('{"description":"Lease","category":"housing"}')).to.deep.equal({
+        title: "Lease",
+        category: "housing",
+        hashAlgorithm: "sha256",
+        storage: "full"
+      });
+    });
+
+    it("Should resolve hash-only metadata through the lookup", function () {
+      const prepared = prepareMetadata({ ...metadata, hashAlgorithm: "keccak256" }, "hash");
+      const lookup = metadataHash => (metadataHash === prepared.metadataHash ? prepared.canonical : null);
+
+      expect(decodeMetadata(prepared.onChain, lookup)).to.deep.equal({
+        ...prepared.metadata,
+        metadataHash: prepared.metadataHash,
+        storage: "hash",
+        available: true
+      });
+    });
+
+    it("Should report hash-only metadata the service does not have, or that does not match", function () {
+      const prepared = prepareMetadata(metadata, "hash");
+      const unavailable = {
+        hashAlgorithm: "sha256",
+        metadataHash: prepared.metadataHash,
+        storage: "hash",
+        available: false
+      };
+      expect(decodeMetadata(prepared.onChain)).to.deep.equal(unavailable);
+
+      const tampered = prepared.canonical.replace("Lease", "Sale");
+      expect(hashMetadata(tampered)).to.not.equal(prepared.metadataHash);
+      expect(decodeMetadata(prepared.onChain, () => tampered)).to.deep.equal(unavailable);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { buildReceipt, verifyReceipt } = require("../lib/receipts");
+
+// What a forger would do: edit a claim, then recompute the id so the receipt is self-consistent
+function tamper(receipt, edit) {
+  const copy = JSON.parse(JSON.stringify(receipt));
+  edit(copy);
+  const { receiptId, ...body } = copy;
+  copy.receiptId = "0x" + crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+  return copy;
+}
+
+const failedClaims = result => result.checks.filter(item => !item.valid).map(item => item.claim);
+
+describe("Receipts", function () {
+  let notaryService;
+  let owner;
+  let signer1;
+  let signer2;
+  let approver1;
+
+  const documentHash1 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("document1"));
+  const documentHash2 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("document2"));
+  const documentHash3 = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("document3"));
+  const metadata = JSON.stringify({ title: "Lease", hashAlgorithm: "sha256" });
+
+  beforeEach(async function () {
+    [owner, signer1, signer2, approver1] = await ethers.getSigners();
+    const NotaryService = await ethers.getContractFactory("NotaryService");
+    notaryService = await NotaryService.deploy();
+    await notaryService.deployed();
+    await notaryService.addApprover(approver1.address);
+  });
+
+  describe("Signed and approved document", function () {
+    let receipt;
+
+    beforeEach(async function () {
+      await notaryService.notarizeDocument(documentHash1, metadata, [signer1.address]);
+      await notaryService.connect(signer1).signDocument(documentHash1);
+      await notaryService.connect(approver1).approveDocument(documentHash1);
+      await notaryService.createDocumentVersion(documentHash1, documentHash2, "Second draft");
+      receipt = await buildReceipt(notaryService, documentHash1);
+    });
+
+    it("Should issue a receipt that verifies against the chain", async function () {
+      expect(receipt.document.status).to.equal("APPROVED");
+      expect(receipt.signers.signed.map(signature => signature.address)).to.deep.equal([signer1.address]);
+      expect(receipt.approvers.map(approval => approval.address)).to.deep.equal([approver1.address]);
+      expect(receipt.versions.length).to.equal(2);
+
+      const result = await verifyReceipt(notaryService, receipt);
+      expect(failedClaims(result)).to.deep.equal([]);
+      expect(result.valid).to.be.true;
+      expect(result.statusChanged).to.be.false;
+    });
+
+    it("Should return null for a document that is not notarized", async function () {
+      expect(await buildReceipt(notaryService, documentHash3)).to.equal(null);
+    });
+
+    it("Should catch a receipt edited without recomputing its id", async function () {
+      const result = await verifyReceipt(notaryService, { ...receipt, document: { ...receipt.document, notary: signer2.address } });
+      expect(failedClaims(result)).to.deep.equal(["receiptId", "document.notary"]);
+    });
+
+    const tamperings = [
+      ["document.notary", copy => { copy.document.notary = "0x000000000000000000000000000000000000dEaD"; }],
+      ["document.metadata", copy => { copy.document.metadata = "Forged"; }],
+      ["document.timestamp", copy => { copy.document.timestamp = "2020-01-01T00:00:00.000Z"; }],
+      ["document.originalHash", copy => { copy.document.originalHash = documentHash3; }],
+      ["notarization.blockNumber", copy => { copy.notarization.blockNumber += 1; }],
+      ["notarization.blockHash", copy => { copy.notarization.blockHash = ethers.constants.HashZero; }],
+      ["notarization.blockTimestamp", copy => { copy.notarization.blockTimestamp = "2020-01-01T00:00:00.000Z"; }],
+      ["signers.required", copy => { copy.signers.required.push(signer2.address); }],
+      ["signers.threshold", copy => { copy.signers.threshold = 2; }],
+      ["approvalPolicy.required", copy => { copy.approvalPolicy.required = 2; }],
+      ["versions[1]", copy => { copy.versions[1].changeDescription = "Forged change"; }, "change description"],
+      ["versions[1]", copy => { copy.versions[1].creator = signer2.address; }, "creator"]
+    ];
+
+    for (const [claim, edit, field] of tamperings) {
+      it(`Should reject a receipt with a forged ${claim}${field ? ` ${field}` : ""}`, async function () {
+        const result = await verifyReceipt(notaryService, tamper(receipt, edit));
+        expect(result.valid).to.be.false;
+        expect(failedClaims(result)).to.include(claim);
+      });
+    }
+
+    it("Should reject a notarization transaction that only mentions the document", async function () {
+      // The signing transaction also logs the document hash
+      const signing = receipt.signers.signed[0];
+      const forged = tamper(receipt, copy => {
+        copy.notarization.transactionHash = signing.transactionHash;
+        copy.notarization.blockNumber = signing.blockNumber;
+      });
+      expect(failedClaims(await verifyReceipt(notaryService, forged))).to.include("notarization.event");
+    });
+
+    it("Should reject signatures that do not match a DocumentSigned log", async function () {
+      const claim = `signers.signed[${signer1.address}]`;
+      const approval = receipt.approvers[0];
+      const forgeries = [
+        copy => { copy.signers.signed[0].transactionHash = approval.transactionHash; },
+        copy => { copy.signers.signed[0].blockNumber += 1; },
+        copy => { copy.signers.signed[0].timestamp = "2020-01-01T00:00:00.000Z"; }
+      ];
+      for (const edit of forgeries) {
+        expect(failedClaims(await verifyReceipt(notaryService, tamper(receipt, edit)))).to.deep.equal([claim]);
+      }
+
+      // A signer who never signed
+      const extra = tamper(receipt, copy => {
+        copy.signers.signed.push({ ...copy.signers.signed[0], address: signer2.address });
+      });
+      expect(failedClaims(await verifyReceipt(notaryService, extra))).to.deep.equal([`signers.signed[${signer2.address}]`]);
+    });
+
+    it("Should reject approvals that do not match a DocumentApproved log", async function () {
+      const claim = `approvers[${approver1.address}]`;
+      const forgeries = [
+        copy => { copy.approvers[0].transactionHash = receipt.signers.signed[0].transactionHash; },
+        copy => { copy.approvers[0].timestamp = "2020-01-01T00:00:00.000Z"; }
+      ];
+      for (const edit of forgeries) {
+        expect(failedClaims(await verifyReceipt(notaryService, tamper(receipt, edit)))).to.deep.equal([claim]);
+      }
+    });
+
+    it("Should reject a rejection that never happened", async function () {
+      const forged = tamper(receipt, copy => {
+        copy.rejection = { ...copy.signers.signed[0], reason: "Forged" };
+      });
+      expect(failedClaims(await verifyReceipt(notaryService, forged))).to.deep.equal(["rejection"]);
+    });
+  });
+
+  describe("Rejected and revoked documents", function () {
+    it("Should check the rejection against the DocumentRejected log", async function () {
+      await notaryService.notarizeDocument(documentHash1, metadata, [signer1.address]);
+      await notaryService.connect(signer1).rejectDocument(documentHash1, "Wrong party");
+      const receipt = await buildReceipt(notaryService, documentHash1);
+      expect(receipt.rejection.reason).to.equal("Wrong party");
+      expect((await verifyReceipt(notaryService, receipt)).valid).to.be.true;
+
+      const forgeries = [
+        copy => { copy.rejection.reason = "Changed my mind"; },
+        copy => { copy.rejection.address = signer2.address; },
+        copy => { copy.rejection.timestamp = "2020-01-01T00:00:00.000Z"; },
+        copy => { copy.rejection.blockNumber -= 1; },
+        copy => { copy.rejection.transactionHash = copy.notarization.transactionHash; }
+      ];
+      for (const edit of forgeries) {
+        expect(failedClaims(await verifyReceipt(notaryService, tamper(receipt, edit)))).to.deep.equal(["rejection"]);
+      }
+    });
+
+    it("Should check a claimed revocation and report one made after issue", async function () {
+      await notaryService.notarizeDocument(documentHash1, metadata, []);
+      const issued = await buildReceipt(notaryService, documentHash1);
+      await notaryService.revokeDocument(documentHash1, "Signed in error");
+
+      const later = await verifyReceipt(notaryService, issued);
+      expect(later.valid).to.be.true;
+      expect(later.statusChanged).to.be.true;
+      expect(later.revocation.reason).to.equal("Signed in error");
+
+      const receipt = await buildReceipt(notaryService, documentHash1);
+      expect((await verifyReceipt(notaryService, receipt)).valid).to.be.true;
+      const forged = tamper(receipt, copy => { copy.revocation.reason = "Expired"; });
+      expect(failedClaims(await verifyReceipt(notaryService, forged))).to.deep.equal(["revocation"]);
+    });
+  });
+
+  it("Should fail on the chain ID and contract of a receipt from another deployment", async function () {
+    await notaryService.notarizeDocument(documentHash1, metadata, []);
+    const receipt = await buildReceipt(notaryService, documentHash1);
+    const forged = tamper(receipt, copy => {
+      copy.chain.chainId = 1;
+      copy.chain.contractAddress = owner.address;
+    });
+    const claims = failedClaims(await verifyReceipt(notaryService, forged));
+    expect(claims).to.include("chain.chainId");
+    expect(claims).to.include("chain.contractAddress");
+  });
+});
@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NonceRegistry, buildAdminRequestMessage, hashAdminRequestBody } = require("../lib/roles");
+
+// Saves like a JSON store, so a new registry on it reads what an earlier one wrote
+const memoryStore = () => {
+  let saved = { used: {} };
+  return {
+    load: () => JSON.parse(JSON.stringify(saved)),
+    save(state) {
+      saved = JSON.parse(JSON.stringify(state));
+    }
+  };
+};
+
+describe("Admin requests", function () {
+  const request = {
+    action: "grant notary 0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+    method: "POST",
+    path: "/api/admin/roles/grant",
+    bodyHash: hashAdminRequestBody(JSON.stringify({ role: "notary", account: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8" })),
+    nonce: "0x0123456789abcdef0123456789abcdef",
+    issuedAt: 1700000000
+  };
+
+  it("Should sign over the method, path, body and nonce of the request", async function () {
+    const [admin] = await ethers.getSigners();
+    const signature = await admin.signMessage(buildAdminRequestMessage(request));
+    const recover = changes => ethers.utils.verifyMessage(buildAdminRequestMessage({ ...request, ...changes }), signature);
+
+    expect(recover({})).to.equal(admin.address);
+    expect(recover({ method: "DELETE" })).to.not.equal(admin.address);
+    expect(recover({ path: "/api/admin/roles/revoke" })).to.not.equal(admin.address);
+    expect(recover({ bodyHash: hashAdminRequestBody(JSON.stringify({ role: "admin", account: admin.address })) }))
+      .to.not.equal(admin.address);
+    expect(recover({ nonce: "0xfedcba9876543210fedcba9876543210" })).to.not.equal(admin.address);
+  });
+
+  it("Should hash a missing body as the empty string", function () {
+    expect(hashAdminRequestBody()).to.equal(hashAdminRequestBody(Buffer.alloc(0)));
+    expect(hashAdminRequestBody("{}")).to.equal(hashAdminRequestBody(Buffer.from("{}")));
+  });
+
+  it("Should accept each nonce once until it expires", function () {
+    const nonces = new NonceRegistry({ windowSeconds: 300, store: memoryStore() });
+    const now = Math.floor(Date.now() / 1000);
+    expect(nonces.use("a", now)).to.be.true;
+    expect(nonces.use("a", now)).to.be.false;
+    expect(nonces.use("b", now)).to.be.true;
+
+    // Forgotten once a request signed with it would have expired anyway
+    nonces.state.used.a = now - 1;
+    expect(nonces.use("a", now - 600)).to.be.true;
+  });
+
+  it("Should still refuse a used nonce after a restart", function () {
+    const store = memoryStore();
+    const now = Math.floor(Date.now() / 1000);
+    expect(new NonceRegistry({ store }).use("a", now)).to.be.true;
+
+    const restarted = new NonceRegistry({ store });
+    expect(restarted.use("a", now)).to.be.false;
+    expect(restarted.use("b", now)).to.be.true;
+  });
+});
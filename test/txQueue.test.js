@@ -0,0 +1,233 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { TransactionQueue } = require("../lib/txQueue");
+
+const memoryStore = () => ({ load: () => ({ jobs: {} }), save() {} });
+
+describe("TransactionQueue", function () {
+  const documentHash = index => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`document${index}`));
+  let notaryService;
+  let wallet;
+  let other;
+  let queue;
+
+  const createQueue = options => new TransactionQueue(wallet, { store: memoryStore(), chainId: 1337, ...options });
+  const mine = () => ethers.provider.send("evm_mine", []);
+  const enqueue = index => queue.enqueue(notaryService, "notarizeDocument", [documentHash(index), "Contract", []]);
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  // Signed transaction as the node got it, to send again once the node has forgotten it
+  const rawTransaction = async hash => {
+    const { r, s, v, ...tx } = await ethers.provider.getTransaction(hash);
+    return ethers.utils.serializeTransaction({
+      type: tx.type,
+      chainId: tx.chainId,
+      nonce: tx.nonce,
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+      gasLimit: tx.gasLimit,
+      to: tx.to,
+      value: tx.value,
+      data: tx.data,
+      accessList: tx.accessList
+    }, { r, s, v });
+  };
+  // A check asked for while one is running only flags another pass, so wait for the run to end
+  const checkQueue = async () => {
+    await queue.check();
+    while (queue.checking) {
+      await sleep(5);
+    }
+  };
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [wallet, other] = [signers[5], signers[6]];
+    const NotaryService = await ethers.getContractFactory("NotaryService");
+    notaryService = await NotaryService.deploy();
+    await notaryService.deployed();
+    await notaryService.addNotary(wallet.address);
+    notaryService = notaryService.connect(wallet);
+    queue = createQueue();
+  });
+
+  afterEach(async function () {
+    queue.stop();
+    await ethers.provider.send("evm_setAutomine", [true]);
+  });
+
+  describe("Nonces", function () {
+    it("Should give concurrent jobs consecutive nonces and mine them all", async function () {
+      const first = await wallet.getTransactionCount();
+      const jobs = await Promise.all([1, 2, 3].map(enqueue));
+      expect(jobs.map(job => job.nonce)).to.have.members([first, first + 1, first + 2]);
+
+      const settled = await Promise.all(jobs.map(job => queue.waitFor(job.id, 5000)));
+      expect(settled.map(job => job.status)).to.deep.equal(["mined", "mined", "mined"]);
+      expect((await notaryService.verifyDocument(documentHash(3))).exists).to.be.true;
+    });
+
+    it("Should read the nonce again when another sender used it", async function () {
+      await queue.waitFor((await enqueue(1)).id, 5000);
+      // Sent around the queue, so its cached next nonce is used up
+      await wallet.sendTransaction({ to: other.address, value: 1 });
+
+      const job = await enqueue(2);
+      expect(job.nonce).to.equal(await wallet.getTransactionCount() - 1);
+      expect((await queue.waitFor(job.id, 5000)).status).to.equal("mined");
+    });
+
+    it("Should start after the nonces of jobs still pending from before a restart", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const state = { jobs: {} };
+      const store = { load: () => state, save() {} };
+
+      queue = createQueue({ store });
+      const first = await enqueue(1);
+      await ethers.provider.send("hardhat_dropTransaction", [first.transactions[0].hash]);
+
+      // The node forgot the transaction, the queue's file did not
+      queue = createQueue({ store });
+      const second = await enqueue(2);
+      expect(second.nonce).to.equal(first.nonce + 1);
+    });
+  });
+
+  describe("Stuck transactions", function () {
+    beforeEach(async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+    });
+
+    it("Should rebroadcast a stuck transaction with higher fees until one is mined", async function () {
+      queue = createQueue({ stuckAfter: 50, feeBumpPercent: 20, maxFeeBumps: 2 });
+      const job = await enqueue(1);
+      await sleep(60);
+      await checkQueue();
+
+      expect(job.transactions.length).to.equal(2);
+      const [sent, bumped] = job.transactions.map(transaction => ethers.BigNumber.from(transaction.maxFeePerGas));
+      expect(bumped.gte(sent.mul(120).div(100))).to.be.true;
+      // Same nonce, so the bump replaced the first broadcast in the node's pool
+      expect(await ethers.provider.getTransaction(job.transactions[0].hash)).to.equal(null);
+
+      await mine();
+      await checkQueue();
+      expect(job.status).to.equal("mined");
+      expect(job.receipt.transactionHash).to.equal(job.transactions[1].hash);
+    });
+
+    it("Should stop bumping after maxFeeBumps", async function () {
+      queue = createQueue({ stuckAfter: 50, maxFeeBumps: 1 });
+      const job = await enqueue(1);
+      for (let i = 0; i < 3; i++) {
+        await sleep(60);
+        await checkQueue();
+      }
+      expect(job.transactions.length).to.equal(2);
+      expect(job.status).to.equal("pending");
+    });
+
+    it("Should mark a job replaced when another transaction used its nonce", async function () {
+      const job = await enqueue(1);
+      await ethers.provider.send("hardhat_dropTransaction", [job.transactions[0].hash]);
+      await wallet.sendTransaction({ to: other.address, value: 1, nonce: job.nonce });
+      await mine();
+
+      await checkQueue();
+      expect(job.status).to.equal("replaced");
+      expect(job.error).to.equal(`Nonce ${job.nonce} was used by another transaction`);
+    });
+
+    it("Should give up on a job dropped after its last bump and cancel its nonce", async function () {
+      queue = createQueue({ stuckAfter: 50, maxFeeBumps: 0, dropAfter: 50 });
+      const job = await enqueue(1);
+      await sleep(60);
+      // Sent after it, so not given up on yet
+      const next = await enqueue(2);
+      await ethers.provider.send("hardhat_dropTransaction", [job.transactions[0].hash]);
+      await checkQueue();
+
+      // Given up on, but pending until a transaction takes its nonce
+      expect(job.status).to.equal("pending");
+      const cancel = queue.getJob(job.cancelledBy);
+      expect(cancel.method).to.equal("cancel");
+      expect(cancel.meta).to.deep.equal({ cancels: job.id });
+      expect(cancel.nonce).to.equal(job.nonce);
+      expect(cancel.transactions.length).to.equal(1);
+
+      // The cancel fills the gap, so the job after it gets in
+      await mine();
+      await checkQueue();
+      expect(cancel.status).to.equal("mined");
+      expect(job.status).to.equal("failed");
+      expect(job.error).to.equal(`Not mined after 1 broadcasts, nonce ${job.nonce} went to cancel job ${cancel.id}`);
+      expect(next.status).to.equal("mined");
+      expect((await notaryService.verifyDocument(documentHash(1))).exists).to.be.false;
+    });
+
+    it("Should settle a given-up job as mined when its own transaction gets in", async function () {
+      queue = createQueue({ stuckAfter: 50, maxFeeBumps: 0, dropAfter: 50 });
+      const job = await enqueue(1);
+      const raw = await rawTransaction(job.transactions[0].hash);
+      await sleep(60);
+      await checkQueue();
+      const cancel = queue.getJob(job.cancelledBy);
+
+      // Another node still had the original and mined it before the cancel
+      await ethers.provider.send("hardhat_dropTransaction", [cancel.transactions[0].hash]);
+      await ethers.provider.send("eth_sendRawTransaction", [raw]);
+      await mine();
+      await checkQueue();
+
+      expect(job.status).to.equal("mined");
+      expect(job.receipt.transactionHash).to.equal(job.transactions[0].hash);
+      expect(cancel.status).to.equal("replaced");
+      expect((await notaryService.verifyDocument(documentHash(1))).exists).to.be.true;
+    });
+
+    it("Should price the cancel to replace a transaction the node still holds", async function () {
+      queue = createQueue({ stuckAfter: 50, maxFeeBumps: 0, dropAfter: 50, feeBumpPercent: 20 });
+      const job = await enqueue(1);
+      await sleep(60);
+      await checkQueue();
+
+      const cancel = queue.listJobs().find(queued => queued.method === "cancel");
+      const [sent] = job.transactions;
+      expect(ethers.BigNumber.from(cancel.transactions[0].maxFeePerGas).gte(ethers.BigNumber.from(sent.maxFeePerGas).mul(120).div(100)))
+        .to.be.true;
+
+      await mine();
+      await checkQueue();
+      expect(cancel.status).to.equal("mined");
+      expect(job.status).to.equal("failed");
+      expect((await notaryService.verifyDocument(documentHash(1))).exists).to.be.false;
+    });
+
+    it("Should fail a cancel that is not mined either, without cancelling it", async function () {
+      queue = createQueue({ stuckAfter: 50, maxFeeBumps: 0, dropAfter: 50 });
+      const job = await enqueue(1);
+      await sleep(60);
+      await checkQueue();
+      const cancel = queue.listJobs().find(queued => queued.method === "cancel");
+
+      await sleep(60);
+      await checkQueue();
+      expect(cancel.status).to.equal("failed");
+      expect(cancel.error).to.equal(`Not mined after 1 broadcasts, nonce ${job.nonce} is still unused and holds up later jobs`);
+      // Either transaction may still get in, so the job waits for its nonce
+      expect(queue.listJobs({ status: "pending" })).to.deep.equal([job]);
+    });
+  });
+
+  it("Should prune settled jobs after settledRetention and keep pending ones", async function () {
+    const mined = await enqueue(1);
+    await queue.waitFor(mined.id, 5000);
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const pending = await enqueue(2);
+
+    mined.updatedAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    pending.updatedAt = mined.updatedAt;
+    queue.prune();
+    expect(queue.getJob(mined.id)).to.equal(null);
+    expect(queue.getJob(pending.id)).to.equal(pending);
+  });
+});
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { expect } = require("chai");
+const { DocumentVault } = require("../lib/vault");
+const { createFsContentStore } = require("../lib/contentStore");
+const { hashStream } = require("../lib/hashing");
+
+const memoryStore = () => ({ load: () => ({ blobs: {} }), save() {} });
+
+// What multer hands a storage engine; busboy marks the stream truncated at the size limit
+function uploadedFile(content, { truncated = false } = {}) {
+  const stream = Readable.from([Buffer.from(content)]);
+  stream.truncated = truncated;
+  return { originalname: "lease.txt", mimetype: "text/plain", stream };
+}
+
+describe("DocumentVault", function () {
+  const content = "Lease between Alice and Bob";
+  let dir;
+  let vault;
+  let storage;
+
+  const handleFile = file => new Promise((resolve, reject) =>
+    storage._handleFile({ query: {} }, file, (error, info) => (error ? reject(error) : resolve(info))));
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "notary-vault-"));
+    vault = new DocumentVault({
+      masterKey: "11".repeat(32),
+      contentStore: createFsContentStore(dir),
+      store: memoryStore()
+    });
+    storage = vault.createUploadStorage();
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should store only ciphertext and decrypt it for download", async function () {
+    const info = await handleFile(uploadedFile(content));
+    expect(info.hash).to.equal((await hashStream(Readable.from([Buffer.from(content)]))).hash);
+    expect(fs.readdirSync(dir)).to.deep.equal([info.cid]);
+    expect(fs.readFileSync(path.join(dir, info.cid)).includes(content)).to.be.false;
+
+    let decrypted = "";
+    for await (const chunk of await vault.createContentStream(info.cid)) {
+      decrypted += chunk;
+    }
+    expect(decrypted).to.equal(content);
+  });
+
+  it("Should keep nothing from an upload cut off at the size limit", async function () {
+    let failure;
+    try {
+      await handleFile(uploadedFile(content, { truncated: true }));
+    } catch (error) {
+      failure = error;
+    }
+    expect(failure.message).to.equal("Upload is larger than the size limit");
+    // The temp file goes asynchronously
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(fs.readdirSync(dir)).to.deep.equal([]);
+    expect(vault.state.blobs).to.deep.equal({});
+  });
+
+  it("Should delete the ciphertext and key of a file multer removes", async function () {
+    const file = { ...uploadedFile(content), ...(await handleFile(uploadedFile(content))) };
+    await new Promise((resolve, reject) => storage._removeFile({}, file, error => (error ? reject(error) : resolve())));
+
+    expect(fs.readdirSync(dir)).to.deep.equal([]);
+    expect(vault.getEntry(file.cid)).to.equal(null);
+  });
+});
@@ -0,0 +1,303 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { WebhookDispatcher, buildWebhookPayload, checkWebhookUrl, signWebhookPayload, RETRACTED_EVENT } = require("../lib/webhooks");
+
+// Round-trips through JSON like the file store, so a second dispatcher can pick up where one left off
+const memoryStore = (initial = { subscriptions: {}, deliveries: {} }) => {
+  let saved = JSON.stringify(initial);
+  return { load: () => JSON.parse(saved), save(state) { saved = JSON.stringify(state); } };
+};
+
+// Resolves once `condition` holds, checking every few milliseconds
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for the webhook receiver");
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const payloadFor = (id, blockNumber, type = "notarized") => ({
+  id,
+  type,
+  occurredAt: new Date().toISOString(),
+  chainId: 1337,
+  contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  blockNumber,
+  transactionHash: id.split(":")[0],
+  data: { documentHash: ethers.utils.id(id) }
+});
+
+describe("WebhookDispatcher", function () {
+  let server;
+  let url;
+  let received;
+  let failuresLeft;
+  let dispatcher;
+
+  before(async function () {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        if (failuresLeft > 0) {
+          failuresLeft--;
+          res.writeHead(500).end();
+          return;
+        }
+        received.push({ headers: req.headers, body });
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  beforeEach(function () {
+    received = [];
+    failuresLeft = 0;
+    // The receiver runs on this host
+    dispatcher = new WebhookDispatcher({ store: memoryStore(), retryDelay: 20, pollInterval: 10, maxAttempts: 3, allowPrivateUrls: true });
+  });
+
+  afterEach(function () {
+    dispatcher.stop();
+  });
+
+  it("Should deliver a signed payload with the event headers", async function () {
+    const subscription = dispatcher.subscribe({ url, fromBlock: 0 });
+    expect(dispatcher.publish(payloadFor("0xaa:0", 5))).to.equal(1);
+    await waitFor(() => received.length === 1);
+
+    const [{ headers, body }] = received;
+    expect(headers["x-notary-event"]).to.equal("notarized");
+    expect(headers["x-notary-signature"]).to.equal(signWebhookPayload(subscription.secret, headers["x-notary-timestamp"], body));
+    expect(JSON.parse(body).id).to.equal("0xaa:0");
+    await waitFor(() => dispatcher.listDeliveries(subscription.id)[0].status === "delivered");
+  });
+
+  it("Should skip duplicates, unwanted types and blocks before the subscription", async function () {
+    const subscription = dispatcher.subscribe({ url, events: ["signed"], fromBlock: 10 });
+    expect(dispatcher.publish(payloadFor("0xaa:0", 12, "notarized"))).to.equal(0);
+    expect(dispatcher.publish(payloadFor("0xbb:0", 9, "signed"))).to.equal(0);
+    expect(dispatcher.publish(payloadFor("0xcc:0", 12, "signed"))).to.equal(1);
+    expect(dispatcher.publish(payloadFor("0xcc:0", 12, "signed"))).to.equal(0);
+    expect(dispatcher.listDeliveries(subscription.id).length).to.equal(1);
+  });
+
+  it("Should generate a secret, keep the events asked for and forget a removed subscription", function () {
+    const subscription = dispatcher.subscribe({ url, events: ["signed", "signed", "revoked"], fromBlock: 3, createdBy: "0xabc" });
+    expect(subscription.secret).to.match(/^[0-9a-f]{64}$/);
+    expect(subscription.events).to.deep.equal(["signed", "revoked"]);
+    expect(dispatcher.subscribe({ url, secret: "a".repeat(16), fromBlock: 3 }).secret).to.equal("a".repeat(16));
+    expect(dispatcher.getSubscription(subscription.id)).to.include({ url, fromBlock: 3, createdBy: "0xabc" });
+
+    expect(dispatcher.unsubscribe(subscription.id)).to.be.true;
+    expect(dispatcher.unsubscribe(subscription.id)).to.be.false;
+    expect(dispatcher.getSubscription(subscription.id)).to.equal(null);
+    expect(dispatcher.listSubscriptions()).to.have.lengthOf(1);
+  });
+
+  it("Should not queue an event again once its delivery left the log", async function () {
+    const store = memoryStore();
+    dispatcher = new WebhookDispatcher({ store, logSize: 1, retryDelay: 20, pollInterval: 10, allowPrivateUrls: true });
+    const subscription = dispatcher.subscribe({ url, fromBlock: 0 });
+    dispatcher.publish(payloadFor("0xaa:0", 5));
+    dispatcher.publish(payloadFor("0xbb:0", 6));
+    await waitFor(() => received.length === 2);
+    await dispatcher.deliverDue();
+    expect(dispatcher.listDeliveries(subscription.id).map(delivery => delivery.eventId)).to.deep.equal(["0xbb:0"]);
+
+    // Replayed by the indexer, also after a restart
+    expect(dispatcher.publish(payloadFor("0xaa:0", 5))).to.equal(0);
+    const restarted = new WebhookDispatcher({ store, logSize: 1, allowPrivateUrls: true });
+    expect(restarted.publish(payloadFor("0xaa:0", 5))).to.equal(0);
+
+    // Unless a reorg took it back
+    expect(restarted.retract(4)).to.equal(1);
+    expect(restarted.publish(payloadFor("0xaa:0", 7))).to.equal(1);
+  });
+
+  it("Should know the events of a log saved before they were kept apart", function () {
+    const store = memoryStore();
+    const previous = new WebhookDispatcher({ store, allowPrivateUrls: true });
+    previous.deliverDue = async () => {};
+    const subscription = previous.subscribe({ url, fromBlock: 0 });
+    previous.publish(payloadFor("0xaa:0", 5));
+    const { published, ...saved } = store.load();
+    expect(published[subscription.id]).to.deep.equal({ "0xaa:0": 5 });
+
+    const upgraded = new WebhookDispatcher({ store: memoryStore(saved), allowPrivateUrls: true });
+    upgraded.deliverDue = async () => {};
+    expect(upgraded.publish(payloadFor("0xaa:0", 5))).to.equal(0);
+    expect(upgraded.publish(payloadFor("0xbb:0", 6))).to.equal(1);
+  });
+
+  it("Should pick up pending deliveries after a restart", async function () {
+    const store = memoryStore();
+    const stopped = new WebhookDispatcher({ store, allowPrivateUrls: true });
+    stopped.deliverDue = async () => {};
+    const subscription = stopped.subscribe({ url, fromBlock: 0 });
+    stopped.publish(payloadFor("0xaa:0", 5));
+    expect(received).to.have.lengthOf(0);
+
+    dispatcher = new WebhookDispatcher({ store, pollInterval: 10, allowPrivateUrls: true });
+    dispatcher.start();
+    await waitFor(() => received.length === 1);
+    expect(JSON.parse(received[0].body).id).to.equal("0xaa:0");
+    await waitFor(() => dispatcher.listDeliveries(subscription.id)[0].status === "delivered");
+  });
+
+  it("Should send a failed delivery again on retry, with fresh attempts", async function () {
+    const subscription = dispatcher.subscribe({ url, fromBlock: 0 });
+    dispatcher.start();
+    failuresLeft = 3;
+    dispatcher.publish(payloadFor("0xaa:0", 5));
+    await waitFor(() => dispatcher.listDeliveries(subscription.id)[0].status === "failed");
+
+    const [failed] = dispatcher.listDeliveries(subscription.id);
+    expect(dispatcher.retry(subscription.id, failed.id).status).to.equal("pending");
+    await waitFor(() => dispatcher.listDeliveries(subscription.id)[0].status === "delivered");
+    expect(dispatcher.listDeliveries(subscription.id)[0].attempts.map(attempt => attempt.statusCode)).to.deep.equal([500, 500, 500, 204]);
+    expect(dispatcher.retry(subscription.id, "missing")).to.equal(null);
+  });
+
+  describe("Private addresses", function () {
+    it("Should refuse loopback, private and link-local hosts", async function () {
+      expect(await checkWebhookUrl("http://127.0.0.1:8080/hook")).to.equal("127.0.0.1 is a private address (127.0.0.1)");
+      expect(await checkWebhookUrl("http://localhost/hook")).to.match(/^localhost is a private address/);
+      expect(await checkWebhookUrl("http://10.1.2.3/hook")).to.not.equal(null);
+      expect(await checkWebhookUrl("http://192.168.0.10/hook")).to.not.equal(null);
+      expect(await checkWebhookUrl("http://172.20.0.1/hook")).to.not.equal(null);
+      expect(await checkWebhookUrl("http://169.254.169.254/latest/meta-data")).to.not.equal(null);
+      expect(await checkWebhookUrl("http://[::1]/hook")).to.equal("::1 is a private address (::1)");
+      expect(await checkWebhookUrl("http://[::ffff:127.0.0.1]/hook")).to.not.equal(null);
+      expect(await checkWebhookUrl("http://[fd00::1]/hook")).to.not.equal(null);
+    });
+
+    it("Should allow public addresses", async function () {
+      expect(await checkWebhookUrl("https://93.184.215.14/hook")).to.equal(null);
+      expect(await checkWebhookUrl("https://172.32.0.1/hook")).to.equal(null);
+      expect(await checkWebhookUrl("https://[2606:4700::1111]/hook")).to.equal(null);
+    });
+
+    it("Should not send to a private address unless allowed", async function () {
+      dispatcher = new WebhookDispatcher({ store: memoryStore(), retryDelay: 20, pollInterval: 10, maxAttempts: 1 });
+      expect(await dispatcher.checkUrl(url)).to.match(/is a private address/);
+
+      const subscription = dispatcher.subscribe({ url, fromBlock: 0 });
+      dispatcher.publish(payloadFor("0xaa:0", 5));
+      await waitFor(() => dispatcher.listDeliveries(subscription.id)[0].status === "failed");
+      expect(dispatcher.listDeliveries(subscription.id)[0].attempts[0].error).to.equal("127.0.0.1 is a private address (127.0.0.1)");
+      expect(received).to.have.lengthOf(0);
+    });
+  });
+
+  it("Should retry failed deliveries with backoff and give up after maxAttempts", async function () {
+    const subscription = dispatcher.subscribe({ url, fromBlock: 0 });
+    dispatcher.start();
+
+    failuresLeft = 2;
+    dispatcher.publish(payloadFor("0xaa:0", 5));
+    await waitFor(() => dispatcher.listDeliveries(subscription.id)[0].status === "delivered");
+    const [delivered] = dispatcher.listDeliveries(subscription.id);
+    expect(delivered.attempts.map(attempt => attempt.statusCode)).to.deep.equal([500, 500, 204]);
+
+    failuresLeft = 3;
+    dispatcher.publish(payloadFor("0xbb:0", 6));
+    await waitFor(() => dispatcher.listDeliveries(subscription.id)[0].status === "failed");
+    expect(dispatcher.listDeliveries(subscription.id)[0].attempts.length).to.equal(3);
+  });
+
+  describe("Retraction after a reorg", function () {
+    let subscription;
+
+    const delivered = count => waitFor(() =>
+      dispatcher.listDeliveries(subscription.id).filter(delivery => delivery.status === "delivered").length === count);
+
+    beforeEach(function () {
+      subscription = dispatcher.subscribe({ url, fromBlock: 0 });
+    });
+
+    it("Should send a retracted event for deliveries from replaced blocks", async function () {
+      dispatcher.publish(payloadFor("0xaa:0", 5));
+      dispatcher.publish(payloadFor("0xbb:0", 8));
+      await delivered(2);
+
+      expect(dispatcher.retract(6)).to.equal(1);
+      await delivered(3);
+
+      const retraction = JSON.parse(received[2].body);
+      expect(received[2].headers["x-notary-event"]).to.equal(RETRACTED_EVENT);
+      expect(retraction.type).to.equal(RETRACTED_EVENT);
+      expect(retraction.blockNumber).to.equal(6);
+      expect(retraction.data).to.deep.equal({
+        eventId: "0xbb:0",
+        type: "notarized",
+        documentHash: ethers.utils.id("0xbb:0"),
+        blockNumber: 8,
+        transactionHash: "0xbb"
+      });
+
+      // Retracting again sends nothing more, and the retracted delivery cannot be resent
+      expect(dispatcher.retract(6)).to.equal(0);
+      const original = dispatcher.listDeliveries(subscription.id).find(delivery => delivery.eventId === "0xbb:0");
+      expect(original.retractedAt).to.be.a("string");
+      expect(dispatcher.retry(subscription.id, original.id)).to.equal(null);
+    });
+
+    it("Should cancel deliveries not attempted yet instead of retracting them", function () {
+      dispatcher.deliverDue = async () => {}; // Hold everything in the queue
+      dispatcher.publish(payloadFor("0xaa:0", 8));
+
+      expect(dispatcher.retract(6)).to.equal(0);
+      const [delivery] = dispatcher.listDeliveries(subscription.id);
+      expect(delivery.status).to.equal("cancelled");
+    });
+
+    it("Should send the event again when it lands in a new block", async function () {
+      dispatcher.publish(payloadFor("0xaa:0", 8));
+      await delivered(1);
+      dispatcher.retract(6);
+      await delivered(2);
+
+      expect(dispatcher.publish(payloadFor("0xaa:0", 9))).to.equal(1);
+      await delivered(3);
+      expect(JSON.parse(received[2].body).blockNumber).to.equal(9);
+    });
+  });
+
+  it("Should report how settled the event was when it was sent", function () {
+    const event = {
+      name: "DocumentSigned",
+      args: { documentHash: ethers.utils.id("doc"), signer: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8" },
+      blockNumber: 100,
+      transactionHash: "0xaa",
+      logIndex: 1,
+      timestamp: 1700000000
+    };
+    const context = {
+      chainId: 11155111,
+      contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+      getDocument: () => ({ status: 0, signerCount: 1, approverCount: 0 }),
+      confirmationPolicy: { confirmations: 6, finalityDepth: 64 }
+    };
+
+    const fresh = buildWebhookPayload(event, { ...context, headBlock: 100 });
+    expect(fresh.id).to.equal("0xaa:1");
+    expect(fresh.type).to.equal("signed");
+    expect(fresh.finality).to.equal("pending");
+    expect(fresh.confirmations).to.equal(1);
+    expect(fresh.data.status).to.equal("PENDING");
+
+    expect(buildWebhookPayload(event, { ...context, headBlock: 110 }).finality).to.equal("confirmed");
+    expect(buildWebhookPayload(event, { ...context, headBlock: 200 }).finality).to.equal("finalized");
+  });
+});